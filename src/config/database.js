@@ -1,33 +1,76 @@
-const { Sequelize } = require('sequelize');
-require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Sequelize, Op } = require('sequelize');
+const config = require('./index');
 
 /**
  * Configuração da conexão com o banco de dados
- * Utiliza SQLite para desenvolvimento/testes e PostgreSQL para produção
+ * Todas as opções vêm de src/config (DATABASE_URL ou variáveis DB_*):
+ * SQLite em arquivo ou memória para desenvolvimento/testes e PostgreSQL para produção
  */
-const sequelize = process.env.NODE_ENV === 'production' 
-  ? new Sequelize(
-      process.env.DB_NAME || 'agro_marketplace',
-      process.env.DB_USER || 'postgres',
-      process.env.DB_PASSWORD || 'password',
-      {
-        host: process.env.DB_HOST || 'localhost',
-        port: process.env.DB_PORT || 5432,
-        dialect: 'postgres',
-        logging: false,
-        pool: {
-          max: 5,
-          min: 0,
-          acquire: 30000,
-          idle: 10000
-        }
+
+/**
+ * Monta as opções do Sequelize a partir da configuração validada
+ * @param {Object} db - Configuração do banco (config.db)
+ * @returns {Object} - Opções para o construtor do Sequelize
+ */
+const buildOptions = (db) => {
+  const options = {
+    dialect: db.dialect,
+    logging: db.logging ? console.log : false
+  };
+
+  if (db.dialect === 'sqlite') {
+    if (db.storage) {
+      options.storage = db.storage;
+    }
+    return options;
+  }
+
+  options.pool = db.pool;
+
+  if (db.ssl) {
+    options.dialectOptions = {
+      ssl: {
+        require: true,
+        rejectUnauthorized: db.sslRejectUnauthorized
       }
-    )
-  : new Sequelize({
-      dialect: 'sqlite',
-      storage: ':memory:',
-      logging: process.env.NODE_ENV === 'development' ? console.log : false
-    });
+    };
+  }
+
+  if (!db.url) {
+    options.host = db.host;
+    options.port = db.port;
+  }
+
+  return options;
+};
+
+/**
+ * Cria a instância do Sequelize
+ * @param {Object} db - Configuração do banco (config.db)
+ * @returns {Sequelize} - Instância configurada
+ */
+const createSequelize = (db) => {
+  // O SQLite cria o arquivo, mas não o diretório
+  if (db.dialect === 'sqlite' && db.storage && db.storage !== ':memory:') {
+    fs.mkdirSync(path.dirname(db.storage), { recursive: true });
+  }
+
+  const options = buildOptions(db);
+
+  if (db.url) {
+    return new Sequelize(db.url, options);
+  }
+
+  if (db.dialect === 'sqlite') {
+    return new Sequelize(options);
+  }
+
+  return new Sequelize(db.name, db.user, db.password, options);
+};
+
+const sequelize = createSequelize(config.db);
 
 /**
  * Testa a conexão com o banco de dados
@@ -38,8 +81,23 @@ const testConnection = async () => {
     console.log('✅ Conexão com o banco de dados estabelecida com sucesso.');
   } catch (error) {
     console.error('❌ Erro ao conectar com o banco de dados:', error);
+    throw error;
   }
 };
 
-module.exports = { sequelize, testConnection };
+/**
+ * Indica se a conexão usa o PostgreSQL (o SQL específico de cada dialeto depende disso)
+ * @param {Sequelize} db - Instância do Sequelize (padrão: a conexão da aplicação)
+ * @returns {boolean}
+ */
+const isPostgres = (db = sequelize) => db.getDialect() === 'postgres';
+
+/**
+ * Operador de LIKE sem diferenciar maiúsculas: ILIKE só existe no PostgreSQL;
+ * no SQLite o LIKE já ignora maiúsculas/minúsculas
+ * @param {Sequelize} db - Instância do Sequelize (padrão: a conexão da aplicação)
+ * @returns {symbol} - Op.iLike ou Op.like
+ */
+const likeOp = (db = sequelize) => (isPostgres(db) ? Op.iLike : Op.like);
 
+module.exports = { sequelize, testConnection, buildOptions, isPostgres, likeOp };
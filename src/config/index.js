@@ -0,0 +1,407 @@
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Configuração centralizada da aplicação
+ * Lê as variáveis de ambiente uma única vez, aplica valores padrão
+ * e valida tudo na inicialização para falhar cedo com mensagens claras
+ */
+
+const AMBIENTES = ['development', 'test', 'production'];
+const DIALETOS = ['postgres', 'sqlite'];
+const TRANSPORTES_EMAIL = ['console', 'file', 'smtp'];
+const DRIVERS_ARMAZENAMENTO = ['local', 's3'];
+const SEGREDO_EXEMPLO = 'seu_jwt_secret_muito_seguro_aqui';
+
+/**
+ * Converte uma variável de ambiente em booleano
+ * @param {string} value - Valor lido do ambiente
+ * @param {boolean} defaultValue - Valor usado quando a variável não existe
+ * @returns {boolean|null} - Booleano ou null se o valor for inválido
+ */
+const parseBoolean = (value, defaultValue) => {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'sim'].includes(normalized)) return true;
+  if (['false', '0', 'no', 'nao', 'não'].includes(normalized)) return false;
+  return null;
+};
+
+/**
+ * Converte uma variável de ambiente em inteiro
+ * @param {string} value - Valor lido do ambiente
+ * @param {number} defaultValue - Valor usado quando a variável não existe
+ * @returns {number} - Inteiro ou NaN se o valor for inválido
+ */
+const parseInteger = (value, defaultValue) => {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+
+  return /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : NaN;
+};
+
+/**
+ * Monta a configuração do banco de dados
+ * Prioriza DATABASE_URL; sem ela usa as variáveis DB_* discretas
+ * @param {Object} env - Variáveis de ambiente
+ * @param {string} nodeEnv - Ambiente atual
+ * @param {Array} errors - Lista onde os erros de validação são acumulados
+ * @returns {Object} - Configuração do banco
+ */
+const buildDatabaseConfig = (env, nodeEnv, errors) => {
+  const db = {
+    url: env.DATABASE_URL || null,
+    dialect: null,
+    host: env.DB_HOST || 'localhost',
+    port: parseInteger(env.DB_PORT, 5432),
+    name: env.DB_NAME || 'agro_marketplace',
+    user: env.DB_USER || 'postgres',
+    password: env.DB_PASSWORD || '',
+    storage: null,
+    ssl: parseBoolean(env.DB_SSL, false),
+    sslRejectUnauthorized: parseBoolean(env.DB_SSL_REJECT_UNAUTHORIZED, true),
+    logging: parseBoolean(env.DB_LOGGING, nodeEnv === 'development'),
+    pool: {
+      max: parseInteger(env.DB_POOL_MAX, 5),
+      min: parseInteger(env.DB_POOL_MIN, 0),
+      acquire: parseInteger(env.DB_POOL_ACQUIRE, 30000),
+      idle: parseInteger(env.DB_POOL_IDLE, 10000)
+    }
+  };
+
+  if (db.url) {
+    const match = /^(postgres(?:ql)?|sqlite):/.exec(db.url);
+    if (!match) {
+      errors.push('DATABASE_URL deve começar com postgres://, postgresql:// ou sqlite:');
+    } else {
+      db.dialect = match[1] === 'sqlite' ? 'sqlite' : 'postgres';
+    }
+
+    if (env.DB_DIALECT && db.dialect && env.DB_DIALECT !== db.dialect) {
+      errors.push(`DB_DIALECT (${env.DB_DIALECT}) não corresponde ao dialeto de DATABASE_URL (${db.dialect})`);
+    }
+  } else {
+    db.dialect = env.DB_DIALECT || (nodeEnv === 'production' ? 'postgres' : 'sqlite');
+    if (!DIALETOS.includes(db.dialect)) {
+      errors.push(`DB_DIALECT deve ser um de: ${DIALETOS.join(', ')}`);
+    }
+  }
+
+  if (db.dialect === 'sqlite' && !db.url) {
+    // Em teste o banco vive só na memória; em desenvolvimento fica em arquivo
+    const defaultStorage = nodeEnv === 'test' ? ':memory:' : path.join('data', `${nodeEnv}.sqlite`);
+    const storage = env.DB_STORAGE || defaultStorage;
+    db.storage = storage === ':memory:' ? storage : path.resolve(storage);
+  }
+
+  if (db.dialect === 'sqlite' && nodeEnv === 'production') {
+    errors.push('SQLite não é suportado em produção; configure DATABASE_URL ou DB_DIALECT=postgres');
+  }
+
+  if (db.dialect === 'postgres' && !db.url) {
+    if (!env.DB_HOST && nodeEnv === 'production') {
+      errors.push('DB_HOST é obrigatório em produção quando DATABASE_URL não está definida');
+    }
+    if (!Number.isInteger(db.port) || db.port < 1 || db.port > 65535) {
+      errors.push('DB_PORT deve ser uma porta válida (1-65535)');
+    }
+  }
+
+  if (db.ssl === null) errors.push('DB_SSL deve ser true ou false');
+  if (db.sslRejectUnauthorized === null) errors.push('DB_SSL_REJECT_UNAUTHORIZED deve ser true ou false');
+  if (db.logging === null) errors.push('DB_LOGGING deve ser true ou false');
+
+  Object.entries(db.pool).forEach(([key, value]) => {
+    if (!Number.isInteger(value)) {
+      errors.push(`DB_POOL_${key.toUpperCase()} deve ser um número inteiro não negativo`);
+    }
+  });
+
+  if (Number.isInteger(db.pool.max) && db.pool.max < 1) {
+    errors.push('DB_POOL_MAX deve ser pelo menos 1');
+  }
+
+  if (Number.isInteger(db.pool.min) && Number.isInteger(db.pool.max) && db.pool.min > db.pool.max) {
+    errors.push('DB_POOL_MIN não pode ser maior que DB_POOL_MAX');
+  }
+
+  return db;
+};
+
+/**
+ * Monta a configuração de JWT
+ * @param {Object} env - Variáveis de ambiente
+ * @param {string} nodeEnv - Ambiente atual
+ * @param {Array} errors - Lista onde os erros de validação são acumulados
+ * @returns {Object} - Configuração de JWT
+ */
+const buildJwtConfig = (env, nodeEnv, errors) => {
+  const jwt = {
+    secret: env.JWT_SECRET,
+    expiresIn: env.JWT_EXPIRES_IN || '15m',
+    refreshExpiresIn: env.JWT_REFRESH_EXPIRES_IN || '30d'
+  };
+
+  if (!jwt.secret) {
+    errors.push('JWT_SECRET é obrigatório');
+  } else if (nodeEnv === 'production') {
+    if (jwt.secret === SEGREDO_EXEMPLO) {
+      errors.push('JWT_SECRET ainda está com o valor de exemplo do .env.example');
+    } else if (jwt.secret.length < 32) {
+      errors.push('JWT_SECRET deve ter pelo menos 32 caracteres em produção');
+    }
+  }
+
+  const durationRegex = /^\d+[smhd]?$/;
+  if (!durationRegex.test(jwt.expiresIn)) {
+    errors.push('JWT_EXPIRES_IN deve ser uma duração como 15m, 12h ou 7d');
+  }
+  if (!durationRegex.test(jwt.refreshExpiresIn)) {
+    errors.push('JWT_REFRESH_EXPIRES_IN deve ser uma duração como 15m, 12h ou 30d');
+  }
+
+  return jwt;
+};
+
+/**
+ * Monta a configuração de envio de emails
+ * @param {Object} env - Variáveis de ambiente
+ * @param {string} nodeEnv - Ambiente atual
+ * @param {Array} errors - Lista onde os erros de validação são acumulados
+ * @returns {Object} - Configuração do mailer
+ */
+const buildMailConfig = (env, nodeEnv, errors) => {
+  const mail = {
+    transport: env.MAIL_TRANSPORT || (nodeEnv === 'production' ? 'smtp' : 'console'),
+    from: env.MAIL_FROM || 'Agro Marketplace <nao-responda@agromarketplace.com.br>',
+    fileDir: path.resolve(env.MAIL_FILE_DIR || path.join('data', 'mail')),
+    smtp: {
+      host: env.SMTP_HOST,
+      port: parseInteger(env.SMTP_PORT, 587),
+      secure: parseBoolean(env.SMTP_SECURE, false),
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASSWORD
+    }
+  };
+
+  if (!TRANSPORTES_EMAIL.includes(mail.transport)) {
+    errors.push(`MAIL_TRANSPORT deve ser um de: ${TRANSPORTES_EMAIL.join(', ')}`);
+  }
+
+  if (mail.transport === 'smtp') {
+    if (!mail.smtp.host) {
+      errors.push('SMTP_HOST é obrigatório quando MAIL_TRANSPORT=smtp');
+    }
+    if (!Number.isInteger(mail.smtp.port) || mail.smtp.port < 1 || mail.smtp.port > 65535) {
+      errors.push('SMTP_PORT deve ser uma porta válida (1-65535)');
+    }
+    if (mail.smtp.secure === null) {
+      errors.push('SMTP_SECURE deve ser true ou false');
+    }
+  }
+
+  return mail;
+};
+
+/**
+ * Monta a configuração do armazenamento de arquivos (imagens enviadas)
+ * @param {Object} env - Variáveis de ambiente
+ * @param {string} nodeEnv - Ambiente atual
+ * @param {number} port - Porta da API (compõe a URL pública padrão do disco local)
+ * @param {Array} errors - Lista onde os erros de validação são acumulados
+ * @returns {Object} - Configuração do armazenamento
+ */
+const buildStorageConfig = (env, nodeEnv, port, errors) => {
+  // Em teste os arquivos vão para o diretório temporário do sistema
+  const defaultDir = nodeEnv === 'test'
+    ? path.join(os.tmpdir(), 'agro-marketplace-uploads')
+    : path.join('data', 'uploads');
+
+  const storage = {
+    driver: env.STORAGE_DRIVER || 'local',
+    localDir: path.resolve(env.STORAGE_LOCAL_DIR || defaultDir),
+    publicUrl: (env.STORAGE_PUBLIC_URL || '').replace(/\/$/, '') || null,
+    maxUploadMb: parseInteger(env.UPLOAD_MAX_MB, 8),
+    s3: {
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT || null,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: parseBoolean(env.S3_FORCE_PATH_STYLE, false)
+    }
+  };
+
+  if (!DRIVERS_ARMAZENAMENTO.includes(storage.driver)) {
+    errors.push(`STORAGE_DRIVER deve ser um de: ${DRIVERS_ARMAZENAMENTO.join(', ')}`);
+  }
+
+  if (!Number.isInteger(storage.maxUploadMb) || storage.maxUploadMb < 1 || storage.maxUploadMb > 50) {
+    errors.push('UPLOAD_MAX_MB deve ser um número inteiro entre 1 e 50');
+  }
+
+  if (storage.driver === 'local' && !storage.publicUrl) {
+    if (nodeEnv === 'production') {
+      errors.push('STORAGE_PUBLIC_URL é obrigatório em produção com STORAGE_DRIVER=local');
+    }
+    // Servido pela própria API em /uploads
+    storage.publicUrl = `http://localhost:${port}/uploads`;
+  }
+
+  if (storage.driver === 's3') {
+    if (!storage.s3.bucket) {
+      errors.push('S3_BUCKET é obrigatório quando STORAGE_DRIVER=s3');
+    }
+    if (storage.s3.forcePathStyle === null) {
+      errors.push('S3_FORCE_PATH_STYLE deve ser true ou false');
+    }
+    if (!storage.publicUrl) {
+      // Endereço público padrão do bucket (AWS ou serviço compatível com endpoint próprio)
+      storage.publicUrl = storage.s3.endpoint
+        ? `${storage.s3.endpoint.replace(/\/$/, '')}/${storage.s3.bucket}`
+        : `https://${storage.s3.bucket}.s3.${storage.s3.region}.amazonaws.com`;
+    }
+  }
+
+  return storage;
+};
+
+/**
+ * Monta as regras de conta (verificação de email e recuperação de senha)
+ * @param {Object} env - Variáveis de ambiente
+ * @param {Array} errors - Lista onde os erros de validação são acumulados
+ * @returns {Object} - Configuração de contas
+ */
+const buildAccountConfig = (env, errors) => {
+  const account = {
+    requireVerifiedEmailForCheckout: parseBoolean(env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT, false),
+    passwordResetTtlMinutes: parseInteger(env.PASSWORD_RESET_TTL_MINUTES, 60),
+    emailVerificationTtlHours: parseInteger(env.EMAIL_VERIFICATION_TTL_HOURS, 48)
+  };
+
+  if (account.requireVerifiedEmailForCheckout === null) {
+    errors.push('REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT deve ser true ou false');
+  }
+  if (!Number.isInteger(account.passwordResetTtlMinutes) || account.passwordResetTtlMinutes < 1) {
+    errors.push('PASSWORD_RESET_TTL_MINUTES deve ser um número inteiro positivo');
+  }
+  if (!Number.isInteger(account.emailVerificationTtlHours) || account.emailVerificationTtlHours < 1) {
+    errors.push('EMAIL_VERIFICATION_TTL_HOURS deve ser um número inteiro positivo');
+  }
+
+  return account;
+};
+
+/**
+ * Monta a configuração das tarefas periódicas
+ * @param {Object} env - Variáveis de ambiente
+ * @param {string} nodeEnv - Ambiente atual
+ * @param {Array} errors - Lista onde os erros de validação são acumulados
+ * @returns {Object} - Configuração das tarefas
+ */
+const buildJobsConfig = (env, nodeEnv, errors) => {
+  const jobs = {
+    // Nos testes as tarefas são chamadas diretamente, sem agendamento
+    enabled: parseBoolean(env.JOBS_ENABLED, nodeEnv !== 'test'),
+    seasonalityIntervalMinutes: parseInteger(env.SEASONALITY_INTERVAL_MINUTES, 60)
+  };
+
+  if (jobs.enabled === null) {
+    errors.push('JOBS_ENABLED deve ser true ou false');
+  }
+  if (!Number.isInteger(jobs.seasonalityIntervalMinutes) || jobs.seasonalityIntervalMinutes < 1) {
+    errors.push('SEASONALITY_INTERVAL_MINUTES deve ser um número inteiro positivo');
+  }
+
+  return jobs;
+};
+
+/**
+ * Monta os limites da importação de produtos por planilha
+ * @param {Object} env - Variáveis de ambiente
+ * @param {Array} errors - Lista onde os erros de validação são acumulados
+ * @returns {Object} - Configuração da importação
+ */
+const buildImportsConfig = (env, errors) => {
+  const imports = {
+    maxFileMb: parseInteger(env.IMPORT_MAX_MB, 5),
+    maxRows: parseInteger(env.IMPORT_MAX_ROWS, 5000),
+    // Acima disso a planilha é processada em segundo plano e a resposta volta na hora
+    syncMaxRows: parseInteger(env.IMPORT_SYNC_MAX_ROWS, 200)
+  };
+
+  if (!Number.isInteger(imports.maxFileMb) || imports.maxFileMb < 1 || imports.maxFileMb > 50) {
+    errors.push('IMPORT_MAX_MB deve ser um número inteiro entre 1 e 50');
+  }
+  if (!Number.isInteger(imports.maxRows) || imports.maxRows < 1) {
+    errors.push('IMPORT_MAX_ROWS deve ser um número inteiro positivo');
+  }
+  if (!Number.isInteger(imports.syncMaxRows) || imports.syncMaxRows < 0) {
+    errors.push('IMPORT_SYNC_MAX_ROWS deve ser um número inteiro não negativo');
+  }
+
+  return imports;
+};
+
+/**
+ * Lê e valida a configuração a partir das variáveis de ambiente
+ * @param {Object} env - Variáveis de ambiente (padrão: process.env)
+ * @returns {Object} - Configuração validada
+ * @throws {Error} - Lista todos os problemas encontrados
+ */
+const loadConfig = (env = process.env) => {
+  const errors = [];
+  const nodeEnv = env.NODE_ENV || 'development';
+
+  if (!AMBIENTES.includes(nodeEnv)) {
+    errors.push(`NODE_ENV deve ser um de: ${AMBIENTES.join(', ')}`);
+  }
+
+  const port = parseInteger(env.PORT, 3001);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    errors.push('PORT deve ser uma porta válida (1-65535)');
+  }
+
+  const corsOrigins = (env.CORS_ORIGIN || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  const config = {
+    env: nodeEnv,
+    isProduction: nodeEnv === 'production',
+    isTest: nodeEnv === 'test',
+    port,
+    // Endereço do frontend, usado nos links enviados por email
+    appUrl: (env.APP_URL || corsOrigins[0] || 'http://localhost:3000').replace(/\/$/, ''),
+    cors: {
+      origin: corsOrigins.length === 0 ? '*' : (corsOrigins.length === 1 ? corsOrigins[0] : corsOrigins)
+    },
+    db: buildDatabaseConfig(env, nodeEnv, errors),
+    jwt: buildJwtConfig(env, nodeEnv, errors),
+    mail: buildMailConfig(env, nodeEnv, errors),
+    storage: buildStorageConfig(env, nodeEnv, port, errors),
+    account: buildAccountConfig(env, errors),
+    jobs: buildJobsConfig(env, nodeEnv, errors),
+    imports: buildImportsConfig(env, errors)
+  };
+
+  if (errors.length > 0) {
+    const error = new Error(`Configuração inválida:\n  - ${errors.join('\n  - ')}`);
+    error.name = 'ConfigError';
+    error.errors = errors;
+    throw error;
+  }
+
+  return config;
+};
+
+const config = loadConfig();
+
+module.exports = config;
+module.exports.loadConfig = loadConfig;
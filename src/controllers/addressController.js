@@ -1,5 +1,7 @@
 const { Address } = require('../models');
 const { success, error, notFound, forbidden } = require('../utils/response');
+const { can } = require('../services/permissionService');
+const { lookupCep } = require('../services/geoService');
 
 /**
  * Controller de Endereços
@@ -43,11 +45,18 @@ const createAddress = async (req, res) => {
       cidade,
       estado,
       cep,
+      latitude,
+      longitude,
       principal
     } = req.body;
 
     const userId = req.user.id;
 
+    // Coordenadas enviadas pelo aplicativo ou obtidas pela tabela de CEPs
+    const coordenadas = latitude !== undefined && longitude !== undefined
+      ? { latitude, longitude }
+      : await lookupCep(cep) || { latitude: null, longitude: null };
+
     // Se for endereço principal, remover principal dos outros
     if (principal) {
       await Address.update(
@@ -65,6 +74,7 @@ const createAddress = async (req, res) => {
       cidade,
       estado: estado.toUpperCase(),
       cep,
+      ...coordenadas,
       principal: principal || false
     });
 
@@ -92,6 +102,8 @@ const updateAddress = async (req, res) => {
       cidade,
       estado,
       cep,
+      latitude,
+      longitude,
       principal
     } = req.body;
 
@@ -104,7 +116,7 @@ const updateAddress = async (req, res) => {
     }
 
     // Verificar se pertence ao usuário
-    if (address.userId !== userId) {
+    if (!(await can(req.user, 'address:update', address))) {
       return forbidden(res, 'Você só pode editar seus próprios endereços');
     }
 
@@ -125,6 +137,14 @@ const updateAddress = async (req, res) => {
     if (cidade !== undefined) updateData.cidade = cidade;
     if (estado !== undefined) updateData.estado = estado.toUpperCase();
     if (cep !== undefined) updateData.cep = cep;
+
+    // Coordenadas informadas ou, se o CEP mudou, as da tabela de CEPs
+    if (latitude !== undefined && longitude !== undefined) {
+      updateData.latitude = latitude;
+      updateData.longitude = longitude;
+    } else if (cep !== undefined && cep !== address.cep) {
+      Object.assign(updateData, await lookupCep(cep) || { latitude: null, longitude: null });
+    }
     if (principal !== undefined) updateData.principal = principal;
 
     await address.update(updateData);
@@ -145,7 +165,6 @@ const updateAddress = async (req, res) => {
 const deleteAddress = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
 
     // Buscar endereço
     const address = await Address.findByPk(id);
@@ -154,7 +173,7 @@ const deleteAddress = async (req, res) => {
     }
 
     // Verificar se pertence ao usuário
-    if (address.userId !== userId) {
+    if (!(await can(req.user, 'address:delete', address))) {
       return forbidden(res, 'Você só pode excluir seus próprios endereços');
     }
 
@@ -185,7 +204,7 @@ const setMainAddress = async (req, res) => {
     }
 
     // Verificar se pertence ao usuário
-    if (address.userId !== userId) {
+    if (!(await can(req.user, 'address:update', address))) {
       return forbidden(res, 'Você só pode alterar seus próprios endereços');
     }
 
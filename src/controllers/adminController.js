@@ -0,0 +1,1264 @@
+const { Op } = require('sequelize');
+const {
+  User, Category, Product, Order, OrderItem, AdminAction, VerificationDocument, Review, ReviewReport, Promotion, Coupon
+} = require('../models');
+const { sequelize, likeOp } = require('../config/database');
+const { revokeAllSessions } = require('../services/authTokenService');
+const verificationService = require('../services/producerVerificationService');
+const { restoreStock } = require('../services/inventoryService');
+const { moderateReview: applyModeration } = require('../services/reviewService');
+const categoryService = require('../services/categoryService');
+const promotionService = require('../services/promotionService');
+const couponService = require('../services/couponService');
+const { slugify } = require('../utils/text');
+const { success, error, notFound, validationError, conflict, paginated } = require('../utils/response');
+
+/**
+ * Controller de Administração
+ * Moderação da plataforma: usuários, categorias, produtos e pedidos.
+ * Toda alteração fica registrada em AdminAction com o administrador responsável.
+ */
+
+const STATUS_PEDIDO = ['pendente', 'confirmado', 'preparando', 'enviado', 'entregue', 'cancelado'];
+
+/**
+ * Registra uma ação administrativa
+ * @param {Object} req - Objeto de requisição (administrador em req.user)
+ * @param {Object} action - { acao, entidade, entidadeId, motivo, detalhes }
+ * @param {Object} transaction - Transação opcional
+ */
+const recordAction = (req, { acao, entidade, entidadeId, motivo, detalhes }, transaction) => {
+  return AdminAction.create({
+    adminId: req.user.id,
+    acao,
+    entidade,
+    entidadeId,
+    motivo: motivo || null,
+    detalhes: detalhes || null
+  }, { transaction });
+};
+
+/**
+ * Lista e pesquisa usuários
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getUsers = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      papel,
+      ativo
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    // papeis é uma lista em JSON: compara o texto para funcionar no SQLite e no PostgreSQL
+    if (papel && User.PAPEIS.includes(papel)) {
+      where[Op.and] = [
+        sequelize.where(sequelize.cast(sequelize.col('papeis'), 'text'), { [Op.like]: `%"${papel}"%` })
+      ];
+    }
+
+    if (ativo !== undefined) {
+      where.ativo = ativo === 'true';
+    }
+
+    // Busca por nome ou email
+    if (search) {
+      where[Op.or] = [
+        { nome: { [likeOp()]: `%${search}%` } },
+        { email: { [likeOp()]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows } = await User.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    return paginated(res, rows, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    });
+
+  } catch (err) {
+    console.error('Erro ao listar usuários:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Obtém um usuário com suas ações administrativas recebidas
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getUserById = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return notFound(res, 'Usuário não encontrado');
+    }
+
+    const historico = await AdminAction.findAll({
+      where: { entidade: 'User', entidadeId: user.id },
+      include: [{ model: User, as: 'admin', attributes: ['id', 'nome'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return success(res, { ...user.toJSON(), historico }, 'Usuário encontrado');
+
+  } catch (err) {
+    console.error('Erro ao buscar usuário:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Ativa ou desativa um usuário
+ * @param {boolean} ativo - Novo estado
+ * @returns {Function} - Handler do Express
+ */
+const setUserActive = (ativo) => async (req, res) => {
+  try {
+    const { motivo } = req.body || {};
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return notFound(res, 'Usuário não encontrado');
+    }
+
+    if (user.id === req.user.id) {
+      return validationError(res, ['Você não pode alterar o status da sua própria conta']);
+    }
+
+    if (!ativo && !motivo) {
+      return validationError(res, ['Motivo da desativação é obrigatório']);
+    }
+
+    await user.update({ ativo });
+
+    if (!ativo) {
+      // Encerra as sessões abertas da conta desativada
+      await revokeAllSessions(user.id);
+    }
+
+    await recordAction(req, {
+      acao: ativo ? 'usuario.ativar' : 'usuario.desativar',
+      entidade: 'User',
+      entidadeId: user.id,
+      motivo
+    });
+
+    return success(res, user, ativo ? 'Usuário reativado com sucesso' : 'Usuário desativado com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao alterar status do usuário:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Lista a fila de verificação de produtores
+ * Por padrão mostra as pendentes, das mais antigas para as mais recentes
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getVerifications = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = 'pendente'
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await User.findAndCountAll({
+      where: { statusVerificacao: status },
+      include: [{ model: VerificationDocument, as: 'documentosVerificacao' }],
+      order: [['verificacaoEnviadaEm', 'ASC'], ['id', 'ASC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      distinct: true
+    });
+
+    return paginated(res, rows, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    });
+
+  } catch (err) {
+    console.error('Erro ao listar verificações:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Obtém a verificação de um produtor com documentos e histórico de análises
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getVerificationById = async (req, res) => {
+  try {
+    const producer = await verificationService.getVerification(req.params.id);
+    if (!producer) {
+      return notFound(res, 'Produtor não encontrado');
+    }
+
+    const historico = await AdminAction.findAll({
+      where: {
+        entidade: 'User',
+        entidadeId: producer.id,
+        acao: { [Op.in]: ['produtor.aprovar', 'produtor.rejeitar'] }
+      },
+      include: [{ model: User, as: 'admin', attributes: ['id', 'nome'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return success(res, { ...producer.toJSON(), historico }, 'Verificação encontrada');
+
+  } catch (err) {
+    console.error('Erro ao buscar verificação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Aprova ou rejeita a verificação de um produtor
+ * @param {boolean} aprovado - Resultado da análise
+ * @returns {Function} - Handler do Express
+ */
+const reviewVerification = (aprovado) => async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { motivo } = req.body || {};
+
+    const producer = await User.findOne({
+      where: { id: req.params.id, statusVerificacao: { [Op.ne]: null } },
+      transaction
+    });
+
+    if (!producer) {
+      await transaction.rollback();
+      return notFound(res, 'Produtor não encontrado');
+    }
+
+    await verificationService.reviewVerification(producer, req.user, { aprovado, motivo }, transaction);
+
+    await recordAction(req, {
+      acao: aprovado ? 'produtor.aprovar' : 'produtor.rejeitar',
+      entidade: 'User',
+      entidadeId: producer.id,
+      motivo,
+      detalhes: { documento: producer.documento, dapCaf: producer.dapCaf }
+    }, transaction);
+
+    await transaction.commit();
+
+    await verificationService.notifyReview(producer);
+
+    return success(res, producer, aprovado ? 'Produtor aprovado' : 'Verificação rejeitada');
+
+  } catch (err) {
+    await transaction.rollback();
+    if (err instanceof verificationService.VerificationError) {
+      return validationError(res, err.errors);
+    }
+    console.error('Erro ao analisar verificação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Lista todas as categorias, inclusive as inativas, na ordem da árvore
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getCategories = async (req, res) => {
+  try {
+    const categories = await Category.findAll({
+      order: [['parentId', 'ASC'], ['ordem', 'ASC'], ['nome', 'ASC']]
+    });
+
+    return success(res, categories, 'Categorias recuperadas com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao listar categorias:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Verifica se nome ou slug já são usados por outra categoria
+ * @param {Object} dados - { nome, slug }
+ * @param {number} ignorarId - Categoria sendo editada
+ * @returns {Promise<string|null>} - Mensagem do conflito, ou null
+ */
+const findCategoryConflict = async ({ nome, slug }, ignorarId) => {
+  const existing = await Category.findOne({
+    where: {
+      [Op.or]: [{ nome }, { slug }],
+      ...(ignorarId && { id: { [Op.ne]: ignorarId } })
+    }
+  });
+
+  if (!existing) {
+    return null;
+  }
+  return existing.nome === nome ? 'Já existe uma categoria com este nome' : 'Já existe uma categoria com este slug';
+};
+
+/**
+ * Erros de hierarquia viram 404 (pai inexistente) ou 400 (ciclo, níveis)
+ * @param {Object} res - Objeto de resposta
+ * @param {Error} err - Erro lançado pelo serviço de categorias
+ * @returns {Object|null} - Resposta enviada, ou null se o erro não é de categoria
+ */
+const handleCategoryError = (res, err) => {
+  if (err instanceof categoryService.ParentNotFoundError) {
+    return notFound(res, err.message);
+  }
+  if (err instanceof categoryService.CategoryError) {
+    return validationError(res, [err.message]);
+  }
+  return null;
+};
+
+/**
+ * Cria uma categoria (principal ou subcategoria)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const createCategory = async (req, res) => {
+  try {
+    const { nome, descricao, icone, slug, parentId, ordem } = req.body;
+
+    const dados = { nome: nome.trim(), slug: slug || slugify(nome) };
+
+    const conflito = await findCategoryConflict(dados);
+    if (conflito) {
+      return conflict(res, conflito);
+    }
+
+    await categoryService.assertValidParent(null, parentId);
+
+    const category = await Category.create({
+      ...dados,
+      descricao,
+      icone,
+      parentId: parentId || null,
+      ordem: ordem !== undefined ? ordem : await categoryService.nextPosition(parentId)
+    });
+
+    await recordAction(req, {
+      acao: 'categoria.criar',
+      entidade: 'Category',
+      entidadeId: category.id,
+      detalhes: { depois: category.toJSON() }
+    });
+
+    return success(res, category, 'Categoria criada com sucesso', 201);
+
+  } catch (err) {
+    if (handleCategoryError(res, err)) {
+      return;
+    }
+
+    console.error('Erro ao criar categoria:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Atualiza uma categoria, inclusive movendo-a para outro pai
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateCategory = async (req, res) => {
+  try {
+    const { nome, descricao, icone, ativo, slug, parentId, ordem } = req.body;
+
+    const category = await Category.findByPk(req.params.id);
+    if (!category) {
+      return notFound(res, 'Categoria não encontrada');
+    }
+
+    const novoNome = nome !== undefined ? nome.trim() : category.nome;
+    const novoSlug = slug || (nome !== undefined ? slugify(nome) : category.slug);
+
+    if (novoNome !== category.nome || novoSlug !== category.slug) {
+      const conflito = await findCategoryConflict({ nome: novoNome, slug: novoSlug }, category.id);
+      if (conflito) {
+        return conflict(res, conflito);
+      }
+    }
+
+    const novoPai = parentId !== undefined ? parentId || null : category.parentId;
+    if (parentId !== undefined && novoPai !== category.parentId) {
+      await categoryService.assertValidParent(category, novoPai);
+    }
+
+    // Reativar só faz sentido se o pai estiver ativo
+    if (ativo === true && novoPai) {
+      const pai = await Category.findByPk(novoPai);
+      if (!pai.ativo) {
+        return validationError(res, ['Reative a categoria pai antes da subcategoria']);
+      }
+    }
+
+    const antes = category.toJSON();
+
+    const updateData = { nome: novoNome, slug: novoSlug };
+    if (descricao !== undefined) updateData.descricao = descricao;
+    if (icone !== undefined) updateData.icone = icone;
+    if (ativo !== undefined) updateData.ativo = ativo;
+    if (parentId !== undefined && novoPai !== category.parentId) {
+      updateData.parentId = novoPai;
+      updateData.ordem = ordem !== undefined ? ordem : await categoryService.nextPosition(novoPai);
+    } else if (ordem !== undefined) {
+      updateData.ordem = ordem;
+    }
+
+    await category.update(updateData);
+
+    await recordAction(req, {
+      acao: 'categoria.atualizar',
+      entidade: 'Category',
+      entidadeId: category.id,
+      detalhes: { antes, depois: category.toJSON() }
+    });
+
+    return success(res, category, 'Categoria atualizada com sucesso');
+
+  } catch (err) {
+    if (handleCategoryError(res, err)) {
+      return;
+    }
+
+    console.error('Erro ao atualizar categoria:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Define a ordem de exibição das subcategorias de uma categoria (ou das principais)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const reorderCategories = async (req, res) => {
+  try {
+    const { parentId = null, ids } = req.body;
+
+    if (parentId && !(await Category.findByPk(parentId))) {
+      return notFound(res, 'Categoria pai não encontrada');
+    }
+
+    const categories = await categoryService.reorderCategories(parentId, ids);
+
+    await recordAction(req, {
+      acao: 'categoria.reordenar',
+      entidade: 'Category',
+      entidadeId: parentId,
+      detalhes: { ordem: categories.map(category => category.id) }
+    });
+
+    return success(res, categories, 'Categorias reordenadas com sucesso');
+
+  } catch (err) {
+    if (handleCategoryError(res, err)) {
+      return;
+    }
+
+    console.error('Erro ao reordenar categorias:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Desativa uma categoria e todas as suas subcategorias
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const deactivateCategory = async (req, res) => {
+  try {
+    const category = await Category.findByPk(req.params.id);
+    if (!category) {
+      return notFound(res, 'Categoria não encontrada');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const ids = await categoryService.deactivateCategory(category, transaction);
+
+      await recordAction(req, {
+        acao: 'categoria.desativar',
+        entidade: 'Category',
+        entidadeId: category.id,
+        detalhes: { desativadas: ids }
+      }, transaction);
+    });
+
+    return success(res, category, 'Categoria e subcategorias desativadas');
+
+  } catch (err) {
+    console.error('Erro ao desativar categoria:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Remove uma categoria
+ * Categorias com produtos são apenas desativadas para preservar o histórico;
+ * categorias com subcategorias precisam ficar vazias antes
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findByPk(req.params.id);
+    if (!category) {
+      return notFound(res, 'Categoria não encontrada');
+    }
+
+    if (await Category.count({ where: { parentId: category.id } }) > 0) {
+      return conflict(res, 'Mova ou remova as subcategorias antes de remover a categoria');
+    }
+
+    const totalProdutos = await Product.count({ where: { categoryId: category.id } });
+
+    if (totalProdutos > 0) {
+      await category.update({ ativo: false });
+    } else {
+      await category.destroy();
+    }
+
+    await recordAction(req, {
+      acao: totalProdutos > 0 ? 'categoria.desativar' : 'categoria.excluir',
+      entidade: 'Category',
+      entidadeId: category.id,
+      detalhes: { antes: category.toJSON(), totalProdutos }
+    });
+
+    return success(
+      res,
+      null,
+      totalProdutos > 0
+        ? 'Categoria possui produtos e foi desativada'
+        : 'Categoria removida com sucesso'
+    );
+
+  } catch (err) {
+    console.error('Erro ao remover categoria:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Desativa um produto de qualquer produtor
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const deactivateProduct = async (req, res) => {
+  try {
+    const { motivo } = req.body || {};
+
+    if (!motivo) {
+      return validationError(res, ['Motivo da desativação é obrigatório']);
+    }
+
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return notFound(res, 'Produto não encontrado');
+    }
+
+    await product.update({ ativo: false });
+
+    await recordAction(req, {
+      acao: 'produto.desativar',
+      entidade: 'Product',
+      entidadeId: product.id,
+      motivo,
+      detalhes: { produtorId: product.produtorId }
+    });
+
+    return success(res, product, 'Produto desativado com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao desativar produto:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Lista as campanhas de promoção de todos os produtores e da administração
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getPromotions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, escopo, vigente } = req.query;
+    const offset = (page - 1) * limit;
+    const where = {};
+    const agora = new Date();
+
+    if (escopo) {
+      where.escopo = escopo;
+    }
+    if (vigente === 'true') {
+      Object.assign(where, { ativo: true, inicioEm: { [Op.lte]: agora }, fimEm: { [Op.gt]: agora } });
+    }
+
+    const { count, rows } = await Promotion.findAndCountAll({
+      where,
+      include: [
+        { model: Product, as: 'produto', attributes: ['id', 'nome'] },
+        { model: User, as: 'produtor', attributes: ['id', 'nome'] },
+        { model: Category, as: 'categoria', attributes: ['id', 'nome'] },
+        { model: User, as: 'criadoPor', attributes: ['id', 'nome'] }
+      ],
+      order: [['inicioEm', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    return paginated(res, rows, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    });
+
+  } catch (err) {
+    console.error('Erro ao listar promoções:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Erros de cadastro de campanha viram 404 (alvo inexistente) ou 400 (regras do modelo)
+ * @param {Object} res - Objeto de resposta
+ * @param {Error} err - Erro lançado ao salvar
+ * @returns {Object|null} - Resposta enviada, ou null se o erro não é de campanha
+ */
+const handlePromotionError = (res, err) => {
+  if (err instanceof promotionService.PromotionTargetError) {
+    return notFound(res, err.message);
+  }
+  if (err.name === 'SequelizeValidationError') {
+    return validationError(res, err.errors.map(item => item.message));
+  }
+  return null;
+};
+
+/**
+ * Cria uma campanha de qualquer escopo (inclusive por categoria)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const createPromotion = async (req, res) => {
+  try {
+    const promocao = await promotionService.savePromotion(
+      Promotion.build({ criadoPorId: req.user.id }),
+      promotionService.pickPromotionData(req.body)
+    );
+
+    await recordAction(req, {
+      acao: 'promocao.criar',
+      entidade: 'Promotion',
+      entidadeId: promocao.id,
+      detalhes: { depois: promocao.toJSON() }
+    });
+
+    return success(res, promocao, 'Promoção criada com sucesso', 201);
+
+  } catch (err) {
+    if (handlePromotionError(res, err)) {
+      return;
+    }
+
+    console.error('Erro ao criar promoção:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Atualiza qualquer campanha (inclusive as criadas por produtores)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updatePromotion = async (req, res) => {
+  try {
+    const promocao = await Promotion.findByPk(req.params.id);
+    if (!promocao) {
+      return notFound(res, 'Promoção não encontrada');
+    }
+
+    const antes = promocao.toJSON();
+
+    await promotionService.savePromotion(promocao, promotionService.pickPromotionData(req.body));
+
+    await recordAction(req, {
+      acao: 'promocao.atualizar',
+      entidade: 'Promotion',
+      entidadeId: promocao.id,
+      detalhes: { antes, depois: promocao.toJSON() }
+    });
+
+    return success(res, promocao, 'Promoção atualizada com sucesso');
+
+  } catch (err) {
+    if (handlePromotionError(res, err)) {
+      return;
+    }
+
+    console.error('Erro ao atualizar promoção:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Remove uma campanha (ou desativa, se já foi aplicada em pedidos)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const deletePromotion = async (req, res) => {
+  try {
+    const promocao = await Promotion.findByPk(req.params.id);
+    if (!promocao) {
+      return notFound(res, 'Promoção não encontrada');
+    }
+
+    const antes = promocao.toJSON();
+    const removida = await promotionService.removePromotion(promocao);
+
+    await recordAction(req, {
+      acao: removida ? 'promocao.remover' : 'promocao.desativar',
+      entidade: 'Promotion',
+      entidadeId: antes.id,
+      motivo: (req.body || {}).motivo,
+      detalhes: { antes }
+    });
+
+    return success(
+      res,
+      null,
+      removida ? 'Promoção removida com sucesso' : 'Promoção já aplicada em pedidos foi desativada'
+    );
+
+  } catch (err) {
+    console.error('Erro ao remover promoção:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Lista os cupons, com o número de usos
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, codigo, ativo } = req.query;
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (codigo) {
+      where.codigo = { [Op.like]: `%${couponService.normalizeCode(codigo)}%` };
+    }
+    if (ativo !== undefined) {
+      where.ativo = ativo === 'true';
+    }
+
+    const { count, rows } = await Coupon.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'produtor', attributes: ['id', 'nome'] },
+        { model: Category, as: 'categoria', attributes: ['id', 'nome'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    return paginated(res, rows, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    });
+
+  } catch (err) {
+    console.error('Erro ao listar cupons:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Erros de cadastro de cupom viram 404 (produtor ou categoria inexistente) ou 400 (regras do modelo)
+ * @param {Object} res - Objeto de resposta
+ * @param {Error} err - Erro lançado ao salvar
+ * @returns {Object|null} - Resposta enviada, ou null se o erro não é de cupom
+ */
+const handleCouponError = (res, err) => {
+  if (err instanceof couponService.CouponTargetError) {
+    return notFound(res, err.message);
+  }
+  if (err.name === 'SequelizeUniqueConstraintError') {
+    return conflict(res, 'Já existe um cupom com este código');
+  }
+  if (err.name === 'SequelizeValidationError') {
+    return validationError(res, err.errors.map(item => item.message));
+  }
+  return null;
+};
+
+/**
+ * Cria um cupom
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const createCoupon = async (req, res) => {
+  try {
+    const cupom = await couponService.saveCoupon(
+      Coupon.build({ criadoPorId: req.user.id }),
+      couponService.pickCouponData(req.body)
+    );
+
+    await recordAction(req, {
+      acao: 'cupom.criar',
+      entidade: 'Coupon',
+      entidadeId: cupom.id,
+      detalhes: { depois: cupom.toJSON() }
+    });
+
+    return success(res, cupom, 'Cupom criado com sucesso', 201);
+
+  } catch (err) {
+    if (handleCouponError(res, err)) {
+      return;
+    }
+
+    console.error('Erro ao criar cupom:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Atualiza um cupom (os usos já registrados continuam valendo para os limites)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateCoupon = async (req, res) => {
+  try {
+    const cupom = await Coupon.findByPk(req.params.id);
+    if (!cupom) {
+      return notFound(res, 'Cupom não encontrado');
+    }
+
+    const antes = cupom.toJSON();
+
+    await couponService.saveCoupon(cupom, couponService.pickCouponData(req.body));
+
+    await recordAction(req, {
+      acao: 'cupom.atualizar',
+      entidade: 'Coupon',
+      entidadeId: cupom.id,
+      detalhes: { antes, depois: cupom.toJSON() }
+    });
+
+    return success(res, cupom, 'Cupom atualizado com sucesso');
+
+  } catch (err) {
+    if (handleCouponError(res, err)) {
+      return;
+    }
+
+    console.error('Erro ao atualizar cupom:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Remove um cupom (ou desativa, se já foi usado em pedidos)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const deleteCoupon = async (req, res) => {
+  try {
+    const cupom = await Coupon.findByPk(req.params.id);
+    if (!cupom) {
+      return notFound(res, 'Cupom não encontrado');
+    }
+
+    const antes = cupom.toJSON();
+    const removido = await couponService.removeCoupon(cupom);
+
+    await recordAction(req, {
+      acao: removido ? 'cupom.remover' : 'cupom.desativar',
+      entidade: 'Coupon',
+      entidadeId: antes.id,
+      motivo: (req.body || {}).motivo,
+      detalhes: { antes }
+    });
+
+    return success(
+      res,
+      null,
+      removido ? 'Cupom removido com sucesso' : 'Cupom já usado em pedidos foi desativado'
+    );
+
+  } catch (err) {
+    console.error('Erro ao remover cupom:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Lista todos os pedidos da plataforma
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getOrders = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      consumidor
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (consumidor) {
+      where.consumidorId = consumidor;
+    }
+
+    const { count, rows } = await Order.findAndCountAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'consumidor',
+          attributes: ['id', 'nome', 'email']
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    return paginated(res, rows, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    });
+
+  } catch (err) {
+    console.error('Erro ao listar pedidos:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Obtém qualquer pedido com itens, produtores e histórico administrativo
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getOrderById = async (req, res) => {
+  try {
+    const order = await Order.findByPk(req.params.id, {
+      include: [
+        {
+          model: OrderItem,
+          as: 'itens',
+          include: [
+            {
+              model: Product,
+              as: 'produto',
+              include: [
+                {
+                  model: User,
+                  as: 'produtor',
+                  attributes: ['id', 'nome', 'email', 'telefone']
+                }
+              ]
+            }
+          ]
+        },
+        {
+          model: User,
+          as: 'consumidor',
+          attributes: ['id', 'nome', 'email', 'telefone']
+        }
+      ]
+    });
+
+    if (!order) {
+      return notFound(res, 'Pedido não encontrado');
+    }
+
+    const historico = await AdminAction.findAll({
+      where: { entidade: 'Order', entidadeId: order.id },
+      include: [{ model: User, as: 'admin', attributes: ['id', 'nome'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return success(res, { ...order.toJSON(), historico }, 'Pedido encontrado');
+
+  } catch (err) {
+    console.error('Erro ao buscar pedido:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Altera o status de qualquer pedido (correção manual)
+ * Cancelar devolve o estoque; um pedido cancelado não pode ser reaberto
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const overrideOrderStatus = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { status, motivo } = req.body;
+
+    if (!STATUS_PEDIDO.includes(status)) {
+      await transaction.rollback();
+      return validationError(res, ['Status inválido']);
+    }
+
+    if (!motivo) {
+      await transaction.rollback();
+      return validationError(res, ['Motivo da alteração é obrigatório']);
+    }
+
+    const order = await Order.findByPk(req.params.id, {
+      include: [{ model: OrderItem, as: 'itens' }],
+      transaction
+    });
+
+    if (!order) {
+      await transaction.rollback();
+      return notFound(res, 'Pedido não encontrado');
+    }
+
+    const statusAnterior = order.status;
+
+    if (statusAnterior === 'cancelado' && status !== 'cancelado') {
+      await transaction.rollback();
+      return validationError(res, ['Pedido cancelado não pode ser reaberto']);
+    }
+
+    // Restaurar estoque e devolver o uso do cupom ao cancelar
+    if (status === 'cancelado' && statusAnterior !== 'cancelado') {
+      for (const item of order.itens) {
+        await restoreStock(item, transaction);
+      }
+      await couponService.releaseCoupon(order, transaction);
+    }
+
+    const updateData = { status };
+    if (status === 'entregue' && !order.dataEntregaRealizada) {
+      updateData.dataEntregaRealizada = new Date();
+    }
+
+    await order.update(updateData, { transaction });
+
+    await recordAction(req, {
+      acao: 'pedido.status',
+      entidade: 'Order',
+      entidadeId: order.id,
+      motivo,
+      detalhes: { antes: statusAnterior, depois: status }
+    }, transaction);
+
+    await transaction.commit();
+
+    return success(res, order, 'Status do pedido alterado pelo administrador');
+
+  } catch (err) {
+    await transaction.rollback();
+    console.error('Erro ao alterar status do pedido:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Fila de moderação: avaliações denunciadas (as que estão fora do ar primeiro)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getReportedReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = { denuncias: { [Op.gt]: 0 } };
+
+    if (status) where.status = status;
+
+    const { count, rows } = await Review.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'consumidor', attributes: ['id', 'nome', 'email'] },
+        { model: Product, as: 'produto', attributes: ['id', 'nome', 'produtorId'] },
+        {
+          model: ReviewReport,
+          as: 'denunciasRecebidas',
+          separate: true,
+          attributes: ['id', 'motivo', 'createdAt'],
+          include: [{ model: User, as: 'autor', attributes: ['id', 'nome'] }],
+          order: [['createdAt', 'ASC']]
+        }
+      ],
+      order: [
+        [sequelize.literal(`CASE WHEN "Review"."status" = 'em_analise' THEN 0 ELSE 1 END`), 'ASC'],
+        ['denuncias', 'DESC'],
+        ['id', 'ASC']
+      ],
+      distinct: true,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    return paginated(res, rows, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    });
+
+  } catch (err) {
+    console.error('Erro ao listar avaliações denunciadas:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Decide sobre uma avaliação: mantém publicada ou remove
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const moderateReview = async (req, res) => {
+  try {
+    const { status, motivo } = req.body || {};
+
+    if (!['publicada', 'removida'].includes(status)) {
+      return validationError(res, ['Status deve ser "publicada" ou "removida"']);
+    }
+
+    if (status === 'removida' && !motivo) {
+      return validationError(res, ['Motivo da remoção é obrigatório']);
+    }
+
+    const review = await Review.findByPk(req.params.id);
+    if (!review) {
+      return notFound(res, 'Avaliação não encontrada');
+    }
+
+    const anterior = review.status;
+
+    await sequelize.transaction(async (transaction) => {
+      await applyModeration(review, status, transaction);
+
+      await recordAction(req, {
+        acao: status === 'removida' ? 'avaliacao.remover' : 'avaliacao.manter',
+        entidade: 'Review',
+        entidadeId: review.id,
+        motivo,
+        detalhes: { anterior, status, denuncias: review.denuncias, productId: review.productId }
+      }, transaction);
+    });
+
+    return success(res, review, status === 'removida' ? 'Avaliação removida' : 'Avaliação mantida no ar');
+
+  } catch (err) {
+    console.error('Erro ao moderar avaliação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Lista o registro de ações administrativas
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getActions = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      entidade,
+      entidadeId,
+      admin
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (entidade) where.entidade = entidade;
+    if (entidadeId) where.entidadeId = entidadeId;
+    if (admin) where.adminId = admin;
+
+    const { count, rows } = await AdminAction.findAndCountAll({
+      where,
+      include: [{ model: User, as: 'admin', attributes: ['id', 'nome'] }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    return paginated(res, rows, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    });
+
+  } catch (err) {
+    console.error('Erro ao listar ações administrativas:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  deactivateUser: setUserActive(false),
+  activateUser: setUserActive(true),
+  getVerifications,
+  getVerificationById,
+  approveVerification: reviewVerification(true),
+  rejectVerification: reviewVerification(false),
+  getCategories,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  deactivateCategory,
+  deleteCategory,
+  deactivateProduct,
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getOrders,
+  getOrderById,
+  overrideOrderStatus,
+  getReportedReviews,
+  moderateReview,
+  getActions
+};
@@ -1,5 +1,12 @@
-const { User, Cart } = require('../models');
-const { generateToken } = require('../utils/jwt');
+const { User } = require('../models');
+const {
+  TokenError,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/authTokenService');
+const accountTokenService = require('../services/accountTokenService');
 const { success, error, validationError, unauthorized, conflict } = require('../utils/response');
 
 /**
@@ -7,6 +14,16 @@ const { success, error, validationError, unauthorized, conflict } = require('../
  * Gerencia registro, login e operações relacionadas à autenticação
  */
 
+/**
+ * Dados do cliente registrados junto ao refresh token
+ * @param {Object} req - Objeto de requisição
+ * @returns {Object} - { userAgent, ip }
+ */
+const getClientContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
 /**
  * Registra um novo usuário
  * @param {Object} req - Objeto de requisição
@@ -14,7 +31,10 @@ const { success, error, validationError, unauthorized, conflict } = require('../
  */
 const register = async (req, res) => {
   try {
-    const { nome, email, senha, tipo, telefone } = req.body;
+    const { nome, email, senha, telefone, papeis } = req.body;
+
+    // O perfil principal é o tipo informado ou o primeiro papel da lista
+    const tipo = req.body.tipo || papeis[0];
 
     // Verificar se o email já existe
     const existingUser = await User.findOne({ where: { email } });
@@ -28,20 +48,23 @@ const register = async (req, res) => {
       email,
       senha,
       tipo,
+      papeis: papeis || [tipo],
       telefone
     });
 
-    // Criar carrinho para consumidores
-    if (tipo === 'consumidor') {
-      await Cart.create({ userId: user.id });
+    // Enviar email de confirmação (falha no envio não impede o cadastro)
+    try {
+      await accountTokenService.sendVerificationEmail(user);
+    } catch (mailErr) {
+      console.error('Erro ao enviar email de verificação:', mailErr);
     }
 
-    // Gerar token
-    const token = generateToken(user);
+    // Gerar tokens da sessão
+    const tokens = await issueTokens(user, getClientContext(req));
 
     return success(res, {
       user: user.toJSON(),
-      token
+      ...tokens
     }, 'Usuário registrado com sucesso', 201);
 
   } catch (err) {
@@ -76,12 +99,12 @@ const login = async (req, res) => {
       return unauthorized(res, 'Email ou senha incorretos');
     }
 
-    // Gerar token
-    const token = generateToken(user);
+    // Gerar tokens da sessão
+    const tokens = await issueTokens(user, getClientContext(req));
 
     return success(res, {
       user: user.toJSON(),
-      token
+      ...tokens
     }, 'Login realizado com sucesso');
 
   } catch (err) {
@@ -90,6 +113,187 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Troca um refresh token válido por um novo par de tokens
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return validationError(res, ['Refresh token é obrigatório']);
+    }
+
+    const { user, ...tokens } = await rotateRefreshToken(refreshToken, getClientContext(req));
+
+    return success(res, {
+      user: user.toJSON(),
+      ...tokens
+    }, 'Token renovado com sucesso');
+
+  } catch (err) {
+    if (err instanceof TokenError) {
+      return unauthorized(res, err.message);
+    }
+
+    console.error('Erro ao renovar token:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Encerra a sessão atual (revoga o token de acesso e o refresh token da sessão)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.auth);
+
+    return success(res, null, 'Logout realizado com sucesso');
+
+  } catch (err) {
+    console.error('Erro no logout:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Encerra todas as sessões do usuário em todos os dispositivos
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id, req.auth);
+
+    return success(res, null, 'Todas as sessões foram encerradas');
+
+  } catch (err) {
+    console.error('Erro ao encerrar sessões:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Solicita a redefinição de senha por email
+ * A resposta é sempre a mesma para não revelar quais emails estão cadastrados
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ where: { email } });
+    if (user && user.ativo) {
+      await accountTokenService.sendPasswordResetEmail(user);
+    }
+
+    return success(res, null, 'Se o email estiver cadastrado, você receberá as instruções para redefinir a senha');
+
+  } catch (err) {
+    console.error('Erro ao solicitar redefinição de senha:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Redefine a senha usando o token recebido por email
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, novaSenha } = req.body;
+
+    await accountTokenService.resetPassword(token, novaSenha);
+
+    return success(res, null, 'Senha redefinida com sucesso. Faça login com a nova senha');
+
+  } catch (err) {
+    if (err instanceof TokenError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao redefinir senha:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Aceita o convite para a equipe de um produtor, definindo a senha da conta
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, novaSenha } = req.body;
+
+    await accountTokenService.acceptStaffInvitation(token, novaSenha);
+
+    return success(res, null, 'Convite aceito. Faça login com a senha criada');
+
+  } catch (err) {
+    if (err instanceof TokenError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao aceitar convite:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Confirma o email usando o token recebido
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return validationError(res, ['Token é obrigatório']);
+    }
+
+    const user = await accountTokenService.verifyEmail(token);
+
+    return success(res, user, 'Email confirmado com sucesso');
+
+  } catch (err) {
+    if (err instanceof TokenError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao confirmar email:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Reenvia o email de confirmação para o usuário logado
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerificado) {
+      return validationError(res, ['Email já foi confirmado']);
+    }
+
+    await accountTokenService.sendVerificationEmail(req.user);
+
+    return success(res, null, 'Email de confirmação reenviado');
+
+  } catch (err) {
+    console.error('Erro ao reenviar confirmação de email:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
 /**
  * Obtém o perfil do usuário logado
  * @param {Object} req - Objeto de requisição
@@ -130,8 +334,10 @@ const updateProfile = async (req, res) => {
     if (nome) updateData.nome = nome;
     if (telefone) updateData.telefone = telefone;
 
+    // Hooks individuais mantêm o índice de busca com o novo nome do produtor
     await User.update(updateData, {
-      where: { id: userId }
+      where: { id: userId },
+      individualHooks: true
     });
 
     // Buscar usuário atualizado
@@ -145,6 +351,41 @@ const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Adiciona um papel à conta (ex.: produtor que também quer comprar)
+ * A sessão atual é encerrada e um novo par de tokens com os papéis atualizados é emitido
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const addRole = async (req, res) => {
+  try {
+    const { papel } = req.body || {};
+
+    if (!['consumidor', 'produtor'].includes(papel)) {
+      return validationError(res, ['Papel deve ser "consumidor" ou "produtor"']);
+    }
+
+    const user = req.user;
+    if (user.temPapel(papel)) {
+      return conflict(res, 'Sua conta já possui este papel');
+    }
+
+    await user.update({ papeis: [...user.papeis, papel] });
+
+    await revokeSession(req.auth);
+    const tokens = await issueTokens(user, getClientContext(req));
+
+    return success(res, {
+      user: user.toJSON(),
+      ...tokens
+    }, 'Papel adicionado com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao adicionar papel:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
 /**
  * Altera a senha do usuário
  * @param {Object} req - Objeto de requisição
@@ -209,8 +450,17 @@ const deactivateAccount = async (req, res) => {
 module.exports = {
   register,
   login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  acceptInvitation,
+  verifyEmail,
+  resendVerification,
   getProfile,
   updateProfile,
+  addRole,
   changePassword,
   deactivateAccount
 };
@@ -1,5 +1,37 @@
-const { Cart, CartItem, Product, Category, User } = require('../models');
+const { Cart, CartItem, Product, ProductVariant, Harvest, Category, User, Coupon } = require('../models');
 const { success, error, notFound, validationError } = require('../utils/response');
+const { resolvePurchase, quantityMessage, VariantNotFoundError, VariantRequiredError } = require('../services/inventoryService');
+const { unavailableMessage } = require('../services/seasonService');
+const { resolveReservation, HarvestNotFoundError, PreOrderError } = require('../services/preOrderService');
+const { findPromotionsFor, applyBestPromotion, toPromotionSummary } = require('../services/pricingService');
+const { findCoupon, evaluateCoupon, toCouponSummary, CouponError, CouponNotFoundError } = require('../services/couponService');
+const { roundQuantity, roundMoney } = require('../utils/quantity');
+
+/**
+ * Resolve o que está sendo comprado: a reserva de uma colheita ou o produto/variação
+ * @param {Object} product - Produto
+ * @param {Object} item - { variantId, harvestId }
+ * @returns {Promise<Object>} - Resultado de resolveReservation ou resolvePurchase
+ */
+const resolveItem = (product, { variantId, harvestId }) => (harvestId
+  ? resolveReservation(product, harvestId)
+  : resolvePurchase(product, variantId));
+
+/**
+ * Trata os erros de variação e de pré-venda
+ * @param {Object} res - Objeto de resposta
+ * @param {Error} err - Erro lançado
+ * @returns {Object|null} - Resposta enviada, ou null se o erro é de outro tipo
+ */
+const handleItemError = (res, err) => {
+  if (err instanceof VariantNotFoundError || err instanceof HarvestNotFoundError) {
+    return notFound(res, err.message);
+  }
+  if (err instanceof VariantRequiredError || err instanceof PreOrderError) {
+    return validationError(res, [err.message]);
+  }
+  return null;
+};
 
 /**
  * Controller do Carrinho
@@ -15,70 +47,12 @@ const getCart = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Buscar ou criar carrinho
-    let cart = await Cart.findOne({
-      where: { userId },
-      include: [
-        {
-          model: CartItem,
-          as: 'itens',
-          include: [
-            {
-              model: Product,
-              as: 'produto',
-              include: [
-                {
-                  model: Category,
-                  as: 'categoria',
-                  attributes: ['id', 'nome']
-                },
-                {
-                  model: User,
-                  as: 'produtor',
-                  attributes: ['id', 'nome']
-                }
-              ]
-            }
-          ]
-        }
-      ]
-    });
-
-    if (!cart) {
-      cart = await Cart.create({ userId });
-      cart.itens = [];
+    // Criar o carrinho na primeira consulta
+    if (!(await Cart.findOne({ where: { userId } }))) {
+      await Cart.create({ userId });
     }
 
-    // Calcular totais
-    let valorTotal = 0;
-    let quantidadeTotal = 0;
-
-    const itensComPrecoFinal = cart.itens.map(item => {
-      const itemData = item.toJSON();
-      const precoFinal = item.produto.getPrecoFinal();
-      const subtotal = precoFinal * item.quantidade;
-      
-      valorTotal += subtotal;
-      quantidadeTotal += item.quantidade;
-
-      return {
-        ...itemData,
-        produto: {
-          ...itemData.produto,
-          precoFinal
-        },
-        subtotal
-      };
-    });
-
-    const cartData = {
-      id: cart.id,
-      itens: itensComPrecoFinal,
-      resumo: {
-        quantidadeTotal,
-        valorTotal: parseFloat(valorTotal.toFixed(2))
-      }
-    };
+    const cartData = await getCartData(userId);
 
     return success(res, cartData, 'Carrinho recuperado com sucesso');
 
@@ -95,7 +69,8 @@ const getCart = async (req, res) => {
  */
 const addToCart = async (req, res) => {
   try {
-    const { productId, quantidade } = req.body;
+    const { productId, variantId, harvestId } = req.body;
+    const quantidade = Number(req.body.quantidade);
     const userId = req.user.id;
 
     // Verificar se o produto existe e está ativo
@@ -107,9 +82,25 @@ const addToCart = async (req, res) => {
       return notFound(res, 'Produto não encontrado');
     }
 
+    // Contas que também vendem não podem comprar os próprios produtos
+    if (product.produtorId === userId) {
+      return validationError(res, ['Você não pode comprar seus próprios produtos']);
+    }
+
+    // Produtos em breve ou fora de safra aparecem no catálogo, mas só podem ser reservados
+    const indisponivel = !harvestId && unavailableMessage(product);
+    if (indisponivel) {
+      return validationError(res, [indisponivel]);
+    }
+
+    // Produtos com variações exigem a escolha de uma delas; o estoque é o da variação
+    // (ou o que falta reservar da colheita, na pré-venda)
+    const compra = await resolveItem(product, { variantId, harvestId });
+    const { estoque } = compra;
+
     // Verificar estoque
-    if (product.estoque < quantidade) {
-      return validationError(res, [`Estoque insuficiente. Disponível: ${product.estoque}`]);
+    if (estoque < quantidade) {
+      return validationError(res, [`Estoque insuficiente. Disponível: ${estoque}`]);
     }
 
     // Buscar ou criar carrinho
@@ -120,23 +111,36 @@ const addToCart = async (req, res) => {
 
     // Verificar se o item já existe no carrinho
     let cartItem = await CartItem.findOne({
-      where: { cartId: cart.id, productId }
+      where: { cartId: cart.id, productId, variantId: variantId || null, harvestId: harvestId || null }
     });
 
     if (cartItem) {
       // Atualizar quantidade
-      const novaQuantidade = cartItem.quantidade + quantidade;
-      
-      if (product.estoque < novaQuantidade) {
-        return validationError(res, [`Estoque insuficiente. Disponível: ${product.estoque}, no carrinho: ${cartItem.quantidade}`]);
+      const novaQuantidade = roundQuantity(cartItem.quantidade + quantidade);
+
+      const invalida = quantityMessage(compra, novaQuantidade);
+      if (invalida) {
+        return validationError(res, [invalida]);
+      }
+
+      if (estoque < novaQuantidade) {
+        return validationError(res, [`Estoque insuficiente. Disponível: ${estoque}, no carrinho: ${cartItem.quantidade}`]);
       }
 
       await cartItem.update({ quantidade: novaQuantidade });
     } else {
+      // Quantidade dentro do mínimo e do incremento do produto
+      const invalida = quantityMessage(compra, quantidade);
+      if (invalida) {
+        return validationError(res, [invalida]);
+      }
+
       // Criar novo item
       cartItem = await CartItem.create({
         cartId: cart.id,
         productId,
+        variantId: variantId || null,
+        harvestId: harvestId || null,
         quantidade
       });
     }
@@ -147,6 +151,10 @@ const addToCart = async (req, res) => {
     return success(res, updatedCart, 'Item adicionado ao carrinho');
 
   } catch (err) {
+    if (handleItemError(res, err)) {
+      return;
+    }
+
     console.error('Erro ao adicionar item ao carrinho:', err);
     return error(res, 'Erro interno do servidor');
   }
@@ -160,10 +168,11 @@ const addToCart = async (req, res) => {
 const updateCartItem = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { quantidade } = req.body;
+    const { variantId, harvestId } = req.body;
+    const quantidade = Number(req.body.quantidade);
     const userId = req.user.id;
 
-    if (quantidade < 1) {
+    if (!(quantidade > 0)) {
       return validationError(res, ['Quantidade deve ser maior que zero']);
     }
 
@@ -173,9 +182,9 @@ const updateCartItem = async (req, res) => {
       return notFound(res, 'Carrinho não encontrado');
     }
 
-    // Buscar item no carrinho
+    // Buscar item no carrinho (a variação e a colheita distinguem itens do mesmo produto)
     const cartItem = await CartItem.findOne({
-      where: { cartId: cart.id, productId }
+      where: { cartId: cart.id, productId, variantId: variantId || null, harvestId: harvestId || null }
     });
 
     if (!cartItem) {
@@ -188,8 +197,20 @@ const updateCartItem = async (req, res) => {
       return notFound(res, 'Produto não encontrado');
     }
 
-    if (product.estoque < quantidade) {
-      return validationError(res, [`Estoque insuficiente. Disponível: ${product.estoque}`]);
+    const indisponivel = !cartItem.harvestId && unavailableMessage(product);
+    if (indisponivel) {
+      return validationError(res, [indisponivel]);
+    }
+
+    const compra = await resolveItem(product, cartItem);
+
+    const invalida = quantityMessage(compra, quantidade);
+    if (invalida) {
+      return validationError(res, [invalida]);
+    }
+
+    if (compra.estoque < quantidade) {
+      return validationError(res, [`Estoque insuficiente. Disponível: ${compra.estoque}`]);
     }
 
     // Atualizar quantidade
@@ -201,6 +222,10 @@ const updateCartItem = async (req, res) => {
     return success(res, updatedCart, 'Carrinho atualizado');
 
   } catch (err) {
+    if (handleItemError(res, err)) {
+      return;
+    }
+
     console.error('Erro ao atualizar item do carrinho:', err);
     return error(res, 'Erro interno do servidor');
   }
@@ -214,6 +239,7 @@ const updateCartItem = async (req, res) => {
 const removeFromCart = async (req, res) => {
   try {
     const { productId } = req.params;
+    const { variantId, harvestId } = req.query;
     const userId = req.user.id;
 
     // Buscar carrinho
@@ -224,7 +250,7 @@ const removeFromCart = async (req, res) => {
 
     // Buscar e remover item
     const cartItem = await CartItem.findOne({
-      where: { cartId: cart.id, productId }
+      where: { cartId: cart.id, productId, variantId: variantId || null, harvestId: harvestId || null }
     });
 
     if (!cartItem) {
@@ -259,17 +285,22 @@ const clearCart = async (req, res) => {
       return notFound(res, 'Carrinho não encontrado');
     }
 
-    // Remover todos os itens
+    // Remover todos os itens e o cupom
     await CartItem.destroy({
       where: { cartId: cart.id }
     });
+    await cart.update({ couponId: null });
 
     // Retornar carrinho vazio
     const emptyCart = {
       id: cart.id,
       itens: [],
+      cupom: null,
       resumo: {
         quantidadeTotal: 0,
+        descontoTotal: 0,
+        descontoCupom: 0,
+        freteGratis: false,
         valorTotal: 0
       }
     };
@@ -282,8 +313,78 @@ const clearCart = async (req, res) => {
   }
 };
 
+/**
+ * Aplica um cupom ao carrinho (substitui o anterior)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const applyCoupon = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const cart = await Cart.findOne({ where: { userId } });
+    if (!cart) {
+      return notFound(res, 'Carrinho não encontrado');
+    }
+
+    const cupom = await findCoupon(req.body.codigo);
+
+    const { itens } = await getCartData(userId);
+    if (itens.length === 0) {
+      return validationError(res, ['Carrinho está vazio']);
+    }
+
+    await evaluateCoupon(cupom, { userId, itens });
+    await cart.update({ couponId: cupom.id });
+
+    const updatedCart = await getCartData(userId);
+
+    return success(res, updatedCart, 'Cupom aplicado');
+
+  } catch (err) {
+    if (err instanceof CouponNotFoundError) {
+      return notFound(res, err.message);
+    }
+    if (err instanceof CouponError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao aplicar cupom:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Remove o cupom do carrinho
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const removeCoupon = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const cart = await Cart.findOne({ where: { userId } });
+    if (!cart) {
+      return notFound(res, 'Carrinho não encontrado');
+    }
+
+    await cart.update({ couponId: null });
+
+    const updatedCart = await getCartData(userId);
+
+    return success(res, updatedCart, 'Cupom removido');
+
+  } catch (err) {
+    console.error('Erro ao remover cupom:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
 /**
  * Função auxiliar para buscar dados completos do carrinho
+ * Cada item recebe a campanha de promoção que der o maior desconto (a mesma que o pedido aplicará)
+ * O cupom aplicado é conferido de novo a cada consulta: se deixou de valer, continua no carrinho
+ * com o motivo e sem desconto
  * @param {number} userId - ID do usuário
  * @returns {Object} - Dados do carrinho
  */
@@ -310,39 +411,82 @@ const getCartData = async (userId) => {
                 attributes: ['id', 'nome']
               }
             ]
+          },
+          {
+            model: ProductVariant,
+            as: 'variante'
+          },
+          {
+            model: Harvest,
+            as: 'colheita',
+            attributes: ['id', 'dataColheita', 'dataEntrega', 'status']
           }
         ]
+      },
+      {
+        model: Coupon,
+        as: 'cupom'
       }
     ]
   });
 
   let valorTotal = 0;
+  let descontoTotal = 0;
   let quantidadeTotal = 0;
 
+  const promocoes = await findPromotionsFor(cart.itens.map(item => item.produto));
+
   const itensComPrecoFinal = cart.itens.map(item => {
     const itemData = item.toJSON();
-    const precoFinal = item.produto.getPrecoFinal();
-    const subtotal = precoFinal * item.quantidade;
-    
+    // O preço cobrado é o da variação escolhida, quando houver
+    const precoFinal = item.variante ? item.variante.getPrecoFinal() : item.produto.getPrecoFinal();
+    const { promocao, desconto, subtotal } = applyBestPromotion(
+      promocoes.get(item.productId) || [], roundMoney(precoFinal), item.quantidade
+    );
+
     valorTotal += subtotal;
+    descontoTotal += desconto;
     quantidadeTotal += item.quantidade;
 
     return {
       ...itemData,
       produto: {
         ...itemData.produto,
-        precoFinal
+        precoFinal: item.produto.getPrecoFinal()
       },
+      variante: item.variante ? { ...itemData.variante, precoFinal } : null,
+      promocao: promocao ? toPromotionSummary(promocao, (item.variante || item.produto).unidadeMedida) : null,
+      desconto,
       subtotal
     };
   });
 
+  let cupom = null;
+  let descontoCupom = 0;
+  let freteGratis = false;
+
+  if (cart.cupom) {
+    try {
+      ({ desconto: descontoCupom, freteGratis } = await evaluateCoupon(cart.cupom, { userId, itens: itensComPrecoFinal }));
+      cupom = { ...toCouponSummary(cart.cupom), valido: true, desconto: descontoCupom };
+    } catch (err) {
+      if (!(err instanceof CouponError)) {
+        throw err;
+      }
+      cupom = { ...toCouponSummary(cart.cupom), valido: false, motivo: err.message, desconto: 0 };
+    }
+  }
+
   return {
     id: cart.id,
     itens: itensComPrecoFinal,
+    cupom,
     resumo: {
-      quantidadeTotal,
-      valorTotal: parseFloat(valorTotal.toFixed(2))
+      quantidadeTotal: roundQuantity(quantidadeTotal),
+      descontoTotal: roundMoney(descontoTotal + descontoCupom),
+      descontoCupom,
+      freteGratis,
+      valorTotal: roundMoney(valorTotal - descontoCupom)
     }
   };
 };
@@ -352,6 +496,8 @@ module.exports = {
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyCoupon,
+  removeCoupon
 };
 
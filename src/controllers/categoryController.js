@@ -1,5 +1,6 @@
 const { Category, Product } = require('../models');
 const { success, error } = require('../utils/response');
+const { buildCategoryTree } = require('../services/categoryService');
 
 /**
  * Controller de Categorias
@@ -7,7 +8,7 @@ const { success, error } = require('../utils/response');
  */
 
 /**
- * Lista todas as categorias ativas
+ * Lista todas as categorias ativas (lista plana; parentId indica a categoria pai)
  * @param {Object} req - Objeto de requisição
  * @param {Object} res - Objeto de resposta
  */
@@ -15,8 +16,8 @@ const getCategories = async (req, res) => {
   try {
     const categories = await Category.findAll({
       where: { ativo: true },
-      attributes: ['id', 'nome', 'descricao', 'icone'],
-      order: [['nome', 'ASC']]
+      attributes: ['id', 'nome', 'slug', 'parentId', 'ordem', 'descricao', 'icone'],
+      order: [['ordem', 'ASC'], ['nome', 'ASC']]
     });
 
     return success(res, categories, 'Categorias recuperadas com sucesso');
@@ -28,7 +29,7 @@ const getCategories = async (req, res) => {
 };
 
 /**
- * Lista categorias com contagem de produtos
+ * Lista categorias com contagem de produtos (apenas os ligados diretamente a cada uma)
  * @param {Object} req - Objeto de requisição
  * @param {Object} res - Objeto de resposta
  */
@@ -39,6 +40,9 @@ const getCategoriesWithCount = async (req, res) => {
       attributes: [
         'id',
         'nome',
+        'slug',
+        'parentId',
+        'ordem',
         'descricao',
         'icone',
         [
@@ -56,7 +60,7 @@ const getCategoriesWithCount = async (req, res) => {
         }
       ],
       group: ['Category.id'],
-      order: [['nome', 'ASC']]
+      order: [['ordem', 'ASC'], ['nome', 'ASC']]
     });
 
     return success(res, categories, 'Categorias com contagem recuperadas com sucesso');
@@ -67,8 +71,26 @@ const getCategoriesWithCount = async (req, res) => {
   }
 };
 
+/**
+ * Árvore de categorias ativas com o total de produtos somado às categorias pai
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getCategoryTree = async (req, res) => {
+  try {
+    const tree = await buildCategoryTree();
+
+    return success(res, tree, 'Árvore de categorias recuperada com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao montar árvore de categorias:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
 module.exports = {
   getCategories,
-  getCategoriesWithCount
+  getCategoriesWithCount,
+  getCategoryTree
 };
 
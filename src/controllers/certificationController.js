@@ -0,0 +1,178 @@
+const { Certification, Product } = require('../models');
+const { success, error, notFound, validationError } = require('../utils/response');
+const {
+  ROTULOS,
+  CertificationDocumentError,
+  saveCertification,
+  storeDocument,
+  removeCertification
+} = require('../services/certificationService');
+
+/**
+ * Controller de Certificações
+ * Certificados orgânicos e declarações de transição agroecológica do produtor logado
+ */
+
+const CAMPOS_CERTIFICACAO = ['tipo', 'numero', 'orgaoEmissor', 'validoDe', 'validoAte'];
+
+/**
+ * Dados da certificação com o texto do selo
+ * @param {Object} certificacao - Certificação
+ * @returns {Object}
+ */
+const toCertificationData = (certificacao) => ({
+  ...certificacao.toJSON(),
+  rotulo: ROTULOS[certificacao.tipo]
+});
+
+/**
+ * Campos da certificação enviados na requisição
+ * @param {Object} body - Corpo da requisição
+ * @returns {Object} - Apenas os campos informados, sem espaços nas pontas
+ */
+const pickCertificationData = (body) => {
+  const dados = {};
+  for (const campo of CAMPOS_CERTIFICACAO) {
+    if (body[campo] !== undefined) {
+      dados[campo] = typeof body[campo] === 'string' ? body[campo].trim() : body[campo];
+    }
+  }
+  return dados;
+};
+
+/**
+ * Busca uma certificação do produtor logado
+ * @param {Object} req - Objeto de requisição
+ * @returns {Promise<Object|null>}
+ */
+const findOwnCertification = (req) => Certification.findOne({
+  where: { id: req.params.id, produtorId: req.user.id }
+});
+
+/**
+ * Lista as certificações do produtor logado, com os produtos cobertos por cada uma
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getMyCertifications = async (req, res) => {
+  try {
+    const certificacoes = await Certification.findAll({
+      where: { produtorId: req.user.id },
+      include: [{
+        model: Product,
+        as: 'produtos',
+        attributes: ['id', 'nome'],
+        through: { attributes: [] }
+      }],
+      order: [['validoAte', 'ASC'], ['id', 'ASC']]
+    });
+
+    return success(res, certificacoes.map(toCertificationData), 'Certificações recuperadas com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao listar certificações:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Cadastra uma certificação do produtor logado
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const createCertification = async (req, res) => {
+  try {
+    const certificacao = await saveCertification(
+      Certification.build({ produtorId: req.user.id }),
+      pickCertificationData(req.body)
+    );
+
+    return success(res, toCertificationData(certificacao), 'Certificação cadastrada com sucesso', 201);
+
+  } catch (err) {
+    console.error('Erro ao cadastrar certificação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Atualiza uma certificação (nova validade reativa o selo de uma certificação expirada)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateCertification = async (req, res) => {
+  try {
+    const certificacao = await findOwnCertification(req);
+    if (!certificacao) {
+      return notFound(res, 'Certificação não encontrada');
+    }
+
+    await saveCertification(certificacao, pickCertificationData(req.body));
+
+    return success(res, toCertificationData(certificacao), 'Certificação atualizada com sucesso');
+
+  } catch (err) {
+    if (err.name === 'SequelizeValidationError') {
+      return validationError(res, err.errors.map(item => item.message));
+    }
+
+    console.error('Erro ao atualizar certificação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Envia a cópia do certificado (substitui a anterior)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const uploadCertificationDocument = async (req, res) => {
+  try {
+    const certificacao = await findOwnCertification(req);
+    if (!certificacao) {
+      return notFound(res, 'Certificação não encontrada');
+    }
+
+    await storeDocument(certificacao, req.file.buffer);
+
+    return success(res, toCertificationData(certificacao), 'Documento enviado com sucesso', 201);
+
+  } catch (err) {
+    if (err instanceof CertificationDocumentError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao enviar documento da certificação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Remove uma certificação (o selo sai dos produtos ligados a ela)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const deleteCertification = async (req, res) => {
+  try {
+    const certificacao = await findOwnCertification(req);
+    if (!certificacao) {
+      return notFound(res, 'Certificação não encontrada');
+    }
+
+    await removeCertification(certificacao);
+
+    return success(res, null, 'Certificação removida com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao remover certificação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+module.exports = {
+  getMyCertifications,
+  createCertification,
+  updateCertification,
+  uploadCertificationDocument,
+  deleteCertification
+};
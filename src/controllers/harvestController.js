@@ -0,0 +1,171 @@
+const { Product, Harvest } = require('../models');
+const { success, error, notFound, forbidden, validationError, conflict } = require('../utils/response');
+const { can } = require('../services/permissionService');
+const {
+  createHarvest: publishHarvest,
+  updateHarvest: changeHarvest,
+  registerOutcome,
+  HarvestClosedError,
+  PreOrderError
+} = require('../services/preOrderService');
+
+/**
+ * Controller de Colheitas (pré-venda)
+ * O produtor publica a colheita prevista, acompanha as reservas e informa o resultado
+ */
+
+/**
+ * Serializa a colheita com a quantidade que ainda pode ser reservada
+ * @param {Object} colheita - Colheita
+ * @returns {Object} - Dados da colheita
+ */
+const toHarvestData = (colheita) => ({
+  ...colheita.toJSON(),
+  disponivel: colheita.getDisponivel(),
+  dataEntrega: colheita.getDataEntrega()
+});
+
+/**
+ * Busca a colheita de um produto e confere se o usuário pode gerenciá-la
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ * @returns {Promise<Object|null>} - Colheita, ou null se a resposta de erro já foi enviada
+ */
+const findEditableHarvest = async (req, res) => {
+  const product = await Product.findByPk(req.params.id);
+  const colheita = product && await Harvest.findOne({ where: { id: req.params.harvestId, productId: product.id } });
+
+  if (!colheita) {
+    notFound(res, 'Colheita não encontrada');
+    return null;
+  }
+
+  if (!(await can(req.user, 'product:update', product))) {
+    forbidden(res, 'Você só pode editar seus próprios produtos');
+    return null;
+  }
+
+  return colheita;
+};
+
+/**
+ * Lista as colheitas de um produto (as colhidas ficam por último)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getHarvests = async (req, res) => {
+  try {
+    const product = await Product.findOne({ where: { id: req.params.id, ativo: true } });
+    if (!product) {
+      return notFound(res, 'Produto não encontrado');
+    }
+
+    const colheitas = await Harvest.findAll({
+      where: { productId: product.id },
+      order: [['dataColheita', 'ASC']]
+    });
+
+    const ordem = { aberta: 0, encerrada: 1, colhida: 2 };
+    const dados = colheitas
+      .sort((a, b) => ordem[a.status] - ordem[b.status])
+      .map(toHarvestData);
+
+    return success(res, dados, 'Colheitas recuperadas com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao listar colheitas:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Publica uma colheita para pré-venda
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const createHarvest = async (req, res) => {
+  try {
+    const product = await Product.findOne({ where: { id: req.params.id, ativo: true } });
+    if (!product) {
+      return notFound(res, 'Produto não encontrado');
+    }
+
+    if (!(await can(req.user, 'product:update', product))) {
+      return forbidden(res, 'Você só pode editar seus próprios produtos');
+    }
+
+    const colheita = await publishHarvest(product, req.body);
+
+    return success(res, toHarvestData(colheita), 'Colheita publicada para pré-venda', 201);
+
+  } catch (err) {
+    if (err instanceof PreOrderError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao publicar colheita:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Atualiza a previsão da colheita ou encerra/reabre as reservas
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateHarvest = async (req, res) => {
+  try {
+    const colheita = await findEditableHarvest(req, res);
+    if (!colheita) {
+      return;
+    }
+
+    await changeHarvest(colheita, req.body);
+
+    return success(res, toHarvestData(colheita), 'Colheita atualizada com sucesso');
+
+  } catch (err) {
+    if (err instanceof HarvestClosedError) {
+      return conflict(res, err.message);
+    }
+    if (err instanceof PreOrderError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao atualizar colheita:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Registra quanto foi colhido e distribui entre as reservas
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const registerHarvestOutcome = async (req, res) => {
+  try {
+    const colheita = await findEditableHarvest(req, res);
+    if (!colheita) {
+      return;
+    }
+
+    const resumo = await registerOutcome(colheita, req.body.quantidadeColhida);
+
+    return success(res, { colheita: toHarvestData(colheita), resumo }, 'Resultado da colheita registrado');
+
+  } catch (err) {
+    if (err instanceof HarvestClosedError) {
+      return conflict(res, err.message);
+    }
+
+    console.error('Erro ao registrar resultado da colheita:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+module.exports = {
+  getHarvests,
+  createHarvest,
+  updateHarvest,
+  registerHarvestOutcome
+};
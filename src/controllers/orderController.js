@@ -1,6 +1,15 @@
-const { Order, OrderItem, Cart, CartItem, Product, Category, User, Address } = require('../models');
+const { Op } = require('sequelize');
+const { Order, OrderItem, Cart, CartItem, Product, Harvest, Category, User, Address, Coupon } = require('../models');
 const { success, error, notFound, validationError, forbidden, paginated } = require('../utils/response');
 const { sequelize } = require('../config/database');
+const config = require('../config');
+const { can } = require('../services/permissionService');
+const { resolvePurchase, quantityMessage, decrementStock, restoreStock, VariantError } = require('../services/inventoryService');
+const { unavailableMessage } = require('../services/seasonService');
+const { resolveReservation, PreOrderError } = require('../services/preOrderService');
+const { findPromotionsFor, applyBestPromotion } = require('../services/pricingService');
+const { evaluateCoupon, redeemCoupon, releaseCoupon, CouponError } = require('../services/couponService');
+const { roundMoney } = require('../utils/quantity');
 
 /**
  * Controller de Pedidos
@@ -13,6 +22,11 @@ const { sequelize } = require('../config/database');
  * @param {Object} res - Objeto de resposta
  */
 const createOrder = async (req, res) => {
+  // Regra configurável: só contas com email confirmado finalizam pedidos
+  if (config.account.requireVerifiedEmailForCheckout && !req.user.emailVerificado) {
+    return forbidden(res, 'Confirme seu email antes de finalizar a compra');
+  }
+
   const transaction = await sequelize.transaction();
   
   try {
@@ -71,6 +85,12 @@ const createOrder = async (req, res) => {
     // Verificar estoque e calcular valor total
     let valorTotal = 0;
     const itensValidos = [];
+    // Produto e subtotal de cada item, para conferir o cupom
+    const itensCupom = [];
+    // Reservas de colheita: a entrega acompanha a colheita mais tardia do pedido
+    let dataEntregaPrevista = null;
+    // Campanhas vigentes no fechamento; cada item leva a de maior desconto, como no carrinho
+    const promocoes = await findPromotionsFor(cart.itens.map(item => item.produto), { transaction });
 
     for (const item of cart.itens) {
       const product = item.produto;
@@ -79,56 +99,123 @@ const createOrder = async (req, res) => {
         await transaction.rollback();
         return validationError(res, [`Produto "${product.nome}" não está mais disponível`]);
       }
-      
-      if (product.estoque < item.quantidade) {
+
+      // O job de sazonalidade já tira esses itens dos carrinhos; confere de novo por segurança
+      // (reservas de colheita valem justamente para o que ainda não está em safra)
+      const indisponivel = !item.harvestId && unavailableMessage(product);
+      if (indisponivel) {
+        await transaction.rollback();
+        return validationError(res, [indisponivel]);
+      }
+
+      if (product.produtorId === userId) {
         await transaction.rollback();
-        return validationError(res, [`Estoque insuficiente para "${product.nome}". Disponível: ${product.estoque}`]);
+        return validationError(res, [`Você não pode comprar seu próprio produto "${product.nome}"`]);
       }
       
-      const precoUnitario = product.getPrecoFinal();
-      const subtotal = precoUnitario * item.quantidade;
+      // Preço e estoque vêm da variação escolhida, quando o produto tem variações
+      let compra;
+      try {
+        compra = item.harvestId
+          ? await resolveReservation(product, item.harvestId, { transaction })
+          : await resolvePurchase(product, item.variantId, { transaction });
+      } catch (variantErr) {
+        if (variantErr instanceof PreOrderError) {
+          await transaction.rollback();
+          return validationError(res, [`A colheita reservada de "${product.nome}" não aceita mais reservas`]);
+        }
+        if (!(variantErr instanceof VariantError)) {
+          throw variantErr;
+        }
+        await transaction.rollback();
+        return validationError(res, [item.variantId
+          ? `A variação escolhida de "${product.nome}" não está mais disponível`
+          : variantErr.message]);
+      }
+
+      // O produtor pode ter mudado o mínimo ou o incremento depois que o item entrou no carrinho
+      const invalida = quantityMessage(compra, item.quantidade);
+      if (invalida) {
+        await transaction.rollback();
+        return validationError(res, [invalida]);
+      }
+
+      if (compra.estoque < item.quantidade) {
+        await transaction.rollback();
+        return validationError(res, [`Estoque insuficiente para "${compra.nome}". Disponível: ${compra.estoque}`]);
+      }
+
+      const precoUnitario = roundMoney(compra.precoFinal);
+      const { promocao, desconto, subtotal } = applyBestPromotion(
+        promocoes.get(product.id) || [], precoUnitario, item.quantidade
+      );
       valorTotal += subtotal;
+      itensCupom.push({ produto: product, subtotal });
       
       itensValidos.push({
         productId: product.id,
+        variantId: compra.variante ? compra.variante.id : null,
+        nomeVariante: compra.variante ? compra.variante.nome : null,
         quantidade: item.quantidade,
         precoUnitario,
-        subtotal
+        subtotal,
+        promotionId: promocao ? promocao.id : null,
+        nomePromocao: promocao ? promocao.nome : null,
+        descontoPromocao: desconto,
+        ...(compra.colheita && {
+          harvestId: compra.colheita.id,
+          quantidadeReservada: item.quantidade,
+          statusReserva: 'reservado'
+        })
       });
+
+      if (compra.colheita && (!dataEntregaPrevista || compra.colheita.getDataEntrega() > dataEntregaPrevista)) {
+        dataEntregaPrevista = compra.colheita.getDataEntrega();
+      }
     }
 
+    // Cupom do carrinho: conferido de novo e registrado na mesma transação do pedido
+    const cupom = cart.couponId ? await Coupon.findByPk(cart.couponId, { transaction }) : null;
+    const { desconto: descontoCupom, freteGratis } = cupom
+      ? await evaluateCoupon(cupom, { userId, itens: itensCupom, transaction })
+      : { desconto: 0, freteGratis: false };
+
     // Criar pedido
     const order = await Order.create({
       consumidorId: userId,
-      valorTotal: parseFloat(valorTotal.toFixed(2)),
+      valorTotal: roundMoney(valorTotal - descontoCupom),
+      couponId: cupom ? cupom.id : null,
+      codigoCupom: cupom ? cupom.codigo : null,
+      descontoCupom,
+      freteGratis,
       enderecoEntrega,
       observacoes,
-      status: 'pendente'
+      status: 'pendente',
+      preVenda: dataEntregaPrevista !== null,
+      dataEntregaPrevista
     }, { transaction });
 
+    if (cupom) {
+      await redeemCoupon(cupom, { userId, orderId: order.id, desconto: descontoCupom }, transaction);
+    }
+
     // Criar itens do pedido e atualizar estoque
     for (const itemData of itensValidos) {
       await OrderItem.create({
         orderId: order.id,
-        productId: itemData.productId,
-        quantidade: itemData.quantidade,
-        precoUnitario: itemData.precoUnitario,
-        subtotal: itemData.subtotal
+        ...itemData
       }, { transaction });
 
-      // Atualizar estoque
-      await Product.decrement('estoque', {
-        by: itemData.quantidade,
-        where: { id: itemData.productId },
-        transaction
-      });
+      // Atualizar estoque (da variação ou do produto) ou a reserva da colheita
+      await decrementStock(itemData, transaction);
     }
 
-    // Limpar carrinho
+    // Limpar carrinho (o cupom já foi usado)
     await CartItem.destroy({
       where: { cartId: cart.id },
       transaction
     });
+    await cart.update({ couponId: null }, { transaction });
 
     await transaction.commit();
 
@@ -159,6 +246,17 @@ const createOrder = async (req, res) => {
 
   } catch (err) {
     await transaction.rollback();
+
+    // Cupom que deixou de valer (ou se esgotou) desde que foi aplicado no carrinho
+    if (err instanceof CouponError) {
+      return validationError(res, [err.message]);
+    }
+
+    // Colheita que se esgotou (ou fechou) com outro checkout no meio deste
+    if (err instanceof PreOrderError) {
+      return validationError(res, [err.message]);
+    }
+
     console.error('Erro ao criar pedido:', err);
     return error(res, 'Erro interno do servidor');
   }
@@ -224,10 +322,8 @@ const getMyOrders = async (req, res) => {
 const getOrderById = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
 
-    const order = await Order.findOne({
-      where: { id, consumidorId: userId },
+    const order = await Order.findByPk(id, {
       include: [
         {
           model: OrderItem,
@@ -248,13 +344,19 @@ const getOrderById = async (req, res) => {
                   attributes: ['id', 'nome', 'telefone']
                 }
               ]
+            },
+            {
+              model: Harvest,
+              as: 'colheita',
+              attributes: ['id', 'dataColheita', 'dataEntrega', 'status']
             }
           ]
         }
       ]
     });
 
-    if (!order) {
+    // Pedidos de outros consumidores aparecem como inexistentes
+    if (!order || !(await can(req.user, 'order:read', order))) {
       return notFound(res, 'Pedido não encontrado');
     }
 
@@ -276,10 +378,8 @@ const cancelOrder = async (req, res) => {
   
   try {
     const { id } = req.params;
-    const userId = req.user.id;
 
-    const order = await Order.findOne({
-      where: { id, consumidorId: userId },
+    const order = await Order.findByPk(id, {
       include: [
         {
           model: OrderItem,
@@ -288,7 +388,7 @@ const cancelOrder = async (req, res) => {
       ]
     });
 
-    if (!order) {
+    if (!order || !(await can(req.user, 'order:cancel', order))) {
       await transaction.rollback();
       return notFound(res, 'Pedido não encontrado');
     }
@@ -298,14 +398,11 @@ const cancelOrder = async (req, res) => {
       return validationError(res, ['Pedido não pode ser cancelado neste status']);
     }
 
-    // Restaurar estoque
+    // Restaurar estoque (da variação ou do produto) ou liberar a reserva da colheita
     for (const item of order.itens) {
-      await Product.increment('estoque', {
-        by: item.quantidade,
-        where: { id: item.productId },
-        transaction
-      });
+      await restoreStock(item, transaction);
     }
+    await releaseCoupon(order, transaction);
 
     // Atualizar status do pedido
     await order.update({ status: 'cancelado' }, { transaction });
@@ -321,60 +418,120 @@ const cancelOrder = async (req, res) => {
   }
 };
 
+/**
+ * Lista pedidos que contêm produtos que atendem ao filtro, paginando por pedido
+ * Cada pedido traz apenas os itens do vendedor consultado
+ * @param {Object} query - Parâmetros da requisição (page, limit, status)
+ * @param {Object} productWhere - Filtro dos produtos vendidos (produtor ou organização)
+ * @returns {Promise<Object>} - { rows, pagination }
+ */
+const findSales = async ({ page = 1, limit = 10, status }, productWhere) => {
+  const offset = (page - 1) * limit;
+
+  // Pedidos que contêm produtos do vendedor
+  const itensVendidos = await OrderItem.findAll({
+    attributes: ['orderId'],
+    include: [
+      {
+        model: Product,
+        as: 'produto',
+        attributes: [],
+        where: productWhere
+      }
+    ],
+    raw: true
+  });
+
+  const whereClause = {
+    id: { [Op.in]: [...new Set(itensVendidos.map(item => item.orderId))] }
+  };
+  if (status) {
+    whereClause.status = status;
+  }
+
+  // Os itens são buscados à parte para paginar por pedido, mostrando só os do vendedor
+  const { count, rows } = await Order.findAndCountAll({
+    where: whereClause,
+    include: [
+      {
+        model: OrderItem,
+        as: 'itens',
+        separate: true,
+        include: [
+          {
+            model: Product,
+            as: 'produto',
+            where: productWhere,
+            attributes: ['id', 'nome', 'imagemUrl', 'produtorId', 'organizationId'],
+            include: [
+              {
+                model: User,
+                as: 'produtor',
+                attributes: ['id', 'nome']
+              }
+            ]
+          }
+        ]
+      },
+      {
+        model: User,
+        as: 'consumidor',
+        attributes: ['id', 'nome']
+      }
+    ],
+    order: [['createdAt', 'DESC']],
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  return {
+    rows,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    }
+  };
+};
+
+/**
+ * Remove os valores de um pedido para quem não pode ver o financeiro das vendas
+ * @param {Object} order - Pedido com os itens
+ * @returns {Object} - Pedido sem valor total, cupom, preços, subtotais e descontos de campanha
+ */
+const hideFinancials = (order) => {
+  const {
+    valorTotal, couponId, codigoCupom, descontoCupom, freteGratis, cupom, itens, ...dados
+  } = order.toJSON();
+
+  return {
+    ...dados,
+    itens: (itens || []).map(({
+      precoUnitario, subtotal, promotionId, nomePromocao, descontoPromocao, ...item
+    }) => item)
+  };
+};
+
 /**
  * Lista vendas do produtor logado
+ * A equipe informa ?produtor= para ver as vendas de quem a convidou, sem os valores
  * @param {Object} req - Objeto de requisição
  * @param {Object} res - Objeto de resposta
  */
 const getMySales = async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      status
-    } = req.query;
+    const produtorId = req.query.produtor ? Number(req.query.produtor) : req.user.id;
 
-    const offset = (page - 1) * limit;
-    const produtorId = req.user.id;
-
-    // Buscar pedidos que contêm produtos do produtor
-    const whereClause = {};
-    if (status) {
-      whereClause.status = status;
+    if (!(await can(req.user, 'sales:read', { produtorId }))) {
+      return forbidden(res, 'Você não tem acesso às vendas deste produtor');
     }
 
-    const { count, rows } = await Order.findAndCountAll({
-      where: whereClause,
-      include: [
-        {
-          model: OrderItem,
-          as: 'itens',
-          required: true,
-          include: [
-            {
-              model: Product,
-              as: 'produto',
-              where: { produtorId },
-              attributes: ['id', 'nome', 'imagemUrl']
-            }
-          ]
-        },
-        {
-          model: User,
-          as: 'consumidor',
-          attributes: ['id', 'nome']
-        }
-      ],
-      order: [['createdAt', 'DESC']],
-      limit: parseInt(limit),
-      offset: parseInt(offset)
-    });
+    const { rows, pagination } = await findSales(req.query, { produtorId });
+    const vendas = await can(req.user, 'sales:financials', { produtorId })
+      ? rows
+      : rows.map(hideFinancials);
 
-    return paginated(res, rows, {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total: count
-    });
+    return paginated(res, vendas, pagination);
 
   } catch (err) {
     console.error('Erro ao listar vendas:', err);
@@ -383,7 +540,32 @@ const getMySales = async (req, res) => {
 };
 
 /**
- * Atualiza status de um pedido (apenas produtores)
+ * Lista vendas dos produtos de uma organização (qualquer membro)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getOrganizationSales = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await can(req.user, 'sales:read', { organizationId: id }))) {
+      return forbidden(res, 'Você não é membro desta organização');
+    }
+
+    const { rows, pagination } = await findSales(req.query, { organizationId: id });
+
+    return paginated(res, rows, pagination);
+
+  } catch (err) {
+    console.error('Erro ao listar vendas da organização:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Atualiza status de um pedido
+ * Liberado para quem opera algum produto do pedido: o produtor, membros da organização
+ * do produto ou a equipe do produtor
  * @param {Object} req - Objeto de requisição
  * @param {Object} res - Objeto de resposta
  */
@@ -391,33 +573,30 @@ const updateOrderStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
-    const produtorId = req.user.id;
 
     const validStatuses = ['confirmado', 'preparando', 'enviado', 'entregue'];
     if (!validStatuses.includes(status)) {
       return validationError(res, ['Status inválido']);
     }
 
-    // Verificar se o pedido contém produtos do produtor
     const order = await Order.findOne({
       where: { id },
       include: [
         {
           model: OrderItem,
           as: 'itens',
-          required: true,
           include: [
             {
               model: Product,
               as: 'produto',
-              where: { produtorId }
+              attributes: ['id', 'produtorId', 'organizationId']
             }
           ]
         }
       ]
     });
 
-    if (!order) {
+    if (!order || !(await can(req.user, 'order:status', order))) {
       return notFound(res, 'Pedido não encontrado ou você não tem permissão para alterá-lo');
     }
 
@@ -447,6 +626,7 @@ module.exports = {
   getOrderById,
   cancelOrder,
   getMySales,
+  getOrganizationSales,
   updateOrderStatus
 };
 
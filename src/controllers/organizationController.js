@@ -0,0 +1,352 @@
+const { Organization, OrganizationMember, Product, User } = require('../models');
+const { sequelize } = require('../config/database');
+const organizationService = require('../services/organizationService');
+const { can } = require('../services/permissionService');
+const { parseCpfCnpj } = require('../utils/documents');
+const { success, error, notFound, forbidden, validationError, conflict } = require('../utils/response');
+
+/**
+ * Controller de Organizações
+ * Cooperativas e associações, seus membros e papéis
+ */
+
+const PAPEIS_MEMBRO = ['dono', 'gestor', 'membro'];
+
+/**
+ * Normaliza o CNPJ informado
+ * @param {string} cnpj - CNPJ com ou sem máscara
+ * @returns {string|null|undefined} - Dígitos, null se vazio ou undefined se inválido
+ */
+const normalizeCnpj = (cnpj) => {
+  if (cnpj === null || cnpj === '') {
+    return null;
+  }
+
+  const documento = parseCpfCnpj(cnpj);
+  return documento && documento.tipo === 'cnpj' ? documento.numero : undefined;
+};
+
+/**
+ * Conta os donos restantes de uma organização
+ * @param {number} organizationId - ID da organização
+ * @returns {Promise<number>} - Quantidade de donos
+ */
+const countOwners = (organizationId) => OrganizationMember.count({
+  where: { organizationId, papel: 'dono' }
+});
+
+/**
+ * Cria uma organização; quem cria se torna o dono
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const createOrganization = async (req, res) => {
+  try {
+    const { nome, tipo, cnpj, descricao, cidade, estado } = req.body;
+
+    const cnpjNormalizado = cnpj === undefined ? null : normalizeCnpj(cnpj);
+    if (cnpjNormalizado === undefined) {
+      return validationError(res, ['CNPJ inválido']);
+    }
+
+    if (cnpjNormalizado && await Organization.findOne({ where: { cnpj: cnpjNormalizado } })) {
+      return conflict(res, 'Já existe uma organização com este CNPJ');
+    }
+
+    const organization = await sequelize.transaction(async (transaction) => {
+      const created = await Organization.create({
+        nome: nome.trim(),
+        tipo,
+        cnpj: cnpjNormalizado,
+        descricao,
+        cidade,
+        estado: estado ? estado.toUpperCase() : null
+      }, { transaction });
+
+      await OrganizationMember.create({
+        organizationId: created.id,
+        userId: req.user.id,
+        papel: 'dono'
+      }, { transaction });
+
+      return created;
+    });
+
+    return success(res, organization, 'Organização criada com sucesso', 201);
+
+  } catch (err) {
+    console.error('Erro ao criar organização:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Lista as organizações do usuário logado com o papel em cada uma
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getMyOrganizations = async (req, res) => {
+  try {
+    const memberships = await OrganizationMember.findAll({
+      where: { userId: req.user.id },
+      include: [{ model: Organization, as: 'organizacao' }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const organizations = memberships.map(membro => ({
+      ...membro.organizacao.toJSON(),
+      meuPapel: membro.papel
+    }));
+
+    return success(res, organizations, 'Organizações recuperadas com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao listar organizações:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Obtém os dados públicos de uma organização
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getOrganizationById = async (req, res) => {
+  try {
+    const organization = await Organization.findOne({
+      where: { id: req.params.id, ativo: true },
+      include: [
+        {
+          model: OrganizationMember,
+          as: 'membros',
+          attributes: ['papel'],
+          include: [{ model: User, as: 'usuario', attributes: ['id', 'nome'] }]
+        }
+      ]
+    });
+
+    if (!organization) {
+      return notFound(res, 'Organização não encontrada');
+    }
+
+    const totalProdutos = await Product.count({
+      where: { organizationId: organization.id, ativo: true }
+    });
+
+    return success(res, { ...organization.toJSON(), totalProdutos }, 'Organização encontrada');
+
+  } catch (err) {
+    console.error('Erro ao buscar organização:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Atualiza os dados de uma organização (dono ou gestor)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateOrganization = async (req, res) => {
+  try {
+    const { nome, tipo, cnpj, descricao, cidade, estado } = req.body;
+
+    const organization = await Organization.findByPk(req.params.id);
+    if (!organization) {
+      return notFound(res, 'Organização não encontrada');
+    }
+
+    if (!(await can(req.user, 'organization:update', { organizationId: organization.id }))) {
+      return forbidden(res, 'Apenas dono ou gestor podem alterar a organização');
+    }
+
+    const updateData = {};
+    if (nome !== undefined) updateData.nome = nome.trim();
+    if (tipo !== undefined) updateData.tipo = tipo;
+    if (descricao !== undefined) updateData.descricao = descricao;
+    if (cidade !== undefined) updateData.cidade = cidade;
+    if (estado !== undefined) updateData.estado = estado ? estado.toUpperCase() : null;
+
+    if (cnpj !== undefined) {
+      const cnpjNormalizado = normalizeCnpj(cnpj);
+      if (cnpjNormalizado === undefined) {
+        return validationError(res, ['CNPJ inválido']);
+      }
+      if (cnpjNormalizado && cnpjNormalizado !== organization.cnpj
+        && await Organization.findOne({ where: { cnpj: cnpjNormalizado } })) {
+        return conflict(res, 'Já existe uma organização com este CNPJ');
+      }
+      updateData.cnpj = cnpjNormalizado;
+    }
+
+    await organization.update(updateData);
+
+    return success(res, organization, 'Organização atualizada com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao atualizar organização:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Lista os membros de uma organização (apenas membros)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getMembers = async (req, res) => {
+  try {
+    if (!(await can(req.user, 'organization:read', { organizationId: req.params.id }))) {
+      return forbidden(res, 'Você não é membro desta organização');
+    }
+
+    const membros = await OrganizationMember.findAll({
+      where: { organizationId: req.params.id },
+      include: [{ model: User, as: 'usuario', attributes: ['id', 'nome', 'email', 'telefone'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    return success(res, membros, 'Membros recuperados com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao listar membros:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Adiciona um membro pelo email
+ * O dono adiciona qualquer papel; o gestor adiciona apenas membros
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const addMember = async (req, res) => {
+  try {
+    const { email, papel = 'membro' } = req.body;
+
+    if (!PAPEIS_MEMBRO.includes(papel)) {
+      return validationError(res, ['Papel deve ser "dono", "gestor" ou "membro"']);
+    }
+
+    const organizationId = req.params.id;
+    if (!(await can(req.user, 'organization:members', { organizationId, papel: 'membro' }))) {
+      return forbidden(res, 'Apenas dono ou gestor podem adicionar membros');
+    }
+
+    if (!(await can(req.user, 'organization:members', { organizationId, papel }))) {
+      return forbidden(res, 'Apenas o dono pode adicionar gestores ou donos');
+    }
+
+    const user = await User.findOne({ where: { email: String(email || '').toLowerCase(), ativo: true } });
+    if (!user) {
+      return notFound(res, 'Usuário não encontrado');
+    }
+
+    if (await organizationService.getMembership(organizationId, user.id)) {
+      return conflict(res, 'Usuário já é membro desta organização');
+    }
+
+    const membro = await OrganizationMember.create({
+      organizationId,
+      userId: user.id,
+      papel
+    });
+
+    return success(res, membro, 'Membro adicionado com sucesso', 201);
+
+  } catch (err) {
+    console.error('Erro ao adicionar membro:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Altera o papel de um membro (apenas dono)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateMember = async (req, res) => {
+  try {
+    const { papel } = req.body;
+
+    if (!PAPEIS_MEMBRO.includes(papel)) {
+      return validationError(res, ['Papel deve ser "dono", "gestor" ou "membro"']);
+    }
+
+    if (!(await can(req.user, 'organization:roles', { organizationId: req.params.id }))) {
+      return forbidden(res, 'Apenas o dono pode alterar papéis');
+    }
+
+    const membro = await organizationService.getMembership(req.params.id, req.params.userId);
+    if (!membro) {
+      return notFound(res, 'Membro não encontrado');
+    }
+
+    if (membro.papel === 'dono' && papel !== 'dono' && await countOwners(membro.organizationId) === 1) {
+      return validationError(res, ['A organização precisa ter pelo menos um dono']);
+    }
+
+    await membro.update({ papel });
+
+    return success(res, membro, 'Papel atualizado com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao atualizar membro:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Remove um membro ou sai da organização
+ * Os produtos do membro removido deixam de pertencer à organização
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const removeMember = async (req, res) => {
+  try {
+    const membro = await organizationService.getMembership(req.params.id, req.params.userId);
+    if (!membro) {
+      return notFound(res, 'Membro não encontrado');
+    }
+
+    const saindo = membro.userId === req.user.id;
+    if (!saindo) {
+      const podeRemover = await can(req.user, 'organization:members', {
+        organizationId: membro.organizationId,
+        papel: membro.papel
+      });
+
+      if (!podeRemover) {
+        return forbidden(res, 'Você não pode remover este membro');
+      }
+    }
+
+    if (membro.papel === 'dono' && await countOwners(membro.organizationId) === 1) {
+      return validationError(res, ['A organização precisa ter pelo menos um dono']);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await Product.update(
+        { organizationId: null },
+        { where: { organizationId: membro.organizationId, produtorId: membro.userId }, transaction }
+      );
+      await membro.destroy({ transaction });
+    });
+
+    return success(res, null, saindo ? 'Você saiu da organização' : 'Membro removido com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao remover membro:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+module.exports = {
+  createOrganization,
+  getMyOrganizations,
+  getOrganizationById,
+  updateOrganization,
+  getMembers,
+  addMember,
+  updateMember,
+  removeMember
+};
@@ -0,0 +1,373 @@
+const { Op } = require('sequelize');
+const { User, Address, Product, Category, ProducerProfile, Organization, OrganizationMember } = require('../models');
+const { likeOp } = require('../config/database');
+const { findProducts, resolveNear } = require('./productController');
+const { findProducerDistances, orderByDistance, OriginNotFoundError, LocationError } = require('../services/geoService');
+const { storeImage, removeImage, removeImageByUrl, ImageError } = require('../services/imageService');
+const { getProducerRatings, ratingOf } = require('../services/reviewService');
+const { findProducerBadges } = require('../services/certificationService');
+const { normalizeText } = require('../utils/text');
+const { success, error, notFound, unauthorized, validationError, paginated } = require('../utils/response');
+
+/**
+ * Controller de Produtores
+ * Vitrine pública das propriedades e edição do perfil pelo próprio produtor
+ */
+
+const CAMPOS_PERFIL = [
+  'nomePropriedade', 'historia', 'cidade', 'estado', 'fotos',
+  'praticas', 'certificacoes', 'areaEntrega', 'cidadesEntrega', 'latitude', 'longitude'
+];
+
+// Fotos da propriedade exibidas na vitrine
+const MAX_FOTOS_PERFIL = 10;
+
+// Mensagem para quem usa near sem estar logado
+const LOGIN_PROXIMIDADE = 'Faça login para buscar perto do seu endereço';
+
+/**
+ * Trata os erros da busca por proximidade
+ * @param {Object} res - Objeto de resposta
+ * @param {Error} err - Erro lançado
+ * @returns {Object|null} - Resposta enviada, ou null se o erro não é de localização
+ */
+const handleLocationError = (res, err) => {
+  if (err instanceof OriginNotFoundError) {
+    return notFound(res, err.message);
+  }
+  if (err instanceof LocationError) {
+    return validationError(res, [err.message]);
+  }
+  return null;
+};
+
+// Só produtores ativos e aprovados na verificação aparecem na vitrine
+const PRODUTOR_PUBLICO = { ativo: true, statusVerificacao: 'aprovado' };
+
+/**
+ * Lista produtores com filtros por localização, categoria, busca e proximidade
+ * (near=addressId, radiusKm, orderBy=distance)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getProducers = async (req, res) => {
+  try {
+    const { page = 1, limit = 12, search, cidade, estado, category, radiusKm, orderBy } = req.query;
+
+    if (req.query.near && !req.user) {
+      return unauthorized(res, LOGIN_PROXIMIDADE);
+    }
+
+    const offset = (page - 1) * limit;
+    const where = { ...PRODUTOR_PUBLICO, [Op.and]: [] };
+
+    // Distância até o endereço do consumidor; com raio, só quem está dentro dele
+    const origem = await resolveNear(req);
+    const distancias = origem ? await findProducerDistances(origem, radiusKm) : null;
+    if (distancias && radiusKm) {
+      where[Op.and].push({ id: { [Op.in]: [...distancias.keys()] } });
+    }
+
+    // Produtores com produtos ativos na categoria
+    if (category) {
+      const produtos = await Product.findAll({
+        attributes: ['produtorId'],
+        where: { categoryId: category, ativo: true },
+        raw: true
+      });
+      where[Op.and].push({ id: { [Op.in]: [...new Set(produtos.map(produto => produto.produtorId))] } });
+    }
+
+    // Busca pelo nome do produtor ou da propriedade
+    if (search) {
+      where[Op.or] = [
+        { nome: { [likeOp()]: `%${search}%` } },
+        { '$perfilProdutor.nomePropriedade$': { [likeOp()]: `%${search}%` } }
+      ];
+    }
+
+    const perfilWhere = {};
+    // Comparada com a cópia normalizada do perfil: sem acentos, maiúsculas ou curingas do LIKE
+    if (cidade) {
+      perfilWhere.cidadeBusca = normalizeText(cidade);
+    }
+    if (estado) {
+      perfilWhere.estado = String(estado).toUpperCase();
+    }
+    const filtraLocal = Object.keys(perfilWhere).length > 0;
+
+    const porDistancia = orderBy === 'distance' && distancias && orderByDistance(distancias, '"User"."id"');
+
+    const { count, rows } = await User.findAndCountAll({
+      where,
+      attributes: ['id', 'nome'],
+      include: [
+        {
+          model: ProducerProfile,
+          as: 'perfilProdutor',
+          attributes: ['nomePropriedade', 'cidade', 'estado', 'fotos', 'praticas'],
+          where: filtraLocal ? perfilWhere : undefined,
+          required: filtraLocal
+        }
+      ],
+      order: porDistancia ? [porDistancia, ['nome', 'ASC']] : [['nome', 'ASC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    // Nota média das avaliações dos produtos de cada produtor
+    const notas = await getProducerRatings(rows.map(produtor => produtor.id));
+
+    const produtores = rows.map(produtor => ({
+      ...produtor.toJSON(),
+      ...ratingOf(notas, produtor.id),
+      ...(distancias && { distanciaKm: distancias.has(produtor.id) ? distancias.get(produtor.id) : null })
+    }));
+
+    return paginated(res, produtores, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    });
+
+  } catch (err) {
+    if (handleLocationError(res, err)) {
+      return;
+    }
+
+    console.error('Erro ao listar produtores:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Obtém a vitrine de um produtor: perfil, organizações e categorias que vende
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getProducerById = async (req, res) => {
+  try {
+    const producer = await User.findOne({
+      where: { ...PRODUTOR_PUBLICO, id: req.params.id },
+      attributes: ['id', 'nome', 'createdAt'],
+      include: [
+        {
+          model: ProducerProfile,
+          as: 'perfilProdutor',
+          attributes: { exclude: ['id', 'userId', 'latitude', 'longitude', 'cidadeBusca', 'cidadesEntregaBusca'] }
+        },
+        {
+          model: OrganizationMember,
+          as: 'organizacoes',
+          attributes: ['papel'],
+          include: [
+            {
+              model: Organization,
+              as: 'organizacao',
+              where: { ativo: true },
+              attributes: ['id', 'nome', 'tipo']
+            }
+          ]
+        }
+      ]
+    });
+
+    if (!producer) {
+      return notFound(res, 'Produtor não encontrado');
+    }
+
+    const produtos = await Product.findAll({
+      where: { produtorId: producer.id, ativo: true },
+      attributes: ['categoryId'],
+      include: [{ model: Category, as: 'categoria', attributes: ['id', 'nome', 'icone'] }]
+    });
+
+    const categorias = [...new Map(produtos.map(produto => [produto.categoria.id, produto.categoria])).values()];
+    const { organizacoes, ...dados } = producer.toJSON();
+    const notas = await getProducerRatings([producer.id]);
+
+    return success(res, {
+      ...dados,
+      organizacoes: organizacoes.map(membro => membro.organizacao),
+      categorias,
+      totalProdutos: produtos.length,
+      ...ratingOf(notas, producer.id),
+      selos: await findProducerBadges(producer.id)
+    }, 'Produtor encontrado');
+
+  } catch (err) {
+    console.error('Erro ao buscar produtor:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Lista os produtos de um produtor com os mesmos filtros da listagem geral
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getProducerProducts = async (req, res) => {
+  try {
+    const producer = await User.findOne({
+      where: { ...PRODUTOR_PUBLICO, id: req.params.id },
+      attributes: ['id']
+    });
+
+    if (!producer) {
+      return notFound(res, 'Produtor não encontrado');
+    }
+
+    if (req.query.near && !req.user) {
+      return unauthorized(res, LOGIN_PROXIMIDADE);
+    }
+
+    const { rows, pagination, facetas } = await findProducts(
+      { ...req.query, produtor: producer.id },
+      { origem: await resolveNear(req) }
+    );
+
+    return paginated(res, rows, pagination, undefined, { facetas });
+
+  } catch (err) {
+    if (handleLocationError(res, err)) {
+      return;
+    }
+
+    console.error('Erro ao listar produtos do produtor:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Obtém o perfil do produtor logado
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getMyProfile = async (req, res) => {
+  try {
+    const profile = await ProducerProfile.findOne({ where: { userId: req.user.id } });
+
+    if (!profile) {
+      return notFound(res, 'Perfil ainda não cadastrado');
+    }
+
+    return success(res, profile, 'Perfil encontrado');
+
+  } catch (err) {
+    console.error('Erro ao buscar perfil do produtor:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Cria ou atualiza o perfil do produtor logado
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateMyProfile = async (req, res) => {
+  try {
+    const dados = {};
+    for (const campo of CAMPOS_PERFIL) {
+      if (req.body[campo] !== undefined) {
+        dados[campo] = req.body[campo];
+      }
+    }
+
+    if (dados.nomePropriedade) dados.nomePropriedade = String(dados.nomePropriedade).trim();
+    if (dados.estado) dados.estado = dados.estado.toUpperCase();
+
+    if (dados.praticas && dados.praticas.some(pratica => !ProducerProfile.PRATICAS.includes(pratica))) {
+      return validationError(res, [`Práticas devem estar entre: ${ProducerProfile.PRATICAS.join(', ')}`]);
+    }
+
+    if ((dados.latitude === undefined) !== (dados.longitude === undefined)) {
+      return validationError(res, ['Informe latitude e longitude juntas']);
+    }
+
+    let profile = await ProducerProfile.findOne({ where: { userId: req.user.id } });
+
+    // Sem localização informada, a propriedade fica no endereço principal do produtor
+    if (dados.latitude === undefined && (!profile || profile.latitude === null)) {
+      const endereco = await Address.findOne({ where: { userId: req.user.id, principal: true } });
+      if (endereco && endereco.latitude !== null) {
+        dados.latitude = endereco.latitude;
+        dados.longitude = endereco.longitude;
+      }
+    }
+
+    if (!profile) {
+      if (!dados.nomePropriedade) {
+        return validationError(res, ['Nome da propriedade é obrigatório']);
+      }
+
+      profile = await ProducerProfile.create({ ...dados, userId: req.user.id });
+      return success(res, profile, 'Perfil criado com sucesso', 201);
+    }
+
+    const fotosAnteriores = profile.fotos || [];
+    await profile.update(dados);
+
+    // Fotos enviadas por upload que saíram da lista não ficam ocupando o armazenamento
+    if (dados.fotos) {
+      await Promise.all(fotosAnteriores
+        .filter(foto => !dados.fotos.includes(foto))
+        .map(foto => removeImageByUrl(foto)));
+    }
+
+    return success(res, profile, 'Perfil atualizado com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao salvar perfil do produtor:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Envia fotos da propriedade e acrescenta a versão grande ao fim de "fotos"
+ * Para remover ou reordenar, basta enviar a nova lista em PUT /me/profile
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const uploadProfilePhotos = async (req, res) => {
+  const gravadas = [];
+
+  try {
+    const profile = await ProducerProfile.findOne({ where: { userId: req.user.id } });
+
+    if (!profile) {
+      return notFound(res, 'Perfil ainda não cadastrado');
+    }
+
+    const fotos = profile.fotos || [];
+    if (fotos.length + req.files.length > MAX_FOTOS_PERFIL) {
+      return validationError(res, [`O perfil pode ter no máximo ${MAX_FOTOS_PERFIL} fotos (já possui ${fotos.length})`]);
+    }
+
+    for (const arquivo of req.files) {
+      gravadas.push(await storeImage(arquivo.buffer, `produtores/${req.user.id}`));
+    }
+
+    await profile.update({ fotos: [...fotos, ...gravadas.map(foto => foto.urlGrande)] });
+
+    return success(res, profile, 'Fotos enviadas com sucesso', 201);
+
+  } catch (err) {
+    await Promise.all(gravadas.map(foto => removeImage(foto.chave).catch(() => {})));
+
+    if (err instanceof ImageError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao enviar fotos do perfil:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+module.exports = {
+  getProducers,
+  getProducerById,
+  getProducerProducts,
+  getMyProfile,
+  updateMyProfile,
+  uploadProfilePhotos
+};
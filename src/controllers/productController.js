@@ -1,12 +1,266 @@
-const { Product, Category, User } = require('../models');
-const { success, error, notFound, forbidden, paginated } = require('../utils/response');
+const { sequelize, Product, ProductVariant, ProductImage, ProductSeason, Category, User, Organization, ProducerProfile } = require('../models');
+const { success, error, notFound, unauthorized, forbidden, conflict, validationError, paginated } = require('../utils/response');
 const { Op } = require('sequelize');
+const { can } = require('../services/permissionService');
+const { searchProductIds, orderByRelevance } = require('../services/searchService');
+const { buildOfferFilters, producerProfileCondition, countFacets } = require('../services/catalogService');
+const { getAddressOrigin, findProducerDistances, orderByDistance, OriginNotFoundError, LocationError } = require('../services/geoService');
+const { storeImage, removeImage, ImageError } = require('../services/imageService');
+const { replaceSeasons, findProductIdsInSeason } = require('../services/seasonService');
+const { getCategoryFilterIds } = require('../services/categoryService');
+const { findBadges, findCertifiedProductIds, replaceProductCertifications, CertificationOwnerError } = require('../services/certificationService');
+const { findCatalogPricing, findUnitPricePromotions, promotedProductsCondition } = require('../services/pricingService');
+
+const CAMPOS_VARIANTE = ['nome', 'unidadeMedida', 'preco', 'estoque', 'sku', 'promocao', 'percentualDesconto'];
+
+// Variações à venda, carregadas em consulta separada para não afetar a paginação
+const VARIANTES_ATIVAS = {
+  model: ProductVariant,
+  as: 'variantes',
+  where: { ativo: true },
+  required: false,
+  separate: true,
+  order: [['preco', 'ASC']]
+};
+
+/**
+ * Aplica a busca textual ao filtro de produtos
+ * @param {Object} where - Filtro da consulta (recebe a restrição de IDs)
+ * @param {string} search - Texto digitado
+ * @returns {Promise<Object|null>} - Ordenação por relevância, ou null se nada foi encontrado
+ */
+const applySearch = async (where, search) => {
+  const ids = await searchProductIds(search);
+  where.id = { [Op.in]: ids };
+  return ids.length > 0 ? orderByRelevance(ids) : null;
+};
+
+/**
+ * Monta a ordenação da listagem
+ * @param {string} orderBy - Campo, "relevancia" (busca), "distance" (perto do consumidor) ou "avaliacao" (nota média)
+ * @param {string} order - ASC ou DESC
+ * @param {Object} contexto - { relevancia, distancias } calculados para a consulta
+ * @returns {Array} - Ordenação do Sequelize
+ */
+const buildOrder = (orderBy, order, { relevancia, distancias }) => {
+  if (orderBy === 'relevancia') {
+    return [relevancia || ['createdAt', 'DESC']];
+  }
+  if (orderBy === 'distance') {
+    const porDistancia = distancias && orderByDistance(distancias, '"Product"."produtorId"');
+    return porDistancia ? [porDistancia, ['createdAt', 'DESC']] : [['createdAt', 'DESC']];
+  }
+  if (orderBy === 'avaliacao') {
+    // Sem avaliações (nota nula) ficam por último; no empate, quem tem mais avaliações
+    return [['notaMedia', `${order.toUpperCase()} NULLS LAST`], ['totalAvaliacoes', 'DESC'], ['createdAt', 'DESC']];
+  }
+  return [[orderBy, order.toUpperCase()]];
+};
+
+/**
+ * Resolve a origem da busca por proximidade (near=addressId)
+ * @param {Object} req - Objeto de requisição
+ * @returns {Promise<Object|null>} - Coordenadas do endereço, ou null sem near
+ * @throws {LocationError}
+ */
+const resolveNear = (req) => (req.query.near ? getAddressOrigin(req.user, req.query.near) : Promise.resolve(null));
+
+/**
+ * Separa os campos editáveis de uma variação
+ * @param {Object} body - Dados recebidos
+ * @returns {Object} - Campos informados, com o desconto zerado fora de promoção
+ */
+const pickVariantData = (body) => {
+  const dados = {};
+  for (const campo of CAMPOS_VARIANTE) {
+    if (body[campo] !== undefined) {
+      dados[campo] = body[campo];
+    }
+  }
+  if (dados.promocao !== undefined && !dados.promocao) {
+    dados.percentualDesconto = null;
+  }
+  return dados;
+};
+
+/**
+ * Serializa um produto com preço final e faixa de preço das variações
+ * @param {Object} product - Produto com as variações ativas carregadas
+ * @returns {Object} - Dados do produto
+ */
+const toProductData = (product) => {
+  const productData = product.toJSON();
+  productData.precoFinal = product.getPrecoFinal();
+  productData.faixaPreco = product.getFaixaPreco();
+  if (product.variantes) {
+    productData.variantes = product.variantes.map(variante => ({
+      ...variante.toJSON(),
+      precoFinal: variante.getPrecoFinal()
+    }));
+  }
+  return productData;
+};
+
+/**
+ * Serializa um produto do catálogo com as campanhas e o preço promocional do produto
+ * e de cada variação
+ * @param {Object} product - Produto com as variações ativas carregadas
+ * @param {Object} oferta - Preços e campanhas do produto (findCatalogPricing)
+ * @returns {Object} - Dados do produto
+ */
+const toCatalogData = (product, { precosVariantes, ...oferta }) => {
+  const productData = { ...toProductData(product), ...oferta };
+  if (productData.variantes) {
+    productData.variantes = productData.variantes.map(variante => ({
+      ...variante,
+      precoPromocional: precosVariantes.get(variante.id)
+    }));
+  }
+  return productData;
+};
 
 /**
  * Controller de Produtos
  * Gerencia operações CRUD de produtos
  */
 
+/**
+ * Busca produtos ativos com os filtros da listagem pública
+ * Compartilhada pela listagem geral e pela vitrine de cada produtor
+ * Com busca textual, a ordenação padrão é por relevância (orderBy=relevancia)
+ * @param {Object} query - Parâmetros (page, limit, category, search, produtor, organizacao,
+ * promocao, cidade, estado, precoMin, precoMax, unidade, emEstoque, pratica, entregaEm,
+ * disponibilidade, selo ou certificacao, radiusKm, orderBy, order)
+ * Produtos fora de safra não aparecem; os "em breve" aparecem, mas ainda não podem ser comprados
+ * @param {Object} options - { origem }: coordenadas do consumidor para o raio e orderBy=distance
+ * @returns {Promise<Object>} - { rows, pagination, facetas }, com precoFinal, faixaPreco, selos,
+ * promocoes e precoPromocional em cada produto (e distanciaKm quando há origem)
+ */
+const findProducts = async (query, { origem } = {}) => {
+  const {
+    page = 1,
+    limit = 12,
+    category,
+    search,
+    produtor,
+    organizacao,
+    promocao,
+    disponibilidade,
+    selo,
+    certificacao,
+    radiusKm,
+    orderBy = search ? 'relevancia' : 'createdAt',
+    order = 'DESC'
+  } = query;
+
+  const offset = (page - 1) * limit;
+  const where = {
+    ativo: true,
+    disponibilidade: disponibilidade || { [Op.ne]: 'fora_de_safra' }
+  };
+
+  // Filtro por categoria (ID ou slug), incluindo as subcategorias
+  if (category) {
+    where.categoryId = { [Op.in]: await getCategoryFilterIds(category) };
+  }
+
+  // Filtro por produtor
+  if (produtor) {
+    where.produtorId = produtor;
+  }
+
+  // Filtro por organização (cooperativa ou associação)
+  if (organizacao) {
+    where.organizationId = organizacao;
+  }
+
+  // Preço (já com as campanhas vigentes), unidade e estoque valem por variação quando o produto tem variações
+  const campanhas = await findUnitPricePromotions();
+  where[Op.and] = buildOfferFilters(query, campanhas);
+
+  // Filtro por promoção: a promoção simples do produto ou uma campanha vigente
+  if (promocao === 'true') {
+    where[Op.and].push(await promotedProductsCondition());
+  }
+
+  // Selo de certificação vigente ligado ao produto (certificacao usa os mesmos valores da faceta)
+  for (const tipo of [selo, certificacao].filter(Boolean)) {
+    where[Op.and].push({ id: { [Op.in]: await findCertifiedProductIds(tipo) } });
+  }
+
+  // Prática, cidade de entrega e localização da propriedade vêm do perfil do produtor
+  const perfil = producerProfileCondition(query);
+  if (perfil) {
+    where[Op.and].push(perfil);
+  }
+
+  // Distância até o endereço do consumidor; com raio, só produtores dentro dele
+  let distancias = null;
+  if (origem) {
+    distancias = await findProducerDistances(origem, radiusKm);
+    if (radiusKm) {
+      where[Op.and].push({ produtorId: { [Op.in]: [...distancias.keys()] } });
+    }
+  }
+
+  // Busca textual em nome, descrição, categoria e produtor, sem diferenciar acentos e plural
+  let relevancia = null;
+  if (search) {
+    relevancia = await applySearch(where, search);
+  }
+
+  const { count, rows } = await Product.findAndCountAll({
+    where,
+    include: [
+      {
+        model: Category,
+        as: 'categoria',
+        attributes: ['id', 'nome', 'icone']
+      },
+      {
+        model: User,
+        as: 'produtor',
+        attributes: ['id', 'nome'],
+        include: [
+          {
+            model: ProducerProfile,
+            as: 'perfilProdutor',
+            attributes: ['nomePropriedade', 'cidade', 'estado', 'certificacoes', 'praticas']
+          }
+        ]
+      },
+      {
+        model: Organization,
+        as: 'organizacao',
+        attributes: ['id', 'nome', 'tipo']
+      },
+      VARIANTES_ATIVAS
+    ],
+    order: buildOrder(orderBy, order, { relevancia, distancias }),
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  const selos = await findBadges(rows.map(product => product.id));
+  const ofertas = await findCatalogPricing(rows);
+
+  // Adicionar preço final, faixa de preço das variações, selos, campanhas e distância
+  return {
+    rows: rows.map(product => ({
+      ...toCatalogData(product, ofertas.get(product.id)),
+      selos: selos.get(product.id) || [],
+      ...(distancias && { distanciaKm: distancias.has(product.produtorId) ? distancias.get(product.produtorId) : null })
+    })),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    },
+    // Facetas da barra de filtros, sobre todos os produtos filtrados
+    facetas: await countFacets(where, campanhas)
+  };
+};
+
 /**
  * Lista todos os produtos com filtros opcionais
  * @param {Object} req - Objeto de requisição
@@ -14,44 +268,38 @@ const { Op } = require('sequelize');
  */
 const getProducts = async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 12,
-      category,
-      search,
-      produtor,
-      promocao,
-      orderBy = 'createdAt',
-      order = 'DESC'
-    } = req.query;
+    if (req.query.near && !req.user) {
+      return unauthorized(res, 'Faça login para buscar perto do seu endereço');
+    }
 
-    const offset = (page - 1) * limit;
-    const where = { ativo: true };
+    const { rows, pagination, facetas } = await findProducts(req.query, { origem: await resolveNear(req) });
 
-    // Filtro por categoria
-    if (category) {
-      where.categoryId = category;
-    }
+    return paginated(res, rows, pagination, undefined, { facetas });
 
-    // Filtro por produtor
-    if (produtor) {
-      where.produtorId = produtor;
+  } catch (err) {
+    if (err instanceof OriginNotFoundError) {
+      return notFound(res, err.message);
     }
-
-    // Filtro por promoção
-    if (promocao === 'true') {
-      where.promocao = true;
+    if (err instanceof LocationError) {
+      return validationError(res, [err.message]);
     }
 
-    // Filtro de busca por nome
-    if (search) {
-      where.nome = {
-        [Op.iLike]: `%${search}%`
-      };
-    }
+    console.error('Erro ao listar produtos:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
 
-    const { count, rows } = await Product.findAndCountAll({
-      where,
+/**
+ * Obtém um produto específico por ID
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getProductById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const product = await Product.findOne({
+      where: { id, ativo: true },
       include: [
         {
           model: Category,
@@ -61,44 +309,64 @@ const getProducts = async (req, res) => {
         {
           model: User,
           as: 'produtor',
-          attributes: ['id', 'nome']
+          attributes: ['id', 'nome', 'telefone']
+        },
+        {
+          model: Organization,
+          as: 'organizacao',
+          attributes: ['id', 'nome', 'tipo', 'cidade', 'estado']
+        },
+        VARIANTES_ATIVAS,
+        {
+          model: ProductImage,
+          as: 'imagens',
+          attributes: ['id', 'urlMiniatura', 'urlMedia', 'urlGrande', 'largura', 'altura', 'ordem', 'capa'],
+          separate: true,
+          order: [['ordem', 'ASC']]
+        },
+        {
+          model: ProductSeason,
+          as: 'safras',
+          attributes: ['id', 'mesInicio', 'mesFim', 'dataInicio', 'dataFim']
         }
-      ],
-      order: [[orderBy, order.toUpperCase()]],
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+      ]
     });
 
-    // Adicionar preço final calculado
-    const productsWithFinalPrice = rows.map(product => {
-      const productData = product.toJSON();
-      productData.precoFinal = product.getPrecoFinal();
-      return productData;
-    });
+    if (!product) {
+      return notFound(res, 'Produto não encontrado');
+    }
 
-    return paginated(res, productsWithFinalPrice, {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total: count
-    });
+    const selos = await findBadges([product.id]);
+    const ofertas = await findCatalogPricing([product]);
+
+    return success(res, {
+      ...toCatalogData(product, ofertas.get(product.id)),
+      selos: selos.get(product.id) || []
+    }, 'Produto encontrado');
 
   } catch (err) {
-    console.error('Erro ao listar produtos:', err);
+    console.error('Erro ao buscar produto:', err);
     return error(res, 'Erro interno do servidor');
   }
 };
 
 /**
- * Obtém um produto específico por ID
+ * Lista os produtos da safra de um mês (calendário sazonal)
  * @param {Object} req - Objeto de requisição
  * @param {Object} res - Objeto de resposta
  */
-const getProductById = async (req, res) => {
+const getSeasonProducts = async (req, res) => {
   try {
-    const { id } = req.params;
+    const mes = req.query.mes !== undefined ? Number(req.query.mes) : new Date().getMonth() + 1;
 
-    const product = await Product.findOne({
-      where: { id, ativo: true },
+    if (!Number.isInteger(mes) || mes < 1 || mes > 12) {
+      return validationError(res, ['Mês deve ser um número de 1 a 12']);
+    }
+
+    const ids = await findProductIdsInSeason(mes);
+
+    const produtos = await Product.findAll({
+      where: { id: { [Op.in]: ids } },
       include: [
         {
           model: Category,
@@ -108,28 +376,86 @@ const getProductById = async (req, res) => {
         {
           model: User,
           as: 'produtor',
-          attributes: ['id', 'nome', 'telefone']
+          attributes: ['id', 'nome']
+        },
+        VARIANTES_ATIVAS,
+        {
+          model: ProductSeason,
+          as: 'safras',
+          attributes: ['mesInicio', 'mesFim', 'dataInicio', 'dataFim']
         }
-      ]
+      ],
+      order: [['nome', 'ASC']]
     });
 
+    return success(res, { mes, produtos: produtos.map(toProductData) }, 'Produtos da safra recuperados com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao listar produtos da safra:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Define as janelas de safra do produto (substitui as anteriores)
+ * A disponibilidade é recalculada na hora; se o produto sair de safra, sai também dos carrinhos
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateSeasons = async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.id);
     if (!product) {
       return notFound(res, 'Produto não encontrado');
     }
 
-    const productData = product.toJSON();
-    productData.precoFinal = product.getPrecoFinal();
+    if (!(await can(req.user, 'product:update', product))) {
+      return forbidden(res, 'Você só pode editar seus próprios produtos');
+    }
 
-    return success(res, productData, 'Produto encontrado');
+    const atualizado = await replaceSeasons(product, req.body.safras);
+
+    return success(res, atualizado, 'Safras do produto atualizadas com sucesso');
 
   } catch (err) {
-    console.error('Erro ao buscar produto:', err);
+    console.error('Erro ao atualizar safras do produto:', err);
     return error(res, 'Erro interno do servidor');
   }
 };
 
 /**
- * Cria um novo produto (apenas produtores)
+ * Define as certificações do produtor que cobrem o produto (substitui as anteriores)
+ * O selo aparece no produto enquanto a certificação estiver válida
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateCertifications = async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return notFound(res, 'Produto não encontrado');
+    }
+
+    if (!(await can(req.user, 'product:update', product))) {
+      return forbidden(res, 'Você só pode editar seus próprios produtos');
+    }
+
+    const certificacoes = await replaceProductCertifications(product, req.body.certificacoes);
+
+    return success(res, certificacoes, 'Certificações do produto atualizadas com sucesso');
+
+  } catch (err) {
+    if (err instanceof CertificationOwnerError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao atualizar certificações do produto:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Cria um novo produto (apenas produtores), opcionalmente já com as variações
  * @param {Object} req - Objeto de requisição
  * @param {Object} res - Objeto de resposta
  */
@@ -141,10 +467,15 @@ const createProduct = async (req, res) => {
       preco,
       unidadeMedida,
       estoque,
+      quantidadeMinima,
+      incremento,
+      sku,
       categoryId,
       imagemUrl,
       promocao,
-      percentualDesconto
+      percentualDesconto,
+      organizationId,
+      variantes = []
     } = req.body;
 
     // Verificar se a categoria existe
@@ -153,17 +484,34 @@ const createProduct = async (req, res) => {
       return notFound(res, 'Categoria não encontrada');
     }
 
-    const product = await Product.create({
-      nome,
-      descricao,
-      preco,
-      unidadeMedida,
-      estoque,
-      categoryId,
-      produtorId: req.user.id,
-      imagemUrl,
-      promocao: promocao || false,
-      percentualDesconto: promocao ? percentualDesconto : null
+    // Produto da organização: o produtor precisa ser membro
+    if (organizationId && !(await can(req.user, 'organization:publish', { organizationId }))) {
+      return forbidden(res, 'Você não é membro desta organização');
+    }
+
+    const product = await sequelize.transaction(async (transaction) => {
+      const created = await Product.create({
+        nome,
+        descricao,
+        preco,
+        unidadeMedida,
+        estoque,
+        quantidadeMinima,
+        incremento,
+        sku: sku || null,
+        categoryId,
+        produtorId: req.user.id,
+        organizationId: organizationId || null,
+        imagemUrl,
+        promocao: promocao || false,
+        percentualDesconto: promocao ? percentualDesconto : null
+      }, { transaction });
+
+      for (const variante of variantes) {
+        await ProductVariant.create({ ...pickVariantData(variante), productId: created.id }, { transaction });
+      }
+
+      return created;
     });
 
     // Buscar produto criado com relacionamentos
@@ -178,13 +526,21 @@ const createProduct = async (req, res) => {
           model: User,
           as: 'produtor',
           attributes: ['id', 'nome']
-        }
+        },
+        VARIANTES_ATIVAS
       ]
     });
 
-    return success(res, createdProduct, 'Produto criado com sucesso', 201);
+    return success(res, toProductData(createdProduct), 'Produto criado com sucesso', 201);
 
   } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      return conflict(res, 'SKU já cadastrado em outro produto ou variação');
+    }
+    if (err.name === 'SequelizeValidationError') {
+      return validationError(res, err.errors.map(item => item.message));
+    }
+
     console.error('Erro ao criar produto:', err);
     return error(res, 'Erro interno do servidor');
   }
@@ -204,10 +560,14 @@ const updateProduct = async (req, res) => {
       preco,
       unidadeMedida,
       estoque,
+      quantidadeMinima,
+      incremento,
+      sku,
       categoryId,
       imagemUrl,
       promocao,
-      percentualDesconto
+      percentualDesconto,
+      organizationId
     } = req.body;
 
     // Buscar produto
@@ -216,11 +576,21 @@ const updateProduct = async (req, res) => {
       return notFound(res, 'Produto não encontrado');
     }
 
-    // Verificar se o usuário é o dono do produto
-    if (product.produtorId !== req.user.id) {
+    // Autor do produto ou dono/gestor da organização (a equipe do produtor não altera preços)
+    if (!(await can(req.user, 'product:update', product))) {
       return forbidden(res, 'Você só pode editar seus próprios produtos');
     }
 
+    // Só o produtor autor move o produto para uma organização de que participa (ou o retira)
+    if (organizationId !== undefined && organizationId !== product.organizationId) {
+      if (!(await can(req.user, 'product:transfer', product))) {
+        return forbidden(res, 'Apenas o produtor pode mudar a organização do produto');
+      }
+      if (organizationId && !(await can(req.user, 'organization:publish', { organizationId }))) {
+        return forbidden(res, 'Você não é membro desta organização');
+      }
+    }
+
     // Verificar categoria se fornecida
     if (categoryId) {
       const category = await Category.findByPk(categoryId);
@@ -236,8 +606,12 @@ const updateProduct = async (req, res) => {
     if (preco !== undefined) updateData.preco = preco;
     if (unidadeMedida !== undefined) updateData.unidadeMedida = unidadeMedida;
     if (estoque !== undefined) updateData.estoque = estoque;
+    if (quantidadeMinima !== undefined) updateData.quantidadeMinima = quantidadeMinima;
+    if (incremento !== undefined) updateData.incremento = incremento;
+    if (sku !== undefined) updateData.sku = sku || null;
     if (categoryId !== undefined) updateData.categoryId = categoryId;
     if (imagemUrl !== undefined) updateData.imagemUrl = imagemUrl;
+    if (organizationId !== undefined) updateData.organizationId = organizationId || null;
     if (promocao !== undefined) {
       updateData.promocao = promocao;
       updateData.percentualDesconto = promocao ? percentualDesconto : null;
@@ -264,11 +638,57 @@ const updateProduct = async (req, res) => {
     return success(res, updatedProduct, 'Produto atualizado com sucesso');
 
   } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      return conflict(res, 'SKU já cadastrado em outro produto');
+    }
+    if (err.name === 'SequelizeValidationError') {
+      return validationError(res, err.errors.map(item => item.message));
+    }
+
     console.error('Erro ao atualizar produto:', err);
     return error(res, 'Erro interno do servidor');
   }
 };
 
+/**
+ * Atualiza apenas o estoque de um produto
+ * Liberado para o produtor autor, qualquer membro da organização do produto e a equipe do produtor
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateStock = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { estoque } = req.body || {};
+
+    // Frações só nas unidades de peso e volume: a unidade é conferida pelo modelo
+    if (estoque === undefined || estoque === null || estoque === '' || isNaN(estoque) || Number(estoque) < 0) {
+      return validationError(res, ['Estoque deve ser um número não negativo']);
+    }
+
+    const product = await Product.findByPk(id);
+    if (!product) {
+      return notFound(res, 'Produto não encontrado');
+    }
+
+    if (!(await can(req.user, 'product:stock', product))) {
+      return forbidden(res, 'Você não pode alterar o estoque deste produto');
+    }
+
+    await product.update({ estoque: Number(estoque) });
+
+    return success(res, product, 'Estoque atualizado com sucesso');
+
+  } catch (err) {
+    if (err.name === 'SequelizeValidationError') {
+      return validationError(res, err.errors.map(item => item.message));
+    }
+
+    console.error('Erro ao atualizar estoque:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
 /**
  * Remove um produto (soft delete)
  * @param {Object} req - Objeto de requisição
@@ -284,8 +704,8 @@ const deleteProduct = async (req, res) => {
       return notFound(res, 'Produto não encontrado');
     }
 
-    // Verificar se o usuário é o dono do produto
-    if (product.produtorId !== req.user.id) {
+    // Autor do produto ou dono/gestor da organização
+    if (!(await can(req.user, 'product:delete', product))) {
       return forbidden(res, 'Você só pode excluir seus próprios produtos');
     }
 
@@ -322,11 +742,10 @@ const getMyProducts = async (req, res) => {
       where.ativo = ativo === 'true';
     }
 
-    // Filtro de busca
+    // Busca textual (mais relevantes primeiro)
+    let relevancia = null;
     if (search) {
-      where.nome = {
-        [Op.iLike]: `%${search}%`
-      };
+      relevancia = await applySearch(where, search);
     }
 
     const { count, rows } = await Product.findAndCountAll({
@@ -336,9 +755,15 @@ const getMyProducts = async (req, res) => {
           model: Category,
           as: 'categoria',
           attributes: ['id', 'nome', 'icone']
+        },
+        {
+          model: ProductVariant,
+          as: 'variantes',
+          separate: true,
+          order: [['preco', 'ASC']]
         }
       ],
-      order: [['createdAt', 'DESC']],
+      order: [relevancia || ['createdAt', 'DESC']],
       limit: parseInt(limit),
       offset: parseInt(offset)
     });
@@ -355,12 +780,380 @@ const getMyProducts = async (req, res) => {
   }
 };
 
+/**
+ * Busca a variação de um produto
+ * @param {Object} params - Parâmetros da rota (id, variantId)
+ * @returns {Promise<Object|null>} - { product, variante } ou null
+ */
+const findVariant = async ({ id, variantId }) => {
+  const product = await Product.findByPk(id);
+  if (!product) {
+    return null;
+  }
+
+  const variante = await ProductVariant.findOne({
+    where: { id: variantId, productId: product.id, ativo: true }
+  });
+
+  return variante ? { product, variante } : null;
+};
+
+/**
+ * Adiciona uma variação (tamanho, embalagem) a um produto
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const createVariant = async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return notFound(res, 'Produto não encontrado');
+    }
+
+    if (!(await can(req.user, 'product:update', product))) {
+      return forbidden(res, 'Você só pode editar seus próprios produtos');
+    }
+
+    const variante = await ProductVariant.create({ ...pickVariantData(req.body), productId: product.id });
+
+    return success(res, { ...variante.toJSON(), precoFinal: variante.getPrecoFinal() }, 'Variação criada com sucesso', 201);
+
+  } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      return conflict(res, 'SKU já cadastrado em outra variação');
+    }
+    if (err.name === 'SequelizeValidationError') {
+      return validationError(res, err.errors.map(item => item.message));
+    }
+
+    console.error('Erro ao criar variação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Atualiza uma variação de produto
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateVariant = async (req, res) => {
+  try {
+    const found = await findVariant(req.params);
+    if (!found) {
+      return notFound(res, 'Variação não encontrada');
+    }
+
+    if (!(await can(req.user, 'product:update', found.product))) {
+      return forbidden(res, 'Você só pode editar seus próprios produtos');
+    }
+
+    const { variante } = found;
+    await variante.update(pickVariantData(req.body));
+
+    return success(res, { ...variante.toJSON(), precoFinal: variante.getPrecoFinal() }, 'Variação atualizada com sucesso');
+
+  } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      return conflict(res, 'SKU já cadastrado em outra variação');
+    }
+    if (err.name === 'SequelizeValidationError') {
+      return validationError(res, err.errors.map(item => item.message));
+    }
+
+    console.error('Erro ao atualizar variação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Atualiza apenas o estoque de uma variação
+ * Mesmas regras do estoque do produto (inclui a equipe do produtor)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateVariantStock = async (req, res) => {
+  try {
+    const { estoque } = req.body || {};
+
+    // Frações só nas unidades de peso e volume: a unidade é conferida pelo modelo
+    if (estoque === undefined || estoque === null || estoque === '' || isNaN(estoque) || Number(estoque) < 0) {
+      return validationError(res, ['Estoque deve ser um número não negativo']);
+    }
+
+    const found = await findVariant(req.params);
+    if (!found) {
+      return notFound(res, 'Variação não encontrada');
+    }
+
+    if (!(await can(req.user, 'product:stock', found.product))) {
+      return forbidden(res, 'Você não pode alterar o estoque deste produto');
+    }
+
+    await found.variante.update({ estoque: Number(estoque) });
+
+    return success(res, found.variante, 'Estoque atualizado com sucesso');
+
+  } catch (err) {
+    if (err.name === 'SequelizeValidationError') {
+      return validationError(res, err.errors.map(item => item.message));
+    }
+
+    console.error('Erro ao atualizar estoque da variação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Remove uma variação (soft delete, preservando o histórico dos pedidos)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const deleteVariant = async (req, res) => {
+  try {
+    const found = await findVariant(req.params);
+    if (!found) {
+      return notFound(res, 'Variação não encontrada');
+    }
+
+    if (!(await can(req.user, 'product:update', found.product))) {
+      return forbidden(res, 'Você só pode editar seus próprios produtos');
+    }
+
+    await found.variante.update({ ativo: false });
+
+    return success(res, null, 'Variação removida com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao remover variação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+// Imagens por produto
+const MAX_IMAGENS_PRODUTO = 10;
+
+/**
+ * Lista as imagens do produto na ordem da galeria
+ * @param {number} productId - ID do produto
+ * @param {Object} transaction - Transação em andamento (opcional)
+ * @returns {Promise<Array>} - Imagens
+ */
+const listImages = (productId, transaction) => ProductImage.findAll({
+  where: { productId },
+  order: [['ordem', 'ASC'], ['id', 'ASC']],
+  transaction
+});
+
+/**
+ * Define a capa do produto e copia a URL média para imagemUrl
+ * @param {Object} product - Produto
+ * @param {Object|null} imagem - Nova capa (null quando o produto ficou sem imagens)
+ * @param {Object} transaction - Transação em andamento
+ */
+const setCover = async (product, imagem, transaction) => {
+  await ProductImage.update({ capa: false }, { where: { productId: product.id }, transaction });
+
+  if (imagem) {
+    await imagem.update({ capa: true }, { transaction });
+  }
+
+  await product.update({ imagemUrl: imagem ? imagem.urlMedia : null }, { transaction });
+};
+
+/**
+ * Busca o produto e confere se o usuário pode editar suas imagens
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ * @returns {Promise<Object|null>} - Produto, ou null se a resposta de erro já foi enviada
+ */
+const findEditableProduct = async (req, res) => {
+  const product = await Product.findByPk(req.params.id);
+  if (!product) {
+    notFound(res, 'Produto não encontrado');
+    return null;
+  }
+
+  if (!(await can(req.user, 'product:update', product))) {
+    forbidden(res, 'Você só pode editar seus próprios produtos');
+    return null;
+  }
+
+  return product;
+};
+
+/**
+ * Envia imagens para a galeria do produto
+ * Cada arquivo vira miniatura, média e grande (WebP, sem EXIF); sem capa definida, a primeira enviada assume
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const uploadImages = async (req, res) => {
+  const gravadas = [];
+
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) {
+      return;
+    }
+
+    const existentes = await listImages(product.id);
+    if (existentes.length + req.files.length > MAX_IMAGENS_PRODUTO) {
+      return validationError(res, [
+        `Um produto pode ter no máximo ${MAX_IMAGENS_PRODUTO} imagens (já possui ${existentes.length})`
+      ]);
+    }
+
+    for (const arquivo of req.files) {
+      gravadas.push(await storeImage(arquivo.buffer, `produtos/${product.id}`));
+    }
+
+    const ultimaOrdem = existentes.reduce((maior, imagem) => Math.max(maior, imagem.ordem), -1);
+
+    await sequelize.transaction(async (transaction) => {
+      const novas = await ProductImage.bulkCreate(
+        gravadas.map((imagem, posicao) => ({ ...imagem, productId: product.id, ordem: ultimaOrdem + 1 + posicao })),
+        { transaction }
+      );
+
+      if (!existentes.some(imagem => imagem.capa)) {
+        await setCover(product, novas[0], transaction);
+      }
+    });
+
+    return success(res, await listImages(product.id), 'Imagens enviadas com sucesso', 201);
+
+  } catch (err) {
+    // Nada fica no armazenamento sem registro no banco
+    await Promise.all(gravadas.map(imagem => removeImage(imagem.chave).catch(() => {})));
+
+    if (err instanceof ImageError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao enviar imagens do produto:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Reordena a galeria do produto
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const reorderImages = async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) {
+      return;
+    }
+
+    const ordem = req.body.ordem.map(Number);
+    const imagens = await listImages(product.id);
+
+    const mesmasImagens = ordem.length === imagens.length
+      && imagens.every(imagem => ordem.includes(imagem.id));
+    if (!mesmasImagens) {
+      return validationError(res, ['Informe a nova ordem com todas as imagens do produto, sem repetir']);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const imagem of imagens) {
+        await imagem.update({ ordem: ordem.indexOf(imagem.id) }, { transaction });
+      }
+    });
+
+    return success(res, await listImages(product.id), 'Ordem das imagens atualizada com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao reordenar imagens do produto:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Escolhe a imagem de capa do produto
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const setCoverImage = async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) {
+      return;
+    }
+
+    const imagem = await ProductImage.findOne({ where: { id: req.params.imageId, productId: product.id } });
+    if (!imagem) {
+      return notFound(res, 'Imagem não encontrada');
+    }
+
+    await sequelize.transaction(transaction => setCover(product, imagem, transaction));
+
+    return success(res, await listImages(product.id), 'Capa do produto atualizada com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao definir capa do produto:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Remove uma imagem da galeria e apaga os arquivos
+ * Se era a capa, a próxima imagem da galeria assume
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const deleteImage = async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) {
+      return;
+    }
+
+    const imagem = await ProductImage.findOne({ where: { id: req.params.imageId, productId: product.id } });
+    if (!imagem) {
+      return notFound(res, 'Imagem não encontrada');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await imagem.destroy({ transaction });
+
+      if (imagem.capa) {
+        const [proxima] = await listImages(product.id, transaction);
+        await setCover(product, proxima || null, transaction);
+      }
+    });
+
+    await removeImage(imagem.chave);
+
+    return success(res, null, 'Imagem removida com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao remover imagem do produto:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
 module.exports = {
+  findProducts,
+  resolveNear,
   getProducts,
   getProductById,
+  getSeasonProducts,
+  updateSeasons,
+  updateCertifications,
   createProduct,
   updateProduct,
+  updateStock,
   deleteProduct,
-  getMyProducts
+  getMyProducts,
+  createVariant,
+  updateVariant,
+  updateVariantStock,
+  deleteVariant,
+  uploadImages,
+  reorderImages,
+  setCoverImage,
+  deleteImage
 };
 
@@ -0,0 +1,164 @@
+const { ProductImport } = require('../models');
+const { success, error, notFound, validationError, paginated } = require('../utils/response');
+const {
+  TIPOS_ARQUIVO,
+  ImportError,
+  startImport,
+  exportProducts: buildExport,
+  buildErrorReport
+} = require('../services/productImportService');
+
+/**
+ * Controller de Importação e Exportação de Produtos
+ * Cadastro em massa por planilha (CSV ou XLSX) com simulação e relatório de erros por linha
+ */
+
+/**
+ * Resumo de uma importação (os erros completos ficam no relatório e no detalhe)
+ * @param {Object} importacao - Registro da importação
+ * @returns {Object} - Dados da importação sem a lista de erros
+ */
+const toImportSummary = (importacao) => {
+  const { erros, ...dados } = importacao.toJSON();
+  return dados;
+};
+
+/**
+ * Exporta os produtos do produtor logado
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const exportProducts = async (req, res) => {
+  try {
+    const { formato = 'csv' } = req.query;
+
+    if (!TIPOS_ARQUIVO[formato]) {
+      return validationError(res, ['Formato deve ser "csv" ou "xlsx"']);
+    }
+
+    const { conteudo, contentType, nomeArquivo } = await buildExport(req.user.id, formato);
+
+    res.set('Content-Type', contentType);
+    res.attachment(nomeArquivo);
+    return res.send(conteudo);
+
+  } catch (err) {
+    console.error('Erro ao exportar produtos:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Importa uma planilha de produtos do produtor logado
+ * Responde 200 com o resultado quando processada na hora e 202 quando segue em segundo plano
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const importProducts = async (req, res) => {
+  try {
+    const simulacao = req.query.simulacao === 'true';
+
+    const { importacao, emSegundoPlano } = await startImport(req.user.id, req.file, { simulacao });
+
+    if (emSegundoPlano) {
+      return success(res, toImportSummary(importacao), 'Importação iniciada; acompanhe o andamento pelo ID', 202);
+    }
+
+    const mensagem = simulacao ? 'Simulação concluída; nenhum produto foi gravado' : 'Importação concluída';
+    return success(res, importacao, mensagem);
+
+  } catch (err) {
+    if (err instanceof ImportError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao importar produtos:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Lista as importações do produtor logado (mais recentes primeiro)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getImports = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const { count, rows } = await ProductImport.findAndCountAll({
+      where: { produtorId: req.user.id },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: (page - 1) * limit
+    });
+
+    return paginated(res, rows.map(toImportSummary), {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    });
+
+  } catch (err) {
+    console.error('Erro ao listar importações:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Obtém o andamento e os erros de uma importação
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getImportById = async (req, res) => {
+  try {
+    const importacao = await ProductImport.findOne({
+      where: { id: req.params.importId, produtorId: req.user.id }
+    });
+
+    if (!importacao) {
+      return notFound(res, 'Importação não encontrada');
+    }
+
+    return success(res, importacao, 'Importação recuperada com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao buscar importação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Baixa o relatório de erros de uma importação (CSV com linha, SKU e motivos)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const downloadImportErrors = async (req, res) => {
+  try {
+    const importacao = await ProductImport.findOne({
+      where: { id: req.params.importId, produtorId: req.user.id }
+    });
+
+    if (!importacao) {
+      return notFound(res, 'Importação não encontrada');
+    }
+
+    const conteudo = await buildErrorReport(importacao);
+
+    res.set('Content-Type', TIPOS_ARQUIVO.csv);
+    res.attachment(`importacao-${importacao.id}-erros.csv`);
+    return res.send(conteudo);
+
+  } catch (err) {
+    console.error('Erro ao gerar relatório de erros da importação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+module.exports = {
+  exportProducts,
+  importProducts,
+  getImports,
+  getImportById,
+  downloadImportErrors
+};
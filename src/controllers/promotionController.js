@@ -0,0 +1,176 @@
+const { Promotion, Product } = require('../models');
+const { success, error, notFound, forbidden, validationError } = require('../utils/response');
+const { PromotionTargetError, pickPromotionData, savePromotion, removePromotion } = require('../services/promotionService');
+
+/**
+ * Controller de Promoções
+ * Campanhas do produtor logado: para um produto dele ou para todos os seus produtos
+ * (campanhas por categoria ficam com a administração)
+ */
+
+/**
+ * Dados da campanha com a indicação de que está valendo agora
+ * @param {Object} promocao - Campanha
+ * @returns {Object}
+ */
+const toPromotionData = (promocao) => ({
+  ...promocao.toJSON(),
+  vigente: promocao.isVigente()
+});
+
+/**
+ * Campos enviados pelo produtor; a campanha por produtor vale sempre para ele mesmo
+ * @param {Object} req - Objeto de requisição
+ * @returns {Object}
+ */
+const pickProducerData = (req) => {
+  const { produtorId, categoryId, ...dados } = pickPromotionData(req.body || {});
+  if (dados.escopo === 'produtor') {
+    dados.produtorId = req.user.id;
+  }
+  return dados;
+};
+
+/**
+ * Erros de cadastro viram 404 (alvo inexistente) ou 400 (regras do modelo)
+ * @param {Object} res - Objeto de resposta
+ * @param {Error} err - Erro lançado ao salvar
+ * @returns {Object|null} - Resposta enviada, ou null se o erro não é de cadastro
+ */
+const handlePromotionError = (res, err) => {
+  if (err instanceof PromotionTargetError) {
+    return notFound(res, err.message);
+  }
+  if (err.name === 'SequelizeValidationError') {
+    return validationError(res, err.errors.map(item => item.message));
+  }
+  return null;
+};
+
+/**
+ * Busca uma campanha criada pelo produtor logado
+ * @param {Object} req - Objeto de requisição
+ * @returns {Promise<Object|null>}
+ */
+const findOwnPromotion = (req) => Promotion.findOne({
+  where: { id: req.params.id, criadoPorId: req.user.id }
+});
+
+/**
+ * Lista as campanhas do produtor logado
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getMyPromotions = async (req, res) => {
+  try {
+    const promocoes = await Promotion.findAll({
+      where: { criadoPorId: req.user.id },
+      include: [{
+        model: Product,
+        as: 'produto',
+        attributes: ['id', 'nome', 'unidadeMedida']
+      }],
+      order: [['inicioEm', 'DESC'], ['id', 'DESC']]
+    });
+
+    return success(res, promocoes.map(toPromotionData), 'Promoções recuperadas com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao listar promoções:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Cria uma campanha do produtor logado
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const createPromotion = async (req, res) => {
+  try {
+    const dados = pickProducerData(req);
+    if (dados.escopo === 'categoria') {
+      return forbidden(res, 'Promoções por categoria são criadas pela administração');
+    }
+
+    const promocao = await savePromotion(
+      Promotion.build({ criadoPorId: req.user.id }),
+      dados,
+      { dono: req.user.id }
+    );
+
+    return success(res, toPromotionData(promocao), 'Promoção criada com sucesso', 201);
+
+  } catch (err) {
+    if (handlePromotionError(res, err)) {
+      return;
+    }
+
+    console.error('Erro ao criar promoção:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Atualiza uma campanha do produtor logado (inclusive pausar com ativo=false)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updatePromotion = async (req, res) => {
+  try {
+    const dados = pickProducerData(req);
+    if (dados.escopo === 'categoria') {
+      return forbidden(res, 'Promoções por categoria são criadas pela administração');
+    }
+
+    const promocao = await findOwnPromotion(req);
+    if (!promocao) {
+      return notFound(res, 'Promoção não encontrada');
+    }
+
+    await savePromotion(promocao, dados, { dono: req.user.id });
+
+    return success(res, toPromotionData(promocao), 'Promoção atualizada com sucesso');
+
+  } catch (err) {
+    if (handlePromotionError(res, err)) {
+      return;
+    }
+
+    console.error('Erro ao atualizar promoção:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Remove uma campanha do produtor logado (se já foi aplicada em pedidos, só desativa)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const deletePromotion = async (req, res) => {
+  try {
+    const promocao = await findOwnPromotion(req);
+    if (!promocao) {
+      return notFound(res, 'Promoção não encontrada');
+    }
+
+    const removida = await removePromotion(promocao);
+
+    return success(
+      res,
+      null,
+      removida ? 'Promoção removida com sucesso' : 'Promoção já aplicada em pedidos foi desativada'
+    );
+
+  } catch (err) {
+    console.error('Erro ao remover promoção:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+module.exports = {
+  getMyPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+};
@@ -0,0 +1,257 @@
+const { Review, Product, User } = require('../models');
+const { success, error, notFound, forbidden, validationError, conflict, paginated } = require('../utils/response');
+const { can } = require('../services/permissionService');
+const { storeImage, removeImage, ImageError } = require('../services/imageService');
+const {
+  createReview: publishReview,
+  replyReview: publishReply,
+  reportReview: fileReport,
+  getRatingDistribution,
+  ReviewNotAllowedError,
+  ReviewConflictError
+} = require('../services/reviewService');
+
+/**
+ * Controller de Avaliações
+ * Consumidores avaliam o que receberam, produtores respondem e qualquer usuário pode denunciar
+ */
+
+// Fotos por avaliação
+const MAX_FOTOS_AVALIACAO = 5;
+
+// Ordenações da lista de avaliações de um produto
+const ORDENACOES = {
+  recentes: [['createdAt', 'DESC'], ['id', 'DESC']],
+  nota_alta: [['nota', 'DESC'], ['createdAt', 'DESC']],
+  nota_baixa: [['nota', 'ASC'], ['createdAt', 'DESC']]
+};
+
+/**
+ * Busca a avaliação e confere se o usuário é o autor
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ * @returns {Promise<Object|null>} - Avaliação, ou null se a resposta de erro já foi enviada
+ */
+const findOwnReview = async (req, res) => {
+  const review = await Review.findByPk(req.params.id);
+
+  if (!review || !(await can(req.user, 'review:write', review))) {
+    notFound(res, 'Avaliação não encontrada');
+    return null;
+  }
+
+  if (review.status === 'removida') {
+    forbidden(res, 'Esta avaliação foi removida pela moderação');
+    return null;
+  }
+
+  return review;
+};
+
+/**
+ * Lista as avaliações publicadas de um produto, com a distribuição das notas
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getProductReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, orderBy = 'recentes' } = req.query;
+
+    if (!ORDENACOES[orderBy]) {
+      return validationError(res, [`Ordenação deve ser uma de: ${Object.keys(ORDENACOES).join(', ')}`]);
+    }
+
+    const product = await Product.findOne({
+      where: { id: req.params.id, ativo: true },
+      attributes: ['id', 'notaMedia', 'totalAvaliacoes']
+    });
+    if (!product) {
+      return notFound(res, 'Produto não encontrado');
+    }
+
+    const { count, rows } = await Review.findAndCountAll({
+      where: { productId: product.id, status: 'publicada' },
+      attributes: { exclude: ['denuncias', 'moderadaEm', 'status'] },
+      include: [{ model: User, as: 'consumidor', attributes: ['id', 'nome'] }],
+      order: ORDENACOES[orderBy],
+      limit: parseInt(limit),
+      offset: (page - 1) * limit
+    });
+
+    return paginated(res, rows, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count
+    }, 'Avaliações recuperadas com sucesso', {
+      resumo: {
+        notaMedia: product.notaMedia === null ? null : Number(product.notaMedia),
+        totalAvaliacoes: product.totalAvaliacoes,
+        distribuicao: await getRatingDistribution(product.id)
+      }
+    });
+
+  } catch (err) {
+    console.error('Erro ao listar avaliações:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Avalia um item de um pedido entregue
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const createReview = async (req, res) => {
+  try {
+    const review = await publishReview(req.user, req.body);
+
+    return success(res, review, 'Avaliação publicada com sucesso', 201);
+
+  } catch (err) {
+    if (err instanceof ReviewNotAllowedError) {
+      return forbidden(res, err.message);
+    }
+    if (err instanceof ReviewConflictError) {
+      return conflict(res, err.message);
+    }
+
+    console.error('Erro ao criar avaliação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Edita a nota ou o comentário da própria avaliação
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const updateReview = async (req, res) => {
+  try {
+    const review = await findOwnReview(req, res);
+    if (!review) {
+      return;
+    }
+
+    const { nota, comentario } = req.body;
+    const updateData = {};
+    if (nota !== undefined) updateData.nota = nota;
+    if (comentario !== undefined) updateData.comentario = comentario || null;
+
+    await review.update(updateData);
+
+    return success(res, review, 'Avaliação atualizada com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao atualizar avaliação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Envia fotos para a própria avaliação
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const uploadReviewPhotos = async (req, res) => {
+  const gravadas = [];
+
+  try {
+    const review = await findOwnReview(req, res);
+    if (!review) {
+      return;
+    }
+
+    const fotos = review.fotos || [];
+    if (fotos.length + req.files.length > MAX_FOTOS_AVALIACAO) {
+      return validationError(res, [`A avaliação pode ter no máximo ${MAX_FOTOS_AVALIACAO} fotos (já possui ${fotos.length})`]);
+    }
+
+    for (const arquivo of req.files) {
+      gravadas.push(await storeImage(arquivo.buffer, `avaliacoes/${review.id}`));
+    }
+
+    await review.update({ fotos: [...fotos, ...gravadas.map(foto => foto.urlGrande)] });
+
+    return success(res, review, 'Fotos enviadas com sucesso', 201);
+
+  } catch (err) {
+    await Promise.all(gravadas.map(foto => removeImage(foto.chave).catch(() => {})));
+
+    if (err instanceof ImageError) {
+      return validationError(res, [err.message]);
+    }
+
+    console.error('Erro ao enviar fotos da avaliação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Responde publicamente a uma avaliação de um produto seu
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const replyReview = async (req, res) => {
+  try {
+    const review = await Review.findByPk(req.params.id, {
+      include: [{ model: Product, as: 'produto' }]
+    });
+
+    if (!review || review.status === 'removida') {
+      return notFound(res, 'Avaliação não encontrada');
+    }
+
+    if (!(await can(req.user, 'review:reply', review.produto))) {
+      return forbidden(res, 'Você só pode responder avaliações dos seus produtos');
+    }
+
+    await publishReply(review, req.body.resposta);
+
+    const { produto, ...dados } = review.toJSON();
+    return success(res, dados, 'Resposta publicada com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao responder avaliação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Denuncia uma avaliação (conteúdo ofensivo, falso ou fora do tema)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const reportReview = async (req, res) => {
+  try {
+    const review = await Review.findByPk(req.params.id);
+
+    if (!review || review.status === 'removida') {
+      return notFound(res, 'Avaliação não encontrada');
+    }
+
+    if (review.consumidorId === req.user.id) {
+      return validationError(res, ['Você não pode denunciar a própria avaliação']);
+    }
+
+    await fileReport(review, req.user, req.body.motivo);
+
+    return success(res, null, 'Denúncia registrada; a avaliação será analisada pela moderação', 201);
+
+  } catch (err) {
+    if (err instanceof ReviewConflictError) {
+      return conflict(res, err.message);
+    }
+
+    console.error('Erro ao denunciar avaliação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  updateReview,
+  uploadReviewPhotos,
+  replyReview,
+  reportReview
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { StaffMember, User } = require('../models');
+const { sequelize } = require('../config/database');
+const mailer = require('../services/mailer');
+const emailTemplates = require('../services/emailTemplates');
+const accountTokenService = require('../services/accountTokenService');
+const { PERMISSOES_EQUIPE } = require('../services/permissionService');
+const { success, error, notFound, validationError, conflict } = require('../utils/response');
+
+/**
+ * Controller da Equipe
+ * Produtores convidam familiares e funcionários para atualizar pedidos e estoque;
+ * a equipe não altera preços nem vê os valores das vendas
+ */
+
+/**
+ * Lista a equipe do produtor logado
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getStaff = async (req, res) => {
+  try {
+    const equipe = await StaffMember.findAll({
+      where: { produtorId: req.user.id },
+      include: [{ model: User, as: 'usuario', attributes: ['id', 'nome', 'email', 'telefone', 'emailVerificado'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    return success(res, { permissoes: PERMISSOES_EQUIPE, equipe }, 'Equipe recuperada com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao listar equipe:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Convida alguém para a equipe pelo email
+ * Quem já tem conta entra na equipe na hora; para os demais é criada uma conta
+ * e enviado um convite para definir a senha
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const inviteStaff = async (req, res) => {
+  try {
+    const email = String(req.body.email).trim().toLowerCase();
+    const nome = req.body.nome ? String(req.body.nome).trim() : null;
+
+    if (email === req.user.email) {
+      return validationError(res, ['Você não pode convidar a si mesmo']);
+    }
+
+    let user = await User.findOne({ where: { email } });
+
+    if (user && !user.ativo) {
+      return validationError(res, ['Esta conta está desativada']);
+    }
+
+    if (user && await StaffMember.findOne({ where: { produtorId: req.user.id, userId: user.id } })) {
+      return conflict(res, 'Esta pessoa já faz parte da sua equipe');
+    }
+
+    if (!user && !nome) {
+      return validationError(res, ['Nome é obrigatório para convidar quem ainda não tem conta']);
+    }
+
+    const novaConta = !user;
+    const membro = await sequelize.transaction(async (transaction) => {
+      if (novaConta) {
+        // A senha aleatória nunca é informada: o convidado define a sua ao aceitar o convite
+        user = await User.create({
+          nome,
+          email,
+          senha: crypto.randomBytes(24).toString('hex'),
+          tipo: 'consumidor'
+        }, { transaction });
+      }
+
+      return StaffMember.create({ produtorId: req.user.id, userId: user.id }, { transaction });
+    });
+
+    // Falha no envio não desfaz o convite; a senha também pode ser criada por "esqueci a senha"
+    try {
+      if (novaConta) {
+        await accountTokenService.sendStaffInvitationEmail(user, req.user);
+      } else {
+        await mailer.sendMail({ to: user.email, ...emailTemplates.equipeAdicionada(user, req.user) });
+      }
+    } catch (mailErr) {
+      console.error('Erro ao enviar convite da equipe:', mailErr);
+    }
+
+    return success(res, {
+      ...membro.toJSON(),
+      usuario: { id: user.id, nome: user.nome, email: user.email }
+    }, novaConta ? 'Convite enviado com sucesso' : 'Membro adicionado à equipe', 201);
+
+  } catch (err) {
+    console.error('Erro ao convidar para a equipe:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Remove alguém da equipe do produtor logado
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const removeStaff = async (req, res) => {
+  try {
+    const membro = await StaffMember.findOne({
+      where: { produtorId: req.user.id, userId: req.params.userId }
+    });
+
+    if (!membro) {
+      return notFound(res, 'Membro da equipe não encontrado');
+    }
+
+    await membro.destroy();
+
+    return success(res, null, 'Membro removido da equipe');
+
+  } catch (err) {
+    console.error('Erro ao remover membro da equipe:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Lista os produtores para quem o usuário logado trabalha
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getEmployers = async (req, res) => {
+  try {
+    const vinculos = await StaffMember.findAll({
+      where: { userId: req.user.id },
+      include: [{ model: User, as: 'produtor', attributes: ['id', 'nome', 'telefone'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    return success(res, vinculos.map(vinculo => vinculo.produtor), 'Produtores recuperados com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao listar produtores da equipe:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Sai da equipe de um produtor
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const leaveEmployer = async (req, res) => {
+  try {
+    const vinculo = await StaffMember.findOne({
+      where: { produtorId: req.params.produtorId, userId: req.user.id }
+    });
+
+    if (!vinculo) {
+      return notFound(res, 'Você não faz parte da equipe deste produtor');
+    }
+
+    await vinculo.destroy();
+
+    return success(res, null, 'Você saiu da equipe');
+
+  } catch (err) {
+    console.error('Erro ao sair da equipe:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+module.exports = {
+  getStaff,
+  inviteStaff,
+  removeStaff,
+  getEmployers,
+  leaveEmployer
+};
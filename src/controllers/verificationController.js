@@ -0,0 +1,52 @@
+const verificationService = require('../services/producerVerificationService');
+const { success, error, validationError, conflict } = require('../utils/response');
+
+/**
+ * Controller de Verificação de Produtores
+ * Envio de CPF/CNPJ, DAP/CAF e comprovantes pelo próprio produtor
+ */
+
+/**
+ * Obtém a situação da verificação do produtor logado
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const getMyVerification = async (req, res) => {
+  try {
+    const producer = await verificationService.getVerification(req.user.id);
+
+    return success(res, producer, 'Verificação recuperada com sucesso');
+
+  } catch (err) {
+    console.error('Erro ao buscar verificação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+/**
+ * Envia os dados de verificação para análise
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ */
+const submitVerification = async (req, res) => {
+  try {
+    const producer = await verificationService.submitVerification(req.user, req.body);
+
+    return success(res, producer, 'Documentos enviados para análise');
+
+  } catch (err) {
+    if (err instanceof verificationService.VerificationError) {
+      return validationError(res, err.errors);
+    }
+    if (err instanceof verificationService.DocumentConflictError) {
+      return conflict(res, err.message);
+    }
+    console.error('Erro ao enviar verificação:', err);
+    return error(res, 'Erro interno do servidor');
+  }
+};
+
+module.exports = {
+  getMyVerification,
+  submitVerification
+};
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+const { sequelize } = require('../config/database');
+const { getMigrator, getSeeder } = require('./index');
+
+/**
+ * Linha de comando para migrações e seeds
+ * Uso: node src/database/cli.js <comando> [--step N] [--to ARQUIVO] [--all]
+ *
+ * Comandos:
+ *   migrate           Aplica as migrações pendentes
+ *   migrate:undo      Reverte a última migração (ou --step N, --to ARQUIVO, --all)
+ *   migrate:status    Lista migrações executadas e pendentes
+ *   seed              Aplica os seeds pendentes do ambiente atual
+ *   seed:undo         Reverte o último seed (ou --step N, --to ARQUIVO, --all)
+ *   seed:status       Lista seeds executados e pendentes
+ *   unlock            Libera travas deixadas por um processo interrompido
+ *   admin:promote     Promove a administrador o usuário com o email informado
+ *   search:reindex    Reconstrói o índice de busca de produtos
+ *   cep:import        Carrega a tabela de coordenadas por CEP de um CSV
+ *                     (colunas cep, latitude, longitude e, opcionalmente, cidade e estado)
+ *   season:refresh    Recalcula a disponibilidade sazonal dos produtos (para agendar no cron)
+ *   certifications:check
+ *                     Avisa vencimentos e expira as certificações vencidas (para agendar no cron)
+ */
+
+/**
+ * Lê as opções da linha de comando
+ * @param {Array} args - Argumentos após o comando
+ * @returns {Object} - { step, to, all }
+ */
+const parseArgs = (args) => {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--step') options.step = parseInt(args[++i], 10);
+    else if (args[i] === '--to') options.to = args[++i];
+    else if (args[i] === '--all') options.step = Infinity;
+  }
+
+  return options;
+};
+
+/**
+ * Exibe o status de um executor
+ * @param {string} titulo - Nome exibido
+ * @param {Object} runner - Migrator ou seeder
+ */
+const printStatus = async (titulo, runner) => {
+  const { executed, pending, locked } = await runner.status();
+
+  console.log(`\n${titulo}`);
+  executed.forEach(name => console.log(`  ✅ ${name}`));
+  pending.forEach(name => console.log(`  ⏳ ${name}`));
+
+  if (executed.length === 0 && pending.length === 0) {
+    console.log('  (nenhum arquivo)');
+  }
+
+  if (locked) {
+    console.log(`  🔒 Travado por ${locked.lockedBy} desde ${new Date(locked.lockedAt).toISOString()}`);
+  }
+};
+
+/**
+ * Promove um usuário existente a administrador
+ * @param {string} email - Email do usuário
+ */
+const promoteAdmin = async (email) => {
+  // Carregado sob demanda para não exigir os modelos nos comandos de migração
+  const { User } = require('../models');
+
+  if (!email) {
+    throw new Error('Informe o email: admin:promote <email>');
+  }
+
+  const user = await User.findOne({ where: { email: email.toLowerCase() } });
+  if (!user) {
+    throw new Error(`Usuário ${email} não encontrado`);
+  }
+
+  await user.update({ papeis: [...user.papeis, 'admin'] });
+  console.log(`👑 ${user.email} agora é administrador`);
+};
+
+/**
+ * Reconstrói o índice de busca (após cargas feitas direto no banco)
+ */
+const reindexSearch = async () => {
+  const { indexProducts, pruneSearchIndex } = require('../services/searchService');
+
+  await indexProducts(null);
+  await pruneSearchIndex();
+  console.log('🔎 Índice de busca reconstruído');
+};
+
+/**
+ * Importa a tabela offline de CEPs
+ * @param {string} arquivo - Caminho do CSV
+ */
+const importCeps = async (arquivo) => {
+  const fs = require('fs');
+  const { importCepCsv } = require('../services/geoService');
+
+  if (!arquivo) {
+    throw new Error('Informe o arquivo: cep:import <arquivo.csv>');
+  }
+
+  const { importados, ignorados } = await importCepCsv(fs.readFileSync(arquivo, 'utf8'));
+  console.log(`📍 ${importados} CEPs importados${ignorados ? `, ${ignorados} linhas ignoradas` : ''}`);
+};
+
+/**
+ * Recalcula a disponibilidade sazonal dos produtos
+ */
+const refreshSeasons = async () => {
+  const { refreshAvailability } = require('../services/seasonService');
+
+  const { atualizados, itensRemovidos } = await refreshAvailability();
+  console.log(`🌱 ${atualizados} produtos atualizados, ${itensRemovidos} itens removidos de carrinhos`);
+};
+
+/**
+ * Verifica o vencimento das certificações dos produtores
+ */
+const checkCertifications = async () => {
+  const { checkExpirations } = require('../services/certificationService');
+
+  const { avisadas, expiradas } = await checkExpirations();
+  console.log(`📜 ${avisadas} avisos de vencimento enviados, ${expiradas} certificações expiradas`);
+};
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseArgs(args);
+
+  switch (command) {
+    case 'migrate':
+      await getMigrator().up(options);
+      break;
+    case 'migrate:undo':
+      await getMigrator().down(options);
+      break;
+    case 'migrate:status':
+      await printStatus('Migrações', getMigrator());
+      break;
+    case 'seed':
+      await getSeeder().up(options);
+      break;
+    case 'seed:undo':
+      await getSeeder().down(options);
+      break;
+    case 'seed:status':
+      await printStatus('Seeds', getSeeder());
+      break;
+    case 'unlock':
+      await getMigrator().unlock();
+      await getSeeder().unlock();
+      console.log('🔓 Travas liberadas');
+      break;
+    case 'admin:promote':
+      await promoteAdmin(args[0]);
+      break;
+    case 'search:reindex':
+      await reindexSearch();
+      break;
+    case 'cep:import':
+      await importCeps(args[0]);
+      break;
+    case 'season:refresh':
+      await refreshSeasons();
+      break;
+    case 'certifications:check':
+      await checkCertifications();
+      break;
+    default:
+      console.error(`Comando desconhecido: ${command || '(vazio)'}`);
+      console.error('Comandos: migrate, migrate:undo, migrate:status, seed, seed:undo, seed:status, unlock, admin:promote, search:reindex, cep:import, season:refresh, certifications:check');
+      process.exitCode = 1;
+  }
+};
+
+run()
+  .catch((err) => {
+    console.error('❌', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,66 @@
+const path = require('path');
+const config = require('../config');
+const { sequelize } = require('../config/database');
+const { createMigrator } = require('./migrator');
+
+/**
+ * Migrações e seeds da aplicação
+ * Migrações valem para todos os ambientes; seeds declaram em `environments`
+ * onde devem rodar (ex.: dados de demonstração só em desenvolvimento).
+ */
+
+/**
+ * Executor das migrações de schema
+ * @param {Sequelize} db - Conexão (padrão: conexão da aplicação)
+ * @returns {Object} - Executor de migrações
+ */
+const getMigrator = (db = sequelize) => createMigrator({
+  sequelize: db,
+  directory: path.join(__dirname, 'migrations'),
+  tableName: 'schema_migrations'
+});
+
+/**
+ * Executor dos seeds do ambiente
+ * @param {Sequelize} db - Conexão (padrão: conexão da aplicação)
+ * @param {string} environment - Ambiente cujos seeds serão considerados
+ * @returns {Object} - Executor de seeds
+ */
+const getSeeder = (db = sequelize, environment = config.env) => createMigrator({
+  sequelize: db,
+  directory: path.join(__dirname, 'seeders'),
+  tableName: 'schema_seeds',
+  context: { environment },
+  filter: (seed) => !seed.environments || seed.environments.includes(environment)
+});
+
+/**
+ * Aplica todas as migrações pendentes
+ * @returns {Promise<Array>} - Migrações aplicadas
+ */
+const runMigrations = async () => {
+  const applied = await getMigrator().up();
+  console.log(applied.length > 0
+    ? `✅ ${applied.length} migração(ões) aplicada(s).`
+    : '✅ Banco de dados já está na versão mais recente.');
+  return applied;
+};
+
+/**
+ * Aplica os seeds pendentes do ambiente atual
+ * @returns {Promise<Array>} - Seeds aplicados
+ */
+const runSeeders = async () => {
+  const applied = await getSeeder().up();
+  if (applied.length > 0) {
+    console.log(`🌱 ${applied.length} seed(s) aplicado(s).`);
+  }
+  return applied;
+};
+
+module.exports = {
+  getMigrator,
+  getSeeder,
+  runMigrations,
+  runSeeders
+};
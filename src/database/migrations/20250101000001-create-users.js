@@ -0,0 +1,56 @@
+/**
+ * Cria a tabela de usuários (consumidores e produtores)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('users', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      nome: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      email: {
+        type: Sequelize.STRING(150),
+        allowNull: false,
+        unique: true
+      },
+      senha: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      tipo: {
+        type: Sequelize.ENUM('consumidor', 'produtor'),
+        allowNull: false,
+        defaultValue: 'consumidor'
+      },
+      telefone: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      ativo: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('users');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_tipo";');
+    }
+  }
+};
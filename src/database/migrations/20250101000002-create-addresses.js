@@ -0,0 +1,71 @@
+/**
+ * Cria a tabela de endereços dos usuários
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('addresses', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      rua: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      numero: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      complemento: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      bairro: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      cidade: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      estado: {
+        type: Sequelize.STRING(2),
+        allowNull: false
+      },
+      cep: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      principal: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('addresses', ['userId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('addresses');
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Cria a tabela de categorias de produtos
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('categories', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      nome: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      descricao: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      icone: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      ativo: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('categories');
+  }
+};
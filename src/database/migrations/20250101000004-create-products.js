@@ -0,0 +1,91 @@
+/**
+ * Cria a tabela de produtos
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('products', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      nome: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      descricao: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      preco: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      unidadeMedida: {
+        type: Sequelize.ENUM('kg', 'g', 'unidade', 'litro', 'ml', 'pacote', 'caixa'),
+        allowNull: false,
+        defaultValue: 'kg'
+      },
+      estoque: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      imagemUrl: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      categoryId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      produtorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      ativo: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      promocao: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      percentualDesconto: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('products', ['categoryId']);
+    await queryInterface.addIndex('products', ['produtorId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('products');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_products_unidadeMedida";');
+    }
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * Cria a tabela de pedidos
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('orders', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      consumidorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pendente', 'confirmado', 'preparando', 'enviado', 'entregue', 'cancelado'),
+        allowNull: false,
+        defaultValue: 'pendente'
+      },
+      valorTotal: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      enderecoEntrega: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Cópia do endereço no momento do pedido'
+      },
+      observacoes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      dataEntregaPrevista: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      dataEntregaRealizada: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('orders', ['consumidorId']);
+    await queryInterface.addIndex('orders', ['status']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('orders');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_orders_status";');
+    }
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Cria a tabela de refresh tokens (armazenados como hash, agrupados por família/sessão)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('refresh_tokens', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      jti: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        unique: true
+      },
+      family: {
+        type: Sequelize.STRING(36),
+        allowNull: false
+      },
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revokedReason: {
+        type: Sequelize.ENUM('rotacionado', 'logout', 'logout_all', 'reutilizado'),
+        allowNull: true
+      },
+      replacedBy: {
+        type: Sequelize.STRING(36),
+        allowNull: true
+      },
+      userAgent: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('refresh_tokens', ['family']);
+    await queryInterface.addIndex('refresh_tokens', ['userId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('refresh_tokens');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_refresh_tokens_revokedReason";');
+    }
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * Cria a lista de bloqueio de tokens de acesso revogados
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('revoked_tokens', {
+      jti: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('revoked_tokens', ['expiresAt']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('revoked_tokens');
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Adiciona a verificação de email aos usuários
+ * Contas existentes são consideradas verificadas para não bloquear quem já compra na plataforma
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'emailVerificado', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('users', 'emailVerificadoEm', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.bulkUpdate('users', { emailVerificado: true }, {});
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('users', 'emailVerificadoEm');
+    await queryInterface.removeColumn('users', 'emailVerificado');
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Adiciona o papel 'admin' ao tipo de usuário
+ * No SQLite o ENUM é um TEXT comum; só o PostgreSQL precisa alterar o tipo
+ */
+module.exports = {
+  up: async (queryInterface) => {
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query(`ALTER TYPE "enum_users_tipo" ADD VALUE IF NOT EXISTS 'admin';`);
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.bulkUpdate('users', { tipo: 'consumidor' }, { tipo: 'admin' });
+
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      // O PostgreSQL não remove valores de um ENUM: recria o tipo sem 'admin'
+      await queryInterface.sequelize.query(`
+        ALTER TABLE "users" ALTER COLUMN "tipo" DROP DEFAULT;
+        ALTER TYPE "enum_users_tipo" RENAME TO "enum_users_tipo_old";
+        CREATE TYPE "enum_users_tipo" AS ENUM ('consumidor', 'produtor');
+        ALTER TABLE "users" ALTER COLUMN "tipo" TYPE "enum_users_tipo" USING "tipo"::text::"enum_users_tipo";
+        ALTER TABLE "users" ALTER COLUMN "tipo" SET DEFAULT 'consumidor';
+        DROP TYPE "enum_users_tipo_old";
+      `);
+    }
+  }
+};
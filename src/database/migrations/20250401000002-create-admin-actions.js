@@ -0,0 +1,56 @@
+/**
+ * Cria o registro de auditoria das ações administrativas
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('admin_actions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      adminId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      acao: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      entidade: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      entidadeId: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      motivo: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      detalhes: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('admin_actions', ['entidade', 'entidadeId']);
+    await queryInterface.addIndex('admin_actions', ['adminId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('admin_actions');
+  }
+};
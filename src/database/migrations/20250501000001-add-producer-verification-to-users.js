@@ -0,0 +1,79 @@
+/**
+ * Adiciona a verificação de agricultor familiar aos usuários
+ * Produtores já cadastrados ficam como 'nao_enviado': os produtos publicados continuam
+ * no ar, mas novos produtos só depois de enviar CPF/CNPJ e DAP/CAF e ser aprovado
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'documento', {
+      type: Sequelize.STRING(14),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'tipoDocumento', {
+      type: Sequelize.ENUM('cpf', 'cnpj'),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'dapCaf', {
+      type: Sequelize.STRING(30),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'statusVerificacao', {
+      type: Sequelize.ENUM('nao_enviado', 'pendente', 'aprovado', 'rejeitado'),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'motivoRejeicao', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'verificacaoEnviadaEm', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'verificadoEm', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'verificadoPorId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // O SQLite não aceita UNIQUE em ADD COLUMN; o índice único funciona nos dois bancos
+    await queryInterface.addIndex('users', ['documento'], { unique: true, name: 'users_documento_unique' });
+    await queryInterface.addIndex('users', ['statusVerificacao']);
+
+    await queryInterface.bulkUpdate('users', { statusVerificacao: 'nao_enviado' }, { tipo: 'produtor' });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('users', ['statusVerificacao']);
+    await queryInterface.removeIndex('users', 'users_documento_unique');
+
+    await queryInterface.removeColumn('users', 'verificadoPorId');
+    await queryInterface.removeColumn('users', 'verificadoEm');
+    await queryInterface.removeColumn('users', 'verificacaoEnviadaEm');
+    await queryInterface.removeColumn('users', 'motivoRejeicao');
+    await queryInterface.removeColumn('users', 'statusVerificacao');
+    await queryInterface.removeColumn('users', 'dapCaf');
+    await queryInterface.removeColumn('users', 'tipoDocumento');
+    await queryInterface.removeColumn('users', 'documento');
+
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_statusVerificacao";');
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_tipoDocumento";');
+    }
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * Cria a tabela de documentos enviados na verificação de produtores
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('verification_documents', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      tipo: {
+        type: Sequelize.ENUM('dap_caf', 'identidade', 'comprovante_endereco', 'outro'),
+        allowNull: false
+      },
+      nome: {
+        type: Sequelize.STRING(150),
+        allowNull: true
+      },
+      url: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('verification_documents', ['userId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('verification_documents');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_verification_documents_tipo";');
+    }
+  }
+};
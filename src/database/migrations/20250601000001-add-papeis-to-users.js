@@ -0,0 +1,21 @@
+/**
+ * Adiciona o conjunto de papéis aos usuários
+ * Cada conta recebe o papel do seu tipo atual; a partir daí pode acumular
+ * consumidor e produtor. A obrigatoriedade é garantida pelo modelo.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'papeis', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    for (const tipo of ['consumidor', 'produtor', 'admin']) {
+      await queryInterface.bulkUpdate('users', { papeis: JSON.stringify([tipo]) }, { tipo });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('users', 'papeis');
+  }
+};
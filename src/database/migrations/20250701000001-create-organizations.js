@@ -0,0 +1,59 @@
+/**
+ * Cria a tabela de organizações (cooperativas e associações)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('organizations', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      nome: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      tipo: {
+        type: Sequelize.ENUM('cooperativa', 'associacao'),
+        allowNull: false
+      },
+      cnpj: {
+        type: Sequelize.STRING(14),
+        allowNull: true,
+        unique: true
+      },
+      descricao: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      cidade: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      estado: {
+        type: Sequelize.STRING(2),
+        allowNull: true
+      },
+      ativo: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('organizations');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_organizations_tipo";');
+    }
+  }
+};
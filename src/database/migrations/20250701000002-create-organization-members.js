@@ -0,0 +1,58 @@
+/**
+ * Cria a tabela de membros das organizações
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('organization_members', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      organizationId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      papel: {
+        type: Sequelize.ENUM('dono', 'gestor', 'membro'),
+        allowNull: false,
+        defaultValue: 'membro'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('organization_members', ['organizationId', 'userId'], { unique: true });
+    await queryInterface.addIndex('organization_members', ['userId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('organization_members');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_organization_members_papel";');
+    }
+  }
+};
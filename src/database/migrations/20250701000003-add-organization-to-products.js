@@ -0,0 +1,24 @@
+/**
+ * Permite que um produto pertença a uma organização, mantendo o produtor como autor
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('products', 'organizationId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('products', ['organizationId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('products', ['organizationId']);
+    await queryInterface.removeColumn('products', 'organizationId');
+  }
+};
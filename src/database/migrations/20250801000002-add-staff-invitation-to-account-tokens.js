@@ -0,0 +1,25 @@
+/**
+ * Adiciona o tipo 'convite_equipe' aos tokens de conta
+ * No SQLite o ENUM é um TEXT comum; só o PostgreSQL precisa alterar o tipo
+ */
+module.exports = {
+  up: async (queryInterface) => {
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query(`ALTER TYPE "enum_account_tokens_tipo" ADD VALUE IF NOT EXISTS 'convite_equipe';`);
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.bulkDelete('account_tokens', { tipo: 'convite_equipe' });
+
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      // O PostgreSQL não remove valores de um ENUM: recria o tipo sem 'convite_equipe'
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_account_tokens_tipo" RENAME TO "enum_account_tokens_tipo_old";
+        CREATE TYPE "enum_account_tokens_tipo" AS ENUM ('reset_senha', 'verificacao_email');
+        ALTER TABLE "account_tokens" ALTER COLUMN "tipo" TYPE "enum_account_tokens_tipo" USING "tipo"::text::"enum_account_tokens_tipo";
+        DROP TYPE "enum_account_tokens_tipo_old";
+      `);
+    }
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * Cria a tabela de perfis públicos dos produtores
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('producer_profiles', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      nomePropriedade: {
+        type: Sequelize.STRING(120),
+        allowNull: false
+      },
+      historia: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      cidade: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      estado: {
+        type: Sequelize.STRING(2),
+        allowNull: true
+      },
+      fotos: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      praticas: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      certificacoes: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      areaEntrega: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      cidadesEntrega: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('producer_profiles', ['estado', 'cidade']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('producer_profiles');
+  }
+};
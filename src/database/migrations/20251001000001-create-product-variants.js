@@ -0,0 +1,77 @@
+/**
+ * Cria a tabela de variações de produto (preço, unidade e estoque próprios)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('product_variants', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      nome: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      unidadeMedida: {
+        type: Sequelize.ENUM('kg', 'g', 'unidade', 'litro', 'ml', 'pacote', 'caixa'),
+        allowNull: false,
+        defaultValue: 'unidade'
+      },
+      preco: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      estoque: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      sku: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        unique: true
+      },
+      promocao: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      percentualDesconto: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      ativo: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('product_variants', ['productId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('product_variants');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_product_variants_unidadeMedida";');
+    }
+  }
+};
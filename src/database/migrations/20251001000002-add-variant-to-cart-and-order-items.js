@@ -0,0 +1,47 @@
+/**
+ * Itens do carrinho e do pedido passam a apontar para a variação escolhida
+ * O pedido guarda também o rótulo da variação no momento da compra
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const variantId = {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'product_variants',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    };
+
+    await queryInterface.addColumn('cart_items', 'variantId', variantId);
+    await queryInterface.addColumn('order_items', 'variantId', variantId);
+    await queryInterface.addColumn('order_items', 'nomeVariante', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+
+    // O mesmo produto pode estar no carrinho em variações diferentes
+    await queryInterface.removeIndex('cart_items', 'cart_items_cart_id_product_id');
+    await queryInterface.addIndex('cart_items', ['cartId', 'productId', 'variantId'], {
+      unique: true,
+      name: 'cart_items_cart_id_product_id_variant_id'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // Sem a coluna, itens de variações diferentes do mesmo produto violariam o índice antigo
+    await queryInterface.removeIndex('cart_items', 'cart_items_cart_id_product_id_variant_id');
+    await queryInterface.bulkDelete('cart_items', { variantId: { [Sequelize.Op.ne]: null } });
+
+    await queryInterface.removeColumn('order_items', 'nomeVariante');
+    await queryInterface.removeColumn('order_items', 'variantId');
+    await queryInterface.removeColumn('cart_items', 'variantId');
+
+    await queryInterface.addIndex('cart_items', ['cartId', 'productId'], {
+      unique: true,
+      name: 'cart_items_cart_id_product_id'
+    });
+  }
+};
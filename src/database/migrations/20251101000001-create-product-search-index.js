@@ -0,0 +1,18 @@
+const { ensureSearchIndex, dropSearchIndex, indexProducts } = require('../../services/searchService');
+
+/**
+ * Cria o índice de busca textual de produtos e indexa os produtos existentes
+ * SQLite: tabela virtual FTS5; PostgreSQL: tsvector com a extensão unaccent
+ */
+module.exports = {
+  up: async (queryInterface) => {
+    const db = queryInterface.sequelize;
+
+    await ensureSearchIndex(db);
+    await indexProducts(null, { db });
+  },
+
+  down: async (queryInterface) => {
+    await dropSearchIndex(queryInterface.sequelize);
+  }
+};
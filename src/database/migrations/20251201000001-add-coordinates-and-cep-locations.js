@@ -0,0 +1,49 @@
+/**
+ * Coordenadas em endereços e perfis de produtores e tabela offline de CEPs
+ * usadas para calcular a distância entre consumidor e propriedade
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const coordenada = {
+      type: Sequelize.DECIMAL(10, 7),
+      allowNull: true
+    };
+
+    await queryInterface.addColumn('addresses', 'latitude', coordenada);
+    await queryInterface.addColumn('addresses', 'longitude', coordenada);
+    await queryInterface.addColumn('producer_profiles', 'latitude', coordenada);
+    await queryInterface.addColumn('producer_profiles', 'longitude', coordenada);
+
+    await queryInterface.createTable('cep_locations', {
+      cep: {
+        type: Sequelize.STRING(8),
+        primaryKey: true,
+        allowNull: false
+      },
+      latitude: {
+        type: Sequelize.DECIMAL(10, 7),
+        allowNull: false
+      },
+      longitude: {
+        type: Sequelize.DECIMAL(10, 7),
+        allowNull: false
+      },
+      cidade: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      estado: {
+        type: Sequelize.STRING(2),
+        allowNull: true
+      }
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('cep_locations');
+    await queryInterface.removeColumn('producer_profiles', 'longitude');
+    await queryInterface.removeColumn('producer_profiles', 'latitude');
+    await queryInterface.removeColumn('addresses', 'longitude');
+    await queryInterface.removeColumn('addresses', 'latitude');
+  }
+};
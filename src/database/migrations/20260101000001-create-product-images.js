@@ -0,0 +1,73 @@
+/**
+ * Cria a tabela de imagens de produto (galeria ordenada com capa)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('product_images', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      chave: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      urlMiniatura: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      urlMedia: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      urlGrande: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      largura: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      altura: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      ordem: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      capa: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('product_images', ['productId', 'ordem']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('product_images');
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Cria as janelas de safra dos produtos e a disponibilidade calculada a partir delas
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('product_seasons', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      mesInicio: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      mesFim: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      dataInicio: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      dataFim: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('product_seasons', ['productId']);
+
+    await queryInterface.addColumn('products', 'disponibilidade', {
+      type: Sequelize.ENUM('disponivel', 'em_breve', 'fora_de_safra'),
+      allowNull: false,
+      defaultValue: 'disponivel'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('products', 'disponibilidade');
+    await queryInterface.dropTable('product_seasons');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_products_disponibilidade";');
+    }
+  }
+};
@@ -0,0 +1,117 @@
+/**
+ * Pré-venda: colheitas futuras publicadas pelo produtor e reservas nos carrinhos e pedidos
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('harvests', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      quantidadePrevista: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      quantidadeReservada: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      quantidadeColhida: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      dataColheita: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      dataEntrega: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('aberta', 'encerrada', 'colhida'),
+        allowNull: false,
+        defaultValue: 'aberta'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('harvests', ['productId']);
+
+    const harvestId = {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'harvests',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    };
+
+    await queryInterface.addColumn('cart_items', 'harvestId', harvestId);
+    await queryInterface.addColumn('order_items', 'harvestId', harvestId);
+    await queryInterface.addColumn('order_items', 'quantidadeReservada', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('order_items', 'statusReserva', {
+      type: Sequelize.ENUM('reservado', 'atendido', 'parcial', 'cancelado'),
+      allowNull: true
+    });
+    await queryInterface.addColumn('orders', 'preVenda', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    // O mesmo produto pode estar no carrinho para entrega imediata e em reserva
+    await queryInterface.removeIndex('cart_items', 'cart_items_cart_id_product_id_variant_id');
+    await queryInterface.addIndex('cart_items', ['cartId', 'productId', 'variantId', 'harvestId'], {
+      unique: true,
+      name: 'cart_items_cart_id_product_id_variant_id_harvest_id'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('cart_items', 'cart_items_cart_id_product_id_variant_id_harvest_id');
+    await queryInterface.bulkDelete('cart_items', { harvestId: { [Sequelize.Op.ne]: null } });
+
+    await queryInterface.removeColumn('orders', 'preVenda');
+    await queryInterface.removeColumn('order_items', 'statusReserva');
+    await queryInterface.removeColumn('order_items', 'quantidadeReservada');
+    await queryInterface.removeColumn('order_items', 'harvestId');
+    await queryInterface.removeColumn('cart_items', 'harvestId');
+
+    await queryInterface.addIndex('cart_items', ['cartId', 'productId', 'variantId'], {
+      unique: true,
+      name: 'cart_items_cart_id_product_id_variant_id'
+    });
+
+    await queryInterface.dropTable('harvests');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_harvests_status";');
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_order_items_statusReserva";');
+    }
+  }
+};
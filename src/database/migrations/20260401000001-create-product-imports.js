@@ -0,0 +1,107 @@
+/**
+ * Cria o registro das importações de planilhas e o SKU dos produtos (chave da importação)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('products', 'sku', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('products', ['produtorId', 'sku'], { unique: true });
+
+    await queryInterface.createTable('product_imports', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      produtorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      nomeArquivo: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      formato: {
+        type: Sequelize.ENUM('csv', 'xlsx'),
+        allowNull: false
+      },
+      simulacao: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      status: {
+        type: Sequelize.ENUM('pendente', 'processando', 'concluida', 'falhou'),
+        allowNull: false,
+        defaultValue: 'pendente'
+      },
+      totalLinhas: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      linhasProcessadas: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      criados: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      atualizados: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      comErro: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      erros: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      mensagem: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      concluidaEm: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('product_imports', ['produtorId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('product_imports');
+    await queryInterface.removeIndex('products', ['produtorId', 'sku']);
+    await queryInterface.removeColumn('products', 'sku');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_product_imports_formato";');
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_product_imports_status";');
+    }
+  }
+};
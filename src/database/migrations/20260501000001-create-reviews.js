@@ -0,0 +1,161 @@
+/**
+ * Cria as avaliações de produtos, as denúncias e a nota média nos produtos
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('reviews', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      orderItemId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'order_items',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      consumidorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      produtorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      nota: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      comentario: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      fotos: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      resposta: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      respondidaEm: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('publicada', 'em_analise', 'removida'),
+        allowNull: false,
+        defaultValue: 'publicada'
+      },
+      denuncias: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      moderadaEm: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('reviews', ['productId', 'status']);
+    await queryInterface.addIndex('reviews', ['produtorId', 'status']);
+    await queryInterface.addIndex('reviews', ['consumidorId']);
+
+    await queryInterface.createTable('review_reports', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      reviewId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'reviews',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      motivo: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('review_reports', ['reviewId', 'userId'], { unique: true });
+
+    await queryInterface.addColumn('products', 'notaMedia', {
+      type: Sequelize.DECIMAL(3, 2),
+      allowNull: true
+    });
+    await queryInterface.addColumn('products', 'totalAvaliacoes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('products', 'totalAvaliacoes');
+    await queryInterface.removeColumn('products', 'notaMedia');
+    await queryInterface.dropTable('review_reports');
+    await queryInterface.dropTable('reviews');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_reviews_status";');
+    }
+  }
+};
@@ -0,0 +1,54 @@
+const { slugify } = require('../../utils/text');
+
+/**
+ * Subcategorias, slug e ordem de exibição nas categorias
+ * As categorias existentes viram principais e recebem o slug do nome
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('categories', 'slug', {
+      type: Sequelize.STRING(120),
+      allowNull: true
+    });
+    await queryInterface.addColumn('categories', 'parentId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'categories',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+    await queryInterface.addColumn('categories', 'ordem', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    const categorias = await queryInterface.select(null, 'categories');
+    const usados = new Set();
+    for (const categoria of categorias) {
+      let slug = slugify(categoria.nome) || `categoria-${categoria.id}`;
+      if (usados.has(slug)) {
+        slug = `${slug}-${categoria.id}`;
+      }
+      usados.add(slug);
+      await queryInterface.bulkUpdate('categories', { slug }, { id: categoria.id });
+    }
+
+    await queryInterface.changeColumn('categories', 'slug', {
+      type: Sequelize.STRING(120),
+      allowNull: false,
+      unique: true
+    });
+    await queryInterface.addIndex('categories', ['parentId', 'ordem']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('categories', ['parentId', 'ordem']);
+    await queryInterface.removeColumn('categories', 'ordem');
+    await queryInterface.removeColumn('categories', 'parentId');
+    await queryInterface.removeColumn('categories', 'slug');
+  }
+};
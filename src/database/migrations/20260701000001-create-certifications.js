@@ -0,0 +1,120 @@
+/**
+ * Cria as certificações dos produtores (orgânico e transição agroecológica)
+ * e a ligação delas com os produtos
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('certifications', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      produtorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      tipo: {
+        type: Sequelize.ENUM('sisorg_opac', 'auditoria', 'ocs', 'transicao_agroecologica'),
+        allowNull: false
+      },
+      numero: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      orgaoEmissor: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      validoDe: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      validoAte: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      documentoUrl: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      documentoChave: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('ativa', 'expirada'),
+        allowNull: false,
+        defaultValue: 'ativa'
+      },
+      avisoVencimentoEm: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('certifications', ['produtorId']);
+    await queryInterface.addIndex('certifications', ['status', 'validoAte']);
+
+    await queryInterface.createTable('product_certifications', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      certificationId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'certifications',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('product_certifications', ['productId', 'certificationId'], { unique: true });
+    await queryInterface.addIndex('product_certifications', ['certificationId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('product_certifications');
+    await queryInterface.dropTable('certifications');
+
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_certifications_tipo";');
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_certifications_status";');
+    }
+  }
+};
@@ -0,0 +1,58 @@
+/**
+ * Quantidades fracionadas para produtos vendidos por peso ou volume
+ * Estoques e quantidades passam a DECIMAL(10,3) e cada produto ganha a quantidade mínima
+ * e o incremento de venda (1 nos produtos existentes, que continuam como estavam)
+ *
+ * A troca de tipo só roda no PostgreSQL: no SQLite o changeColumn recria a tabela e perde
+ * os índices únicos compostos, e as colunas INTEGER de lá já guardam valores fracionados
+ */
+
+// [tabela, coluna, aceita nulo, padrão]
+const COLUNAS = [
+  ['products', 'estoque', false, 0],
+  ['product_variants', 'estoque', false, 0],
+  ['cart_items', 'quantidade', false, 1],
+  ['order_items', 'quantidade', false, undefined],
+  ['order_items', 'quantidadeReservada', true, undefined]
+];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      for (const [tabela, coluna, allowNull, defaultValue] of COLUNAS) {
+        await queryInterface.changeColumn(tabela, coluna, {
+          type: Sequelize.DECIMAL(10, 3),
+          allowNull,
+          ...(defaultValue !== undefined && { defaultValue })
+        });
+      }
+    }
+
+    await queryInterface.addColumn('products', 'quantidadeMinima', {
+      type: Sequelize.DECIMAL(10, 3),
+      allowNull: false,
+      defaultValue: 1
+    });
+    await queryInterface.addColumn('products', 'incremento', {
+      type: Sequelize.DECIMAL(10, 3),
+      allowNull: false,
+      defaultValue: 1
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('products', 'incremento');
+    await queryInterface.removeColumn('products', 'quantidadeMinima');
+
+    // Quantidades fracionadas são arredondadas na volta para inteiro
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      for (const [tabela, coluna, allowNull, defaultValue] of COLUNAS) {
+        await queryInterface.changeColumn(tabela, coluna, {
+          type: Sequelize.INTEGER,
+          allowNull,
+          ...(defaultValue !== undefined && { defaultValue })
+        });
+      }
+    }
+  }
+};
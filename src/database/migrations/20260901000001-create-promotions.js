@@ -0,0 +1,149 @@
+/**
+ * Cria as campanhas de promoção e registra nos itens do pedido a promoção aplicada
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('promotions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      nome: {
+        type: Sequelize.STRING(120),
+        allowNull: false
+      },
+      tipo: {
+        type: Sequelize.ENUM('percentual', 'valor_fixo', 'faixa_quantidade', 'leve_pague'),
+        allowNull: false
+      },
+      escopo: {
+        type: Sequelize.ENUM('produto', 'produtor', 'categoria'),
+        allowNull: false
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      produtorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      categoryId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      percentual: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: true
+      },
+      valorDesconto: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      quantidadeFaixa: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: true
+      },
+      precoFaixa: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      leve: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      pague: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      inicioEm: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      fimEm: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      ativo: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      criadoPorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('promotions', ['ativo', 'inicioEm', 'fimEm']);
+    await queryInterface.addIndex('promotions', ['productId']);
+    await queryInterface.addIndex('promotions', ['produtorId']);
+    await queryInterface.addIndex('promotions', ['categoryId']);
+
+    await queryInterface.addColumn('order_items', 'promotionId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'promotions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('order_items', 'nomePromocao', {
+      type: Sequelize.STRING(120),
+      allowNull: true
+    });
+    await queryInterface.addColumn('order_items', 'descontoPromocao', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('order_items', 'descontoPromocao');
+    await queryInterface.removeColumn('order_items', 'nomePromocao');
+    await queryInterface.removeColumn('order_items', 'promotionId');
+    await queryInterface.dropTable('promotions');
+
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_promotions_tipo";');
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_promotions_escopo";');
+    }
+  }
+};
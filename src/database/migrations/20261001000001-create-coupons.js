@@ -0,0 +1,225 @@
+/**
+ * Cria os cupons e o registro de uso, e liga o cupom ao carrinho e ao pedido
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('coupons', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      codigo: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        unique: true
+      },
+      descricao: {
+        type: Sequelize.STRING(200),
+        allowNull: true
+      },
+      tipo: {
+        type: Sequelize.ENUM('percentual', 'valor_fixo', 'frete_gratis'),
+        allowNull: false
+      },
+      percentual: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: true
+      },
+      valorDesconto: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      valorMinimoPedido: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      limiteUsos: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      limitePorUsuario: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        defaultValue: 1
+      },
+      usos: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      primeiraCompra: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      produtorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      categoryId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      inicioEm: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      fimEm: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      ativo: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      criadoPorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('coupon_redemptions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      couponId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'coupons',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      desconto: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      vaga: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      primeiraCompra: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('coupon_redemptions', ['couponId', 'userId', 'vaga'], { unique: true });
+    await queryInterface.addIndex('coupon_redemptions', ['userId'], { unique: true, where: { primeiraCompra: true } });
+
+    await queryInterface.addColumn('carts', 'couponId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'coupons',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('orders', 'couponId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'coupons',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('orders', 'codigoCupom', {
+      type: Sequelize.STRING(40),
+      allowNull: true
+    });
+    await queryInterface.addColumn('orders', 'descontoCupom', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('orders', 'freteGratis', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('orders', 'freteGratis');
+    await queryInterface.removeColumn('orders', 'descontoCupom');
+    await queryInterface.removeColumn('orders', 'codigoCupom');
+    await queryInterface.removeColumn('orders', 'couponId');
+    await queryInterface.removeColumn('carts', 'couponId');
+    await queryInterface.dropTable('coupon_redemptions');
+    await queryInterface.dropTable('coupons');
+
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_coupons_tipo";');
+    }
+  }
+};
@@ -0,0 +1,37 @@
+const { normalizeText } = require('../../utils/text');
+
+/**
+ * Cópias sem acentos e em minúsculas da cidade e das cidades de entrega dos perfis,
+ * usadas pelos filtros do catálogo em qualquer dialeto. Os perfis existentes são preenchidos
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('producer_profiles', 'cidadeBusca', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+    await queryInterface.addColumn('producer_profiles', 'cidadesEntregaBusca', {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: []
+    });
+
+    const perfis = await queryInterface.select(null, 'producer_profiles');
+    for (const perfil of perfis) {
+      // O SQLite devolve as colunas JSON como texto
+      const cidades = typeof perfil.cidadesEntrega === 'string'
+        ? JSON.parse(perfil.cidadesEntrega)
+        : perfil.cidadesEntrega || [];
+
+      await queryInterface.bulkUpdate('producer_profiles', {
+        cidadeBusca: perfil.cidade ? normalizeText(perfil.cidade) : null,
+        cidadesEntregaBusca: JSON.stringify(cidades.map(normalizeText))
+      }, { id: perfil.id });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('producer_profiles', 'cidadesEntregaBusca');
+    await queryInterface.removeColumn('producer_profiles', 'cidadeBusca');
+  }
+};
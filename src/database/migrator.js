@@ -0,0 +1,221 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Sequelize, DataTypes } = require('sequelize');
+
+/**
+ * Executor de migrações e seeds versionados
+ * Cada arquivo do diretório exporta { up, down } recebendo (queryInterface, Sequelize)
+ * e é aplicado em ordem alfabética (os nomes começam com data/hora: AAAAMMDDHHMMSS-nome.js).
+ * Os arquivos executados ficam registrados em uma tabela de status e uma tabela de
+ * trava impede que dois processos migrem o mesmo banco ao mesmo tempo.
+ */
+
+const LOCK_TABLE = 'schema_locks';
+
+/**
+ * Lista os arquivos de migração/seed de um diretório
+ * @param {string} directory - Diretório com os arquivos
+ * @returns {Array} - Nomes dos arquivos em ordem de execução
+ */
+const listFiles = (directory) => {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => /^\d{14}-[\w-]+\.js$/.test(file))
+    .sort();
+};
+
+/**
+ * Cria um executor de migrações para um diretório
+ * @param {Object} options - Opções do executor
+ * @param {Sequelize} options.sequelize - Conexão com o banco
+ * @param {string} options.directory - Diretório com os arquivos
+ * @param {string} options.tableName - Tabela onde o status é registrado
+ * @param {Object} options.context - Dados extras repassados a up/down (ex.: ambiente)
+ * @param {Function} options.filter - Decide se um arquivo se aplica (ex.: seeds por ambiente)
+ * @returns {Object} - Executor com up, down, status e unlock
+ */
+const createMigrator = ({ sequelize, directory, tableName, context = {}, filter = () => true }) => {
+  const queryInterface = sequelize.getQueryInterface();
+
+  /**
+   * Garante que as tabelas de status e de trava existam
+   */
+  const ensureTables = async () => {
+    await queryInterface.createTable(tableName, {
+      name: {
+        type: DataTypes.STRING(255),
+        primaryKey: true,
+        allowNull: false
+      },
+      executedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable(LOCK_TABLE, {
+      name: {
+        type: DataTypes.STRING(255),
+        primaryKey: true,
+        allowNull: false
+      },
+      lockedBy: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      lockedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+  };
+
+  /**
+   * Carrega os módulos aplicáveis do diretório
+   * @returns {Array} - Lista de { name, module }
+   */
+  const loadMigrations = () => {
+    return listFiles(directory)
+      .map(file => ({
+        name: file,
+        module: require(path.join(directory, file))
+      }))
+      .filter(migration => filter(migration.module, migration.name));
+  };
+
+  /**
+   * Nomes já executados, em ordem
+   * @returns {Promise<Array>}
+   */
+  const executed = async () => {
+    const rows = await queryInterface.select(null, tableName, { order: [['name', 'ASC']] });
+    return rows.map(row => row.name);
+  };
+
+  /**
+   * Executa uma função segurando a trava do banco
+   * A trava é uma linha com chave primária fixa: só um processo consegue inseri-la
+   * @param {Function} fn - Função a executar
+   */
+  const withLock = async (fn) => {
+    await ensureTables();
+
+    try {
+      await queryInterface.bulkInsert(LOCK_TABLE, [{
+        name: tableName,
+        lockedBy: `${os.hostname()}:${process.pid}`,
+        lockedAt: new Date()
+      }]);
+    } catch (err) {
+      if (err.name === 'SequelizeUniqueConstraintError') {
+        const error = new Error(
+          `Outro processo está executando "${tableName}". ` +
+          'Se nenhum processo estiver rodando, libere a trava com o comando unlock.'
+        );
+        error.name = 'MigrationLockError';
+        throw error;
+      }
+      throw err;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await queryInterface.bulkDelete(LOCK_TABLE, { name: tableName });
+    }
+  };
+
+  /**
+   * Aplica as migrações pendentes
+   * @param {Object} options - { to } para parar em uma migração específica
+   * @returns {Promise<Array>} - Nomes aplicados
+   */
+  const up = async ({ to } = {}) => {
+    return withLock(async () => {
+      const done = new Set(await executed());
+      const pending = loadMigrations().filter(migration => !done.has(migration.name));
+      const applied = [];
+
+      for (const migration of pending) {
+        await migration.module.up(queryInterface, Sequelize, context);
+        await queryInterface.bulkInsert(tableName, [{ name: migration.name, executedAt: new Date() }]);
+        applied.push(migration.name);
+        console.log(`⬆️  ${migration.name}`);
+
+        if (to && migration.name === to) {
+          break;
+        }
+      }
+
+      return applied;
+    });
+  };
+
+  /**
+   * Reverte migrações aplicadas, da mais recente para a mais antiga
+   * @param {Object} options - { step } quantidade a reverter (padrão 1) ou { to } para reverter até ela (inclusive)
+   * @returns {Promise<Array>} - Nomes revertidos
+   */
+  const down = async ({ step = 1, to } = {}) => {
+    return withLock(async () => {
+      const available = new Map(loadMigrations().map(migration => [migration.name, migration]));
+      const done = (await executed()).reverse();
+      const reverted = [];
+
+      for (const name of done) {
+        if (!to && reverted.length >= step) {
+          break;
+        }
+
+        const migration = available.get(name);
+        if (!migration) {
+          throw new Error(`Arquivo de "${name}" não encontrado em ${directory}`);
+        }
+
+        await migration.module.down(queryInterface, Sequelize, context);
+        await queryInterface.bulkDelete(tableName, { name });
+        reverted.push(name);
+        console.log(`⬇️  ${name}`);
+
+        if (to && name === to) {
+          break;
+        }
+      }
+
+      return reverted;
+    });
+  };
+
+  /**
+   * Situação de cada arquivo
+   * @returns {Promise<Object>} - { executed, pending, locked }
+   */
+  const status = async () => {
+    await ensureTables();
+    const done = await executed();
+    const doneSet = new Set(done);
+    const locks = await queryInterface.select(null, LOCK_TABLE, { where: { name: tableName } });
+
+    return {
+      executed: done,
+      pending: loadMigrations().map(migration => migration.name).filter(name => !doneSet.has(name)),
+      locked: locks.length > 0 ? locks[0] : null
+    };
+  };
+
+  /**
+   * Libera a trava manualmente (após um processo ter sido interrompido)
+   */
+  const unlock = async () => {
+    await ensureTables();
+    await queryInterface.bulkDelete(LOCK_TABLE, { name: tableName });
+  };
+
+  return { up, down, status, unlock, executed };
+};
+
+module.exports = { createMigrator, listFiles };
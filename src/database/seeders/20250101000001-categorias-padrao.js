@@ -0,0 +1,48 @@
+const { slugify } = require('../../utils/text');
+
+/**
+ * Categorias padrão da plataforma (todos os ambientes)
+ */
+
+const CATEGORIAS = [
+  { nome: 'Vegetais', descricao: 'Verduras e legumes frescos', icone: 'leaf' },
+  { nome: 'Frutas', descricao: 'Frutas frescas da estação', icone: 'apple' },
+  { nome: 'Laticínios', descricao: 'Leite, queijos e derivados', icone: 'milk' },
+  { nome: 'Grãos', descricao: 'Feijão, arroz, milho e outros grãos', icone: 'grain' },
+  { nome: 'Temperos', descricao: 'Ervas e temperos naturais', icone: 'herb' }
+];
+
+module.exports = {
+  environments: ['development', 'test', 'production'],
+
+  up: async (queryInterface, Sequelize) => {
+    const { Op } = Sequelize;
+    const existentes = await queryInterface.select(null, 'categories', {
+      where: { nome: { [Op.in]: CATEGORIAS.map(categoria => categoria.nome) } }
+    });
+    const nomesExistentes = new Set(existentes.map(categoria => categoria.nome));
+
+    const now = new Date();
+    const novas = CATEGORIAS
+      .filter(categoria => !nomesExistentes.has(categoria.nome))
+      .map(categoria => ({
+        ...categoria,
+        slug: slugify(categoria.nome),
+        ordem: CATEGORIAS.indexOf(categoria),
+        ativo: true,
+        createdAt: now,
+        updatedAt: now
+      }));
+
+    if (novas.length > 0) {
+      await queryInterface.bulkInsert('categories', novas);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const { Op } = Sequelize;
+    await queryInterface.bulkDelete('categories', {
+      nome: { [Op.in]: CATEGORIAS.map(categoria => categoria.nome) }
+    });
+  }
+};
@@ -0,0 +1,220 @@
+const bcrypt = require('bcryptjs');
+const { indexProducts, pruneSearchIndex } = require('../../services/searchService');
+
+/**
+ * Dados de demonstração para desenvolvimento local
+ * Produtores, um consumidor, produtos e alguns pedidos realistas.
+ * Todos os usuários usam o domínio @demo.agro e a senha "demo123".
+ */
+
+const DOMINIO = '@demo.agro';
+const SENHA = 'demo123';
+
+const PRODUTORES = [
+  { nome: 'Sítio Boa Esperança', email: `boaesperanca${DOMINIO}`, telefone: '(35) 99811-2040', documento: '52998224725', dapCaf: 'SDW0352998224725000001' },
+  { nome: 'Chácara Recanto Verde', email: `recantoverde${DOMINIO}`, telefone: '(19) 99702-5518', documento: '16899535009', dapCaf: 'SDW0191689953500900001' }
+];
+
+// Perfis públicos das propriedades, na mesma ordem de PRODUTORES
+const PERFIS = [
+  {
+    nomePropriedade: 'Sítio Boa Esperança',
+    historia: 'Três gerações da família cultivando hortaliças e fazendo queijo no sul de Minas.',
+    cidade: 'Lavras',
+    estado: 'MG',
+    praticas: ['agroecologico', 'sem_agrotoxicos'],
+    areaEntrega: 'Entregas às quartas e sábados',
+    cidadesEntrega: ['Lavras', 'Ijaci'],
+    latitude: -21.2450,
+    longitude: -44.9990
+  },
+  {
+    nomePropriedade: 'Chácara Recanto Verde',
+    historia: 'Pomar e roça de grãos em transição para o cultivo orgânico.',
+    cidade: 'Campinas',
+    estado: 'SP',
+    praticas: ['transicao_agroecologica'],
+    areaEntrega: 'Retirada na feira do bairro aos domingos',
+    cidadesEntrega: ['Campinas', 'Valinhos'],
+    latitude: -22.9056,
+    longitude: -47.0608
+  }
+];
+
+const CONSUMIDOR = { nome: 'Ana Paula Ribeiro', email: `ana${DOMINIO}`, telefone: '(11) 98123-4567' };
+
+// [produtor, categoria, nome, descricao, preco, unidade, estoque, promocao]
+const PRODUTOS = [
+  [0, 'Vegetais', 'Alface Crespa', 'Colhida no dia, cultivo sem agrotóxicos', 3.50, 'unidade', 40, null],
+  [0, 'Vegetais', 'Tomate Italiano', 'Tomate maduro para molhos', 8.90, 'kg', 25, 10],
+  [0, 'Vegetais', 'Mandioca Descascada', 'Pronta para cozinhar', 7.00, 'kg', 30, null],
+  [0, 'Laticínios', 'Queijo Minas Frescal', 'Feito com leite do próprio sítio', 32.00, 'kg', 8, null],
+  [1, 'Frutas', 'Banana Prata', 'Cacho colhido na semana', 5.50, 'kg', 50, null],
+  [1, 'Frutas', 'Laranja Pera', 'Ideal para suco', 4.20, 'kg', 60, 15],
+  [1, 'Grãos', 'Feijão Carioca', 'Safra nova, ensacado na propriedade', 9.80, 'pacote', 35, null],
+  [1, 'Temperos', 'Cheiro-Verde', 'Salsinha e cebolinha', 2.50, 'unidade', 45, null]
+];
+
+module.exports = {
+  environments: ['development'],
+
+  up: async (queryInterface, Sequelize) => {
+    const { Op } = Sequelize;
+    const now = new Date();
+    const senha = await bcrypt.hash(SENHA, 10);
+
+    const jaExiste = await queryInterface.select(null, 'users', { where: { email: CONSUMIDOR.email } });
+    if (jaExiste.length > 0) {
+      return;
+    }
+
+    const usuarios = [
+      // Produtores de demonstração já chegam verificados para poder publicar produtos
+      ...PRODUTORES.map(produtor => ({
+        ...produtor,
+        tipo: 'produtor',
+        papeis: JSON.stringify(['produtor']),
+        tipoDocumento: 'cpf',
+        statusVerificacao: 'aprovado',
+        verificacaoEnviadaEm: now,
+        verificadoEm: now
+      })),
+      { ...CONSUMIDOR, tipo: 'consumidor', papeis: JSON.stringify(['consumidor']) }
+    ].map(usuario => ({ ...usuario, senha, ativo: true, createdAt: now, updatedAt: now }));
+
+    await queryInterface.bulkInsert('users', usuarios);
+
+    const criados = await queryInterface.select(null, 'users', {
+      where: { email: { [Op.in]: usuarios.map(usuario => usuario.email) } }
+    });
+    const idPorEmail = Object.fromEntries(criados.map(usuario => [usuario.email, usuario.id]));
+    const consumidorId = idPorEmail[CONSUMIDOR.email];
+
+    await queryInterface.bulkInsert('producer_profiles', PERFIS.map((perfil, indice) => ({
+      ...perfil,
+      userId: idPorEmail[PRODUTORES[indice].email],
+      fotos: JSON.stringify([]),
+      praticas: JSON.stringify(perfil.praticas),
+      certificacoes: JSON.stringify([]),
+      cidadesEntrega: JSON.stringify(perfil.cidadesEntrega),
+      createdAt: now,
+      updatedAt: now
+    })));
+
+    const categorias = await queryInterface.select(null, 'categories');
+    const categoriaPorNome = Object.fromEntries(categorias.map(categoria => [categoria.nome, categoria.id]));
+
+    await queryInterface.bulkInsert('products', PRODUTOS.map(([produtor, categoria, nome, descricao, preco, unidadeMedida, estoque, desconto]) => ({
+      nome,
+      descricao,
+      preco,
+      unidadeMedida,
+      estoque,
+      categoryId: categoriaPorNome[categoria],
+      produtorId: idPorEmail[PRODUTORES[produtor].email],
+      ativo: true,
+      promocao: desconto !== null,
+      percentualDesconto: desconto,
+      createdAt: now,
+      updatedAt: now
+    })));
+
+    const produtos = await queryInterface.select(null, 'products', {
+      where: { produtorId: { [Op.in]: PRODUTORES.map(produtor => idPorEmail[produtor.email]) } }
+    });
+    const produtoPorNome = Object.fromEntries(produtos.map(produto => [produto.nome, produto]));
+
+    const endereco = {
+      userId: consumidorId,
+      rua: 'Rua das Palmeiras',
+      numero: '215',
+      complemento: 'Apto 32',
+      bairro: 'Vila Mariana',
+      cidade: 'São Paulo',
+      estado: 'SP',
+      cep: '04101-000',
+      latitude: -23.5880,
+      longitude: -46.6340,
+      principal: true,
+      createdAt: now,
+      updatedAt: now
+    };
+    await queryInterface.bulkInsert('addresses', [endereco]);
+    await queryInterface.bulkInsert('carts', [{ userId: consumidorId, createdAt: now, updatedAt: now }]);
+
+    // Pedidos: um entregue na semana passada e um pendente
+    const semanaPassada = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const pedidos = [
+      { status: 'entregue', data: semanaPassada, itens: [['Alface Crespa', 2], ['Banana Prata', 3]] },
+      { status: 'pendente', data: now, itens: [['Queijo Minas Frescal', 1], ['Feijão Carioca', 2]] }
+    ];
+
+    const { userId, createdAt, updatedAt, ...enderecoEntrega } = endereco;
+
+    for (const pedido of pedidos) {
+      const itens = pedido.itens.map(([nome, quantidade]) => {
+        const produto = produtoPorNome[nome];
+        const precoUnitario = parseFloat(produto.preco);
+        return {
+          productId: produto.id,
+          quantidade,
+          precoUnitario,
+          subtotal: parseFloat((precoUnitario * quantidade).toFixed(2))
+        };
+      });
+
+      const valorTotal = itens.reduce((total, item) => total + item.subtotal, 0);
+
+      await queryInterface.bulkInsert('orders', [{
+        consumidorId,
+        status: pedido.status,
+        valorTotal: parseFloat(valorTotal.toFixed(2)),
+        enderecoEntrega: JSON.stringify(enderecoEntrega),
+        dataEntregaRealizada: pedido.status === 'entregue' ? pedido.data : null,
+        createdAt: pedido.data,
+        updatedAt: pedido.data
+      }]);
+
+      const [order] = await queryInterface.select(null, 'orders', {
+        where: { consumidorId },
+        order: [['id', 'DESC']],
+        limit: 1
+      });
+
+      await queryInterface.bulkInsert('order_items', itens.map(item => ({
+        ...item,
+        orderId: order.id,
+        createdAt: pedido.data,
+        updatedAt: pedido.data
+      })));
+    }
+
+    // bulkInsert não dispara os hooks que mantêm o índice de busca
+    await indexProducts(null, { db: queryInterface.sequelize });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const { Op } = Sequelize;
+    const usuarios = await queryInterface.select(null, 'users', {
+      where: { email: { [Op.like]: `%${DOMINIO}` } }
+    });
+    const ids = usuarios.map(usuario => usuario.id);
+
+    if (ids.length === 0) {
+      return;
+    }
+
+    const pedidos = await queryInterface.select(null, 'orders', { where: { consumidorId: { [Op.in]: ids } } });
+    const carrinhos = await queryInterface.select(null, 'carts', { where: { userId: { [Op.in]: ids } } });
+
+    await queryInterface.bulkDelete('order_items', { orderId: { [Op.in]: pedidos.map(pedido => pedido.id) } });
+    await queryInterface.bulkDelete('orders', { consumidorId: { [Op.in]: ids } });
+    await queryInterface.bulkDelete('cart_items', { cartId: { [Op.in]: carrinhos.map(carrinho => carrinho.id) } });
+    await queryInterface.bulkDelete('carts', { userId: { [Op.in]: ids } });
+    await queryInterface.bulkDelete('addresses', { userId: { [Op.in]: ids } });
+    await queryInterface.bulkDelete('products', { produtorId: { [Op.in]: ids } });
+    await pruneSearchIndex({ db: queryInterface.sequelize });
+    await queryInterface.bulkDelete('producer_profiles', { userId: { [Op.in]: ids } });
+    await queryInterface.bulkDelete('users', { id: { [Op.in]: ids } });
+  }
+};
@@ -0,0 +1,53 @@
+const { slugify } = require('../../utils/text');
+
+/**
+ * Subcategorias padrão sob as categorias principais (todos os ambientes)
+ */
+
+const SUBCATEGORIAS = {
+  Vegetais: ['Folhosas', 'Legumes', 'Raízes e tubérculos'],
+  Frutas: ['Cítricas', 'Tropicais', 'Vermelhas'],
+  'Laticínios': ['Queijos', 'Leite e iogurtes'],
+  'Grãos': ['Feijões', 'Farinhas e fubás'],
+  Temperos: ['Ervas frescas', 'Desidratados']
+};
+
+const NOMES = Object.values(SUBCATEGORIAS).flat();
+
+module.exports = {
+  environments: ['development', 'test', 'production'],
+
+  up: async (queryInterface, Sequelize) => {
+    const { Op } = Sequelize;
+    const existentes = await queryInterface.select(null, 'categories', {
+      where: { nome: { [Op.in]: [...Object.keys(SUBCATEGORIAS), ...NOMES] } }
+    });
+    const idPorNome = Object.fromEntries(existentes.map(categoria => [categoria.nome, categoria.id]));
+
+    const now = new Date();
+    const novas = Object.entries(SUBCATEGORIAS)
+      .filter(([pai]) => idPorNome[pai])
+      .flatMap(([pai, nomes]) => nomes.map((nome, ordem) => ({ pai, nome, ordem })))
+      .filter(({ nome }) => !idPorNome[nome])
+      .map(({ pai, nome, ordem }) => ({
+        nome,
+        slug: slugify(nome),
+        parentId: idPorNome[pai],
+        ordem,
+        ativo: true,
+        createdAt: now,
+        updatedAt: now
+      }));
+
+    if (novas.length > 0) {
+      await queryInterface.bulkInsert('categories', novas);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const { Op } = Sequelize;
+    await queryInterface.bulkDelete('categories', {
+      nome: { [Op.in]: NOMES }
+    });
+  }
+};
@@ -0,0 +1,91 @@
+const config = require('../config');
+const { refreshAvailability } = require('../services/seasonService');
+const { failStalledImports } = require('../services/productImportService');
+const { checkExpirations } = require('../services/certificationService');
+
+// Intervalo da verificação de importações interrompidas
+const INTERVALO_IMPORTACOES_MINUTOS = 15;
+
+// Intervalo da verificação de vencimento das certificações
+const INTERVALO_CERTIFICACOES_HORAS = 6;
+
+/**
+ * Tarefas periódicas do servidor
+ * Rodam no próprio processo da API; com várias instâncias, deixe JOBS_ENABLED=true em
+ * apenas uma delas ou desligue e agende os comandos equivalentes da CLI
+ */
+
+/**
+ * Recalcula a disponibilidade sazonal dos produtos
+ * Produtos que entram ou saem de safra mudam de estado e saem dos carrinhos
+ */
+const runSeasonality = async () => {
+  try {
+    const { atualizados, itensRemovidos } = await refreshAvailability();
+    if (atualizados > 0) {
+      console.log(`🌱 Safra: ${atualizados} produto(s) mudaram de disponibilidade, ${itensRemovidos} item(ns) removido(s) de carrinhos`);
+    }
+  } catch (err) {
+    console.error('❌ Erro ao atualizar a safra dos produtos:', err);
+  }
+};
+
+/**
+ * Encerra como falhas as importações de planilha que pararam no meio
+ * (o processo que as executava em segundo plano foi reiniciado)
+ */
+const runStalledImports = async () => {
+  try {
+    const marcadas = await failStalledImports();
+    if (marcadas > 0) {
+      console.log(`📄 Importações: ${marcadas} importação(ões) interrompida(s) marcada(s) como falha`);
+    }
+  } catch (err) {
+    console.error('❌ Erro ao verificar importações interrompidas:', err);
+  }
+};
+
+/**
+ * Avisa os produtores de certificações perto do vencimento e retira o selo das vencidas
+ */
+const runCertificationExpiry = async () => {
+  try {
+    const { avisadas, expiradas } = await checkExpirations();
+    if (avisadas > 0 || expiradas > 0) {
+      console.log(`📜 Certificações: ${avisadas} aviso(s) de vencimento, ${expiradas} certificação(ões) expirada(s)`);
+    }
+  } catch (err) {
+    console.error('❌ Erro ao verificar o vencimento das certificações:', err);
+  }
+};
+
+/**
+ * Inicia as tarefas periódicas
+ * @returns {Function} - Para todas as tarefas
+ */
+const startJobs = () => {
+  if (!config.jobs.enabled) {
+    return () => {};
+  }
+
+  runSeasonality();
+  runStalledImports();
+  runCertificationExpiry();
+
+  const timers = [
+    setInterval(runSeasonality, config.jobs.seasonalityIntervalMinutes * 60 * 1000),
+    setInterval(runStalledImports, INTERVALO_IMPORTACOES_MINUTOS * 60 * 1000),
+    setInterval(runCertificationExpiry, INTERVALO_CERTIFICACOES_HORAS * 60 * 60 * 1000)
+  ];
+  // Não impedem o processo de encerrar
+  timers.forEach(timer => timer.unref());
+
+  return () => timers.forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  runSeasonality,
+  runStalledImports,
+  runCertificationExpiry,
+  startJobs
+};
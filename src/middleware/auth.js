@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
+const config = require('../config');
 const { User } = require('../models');
+const { isAccessTokenRevoked } = require('../services/authTokenService');
+const { can, deniedMessage } = require('../services/permissionService');
 
 /**
  * Middleware de autenticação JWT
@@ -18,7 +21,23 @@ const authenticateToken = async (req, res, next) => {
     }
 
     // Verificar e decodificar o token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, config.jwt.secret);
+
+    // Refresh tokens só servem para POST /api/auth/refresh
+    if (decoded.type === 'refresh') {
+      return res.status(401).json({
+        success: false,
+        message: 'Token inválido'
+      });
+    }
+
+    // Tokens de sessões encerradas (logout) não são mais aceitos
+    if (await isAccessTokenRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token revogado'
+      });
+    }
     
     // Buscar o usuário no banco de dados
     const user = await User.findByPk(decoded.userId);
@@ -30,8 +49,9 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Adicionar o usuário à requisição
+    // Adicionar o usuário e os dados do token à requisição
     req.user = user;
+    req.auth = decoded;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -57,26 +77,39 @@ const authenticateToken = async (req, res, next) => {
 };
 
 /**
- * Middleware para verificar se o usuário é um produtor
+ * Middleware de autorização por ação (ver services/permissionService)
+ * Verifica apenas o que os papéis da conta permitem; regras que dependem do registro
+ * alvo (dono do produto, membro da organização, equipe) ficam no controller
+ * @param {string} action - Ação exigida (ex.: 'cart:use')
  */
-const requireProdutor = (req, res, next) => {
-  if (req.user.tipo !== 'produtor') {
-    return res.status(403).json({
+const authorize = (action) => async (req, res, next) => {
+  try {
+    if (!(await can(req.user, action))) {
+      return res.status(403).json({
+        success: false,
+        message: deniedMessage(action)
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Erro no middleware de autorização:', error);
+    return res.status(500).json({
       success: false,
-      message: 'Acesso restrito a produtores'
+      message: 'Erro interno do servidor'
     });
   }
-  next();
 };
 
 /**
- * Middleware para verificar se o usuário é um consumidor
+ * Middleware para verificar se o produtor foi aprovado na verificação de agricultor familiar
+ * Deve ser usado depois de authorize('product:create')
  */
-const requireConsumidor = (req, res, next) => {
-  if (req.user.tipo !== 'consumidor') {
+const requireProdutorVerificado = (req, res, next) => {
+  if (!req.user.isProdutorVerificado()) {
     return res.status(403).json({
       success: false,
-      message: 'Acesso restrito a consumidores'
+      message: 'Seu cadastro de produtor precisa ser aprovado antes de publicar produtos',
+      statusVerificacao: req.user.statusVerificacao
     });
   }
   next();
@@ -92,11 +125,15 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findByPk(decoded.userId);
-      
-      if (user && user.ativo) {
-        req.user = user;
+      const decoded = jwt.verify(token, config.jwt.secret);
+
+      if (decoded.type !== 'refresh' && !(await isAccessTokenRevoked(decoded))) {
+        const user = await User.findByPk(decoded.userId);
+
+        if (user && user.ativo) {
+          req.user = user;
+          req.auth = decoded;
+        }
       }
     }
     
@@ -109,8 +146,8 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  requireProdutor,
-  requireConsumidor,
+  authorize,
+  requireProdutorVerificado,
   optionalAuth
 };
 
@@ -0,0 +1,198 @@
+const multer = require('multer');
+const config = require('../config');
+const { TIPOS_ACEITOS, ImageError } = require('../services/imageService');
+const { detectFormat } = require('../services/productImportService');
+
+/**
+ * Middleware de upload de arquivos (multipart/form-data)
+ * Os arquivos ficam em memória: o serviço de imagens gera os tamanhos e grava no armazenamento,
+ * as planilhas são lidas direto do buffer pela importação de produtos e os documentos de
+ * certificação têm o formato conferido pelo serviço de certificações antes de gravar
+ */
+
+// Arquivos aceitos por requisição
+const MAX_ARQUIVOS = 10;
+
+const uploader = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.storage.maxUploadMb * 1024 * 1024,
+    files: MAX_ARQUIVOS
+  },
+  fileFilter: (req, file, cb) => {
+    if (!TIPOS_ACEITOS.includes(file.mimetype)) {
+      return cb(new ImageError('Formato de imagem não suportado; envie JPEG, PNG ou WebP'), false);
+    }
+    cb(null, true);
+  }
+});
+
+const spreadsheetUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.imports.maxFileMb * 1024 * 1024,
+    files: 1
+  }
+});
+
+const documentUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.storage.maxUploadMb * 1024 * 1024,
+    files: 1
+  }
+});
+
+/**
+ * Mensagem de cada erro do multer
+ * @param {Object} err - MulterError
+ * @returns {string}
+ */
+const uploadErrorMessage = (err) => {
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `Cada imagem deve ter no máximo ${config.storage.maxUploadMb} MB`;
+    case 'LIMIT_FILE_COUNT':
+      return `Envie no máximo ${MAX_ARQUIVOS} imagens por vez`;
+    case 'LIMIT_UNEXPECTED_FILE':
+      return `Campo de arquivo inesperado: ${err.field}`;
+    default:
+      return 'Não foi possível ler o upload';
+  }
+};
+
+/**
+ * Recebe as imagens enviadas em um campo do formulário
+ * @param {string} campo - Nome do campo (ex.: "imagens")
+ * @returns {Function} - Middleware que preenche req.files
+ */
+const uploadImages = (campo) => {
+  const handler = uploader.array(campo, MAX_ARQUIVOS);
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: [uploadErrorMessage(err)]
+        });
+      }
+
+      if (err instanceof ImageError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: [err.message]
+        });
+      }
+
+      if (err) {
+        return next(err);
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: [`Envie ao menos uma imagem no campo "${campo}"`]
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+/**
+ * Recebe uma planilha (CSV ou XLSX) em um campo do formulário
+ * @param {string} campo - Nome do campo (ex.: "arquivo")
+ * @returns {Function} - Middleware que preenche req.file
+ */
+const uploadSpreadsheet = (campo) => {
+  const handler = spreadsheetUploader.single(campo);
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const mensagem = err.code === 'LIMIT_FILE_SIZE'
+          ? `A planilha deve ter no máximo ${config.imports.maxFileMb} MB`
+          : uploadErrorMessage(err);
+
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: [mensagem]
+        });
+      }
+
+      if (err) {
+        return next(err);
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: [`Envie a planilha no campo "${campo}"`]
+        });
+      }
+
+      if (!detectFormat(req.file.originalname)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: ['Formato não suportado; envie um arquivo .csv ou .xlsx']
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+/**
+ * Recebe um documento (PDF ou imagem) em um campo do formulário
+ * @param {string} campo - Nome do campo (ex.: "documento")
+ * @returns {Function} - Middleware que preenche req.file
+ */
+const uploadDocument = (campo) => {
+  const handler = documentUploader.single(campo);
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const mensagem = err.code === 'LIMIT_FILE_SIZE'
+          ? `O documento deve ter no máximo ${config.storage.maxUploadMb} MB`
+          : uploadErrorMessage(err);
+
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: [mensagem]
+        });
+      }
+
+      if (err) {
+        return next(err);
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: [`Envie o documento no campo "${campo}"`]
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  MAX_ARQUIVOS,
+  uploadImages,
+  uploadSpreadsheet,
+  uploadDocument
+};
@@ -1,3 +1,5 @@
+const { isFractionalUnit, hasQuantityPrecision, isMultipleOf } = require('../utils/quantity');
+
 /**
  * Middleware de validação de dados
  * Contém funções para validar diferentes tipos de entrada
@@ -7,7 +9,7 @@
  * Valida dados de registro de usuário
  */
 const validateUserRegistration = (req, res, next) => {
-  const { nome, email, senha, tipo } = req.body;
+  const { nome, email, senha, tipo, papeis } = req.body;
   const errors = [];
 
   // Validar nome
@@ -26,8 +28,15 @@ const validateUserRegistration = (req, res, next) => {
     errors.push('Senha deve ter pelo menos 6 caracteres');
   }
 
-  // Validar tipo
-  if (!tipo || !['consumidor', 'produtor'].includes(tipo)) {
+  // Validar tipo e papéis (uma conta pode ser consumidor e produtor ao mesmo tempo)
+  const papeisValidos = ['consumidor', 'produtor'];
+  if (papeis !== undefined) {
+    if (!Array.isArray(papeis) || papeis.length === 0 || papeis.some(papel => !papeisValidos.includes(papel))) {
+      errors.push('Papéis devem ser "consumidor" e/ou "produtor"');
+    } else if (tipo && !papeis.includes(tipo)) {
+      errors.push('Tipo deve estar entre os papéis informados');
+    }
+  } else if (!tipo || !papeisValidos.includes(tipo)) {
     errors.push('Tipo deve ser "consumidor" ou "produtor"');
   }
 
@@ -69,14 +78,178 @@ const validateLogin = (req, res, next) => {
 };
 
 /**
- * Valida dados de produto
+ * Valida pedido de recuperação de senha
  */
-const validateProduct = (req, res, next) => {
-  const { nome, preco, categoryId, unidadeMedida, estoque } = req.body;
+const validateForgotPassword = (req, res, next) => {
+  const { email } = req.body;
+  const errors = [];
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!email || !emailRegex.test(email)) {
+    errors.push('Email deve ter um formato válido');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida redefinição de senha
+ */
+const validateResetPassword = (req, res, next) => {
+  const { token, novaSenha } = req.body;
+  const errors = [];
+
+  if (!token) {
+    errors.push('Token é obrigatório');
+  }
+
+  if (!novaSenha || novaSenha.length < 6) {
+    errors.push('Nova senha deve ter pelo menos 6 caracteres');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Confere latitude e longitude opcionais
+ * @param {Object} dados - { latitude, longitude }
+ * @returns {Array<string>} - Erros encontrados
+ */
+const getCoordinateErrors = ({ latitude, longitude }) => {
+  const errors = [];
+
+  if (latitude !== undefined && (latitude === null || isNaN(latitude) || Math.abs(latitude) > 90)) {
+    errors.push('Latitude deve estar entre -90 e 90');
+  }
+
+  if (longitude !== undefined && (longitude === null || isNaN(longitude) || Math.abs(longitude) > 180)) {
+    errors.push('Longitude deve estar entre -180 e 180');
+  }
+
+  return errors;
+};
+
+const UNIDADES_MEDIDA = ['kg', 'g', 'unidade', 'litro', 'ml', 'pacote', 'caixa'];
+
+// SKU do produtor (produtos e variações)
+const SKU_REGEX = /^[A-Za-z0-9._-]{1,50}$/;
+
+// Slug de categoria ("raizes-e-tuberculos")
+const SLUG_REGEX = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Tipos de certificação (orgânico e transição agroecológica)
+const TIPOS_CERTIFICACAO = ['sisorg_opac', 'auditoria', 'ocs', 'transicao_agroecologica'];
+
+// Tipos e escopos das campanhas de promoção
+const TIPOS_PROMOCAO = ['percentual', 'valor_fixo', 'faixa_quantidade', 'leve_pague'];
+const ESCOPOS_PROMOCAO = ['produto', 'produtor', 'categoria'];
+// Tipos de cupom
+const TIPOS_CUPOM = ['percentual', 'valor_fixo', 'frete_gratis'];
+
+const VALORES_PROMOCAO = {
+  percentual: ['percentual'],
+  valor_fixo: ['valorDesconto'],
+  faixa_quantidade: ['quantidadeFaixa', 'precoFaixa'],
+  leve_pague: ['leve', 'pague']
+};
+
+/**
+ * Confere uma quantidade (estoque, mínimo, incremento) na unidade informada
+ * Sem unidade conhecida, só o formato é conferido; a unidade fica a cargo do modelo
+ * @param {*} valor - Valor recebido
+ * @param {string} unidadeMedida - Unidade do produto ou da variação
+ * @param {Object} options - { positivo } (maior que zero em vez de não negativo)
+ * @returns {boolean}
+ */
+const isQuantity = (valor, unidadeMedida, { positivo = false } = {}) => {
+  if (valor === null || valor === '' || typeof valor === 'boolean' || isNaN(valor)) {
+    return false;
+  }
+
+  const numero = Number(valor);
+  return (positivo ? numero > 0 : numero >= 0)
+    && hasQuantityPrecision(numero)
+    && (isFractionalUnit(unidadeMedida) || Number.isInteger(numero));
+};
+
+/**
+ * Mensagem de erro de uma quantidade, conforme a unidade (as frações têm até 3 casas decimais)
+ * @param {string} campo - Rótulo do campo ("Estoque")
+ * @param {string} unidadeMedida - Unidade do produto ou da variação
+ * @param {string} limite - "não negativo" ou "maior que zero"
+ * @returns {string}
+ */
+const quantityError = (campo, unidadeMedida, limite) => (isFractionalUnit(unidadeMedida)
+  ? `${campo} deve ser um número ${limite}`
+  : `${campo} deve ser um número inteiro ${limite} para produtos vendidos por ${unidadeMedida}`);
+
+/**
+ * Confere os campos de uma variação de produto
+ * @param {Object} variante - Dados recebidos
+ * @param {Object} options - { isUpdate, prefixo } (na atualização os campos são opcionais)
+ * @returns {Array<string>} - Erros encontrados
+ */
+const getVariantErrors = (variante, { isUpdate = false, prefixo = '' } = {}) => {
+  const { nome, preco, unidadeMedida, estoque, sku, promocao, percentualDesconto } = variante || {};
+  const errors = [];
+
+  if ((!isUpdate || nome !== undefined) && (!nome || String(nome).trim().length < 1 || String(nome).length > 100)) {
+    errors.push(`${prefixo}Nome da variação deve ter entre 1 e 100 caracteres`);
+  }
+
+  if ((!isUpdate || preco !== undefined) && (!preco || isNaN(preco) || parseFloat(preco) <= 0)) {
+    errors.push(`${prefixo}Preço deve ser um número maior que zero`);
+  }
+
+  if (unidadeMedida !== undefined && !UNIDADES_MEDIDA.includes(unidadeMedida)) {
+    errors.push(`${prefixo}Unidade de medida deve ser uma das opções válidas`);
+  }
+
+  // Na criação, sem unidade informada, vale o padrão do modelo (unidade)
+  const unidade = unidadeMedida ?? (isUpdate ? undefined : 'unidade');
+  if (estoque !== undefined && !isQuantity(estoque, unidade)) {
+    errors.push(`${prefixo}${quantityError('Estoque', unidade, 'não negativo')}`);
+  }
+
+  if (sku !== undefined && sku !== null && !SKU_REGEX.test(sku)) {
+    errors.push(`${prefixo}SKU deve ter até 50 letras, números, ponto, hífen ou sublinhado`);
+  }
+
+  if (promocao && (percentualDesconto === undefined || isNaN(percentualDesconto)
+    || percentualDesconto < 1 || percentualDesconto > 100)) {
+    errors.push(`${prefixo}Percentual de desconto deve estar entre 1 e 100`);
+  }
+
+  return errors;
+};
+
+/**
+ * Confere os dados de um produto
+ * Usado pela rota de criação/edição e, linha a linha, pela importação de planilhas
+ * @param {Object} produto - Dados recebidos
+ * @returns {Array<string>} - Erros encontrados
+ */
+const getProductErrors = ({ nome, preco, categoryId, unidadeMedida, estoque, quantidadeMinima, incremento, sku }) => {
   const errors = [];
 
   // Validar nome
-  if (!nome || nome.trim().length < 2) {
+  if (!nome || String(nome).trim().length < 2) {
     errors.push('Nome do produto deve ter pelo menos 2 caracteres');
   }
 
@@ -91,14 +264,53 @@ const validateProduct = (req, res, next) => {
   }
 
   // Validar unidade de medida
-  const unidadesValidas = ['kg', 'g', 'unidade', 'litro', 'ml', 'pacote', 'caixa'];
-  if (!unidadeMedida || !unidadesValidas.includes(unidadeMedida)) {
+  if (!unidadeMedida || !UNIDADES_MEDIDA.includes(unidadeMedida)) {
     errors.push('Unidade de medida deve ser uma das opções válidas');
   }
 
-  // Validar estoque
-  if (estoque !== undefined && (isNaN(estoque) || parseInt(estoque) < 0)) {
-    errors.push('Estoque deve ser um número não negativo');
+  // Validar estoque (fracionado em kg, g, litro e ml; inteiro em unidade, pacote e caixa)
+  if (estoque !== undefined && !isQuantity(estoque, unidadeMedida)) {
+    errors.push(quantityError('Estoque', unidadeMedida, 'não negativo'));
+  }
+
+  // Validar quantidade mínima e incremento de venda (opcionais, padrão 1)
+  const minimoValido = quantidadeMinima === undefined || isQuantity(quantidadeMinima, unidadeMedida, { positivo: true });
+  const incrementoValido = incremento === undefined || isQuantity(incremento, unidadeMedida, { positivo: true });
+
+  if (!minimoValido) {
+    errors.push(quantityError('Quantidade mínima', unidadeMedida, 'maior que zero'));
+  }
+  if (!incrementoValido) {
+    errors.push(quantityError('Incremento', unidadeMedida, 'maior que zero'));
+  }
+  if (minimoValido && incrementoValido && !isMultipleOf(quantidadeMinima ?? 1, incremento ?? 1)) {
+    errors.push('Quantidade mínima deve ser múltipla do incremento');
+  }
+
+  // Validar SKU (opcional; identifica o produto na importação de planilhas)
+  if (sku !== undefined && sku !== null && !SKU_REGEX.test(sku)) {
+    errors.push('SKU deve ter até 50 letras, números, ponto, hífen ou sublinhado');
+  }
+
+  return errors;
+};
+
+/**
+ * Valida dados de produto
+ */
+const validateProduct = (req, res, next) => {
+  const { variantes } = req.body;
+  const errors = getProductErrors(req.body);
+
+  // Validar variações (opcionais, apenas na criação)
+  if (variantes !== undefined) {
+    if (!Array.isArray(variantes) || variantes.length > 20) {
+      errors.push('Variações devem ser uma lista de até 20 itens');
+    } else {
+      variantes.forEach((variante, indice) => {
+        errors.push(...getVariantErrors(variante, { prefixo: `Variação ${indice + 1}: ` }));
+      });
+    }
   }
 
   if (errors.length > 0) {
@@ -113,35 +325,64 @@ const validateProduct = (req, res, next) => {
 };
 
 /**
- * Valida dados de endereço
+ * Valida os filtros da listagem de produtos (query)
  */
-const validateAddress = (req, res, next) => {
-  const { rua, numero, bairro, cidade, estado, cep } = req.body;
+const validateProductFilters = (req, res, next) => {
+  const { precoMin, precoMax, unidade, emEstoque, disponibilidade, selo, certificacao } = req.query;
   const errors = [];
 
-  if (!rua || rua.trim().length < 3) {
-    errors.push('Rua deve ter pelo menos 3 caracteres');
+  const isPreco = (value) => value === undefined || (!isNaN(value) && value !== '' && parseFloat(value) >= 0);
+
+  if (!isPreco(precoMin) || !isPreco(precoMax)) {
+    errors.push('Preço mínimo e máximo devem ser números não negativos');
+  } else if (precoMin !== undefined && precoMax !== undefined && parseFloat(precoMin) > parseFloat(precoMax)) {
+    errors.push('Preço mínimo não pode ser maior que o máximo');
   }
 
-  if (!numero || numero.trim().length < 1) {
-    errors.push('Número é obrigatório');
+  if (unidade !== undefined && String(unidade).split(',').some(item => !UNIDADES_MEDIDA.includes(item.trim()))) {
+    errors.push(`Unidades devem estar entre: ${UNIDADES_MEDIDA.join(', ')}`);
   }
 
-  if (!bairro || bairro.trim().length < 2) {
-    errors.push('Bairro deve ter pelo menos 2 caracteres');
+  if (emEstoque !== undefined && !['true', 'false'].includes(emEstoque)) {
+    errors.push('emEstoque deve ser true ou false');
   }
 
-  if (!cidade || cidade.trim().length < 2) {
-    errors.push('Cidade deve ter pelo menos 2 caracteres');
+  if (disponibilidade !== undefined && !['disponivel', 'em_breve'].includes(disponibilidade)) {
+    errors.push('Disponibilidade deve ser "disponivel" ou "em_breve"');
   }
 
-  if (!estado || estado.length !== 2) {
-    errors.push('Estado deve ter exatamente 2 caracteres');
+  if ([selo, certificacao].some(valor => valor !== undefined && !['organico', ...TIPOS_CERTIFICACAO].includes(valor))) {
+    errors.push(`Selo deve estar entre: organico, ${TIPOS_CERTIFICACAO.join(', ')}`);
   }
 
-  const cepRegex = /^\d{5}-?\d{3}$/;
-  if (!cep || !cepRegex.test(cep)) {
-    errors.push('CEP deve ter o formato 00000-000');
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida os parâmetros da busca por proximidade (query)
+ */
+const validateNearQuery = (req, res, next) => {
+  const { near, radiusKm, orderBy } = req.query;
+  const errors = [];
+
+  if (near !== undefined && !/^\d+$/.test(near)) {
+    errors.push('near deve ser o ID de um endereço');
+  }
+
+  if (radiusKm !== undefined && (isNaN(radiusKm) || parseFloat(radiusKm) <= 0 || parseFloat(radiusKm) > 1000)) {
+    errors.push('Raio deve ser um número entre 0 e 1000 km');
+  }
+
+  if ((radiusKm !== undefined || orderBy === 'distance') && near === undefined) {
+    errors.push('Informe o endereço de origem (near) para filtrar ou ordenar por distância');
   }
 
   if (errors.length > 0) {
@@ -156,18 +397,729 @@ const validateAddress = (req, res, next) => {
 };
 
 /**
- * Valida dados de item do carrinho
+ * Valida dados de variação de produto
+ * Na atualização (PUT) os campos são opcionais, mas se enviados precisam ser válidos
  */
-const validateCartItem = (req, res, next) => {
-  const { productId, quantidade } = req.body;
+const validateVariant = (req, res, next) => {
+  const errors = getVariantErrors(req.body, { isUpdate: req.method === 'PUT' });
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida as janelas de safra de um produto
+ * Cada janela tem meses recorrentes (mesInicio e mesFim) ou datas exatas (dataInicio e dataFim)
+ */
+const validateProductSeasons = (req, res, next) => {
+  const { safras } = req.body || {};
   const errors = [];
 
-  if (!productId || isNaN(productId)) {
-    errors.push('ID do produto é obrigatório');
+  const isMes = value => Number.isInteger(value) && value >= 1 && value <= 12;
+  const isData = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+  if (!Array.isArray(safras) || safras.length > 12) {
+    errors.push('Safras devem ser uma lista de até 12 janelas (lista vazia: disponível o ano todo)');
+  } else {
+    safras.forEach((janela, index) => {
+      const { mesInicio, mesFim, dataInicio, dataFim } = janela || {};
+      const porMeses = mesInicio !== undefined || mesFim !== undefined;
+      const porDatas = dataInicio !== undefined || dataFim !== undefined;
+
+      if (porMeses === porDatas) {
+        errors.push(`Safra ${index + 1}: informe mesInicio e mesFim ou dataInicio e dataFim`);
+      } else if (porMeses && (!isMes(mesInicio) || !isMes(mesFim))) {
+        errors.push(`Safra ${index + 1}: meses devem ser números de 1 a 12`);
+      } else if (porDatas && (!isData(dataInicio) || !isData(dataFim))) {
+        errors.push(`Safra ${index + 1}: datas devem estar no formato AAAA-MM-DD`);
+      } else if (porDatas && dataInicio > dataFim) {
+        errors.push(`Safra ${index + 1}: dataInicio deve ser anterior ou igual a dataFim`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida a publicação ou a alteração de uma colheita em pré-venda
+ * Na atualização (PUT) os campos são opcionais e é possível encerrar ou reabrir as reservas
+ */
+const validateHarvest = (req, res, next) => {
+  const { quantidadePrevista, dataColheita, dataEntrega, status } = req.body || {};
+  const isUpdate = req.method === 'PUT';
+  const errors = [];
+
+  const isData = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+  if ((!isUpdate || quantidadePrevista !== undefined)
+    && (!Number.isInteger(quantidadePrevista) || quantidadePrevista < 1)) {
+    errors.push('Quantidade prevista deve ser um número inteiro maior que zero');
+  }
+
+  if (!isUpdate || dataColheita !== undefined) {
+    if (!isData(dataColheita)) {
+      errors.push('Data da colheita deve estar no formato AAAA-MM-DD');
+    } else if (!isUpdate && new Date(`${dataColheita}T23:59:59`) < new Date()) {
+      errors.push('Data da colheita não pode estar no passado');
+    }
+  }
+
+  if (dataEntrega !== undefined && dataEntrega !== null) {
+    if (!isData(dataEntrega)) {
+      errors.push('Data de entrega deve estar no formato AAAA-MM-DD');
+    } else if (isData(dataColheita) && dataEntrega < dataColheita) {
+      errors.push('Data de entrega não pode ser anterior à colheita');
+    }
+  }
+
+  if (status !== undefined && (!isUpdate || !['aberta', 'encerrada'].includes(status))) {
+    errors.push('Status deve ser "aberta" ou "encerrada"');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida o resultado informado após a colheita
+ */
+const validateHarvestOutcome = (req, res, next) => {
+  const { quantidadeColhida } = req.body || {};
+
+  if (!Number.isInteger(quantidadeColhida) || quantidadeColhida < 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors: ['Quantidade colhida deve ser um número inteiro não negativo']
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida a avaliação de um produto
+ * Na edição (PUT) a nota é opcional e o item do pedido não pode ser trocado
+ */
+const validateReview = (req, res, next) => {
+  const { orderItemId, nota, comentario } = req.body || {};
+  const isUpdate = req.method === 'PUT';
+  const errors = [];
+
+  if (!isUpdate && (!Number.isInteger(orderItemId) || orderItemId < 1)) {
+    errors.push('Item do pedido é obrigatório');
+  }
+
+  if ((!isUpdate || nota !== undefined) && (!Number.isInteger(nota) || nota < 1 || nota > 5)) {
+    errors.push('Nota deve ser um número inteiro de 1 a 5');
+  }
+
+  if (comentario !== undefined && comentario !== null
+    && (typeof comentario !== 'string' || comentario.length > 2000)) {
+    errors.push('Comentário deve ter no máximo 2000 caracteres');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida a resposta do produtor a uma avaliação
+ */
+const validateReviewReply = (req, res, next) => {
+  const { resposta } = req.body || {};
+
+  if (resposta !== null && (typeof resposta !== 'string' || resposta.length > 2000)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors: ['Resposta deve ser um texto de até 2000 caracteres (vazio ou null apaga a resposta)']
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida a denúncia de uma avaliação
+ */
+const validateReviewReport = (req, res, next) => {
+  const { motivo } = req.body || {};
+
+  if (typeof motivo !== 'string' || motivo.trim().length < 3 || motivo.length > 500) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors: ['Motivo da denúncia deve ter entre 3 e 500 caracteres']
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida a nova ordem da galeria de imagens do produto
+ */
+const validateImageOrder = (req, res, next) => {
+  const { ordem } = req.body || {};
+  const errors = [];
+
+  if (!Array.isArray(ordem) || ordem.length === 0 || ordem.some(id => !Number.isInteger(Number(id)) || Number(id) < 1)) {
+    errors.push('Ordem deve ser uma lista com os IDs das imagens');
+  } else if (new Set(ordem.map(Number)).size !== ordem.length) {
+    errors.push('Ordem não pode repetir imagens');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida dados de endereço
+ */
+const validateAddress = (req, res, next) => {
+  const { rua, numero, bairro, cidade, estado, cep } = req.body;
+  const errors = [];
+
+  if (!rua || rua.trim().length < 3) {
+    errors.push('Rua deve ter pelo menos 3 caracteres');
+  }
+
+  if (!numero || numero.trim().length < 1) {
+    errors.push('Número é obrigatório');
+  }
+
+  if (!bairro || bairro.trim().length < 2) {
+    errors.push('Bairro deve ter pelo menos 2 caracteres');
+  }
+
+  if (!cidade || cidade.trim().length < 2) {
+    errors.push('Cidade deve ter pelo menos 2 caracteres');
+  }
+
+  if (!estado || estado.length !== 2) {
+    errors.push('Estado deve ter exatamente 2 caracteres');
+  }
+
+  const cepRegex = /^\d{5}-?\d{3}$/;
+  if (!cep || !cepRegex.test(cep)) {
+    errors.push('CEP deve ter o formato 00000-000');
+  }
+
+  // Coordenadas opcionais (GPS do aplicativo); sem elas, o endereço é localizado pelo CEP
+  errors.push(...getCoordinateErrors(req.body));
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida dados de categoria
+ * Na atualização (PUT) os campos são opcionais, mas se enviados precisam ser válidos
+ */
+const validateCategory = (req, res, next) => {
+  const { nome, icone, slug, parentId, ordem } = req.body;
+  const isUpdate = req.method === 'PUT';
+  const errors = [];
+
+  if ((!isUpdate || nome !== undefined) && (!nome || String(nome).trim().length < 2)) {
+    errors.push('Nome da categoria deve ter pelo menos 2 caracteres');
+  }
+
+  if (icone !== undefined && icone !== null && String(icone).length > 50) {
+    errors.push('Ícone deve ter no máximo 50 caracteres');
+  }
+
+  if (slug !== undefined && slug !== null && (!SLUG_REGEX.test(slug) || slug.length > 120)) {
+    errors.push('Slug deve ter apenas letras minúsculas, números e hífens (até 120 caracteres)');
+  }
+
+  if (parentId !== undefined && parentId !== null && (!Number.isInteger(parentId) || parentId < 1)) {
+    errors.push('Categoria pai inválida');
+  }
+
+  if (isUpdate && parentId !== undefined && parentId !== null && parentId === Number(req.params.id)) {
+    errors.push('Uma categoria não pode ser pai dela mesma');
+  }
+
+  if (ordem !== undefined && (!Number.isInteger(ordem) || ordem < 0)) {
+    errors.push('Ordem deve ser um número inteiro não negativo');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida a nova ordem das subcategorias de um pai
+ */
+const validateCategoryReorder = (req, res, next) => {
+  const { parentId, ids } = req.body || {};
+  const errors = [];
+
+  if (parentId !== undefined && parentId !== null && (!Number.isInteger(parentId) || parentId < 1)) {
+    errors.push('Categoria pai inválida');
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !Number.isInteger(id) || id < 1)) {
+    errors.push('Informe a lista de IDs das categorias na nova ordem');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida dados de organização (cooperativa ou associação)
+ * Na atualização (PUT) todos os campos são opcionais
+ */
+const validateOrganization = (req, res, next) => {
+  const { nome, tipo, estado } = req.body;
+  const isUpdate = req.method === 'PUT';
+  const errors = [];
+
+  if ((!isUpdate || nome !== undefined) && (!nome || String(nome).trim().length < 2)) {
+    errors.push('Nome da organização deve ter pelo menos 2 caracteres');
+  }
+
+  if ((!isUpdate || tipo !== undefined) && !['cooperativa', 'associacao'].includes(tipo)) {
+    errors.push('Tipo deve ser "cooperativa" ou "associacao"');
+  }
+
+  if (estado !== undefined && estado !== null && !/^[A-Za-z]{2}$/.test(estado)) {
+    errors.push('Estado deve ter exatamente 2 caracteres');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida convite para a equipe de um produtor
+ * O nome só é exigido pelo controller quando o convidado ainda não tem conta
+ */
+const validateStaffInvitation = (req, res, next) => {
+  const { nome, email } = req.body;
+  const errors = [];
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!email || !emailRegex.test(email)) {
+    errors.push('Email deve ter um formato válido');
+  }
+
+  if (nome !== undefined && (!nome || String(nome).trim().length < 2)) {
+    errors.push('Nome deve ter pelo menos 2 caracteres');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida o perfil público do produtor
+ * Todos os campos são opcionais na atualização, mas se enviados precisam ser válidos
+ */
+const validateProducerProfile = (req, res, next) => {
+  const { nomePropriedade, historia, estado, fotos, praticas, certificacoes, cidadesEntrega } = req.body;
+  const errors = [];
+
+  const isListaDeTextos = (value) => Array.isArray(value)
+    && value.every(item => typeof item === 'string' && item.trim().length > 0);
+
+  if (nomePropriedade !== undefined && (!nomePropriedade || String(nomePropriedade).trim().length < 2)) {
+    errors.push('Nome da propriedade deve ter pelo menos 2 caracteres');
+  }
+
+  if (historia !== undefined && historia !== null && String(historia).length > 5000) {
+    errors.push('História deve ter no máximo 5000 caracteres');
+  }
+
+  if (estado !== undefined && estado !== null && !/^[A-Za-z]{2}$/.test(estado)) {
+    errors.push('Estado deve ter exatamente 2 caracteres');
+  }
+
+  const urlRegex = /^https?:\/\/\S+$/;
+  if (fotos !== undefined && (!isListaDeTextos(fotos) || fotos.length > 10 || fotos.some(foto => !urlRegex.test(foto)))) {
+    errors.push('Fotos devem ser uma lista de até 10 URLs');
+  }
+
+  if (praticas !== undefined && !isListaDeTextos(praticas)) {
+    errors.push('Práticas de produção devem ser uma lista');
+  }
+
+  if (certificacoes !== undefined && !isListaDeTextos(certificacoes)) {
+    errors.push('Certificações devem ser uma lista de textos');
+  }
+
+  if (cidadesEntrega !== undefined && !isListaDeTextos(cidadesEntrega)) {
+    errors.push('Cidades de entrega devem ser uma lista de textos');
+  }
+
+  errors.push(...getCoordinateErrors(req.body));
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida uma certificação do produtor
+ * Na atualização (PUT) os campos são opcionais, mas se enviados precisam ser válidos
+ */
+const validateCertification = (req, res, next) => {
+  const { tipo, numero, orgaoEmissor, validoDe, validoAte } = req.body || {};
+  const isUpdate = req.method === 'PUT';
+  const errors = [];
+
+  const isData = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+  if ((!isUpdate || tipo !== undefined) && !TIPOS_CERTIFICACAO.includes(tipo)) {
+    errors.push(`Tipo deve estar entre: ${TIPOS_CERTIFICACAO.join(', ')}`);
+  }
+
+  if ((!isUpdate || numero !== undefined) && (!numero || String(numero).trim().length > 100)) {
+    errors.push('Número do certificado é obrigatório (até 100 caracteres)');
+  }
+
+  if ((!isUpdate || orgaoEmissor !== undefined)
+    && (!orgaoEmissor || String(orgaoEmissor).trim().length < 2 || String(orgaoEmissor).trim().length > 150)) {
+    errors.push('Órgão emissor deve ter entre 2 e 150 caracteres');
+  }
+
+  if ((!isUpdate || validoDe !== undefined) && !isData(validoDe)) {
+    errors.push('Início da validade deve estar no formato AAAA-MM-DD');
+  }
+
+  if (!isUpdate || validoAte !== undefined) {
+    if (!isData(validoAte)) {
+      errors.push('Fim da validade deve estar no formato AAAA-MM-DD');
+    } else if (isData(validoDe) && validoAte < validoDe) {
+      errors.push('Fim da validade não pode ser anterior ao início');
+    } else if (!isUpdate && new Date(`${validoAte}T23:59:59`) < new Date()) {
+      errors.push('Certificado já vencido; cadastre a validade renovada');
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida os dados de uma campanha de promoção
+ * Na criação, exige o alvo do escopo e os valores do tipo; na edição, confere só o que foi enviado
+ * (a combinação final é conferida pelo modelo)
+ */
+const validatePromotion = (req, res, next) => {
+  const {
+    nome, tipo, escopo, productId, categoryId, percentual, valorDesconto,
+    quantidadeFaixa, precoFaixa, leve, pague, inicioEm, fimEm, ativo
+  } = req.body || {};
+  const isUpdate = req.method === 'PUT';
+  const errors = [];
+
+  const isPositivo = value => value !== null && value !== '' && !isNaN(value) && parseFloat(value) > 0;
+  const isInteiro = (value, minimo) => value !== null && value !== '' && Number.isInteger(Number(value)) && Number(value) >= minimo;
+  const isDataHora = value => typeof value === 'string' && !isNaN(Date.parse(value));
+  // Valores do tipo: obrigatórios na criação, conferidos sempre que enviados
+  const confere = (campo, value) => value !== undefined || (!isUpdate && (VALORES_PROMOCAO[tipo] || []).includes(campo));
+
+  if ((!isUpdate || nome !== undefined) && (!nome || String(nome).trim().length < 2 || String(nome).trim().length > 120)) {
+    errors.push('Nome da promoção deve ter entre 2 e 120 caracteres');
+  }
+
+  if ((!isUpdate || tipo !== undefined) && !TIPOS_PROMOCAO.includes(tipo)) {
+    errors.push(`Tipo deve estar entre: ${TIPOS_PROMOCAO.join(', ')}`);
+  }
+
+  if ((!isUpdate || escopo !== undefined) && !ESCOPOS_PROMOCAO.includes(escopo)) {
+    errors.push(`Escopo deve estar entre: ${ESCOPOS_PROMOCAO.join(', ')}`);
+  }
+
+  if (escopo === 'produto' && !isInteiro(productId, 1)) {
+    errors.push('Informe o produto da promoção (productId)');
+  }
+  if (escopo === 'categoria' && !isInteiro(categoryId, 1)) {
+    errors.push('Informe a categoria da promoção (categoryId)');
+  }
+
+  if (confere('percentual', percentual) && (!isPositivo(percentual) || parseFloat(percentual) > 100)) {
+    errors.push('Percentual deve ser um número maior que zero e até 100');
+  }
+
+  if (confere('valorDesconto', valorDesconto) && !isPositivo(valorDesconto)) {
+    errors.push('Valor do desconto deve ser um número maior que zero');
+  }
+
+  if (confere('quantidadeFaixa', quantidadeFaixa) && (!isPositivo(quantidadeFaixa) || !hasQuantityPrecision(quantidadeFaixa))) {
+    errors.push('Quantidade da faixa deve ser maior que zero, com até 3 casas decimais');
+  }
+
+  if (confere('precoFaixa', precoFaixa) && !isPositivo(precoFaixa)) {
+    errors.push('Preço da faixa deve ser um número maior que zero');
+  }
+
+  if (confere('leve', leve) && !isInteiro(leve, 2)) {
+    errors.push('Leve deve ser um número inteiro maior que 1');
+  }
+
+  if (confere('pague', pague)) {
+    if (!isInteiro(pague, 1)) {
+      errors.push('Pague deve ser um número inteiro maior que zero');
+    } else if (isInteiro(leve, 2) && Number(pague) >= Number(leve)) {
+      errors.push('Na promoção leve e pague, a quantidade paga deve ser menor que a levada');
+    }
+  }
+
+  if ((!isUpdate || inicioEm !== undefined) && !isDataHora(inicioEm)) {
+    errors.push('Início da promoção deve ser uma data e hora válida (ISO 8601)');
+  }
+
+  if (!isUpdate || fimEm !== undefined) {
+    if (!isDataHora(fimEm)) {
+      errors.push('Fim da promoção deve ser uma data e hora válida (ISO 8601)');
+    } else if (isDataHora(inicioEm) && Date.parse(fimEm) <= Date.parse(inicioEm)) {
+      errors.push('O fim da promoção deve ser depois do início');
+    } else if (Date.parse(fimEm) <= Date.now()) {
+      errors.push('O fim da promoção já passou');
+    }
+  }
+
+  if (ativo !== undefined && typeof ativo !== 'boolean') {
+    errors.push('Ativo deve ser verdadeiro ou falso');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida o código de cupom digitado no carrinho
+ */
+const validateCouponCode = (req, res, next) => {
+  const { codigo } = req.body || {};
+
+  if (typeof codigo !== 'string' || codigo.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors: ['Código do cupom é obrigatório']
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida os dados de um cupom
+ * Na criação, exige o código, o tipo com o seu valor e a validade; na edição, confere só o que foi enviado
+ */
+const validateCoupon = (req, res, next) => {
+  const {
+    codigo, descricao, tipo, percentual, valorDesconto, valorMinimoPedido, limiteUsos, limitePorUsuario,
+    primeiraCompra, produtorId, categoryId, inicioEm, fimEm, ativo
+  } = req.body || {};
+  const isUpdate = req.method === 'PUT';
+  const errors = [];
+
+  const isPositivo = value => value !== null && value !== '' && !isNaN(value) && parseFloat(value) > 0;
+  const isInteiro = (value, minimo) => value !== null && value !== '' && Number.isInteger(Number(value)) && Number(value) >= minimo;
+  const isDataHora = value => typeof value === 'string' && !isNaN(Date.parse(value));
+  // Limites e restrições aceitam null para retirar
+  const isOpcional = (value, regra) => value === undefined || value === null || regra(value);
+
+  if ((!isUpdate || codigo !== undefined) && (typeof codigo !== 'string' || !/^[A-Za-z0-9_-]{3,40}$/.test(codigo.trim()))) {
+    errors.push('Código do cupom deve ter de 3 a 40 letras, números, - ou _');
+  }
+
+  if (descricao !== undefined && descricao !== null && String(descricao).length > 200) {
+    errors.push('Descrição deve ter no máximo 200 caracteres');
+  }
+
+  if ((!isUpdate || tipo !== undefined) && !TIPOS_CUPOM.includes(tipo)) {
+    errors.push(`Tipo deve estar entre: ${TIPOS_CUPOM.join(', ')}`);
+  }
+
+  if ((percentual !== undefined || (!isUpdate && tipo === 'percentual'))
+    && (!isPositivo(percentual) || parseFloat(percentual) > 100)) {
+    errors.push('Percentual deve ser um número maior que zero e até 100');
+  }
+
+  if ((valorDesconto !== undefined || (!isUpdate && tipo === 'valor_fixo')) && !isPositivo(valorDesconto)) {
+    errors.push('Valor do desconto deve ser um número maior que zero');
+  }
+
+  if (!isOpcional(valorMinimoPedido, isPositivo)) {
+    errors.push('Valor mínimo do pedido deve ser um número maior que zero');
+  }
+
+  if (!isOpcional(limiteUsos, value => isInteiro(value, 1)) || !isOpcional(limitePorUsuario, value => isInteiro(value, 1))) {
+    errors.push('Limites de uso devem ser números inteiros maiores que zero');
+  }
+
+  if (!isOpcional(produtorId, value => isInteiro(value, 1)) || !isOpcional(categoryId, value => isInteiro(value, 1))) {
+    errors.push('Produtor e categoria devem ser IDs válidos');
+  }
+
+  if ((!isUpdate || inicioEm !== undefined) && !isDataHora(inicioEm)) {
+    errors.push('Início do cupom deve ser uma data e hora válida (ISO 8601)');
+  }
+
+  if (!isUpdate || fimEm !== undefined) {
+    if (!isDataHora(fimEm)) {
+      errors.push('Fim do cupom deve ser uma data e hora válida (ISO 8601)');
+    } else if (isDataHora(inicioEm) && Date.parse(fimEm) <= Date.parse(inicioEm)) {
+      errors.push('O fim do cupom deve ser depois do início');
+    }
+  }
+
+  if ((primeiraCompra !== undefined && typeof primeiraCompra !== 'boolean') || (ativo !== undefined && typeof ativo !== 'boolean')) {
+    errors.push('Primeira compra e ativo devem ser verdadeiro ou falso');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida a lista de certificações que cobrem um produto
+ */
+const validateProductCertifications = (req, res, next) => {
+  const { certificacoes } = req.body || {};
+
+  if (!Array.isArray(certificacoes) || certificacoes.some(id => !Number.isInteger(id) || id < 1)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors: ['Informe a lista de IDs das certificações (vazia para retirar todas)']
+    });
+  }
+
+  next();
+};
+
+/**
+ * Valida dados de item do carrinho
+ */
+const validateCartItem = (req, res, next) => {
+  const { productId, variantId, harvestId, quantidade } = req.body;
+  const errors = [];
+
+  if (!productId || isNaN(productId)) {
+    errors.push('ID do produto é obrigatório');
+  }
+
+  if (variantId !== undefined && variantId !== null && isNaN(variantId)) {
+    errors.push('ID da variação deve ser um número');
+  }
+
+  if (harvestId !== undefined && harvestId !== null && isNaN(harvestId)) {
+    errors.push('ID da colheita deve ser um número');
+  } else if (harvestId && variantId) {
+    errors.push('Reservas de colheita não têm variação');
   }
 
-  if (!quantidade || isNaN(quantidade) || parseInt(quantidade) < 1) {
-    errors.push('Quantidade deve ser um número maior que zero');
+  // Mínimo, incremento e unidades inteiras dependem do produto e são conferidos no carrinho
+  if (!isQuantity(quantidade, undefined, { positivo: true })) {
+    errors.push('Quantidade deve ser um número maior que zero com até 3 casas decimais');
   }
 
   if (errors.length > 0) {
@@ -208,9 +1160,32 @@ const handleSequelizeValidationError = (error, req, res, next) => {
 module.exports = {
   validateUserRegistration,
   validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  getProductErrors,
   validateProduct,
+  validateProductFilters,
+  validateNearQuery,
+  validateVariant,
+  validateImageOrder,
+  validateProductSeasons,
+  validateHarvest,
+  validateHarvestOutcome,
+  validateReview,
+  validateReviewReply,
+  validateReviewReport,
   validateAddress,
   validateCartItem,
+  validateCategory,
+  validateCategoryReorder,
+  validateOrganization,
+  validateStaffInvitation,
+  validateProducerProfile,
+  validateCertification,
+  validateProductCertifications,
+  validatePromotion,
+  validateCouponCode,
+  validateCoupon,
   handleSequelizeValidationError
 };
 
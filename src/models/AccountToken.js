@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Token de Conta
+ * Tokens de uso único enviados por email (redefinição de senha, verificação de email
+ * e convite para a equipe de um produtor).
+ * Apenas o hash é armazenado; o valor original só existe no link enviado.
+ */
+const AccountToken = sequelize.define('AccountToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  tipo: {
+    type: DataTypes.ENUM('reset_senha', 'verificacao_email', 'convite_equipe'),
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'account_tokens',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'tipo']
+    }
+  ]
+});
+
+module.exports = AccountToken;
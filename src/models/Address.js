@@ -66,6 +66,23 @@ const Address = sequelize.define('Address', {
       is: /^\d{5}-?\d{3}$/
     }
   },
+  latitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    comment: 'Informada pelo aplicativo ou obtida pelo CEP (tabela cep_locations)',
+    validate: {
+      min: -90,
+      max: 90
+    }
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    validate: {
+      min: -180,
+      max: 180
+    }
+  },
   principal: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Ação Administrativa
+ * Registro de auditoria de toda intervenção feita por um administrador
+ */
+const AdminAction = sequelize.define('AdminAction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  adminId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  acao: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Ex.: usuario.desativar, categoria.criar, pedido.status'
+  },
+  entidade: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  entidadeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  motivo: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  detalhes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Valores anteriores e novos da alteração'
+  }
+}, {
+  tableName: 'admin_actions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['entidade', 'entidadeId']
+    },
+    {
+      fields: ['adminId']
+    }
+  ]
+});
+
+module.exports = AdminAction;
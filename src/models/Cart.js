@@ -19,6 +19,15 @@ const Cart = sequelize.define('Cart', {
       model: 'users',
       key: 'id'
     }
+  },
+  couponId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    },
+    comment: 'Cupom aplicado; conferido de novo a cada consulta e no fechamento do pedido'
   }
 }, {
   tableName: 'carts',
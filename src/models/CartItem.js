@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { decimalGetter } = require('../utils/quantity');
 
 /**
  * Modelo de Item do Carrinho
@@ -27,13 +28,33 @@ const CartItem = sequelize.define('CartItem', {
       key: 'id'
     }
   },
-  quantidade: {
+  variantId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    },
+    comment: 'Variação escolhida, obrigatória quando o produto tem variações'
+  },
+  harvestId: {
     type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'harvests',
+      key: 'id'
+    },
+    comment: 'Colheita reservada, quando o item é de pré-venda'
+  },
+  quantidade: {
+    type: DataTypes.DECIMAL(10, 3),
     allowNull: false,
     defaultValue: 1,
+    get: decimalGetter('quantidade'),
     validate: {
-      min: 1
-    }
+      min: 0.001
+    },
+    comment: 'Na unidade de medida do produto ou da variação, respeitando o mínimo e o incremento do produto'
   }
 }, {
   tableName: 'cart_items',
@@ -41,7 +62,7 @@ const CartItem = sequelize.define('CartItem', {
   indexes: [
     {
       unique: true,
-      fields: ['cartId', 'productId']
+      fields: ['cartId', 'productId', 'variantId', 'harvestId']
     }
   ]
 });
@@ -1,9 +1,11 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { slugify } = require('../utils/text');
 
 /**
  * Modelo de Categoria
  * Representa as categorias de produtos (Vegetais, Frutas, etc.)
+ * Categorias podem ter subcategorias (Vegetais > Folhosas)
  */
 const Category = sequelize.define('Category', {
   id: {
@@ -20,6 +22,30 @@ const Category = sequelize.define('Category', {
       len: [2, 100]
     }
   },
+  slug: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[a-z0-9]+(-[a-z0-9]+)*$/
+    },
+    comment: 'Identificador usado nas URLs (gerado a partir do nome quando não informado)'
+  },
+  parentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    comment: 'Categoria pai; nulo nas categorias principais'
+  },
+  ordem: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Posição de exibição entre as categorias irmãs'
+  },
   descricao: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -35,7 +61,20 @@ const Category = sequelize.define('Category', {
   }
 }, {
   tableName: 'categories',
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    { fields: ['parentId', 'ordem'] }
+  ],
+  hooks: {
+    /**
+     * Gera o slug a partir do nome quando não foi informado
+     */
+    beforeValidate: (category) => {
+      if (!category.slug && category.nome) {
+        category.slug = slugify(category.nome);
+      }
+    }
+  }
 });
 
 module.exports = Category;
@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Localização de CEP
+ * Tabela offline de coordenadas por CEP, carregada de um CSV (npm run cep:import)
+ * e usada para localizar endereços sem depender de serviços externos
+ */
+const CepLocation = sequelize.define('CepLocation', {
+  cep: {
+    type: DataTypes.STRING(8),
+    primaryKey: true,
+    validate: {
+      is: /^\d{8}$/
+    },
+    comment: 'Apenas os dígitos'
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: false,
+    validate: {
+      min: -90,
+      max: 90
+    }
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: false,
+    validate: {
+      min: -180,
+      max: 180
+    }
+  },
+  cidade: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  estado: {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  }
+}, {
+  tableName: 'cep_locations',
+  timestamps: false
+});
+
+module.exports = CepLocation;
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Mecanismos de garantia aceitos (Lei 10.831/2003 e transição agroecológica)
+const TIPOS_CERTIFICACAO = ['sisorg_opac', 'auditoria', 'ocs', 'transicao_agroecologica'];
+
+/**
+ * Modelo de Certificação
+ * Certificado orgânico ou declaração de transição agroecológica de um produtor, com o
+ * documento comprobatório. Vale como selo nos produtos ligados a ele enquanto estiver
+ * dentro da validade; a tarefa de vencimentos avisa o produtor e marca como expirada
+ */
+const Certification = sequelize.define('Certification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  produtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  tipo: {
+    type: DataTypes.ENUM(...TIPOS_CERTIFICACAO),
+    allowNull: false,
+    validate: {
+      isIn: [TIPOS_CERTIFICACAO]
+    },
+    comment: 'sisorg_opac (sistema participativo), auditoria (certificadora), ocs (venda direta) ou transicao_agroecologica'
+  },
+  numero: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    comment: 'Número do certificado ou do cadastro no MAPA'
+  },
+  orgaoEmissor: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    comment: 'Certificadora, OPAC ou OCS que emitiu o documento'
+  },
+  validoDe: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  validoAte: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  documentoUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'Cópia do certificado (PDF ou imagem)'
+  },
+  documentoChave: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Chave do documento no armazenamento'
+  },
+  status: {
+    type: DataTypes.ENUM('ativa', 'expirada'),
+    allowNull: false,
+    defaultValue: 'ativa'
+  },
+  avisoVencimentoEm: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Quando o produtor foi avisado de que a validade está acabando'
+  }
+}, {
+  tableName: 'certifications',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['produtorId']
+    },
+    {
+      fields: ['status', 'validoAte']
+    }
+  ],
+  validate: {
+    periodoValido() {
+      if (this.validoDe && this.validoAte && this.validoDe > this.validoAte) {
+        throw new Error('validoDe deve ser anterior ou igual a validoAte');
+      }
+    }
+  }
+});
+
+module.exports = Certification;
@@ -0,0 +1,157 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { decimalGetter } = require('../utils/quantity');
+
+/**
+ * Modelo de Cupom
+ * Código digitado no carrinho para ganhar desconto no pedido. Os tipos são:
+ * - percentual: desconto percentual sobre os itens que participam
+ * - valor_fixo: reais a menos no pedido (até o valor dos itens que participam)
+ * - frete_gratis: entrega sem custo, registrada no pedido
+ * Com produtorId ou categoryId, só os itens do produtor ou da categoria (e subcategorias)
+ * participam: contam para o pedido mínimo e recebem o desconto. O cupom vale sobre os
+ * subtotais já com as campanhas de promoção
+ */
+const Coupon = sequelize.define('Coupon', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  codigo: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    unique: true,
+    set(valor) {
+      this.setDataValue('codigo', typeof valor === 'string' ? valor.trim().toUpperCase() : valor);
+    },
+    validate: {
+      is: {
+        args: /^[A-Z0-9_-]{3,40}$/,
+        msg: 'Código do cupom deve ter de 3 a 40 letras, números, - ou _'
+      }
+    },
+    comment: 'Sempre em maiúsculas; a busca ignora maiúsculas e minúsculas'
+  },
+  descricao: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  tipo: {
+    type: DataTypes.ENUM('percentual', 'valor_fixo', 'frete_gratis'),
+    allowNull: false
+  },
+  percentual: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    get: decimalGetter('percentual'),
+    validate: {
+      min: 0.01,
+      max: 100
+    }
+  },
+  valorDesconto: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    get: decimalGetter('valorDesconto'),
+    validate: {
+      min: 0.01
+    }
+  },
+  valorMinimoPedido: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    get: decimalGetter('valorMinimoPedido'),
+    validate: {
+      min: 0.01
+    },
+    comment: 'Soma mínima dos itens que participam'
+  },
+  limiteUsos: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Total de pedidos com o cupom (vazio = sem limite)'
+  },
+  limitePorUsuario: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    },
+    comment: 'Pedidos com o cupom por consumidor (vazio = sem limite)'
+  },
+  usos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Pedidos não cancelados com o cupom; incrementado na mesma transação do pedido'
+  },
+  primeiraCompra: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Só para quem ainda não tem pedidos'
+  },
+  produtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  categoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    }
+  },
+  inicioEm: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  fimEm: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  ativo: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  criadoPorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'coupons',
+  timestamps: true,
+  validate: {
+    /**
+     * Cada tipo exige o seu valor
+     */
+    valorDoTipo() {
+      const campo = { percentual: 'percentual', valor_fixo: 'valorDesconto' }[this.tipo];
+      if (campo && (this[campo] === null || this[campo] === undefined)) {
+        throw new Error(`Cupons do tipo ${this.tipo} exigem ${campo}`);
+      }
+    },
+    periodoValido() {
+      if (this.inicioEm && this.fimEm && new Date(this.fimEm) <= new Date(this.inicioEm)) {
+        throw new Error('O fim do cupom deve ser depois do início');
+      }
+    }
+  }
+});
+
+module.exports = Coupon;
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { decimalGetter } = require('../utils/quantity');
+
+/**
+ * Modelo de Uso de Cupom
+ * Um registro por pedido que usou o cupom; conta para o limite por consumidor
+ * e é apagado quando o pedido é cancelado. As chaves únicas garantem os limites mesmo
+ * com dois fechamentos simultâneos: cada uso ocupa uma vaga do consumidor no cupom e só
+ * um uso de cupom de primeira compra por consumidor
+ */
+const CouponRedemption = sequelize.define('CouponRedemption', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  couponId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  desconto: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    get: decimalGetter('desconto')
+  },
+  vaga: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Vaga ocupada no limite por consumidor (1 a limitePorUsuario); nula se o cupom não tem esse limite'
+  },
+  primeiraCompra: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'coupon_redemptions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['couponId', 'userId', 'vaga']
+    },
+    {
+      unique: true,
+      fields: ['userId'],
+      where: { primeiraCompra: true }
+    }
+  ]
+});
+
+module.exports = CouponRedemption;
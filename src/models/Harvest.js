@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Colheita
+ * Safra futura publicada pelo produtor para pré-venda: os consumidores reservam parte da
+ * quantidade prevista e, depois da colheita, o produtor informa quanto realmente colheu
+ * para que as reservas sejam atendidas (proporcionalmente, se faltar)
+ */
+const Harvest = sequelize.define('Harvest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  quantidadePrevista: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    },
+    comment: 'Quantidade esperada, na unidade de medida do produto'
+  },
+  quantidadeReservada: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  quantidadeColhida: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Resultado real informado pelo produtor após a colheita'
+  },
+  dataColheita: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  dataEntrega: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Entrega prevista dos pedidos de pré-venda (padrão: a data da colheita)'
+  },
+  status: {
+    type: DataTypes.ENUM('aberta', 'encerrada', 'colhida'),
+    allowNull: false,
+    defaultValue: 'aberta',
+    comment: 'aberta: aceita reservas; encerrada: não aceita mais; colhida: reservas já atendidas'
+  }
+}, {
+  tableName: 'harvests',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['productId']
+    }
+  ]
+});
+
+/**
+ * Quantidade que ainda pode ser reservada
+ * @returns {number}
+ */
+Harvest.prototype.getDisponivel = function() {
+  return this.status === 'aberta' ? Math.max(this.quantidadePrevista - this.quantidadeReservada, 0) : 0;
+};
+
+/**
+ * Data de entrega dos pedidos desta colheita
+ * @returns {string} - AAAA-MM-DD
+ */
+Harvest.prototype.getDataEntrega = function() {
+  return this.dataEntrega || this.dataColheita;
+};
+
+module.exports = Harvest;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { decimalGetter } = require('../utils/quantity');
 
 /**
  * Modelo de Pedido
@@ -29,13 +30,48 @@ const Order = sequelize.define('Order', {
     allowNull: false,
     validate: {
       min: 0.01
+    },
+    comment: 'Soma dos itens menos o desconto do cupom'
+  },
+  couponId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    }
+  },
+  codigoCupom: {
+    type: DataTypes.STRING(40),
+    allowNull: true,
+    comment: 'Código do cupom no momento do pedido'
+  },
+  descontoCupom: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    get: decimalGetter('descontoCupom'),
+    validate: {
+      min: 0
     }
   },
+  freteGratis: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Entrega sem custo para o consumidor (cupom de frete grátis)'
+  },
   enderecoEntrega: {
     type: DataTypes.JSON,
     allowNull: false,
     comment: 'Cópia do endereço no momento do pedido'
   },
+  preVenda: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Pedido com reservas de colheita; a entrega prevista acompanha a colheita'
+  },
   observacoes: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { calculateSubtotal, roundMoney, decimalGetter } = require('../utils/quantity');
 
 /**
  * Modelo de Item do Pedido
@@ -27,11 +28,44 @@ const OrderItem = sequelize.define('OrderItem', {
       key: 'id'
     }
   },
-  quantidade: {
+  variantId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
+  nomeVariante: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Rótulo da variação no momento do pedido'
+  },
+  harvestId: {
     type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'harvests',
+      key: 'id'
+    },
+    comment: 'Colheita reservada, quando o item é de pré-venda'
+  },
+  quantidadeReservada: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    get: decimalGetter('quantidadeReservada'),
+    comment: 'Quantidade pedida na reserva (quantidade passa a ser a atendida após a colheita)'
+  },
+  statusReserva: {
+    type: DataTypes.ENUM('reservado', 'atendido', 'parcial', 'cancelado'),
+    allowNull: true
+  },
+  quantidade: {
+    type: DataTypes.DECIMAL(10, 3),
     allowNull: false,
+    get: decimalGetter('quantidade'),
     validate: {
-      min: 1
+      min: 0.001
     }
   },
   precoUnitario: {
@@ -47,6 +81,30 @@ const OrderItem = sequelize.define('OrderItem', {
     allowNull: false,
     validate: {
       min: 0.01
+    },
+    comment: 'Preço unitário vezes a quantidade, menos o desconto da promoção'
+  },
+  promotionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'promotions',
+      key: 'id'
+    },
+    comment: 'Campanha aplicada ao item, se houver'
+  },
+  nomePromocao: {
+    type: DataTypes.STRING(120),
+    allowNull: true,
+    comment: 'Nome da campanha no momento do pedido'
+  },
+  descontoPromocao: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    get: decimalGetter('descontoPromocao'),
+    validate: {
+      min: 0
     }
   }
 }, {
@@ -54,14 +112,25 @@ const OrderItem = sequelize.define('OrderItem', {
   timestamps: true,
   hooks: {
     /**
-     * Hook para calcular o subtotal antes de salvar
+     * Hook para calcular o subtotal antes de salvar (arredondado para centavos)
      */
     beforeCreate: (orderItem) => {
-      orderItem.subtotal = orderItem.quantidade * orderItem.precoUnitario;
+      orderItem.subtotal = roundMoney(
+        calculateSubtotal(orderItem.precoUnitario, orderItem.quantidade) - orderItem.descontoPromocao
+      );
     },
+    /**
+     * Quantidade reduzida (reserva atendida em parte) reduz o desconto na mesma proporção
+     */
     beforeUpdate: (orderItem) => {
+      if (orderItem.changed('quantidade') && orderItem.descontoPromocao > 0) {
+        const anterior = Number(orderItem.previous('quantidade'));
+        orderItem.descontoPromocao = roundMoney(orderItem.descontoPromocao * orderItem.quantidade / anterior);
+      }
       if (orderItem.changed('quantidade') || orderItem.changed('precoUnitario')) {
-        orderItem.subtotal = orderItem.quantidade * orderItem.precoUnitario;
+        orderItem.subtotal = roundMoney(
+          calculateSubtotal(orderItem.precoUnitario, orderItem.quantidade) - orderItem.descontoPromocao
+        );
       }
     }
   }
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Organização
+ * Cooperativas e associações de agricultores familiares que vendem um catálogo compartilhado
+ */
+const Organization = sequelize.define('Organization', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  nome: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 150]
+    }
+  },
+  tipo: {
+    type: DataTypes.ENUM('cooperativa', 'associacao'),
+    allowNull: false,
+    validate: {
+      isIn: [['cooperativa', 'associacao']]
+    }
+  },
+  cnpj: {
+    type: DataTypes.STRING(14),
+    allowNull: true,
+    unique: true,
+    comment: 'Apenas dígitos'
+  },
+  descricao: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  cidade: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  estado: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    validate: {
+      len: [2, 2],
+      isUppercase: true
+    }
+  },
+  ativo: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'organizations',
+  timestamps: true
+});
+
+module.exports = Organization;
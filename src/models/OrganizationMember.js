@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Membro de Organização
+ * Papéis: 'dono' administra tudo, inclusive os membros; 'gestor' edita produtos
+ * e adiciona membros; 'membro' atualiza estoque e status de pedidos
+ */
+const OrganizationMember = sequelize.define('OrganizationMember', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  organizationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  papel: {
+    type: DataTypes.ENUM('dono', 'gestor', 'membro'),
+    allowNull: false,
+    defaultValue: 'membro',
+    validate: {
+      isIn: [['dono', 'gestor', 'membro']]
+    }
+  }
+}, {
+  tableName: 'organization_members',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['organizationId', 'userId']
+    }
+  ]
+});
+
+module.exports = OrganizationMember;
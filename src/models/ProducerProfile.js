@@ -0,0 +1,172 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { normalizeText } = require('../utils/text');
+
+const PRATICAS = [
+  'organico',
+  'agroecologico',
+  'transicao_agroecologica',
+  'sem_agrotoxicos',
+  'biodinamico',
+  'hidroponico',
+  'extrativismo_sustentavel'
+];
+
+/**
+ * Valida uma lista JSON de textos
+ * @param {number} max - Quantidade máxima de itens
+ * @param {string} campo - Nome do campo para a mensagem
+ */
+const listaDeTextos = (max, campo) => (value) => {
+  if (!Array.isArray(value) || value.length > max || value.some(item => typeof item !== 'string' || !item.trim())) {
+    throw new Error(`${campo} deve ser uma lista de até ${max} textos`);
+  }
+};
+
+/**
+ * Modelo de Perfil do Produtor
+ * Vitrine pública da propriedade: história, localização, fotos, práticas de produção
+ * e área de entrega. Cada produtor tem no máximo um perfil.
+ */
+const ProducerProfile = sequelize.define('ProducerProfile', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  nomePropriedade: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 120]
+    }
+  },
+  historia: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  cidade: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  estado: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    validate: {
+      len: [2, 2],
+      isUppercase: true
+    }
+  },
+  fotos: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      listaValida: listaDeTextos(10, 'Fotos')
+    },
+    comment: 'URLs das fotos da propriedade'
+  },
+  praticas: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      praticasValidas(value) {
+        if (!Array.isArray(value) || value.some(pratica => !PRATICAS.includes(pratica))) {
+          throw new Error(`Práticas devem estar entre: ${PRATICAS.join(', ')}`);
+        }
+      }
+    }
+  },
+  certificacoes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      listaValida: listaDeTextos(20, 'Certificações')
+    },
+    comment: 'Selos declarados pelo produtor (ex.: SisOrg, Rede Ecovida)'
+  },
+  areaEntrega: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Descrição livre da entrega (dias, pontos de retirada)'
+  },
+  cidadesEntrega: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      listaValida: listaDeTextos(50, 'Cidades de entrega')
+    }
+  },
+  cidadeBusca: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Cidade sem acentos e em minúsculas, para os filtros do catálogo'
+  },
+  cidadesEntregaBusca: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Cidades de entrega sem acentos e em minúsculas, para os filtros do catálogo'
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    comment: 'Localização da propriedade; nunca exibida, só usada para calcular distâncias',
+    validate: {
+      min: -90,
+      max: 90
+    }
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    validate: {
+      min: -180,
+      max: 180
+    }
+  }
+}, {
+  tableName: 'producer_profiles',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['estado', 'cidade']
+    }
+  ],
+  hooks: {
+    /**
+     * Hook para gravar as cópias normalizadas usadas nos filtros (os dois dialetos comparam sem acentos)
+     */
+    beforeSave: (profile) => {
+      profile.cidadeBusca = profile.cidade ? normalizeText(profile.cidade) : null;
+      profile.cidadesEntregaBusca = (profile.cidadesEntrega || []).map(normalizeText);
+    }
+  }
+});
+
+/**
+ * Remove as cópias de busca do JSON retornado
+ */
+ProducerProfile.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.cidadeBusca;
+  delete values.cidadesEntregaBusca;
+  return values;
+};
+
+ProducerProfile.PRATICAS = PRATICAS;
+
+module.exports = ProducerProfile;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { isFractionalUnit, hasQuantityPrecision, isMultipleOf, toWholeRule, decimalGetter } = require('../utils/quantity');
 
 /**
  * Modelo de Produto
@@ -36,19 +37,48 @@ const Product = sequelize.define('Product', {
     defaultValue: 'kg'
   },
   estoque: {
-    type: DataTypes.INTEGER,
+    type: DataTypes.DECIMAL(10, 3),
     allowNull: false,
     defaultValue: 0,
+    get: decimalGetter('estoque'),
     validate: {
       min: 0
-    }
+    },
+    comment: 'Na unidade de medida do produto; fracionado (até 3 casas) em kg, g, litro e ml'
+  },
+  quantidadeMinima: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false,
+    defaultValue: 1,
+    get: decimalGetter('quantidadeMinima'),
+    validate: {
+      min: 0.001
+    },
+    comment: 'Menor quantidade vendida por pedido (ex.: 0,5 kg)'
+  },
+  incremento: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false,
+    defaultValue: 1,
+    get: decimalGetter('incremento'),
+    validate: {
+      min: 0.001
+    },
+    comment: 'Passo de venda: as quantidades são múltiplas dele (ex.: 0,25 kg)'
+  },
+  sku: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Código interno do produtor, único entre os produtos dele (chave da importação de planilhas)'
   },
   imagemUrl: {
     type: DataTypes.STRING(500),
     allowNull: true,
     validate: {
-      isUrl: true
-    }
+      // isURL (e não isUrl) para repassar as opções; o armazenamento local serve em http://localhost
+      isURL: { require_tld: false }
+    },
+    comment: 'URL da imagem de capa (a média da galeria, quando há imagens enviadas)'
   },
   categoryId: {
     type: DataTypes.INTEGER,
@@ -64,12 +94,28 @@ const Product = sequelize.define('Product', {
     references: {
       model: 'users',
       key: 'id'
-    }
+    },
+    comment: 'Agricultor que produz e recebe o crédito pelo produto'
+  },
+  organizationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    },
+    comment: 'Cooperativa ou associação que vende o produto, se houver'
   },
   ativo: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  disponibilidade: {
+    type: DataTypes.ENUM('disponivel', 'em_breve', 'fora_de_safra'),
+    allowNull: false,
+    defaultValue: 'disponivel',
+    comment: 'Calculada pelas janelas de safra; só produtos disponíveis podem ser comprados'
+  },
   promocao: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -81,10 +127,45 @@ const Product = sequelize.define('Product', {
       min: 0,
       max: 100
     }
+  },
+  notaMedia: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: true,
+    comment: 'Média das avaliações publicadas (null sem avaliações); mantida pelos hooks de Review'
+  },
+  totalAvaliacoes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
   }
 }, {
   tableName: 'products',
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['produtorId', 'sku']
+    }
+  ],
+  validate: {
+    /**
+     * Unidade, pacote e caixa só aceitam números inteiros; a quantidade mínima
+     * precisa ser alcançável em passos do incremento
+     */
+    quantidadesDaUnidade() {
+      const campos = [this.estoque, this.quantidadeMinima, this.incremento];
+
+      if (campos.some(valor => !hasQuantityPrecision(valor))) {
+        throw new Error('Quantidades aceitam no máximo 3 casas decimais');
+      }
+      if (!isFractionalUnit(this.unidadeMedida) && campos.some(valor => !Number.isInteger(valor))) {
+        throw new Error(`Produtos vendidos por ${this.unidadeMedida} usam apenas quantidades inteiras`);
+      }
+      if (!isMultipleOf(this.quantidadeMinima, this.incremento)) {
+        throw new Error('Quantidade mínima deve ser múltipla do incremento');
+      }
+    }
+  }
 });
 
 /**
@@ -99,5 +180,42 @@ Product.prototype.getPrecoFinal = function() {
   return this.preco;
 };
 
+/**
+ * Faixa de preço final do produto
+ * Com variações ativas vai do menor ao maior preço entre elas; sem variações é o próprio preço
+ * @param {Array} variantes - Variações do produto (padrão: as carregadas em this.variantes)
+ * @returns {Object} - { minimo, maximo }
+ */
+Product.prototype.getFaixaPreco = function(variantes = this.variantes) {
+  const precos = (variantes || [])
+    .filter(variante => variante.ativo)
+    .map(variante => parseFloat(Number(variante.getPrecoFinal()).toFixed(2)));
+
+  if (precos.length === 0) {
+    const preco = parseFloat(Number(this.getPrecoFinal()).toFixed(2));
+    return { minimo: preco, maximo: preco };
+  }
+
+  return { minimo: Math.min(...precos), maximo: Math.max(...precos) };
+};
+
+/**
+ * Regra de quantidade da compra: mínimo, incremento e se aceita frações
+ * A unidade é a da variação escolhida, quando houver; variações vendidas em unidades
+ * inteiras de um produto a granel usam o mínimo e o incremento arredondados para inteiros
+ * @param {Object|null} variante - Variação comprada
+ * @returns {Object} - { unidadeMedida, minimo, incremento, fracionada }
+ */
+Product.prototype.getRegraQuantidade = function(variante = null) {
+  const regra = {
+    unidadeMedida: variante ? variante.unidadeMedida : this.unidadeMedida,
+    minimo: this.quantidadeMinima,
+    incremento: this.incremento,
+    fracionada: true
+  };
+
+  return isFractionalUnit(regra.unidadeMedida) ? regra : toWholeRule(regra);
+};
+
 module.exports = Product;
 
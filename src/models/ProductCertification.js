@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Certificação do Produto
+ * Liga os produtos às certificações do produtor que os cobrem
+ */
+const ProductCertification = sequelize.define('ProductCertification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  certificationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'certifications',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'product_certifications',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['productId', 'certificationId']
+    },
+    {
+      fields: ['certificationId']
+    }
+  ]
+});
+
+module.exports = ProductCertification;
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Imagem de Produto
+ * Fotos enviadas pelo produtor, já redimensionadas em miniatura, média e grande.
+ * A ordem define a galeria; a capa também é copiada para Product.imagemUrl.
+ */
+const ProductImage = sequelize.define('ProductImage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  chave: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Prefixo dos arquivos no armazenamento (sem o tamanho e a extensão)'
+  },
+  urlMiniatura: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  urlMedia: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  urlGrande: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  largura: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Largura da imagem original, em pixels'
+  },
+  altura: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Altura da imagem original, em pixels'
+  },
+  ordem: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  capa: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'product_images',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['productId', 'ordem']
+    }
+  ]
+});
+
+module.exports = ProductImage;
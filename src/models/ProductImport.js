@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Importação de Produtos
+ * Registro de cada planilha (CSV ou XLSX) enviada pelo produtor, com o andamento,
+ * os totais e os erros por linha; arquivos grandes são processados em segundo plano
+ */
+const ProductImport = sequelize.define('ProductImport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  produtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  nomeArquivo: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  formato: {
+    type: DataTypes.ENUM('csv', 'xlsx'),
+    allowNull: false
+  },
+  simulacao: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Apenas valida as linhas, sem gravar os produtos'
+  },
+  status: {
+    type: DataTypes.ENUM('pendente', 'processando', 'concluida', 'falhou'),
+    allowNull: false,
+    defaultValue: 'pendente'
+  },
+  totalLinhas: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  linhasProcessadas: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  criados: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  atualizados: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  comErro: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  erros: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Erros por linha: [{ linha, sku, erros: [...] }]'
+  },
+  mensagem: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Motivo da falha, quando a importação não pôde ser concluída'
+  },
+  concluidaEm: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'product_imports',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['produtorId']
+    }
+  ]
+});
+
+module.exports = ProductImport;
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Janela de Safra
+ * Período em que o produto está disponível: meses que se repetem todo ano
+ * (mesInicio a mesFim, podendo virar o ano, ex.: novembro a fevereiro) ou datas exatas
+ * (dataInicio a dataFim). Produtos sem janelas ficam disponíveis o ano todo.
+ */
+const ProductSeason = sequelize.define('ProductSeason', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  mesInicio: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+      max: 12
+    }
+  },
+  mesFim: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+      max: 12
+    }
+  },
+  dataInicio: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  dataFim: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  }
+}, {
+  tableName: 'product_seasons',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['productId']
+    }
+  ],
+  validate: {
+    // Cada janela é de meses recorrentes ou de datas exatas, nunca das duas formas
+    umTipoDeJanela() {
+      const meses = this.mesInicio !== null && this.mesInicio !== undefined
+        && this.mesFim !== null && this.mesFim !== undefined;
+      const datas = Boolean(this.dataInicio && this.dataFim);
+
+      if (meses === datas) {
+        throw new Error('Informe mesInicio e mesFim ou dataInicio e dataFim');
+      }
+      if (datas && this.dataInicio > this.dataFim) {
+        throw new Error('dataInicio deve ser anterior ou igual a dataFim');
+      }
+    }
+  }
+});
+
+module.exports = ProductSeason;
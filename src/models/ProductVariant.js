@@ -0,0 +1,113 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { isFractionalUnit, hasQuantityPrecision, decimalGetter } = require('../utils/quantity');
+
+/**
+ * Modelo de Variação de Produto
+ * Apresentações de um mesmo produto com preço, unidade e estoque próprios
+ * (ex.: "Queijo minas 500g" e "1kg", "Alface unidade" e "Caixa com 12").
+ * Quando o produto tem variações ativas, preço e estoque passam a valer por variação.
+ */
+const ProductVariant = sequelize.define('ProductVariant', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  nome: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [1, 100]
+    },
+    comment: 'Rótulo da variação exibido ao consumidor (ex.: "500g", "Caixa com 12")'
+  },
+  unidadeMedida: {
+    type: DataTypes.ENUM('kg', 'g', 'unidade', 'litro', 'ml', 'pacote', 'caixa'),
+    allowNull: false,
+    defaultValue: 'unidade'
+  },
+  preco: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  estoque: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false,
+    defaultValue: 0,
+    get: decimalGetter('estoque'),
+    validate: {
+      min: 0
+    },
+    comment: 'Na unidade de medida da variação; fracionado (até 3 casas) em kg, g, litro e ml'
+  },
+  sku: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    unique: true,
+    comment: 'Código interno do produtor, único no marketplace'
+  },
+  promocao: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  percentualDesconto: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  ativo: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'product_variants',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['productId']
+    }
+  ],
+  validate: {
+    /**
+     * Estoque fracionado só em unidades de peso ou volume
+     */
+    estoqueDaUnidade() {
+      if (!hasQuantityPrecision(this.estoque)) {
+        throw new Error('Estoque aceita no máximo 3 casas decimais');
+      }
+      if (!isFractionalUnit(this.unidadeMedida) && !Number.isInteger(this.estoque)) {
+        throw new Error(`Variações vendidas por ${this.unidadeMedida} usam apenas estoque inteiro`);
+      }
+    }
+  }
+});
+
+/**
+ * Método para calcular preço com desconto
+ * @returns {number} - Preço final considerando desconto
+ */
+ProductVariant.prototype.getPrecoFinal = function() {
+  if (this.promocao && this.percentualDesconto) {
+    const desconto = (this.preco * this.percentualDesconto) / 100;
+    return this.preco - desconto;
+  }
+  return this.preco;
+};
+
+module.exports = ProductVariant;
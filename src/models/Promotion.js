@@ -0,0 +1,198 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { decimalGetter } = require('../utils/quantity');
+
+/**
+ * Modelo de Promoção
+ * Campanhas com início e fim que valem para um produto, para todos os produtos de um
+ * produtor ou para uma categoria (com as subcategorias). Os tipos são:
+ * - percentual: desconto percentual sobre o preço de venda
+ * - valor_fixo: reais a menos por unidade de medida
+ * - faixa_quantidade: cada faixa completa sai por um preço fechado ("3 kg por R$ 20")
+ * - leve_pague: a cada "leve" unidades, paga só "pague"
+ * As campanhas partem do preço de venda do produto (já com a promoção simples dele, se houver)
+ * e, quando mais de uma alcança o mesmo item, vale a que dá o maior desconto
+ */
+const Promotion = sequelize.define('Promotion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  nome: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 120]
+    }
+  },
+  tipo: {
+    type: DataTypes.ENUM('percentual', 'valor_fixo', 'faixa_quantidade', 'leve_pague'),
+    allowNull: false
+  },
+  escopo: {
+    type: DataTypes.ENUM('produto', 'produtor', 'categoria'),
+    allowNull: false,
+    comment: 'O que a campanha alcança; o alvo fica em productId, produtorId ou categoryId'
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  produtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Alvo no escopo produtor; no escopo produto, o dono do produto'
+  },
+  categoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    }
+  },
+  percentual: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    get: decimalGetter('percentual'),
+    validate: {
+      min: 0.01,
+      max: 100
+    }
+  },
+  valorDesconto: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    get: decimalGetter('valorDesconto'),
+    validate: {
+      min: 0.01
+    },
+    comment: 'Desconto em reais por unidade de medida (valor_fixo)'
+  },
+  quantidadeFaixa: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    get: decimalGetter('quantidadeFaixa'),
+    validate: {
+      min: 0.001
+    }
+  },
+  precoFaixa: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    get: decimalGetter('precoFaixa'),
+    validate: {
+      min: 0.01
+    },
+    comment: 'Preço de cada faixa completa de quantidadeFaixa (faixa_quantidade)'
+  },
+  leve: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 2
+    }
+  },
+  pague: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  inicioEm: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  fimEm: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  ativo: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Permite pausar a campanha sem apagar'
+  },
+  criadoPorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Produtor ou administrador que criou a campanha'
+  }
+}, {
+  tableName: 'promotions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['ativo', 'inicioEm', 'fimEm']
+    },
+    {
+      fields: ['productId']
+    },
+    {
+      fields: ['produtorId']
+    },
+    {
+      fields: ['categoryId']
+    }
+  ],
+  validate: {
+    /**
+     * O alvo precisa corresponder ao escopo
+     */
+    alvoDoEscopo() {
+      const alvos = { produto: 'productId', produtor: 'produtorId', categoria: 'categoryId' };
+      if (!this[alvos[this.escopo]]) {
+        throw new Error(`Informe o alvo da promoção (${alvos[this.escopo]})`);
+      }
+    },
+    /**
+     * Cada tipo exige os seus valores
+     */
+    valoresDoTipo() {
+      const obrigatorios = {
+        percentual: ['percentual'],
+        valor_fixo: ['valorDesconto'],
+        faixa_quantidade: ['quantidadeFaixa', 'precoFaixa'],
+        leve_pague: ['leve', 'pague']
+      }[this.tipo] || [];
+
+      if (obrigatorios.some(campo => this[campo] === null || this[campo] === undefined)) {
+        throw new Error(`Promoções do tipo ${this.tipo} exigem ${obrigatorios.join(' e ')}`);
+      }
+      if (this.tipo === 'leve_pague' && this.pague >= this.leve) {
+        throw new Error('Na promoção leve e pague, a quantidade paga deve ser menor que a levada');
+      }
+    },
+    periodoValido() {
+      if (this.inicioEm && this.fimEm && new Date(this.fimEm) <= new Date(this.inicioEm)) {
+        throw new Error('O fim da promoção deve ser depois do início');
+      }
+    }
+  }
+});
+
+/**
+ * A promoção vale no momento informado?
+ * @param {Date} agora - Momento de referência
+ * @returns {boolean}
+ */
+Promotion.prototype.isVigente = function(agora = new Date()) {
+  return this.ativo && new Date(this.inicioEm) <= agora && agora < new Date(this.fimEm);
+};
+
+module.exports = Promotion;
@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Refresh Token
+ * Guarda apenas o hash do token emitido. Tokens da mesma sessão compartilham
+ * a mesma família: cada rotação revoga o token anterior e emite outro na família.
+ */
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  jti: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    unique: true
+  },
+  family: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: 'Identificador da sessão (compartilhado pelos tokens rotacionados)'
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 do token; o valor original nunca é armazenado'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.ENUM('rotacionado', 'logout', 'logout_all', 'reutilizado'),
+    allowNull: true
+  },
+  replacedBy: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: 'jti do token emitido na rotação'
+  },
+  userAgent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['family']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+/**
+ * Método para verificar se o token ainda pode ser usado
+ * @returns {boolean} - True se não foi revogado nem expirou
+ */
+RefreshToken.prototype.estaAtivo = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = RefreshToken;
@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Avaliação
+ * Nota e comentário de um consumidor sobre um item que recebeu (uma avaliação por item de pedido),
+ * com a resposta do produtor e o estado da moderação
+ */
+const Review = sequelize.define('Review', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'order_items',
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  consumidorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  produtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Produtor do produto, para a nota média do perfil'
+  },
+  nota: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: true,
+      min: 1,
+      max: 5
+    }
+  },
+  comentario: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 2000]
+    }
+  },
+  fotos: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'URLs das fotos enviadas pelo consumidor'
+  },
+  resposta: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 2000]
+    },
+    comment: 'Resposta pública do produtor'
+  },
+  respondidaEm: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('publicada', 'em_analise', 'removida'),
+    allowNull: false,
+    defaultValue: 'publicada',
+    comment: 'Avaliações denunciadas vão para análise; só as publicadas contam na nota'
+  },
+  denuncias: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  moderadaEm: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Última decisão de um administrador; depois dela novas denúncias não ocultam a avaliação'
+  }
+}, {
+  tableName: 'reviews',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['productId', 'status']
+    },
+    {
+      fields: ['produtorId', 'status']
+    },
+    {
+      fields: ['consumidorId']
+    }
+  ]
+});
+
+module.exports = Review;
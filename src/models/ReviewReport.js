@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Denúncia de Avaliação
+ * Cada usuário denuncia uma mesma avaliação uma única vez
+ */
+const ReviewReport = sequelize.define('ReviewReport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  reviewId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'reviews',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  motivo: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  }
+}, {
+  tableName: 'review_reports',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['reviewId', 'userId']
+    }
+  ]
+});
+
+module.exports = ReviewReport;
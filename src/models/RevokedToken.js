@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Token Revogado
+ * Lista de bloqueio de tokens de acesso (por jti) encerrados antes de expirar
+ */
+const RevokedToken = sequelize.define('RevokedToken', {
+  jti: {
+    type: DataTypes.STRING(36),
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Após esta data o token já expirou e o registro pode ser removido'
+  }
+}, {
+  tableName: 'revoked_tokens',
+  timestamps: true
+});
+
+module.exports = RevokedToken;
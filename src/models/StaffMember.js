@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Membro da Equipe
+ * Pessoa (familiar ou funcionário) convidada por um produtor para ajudar na operação:
+ * atualiza status de pedidos e estoque, mas não altera preços nem vê valores das vendas
+ */
+const StaffMember = sequelize.define('StaffMember', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  produtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'staff_members',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['produtorId', 'userId']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+module.exports = StaffMember;
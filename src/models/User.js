@@ -2,9 +2,11 @@ const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const bcrypt = require('bcryptjs');
 
+const PAPEIS = ['consumidor', 'produtor', 'admin'];
+
 /**
  * Modelo de Usuário
- * Representa tanto consumidores quanto produtores da plataforma
+ * Representa consumidores, produtores e administradores da plataforma
  */
 const User = sequelize.define('User', {
   id: {
@@ -36,13 +38,30 @@ const User = sequelize.define('User', {
     }
   },
   tipo: {
-    type: DataTypes.ENUM('consumidor', 'produtor'),
+    type: DataTypes.ENUM('consumidor', 'produtor', 'admin'),
     allowNull: false,
-    defaultValue: 'consumidor'
+    defaultValue: 'consumidor',
+    validate: {
+      isIn: [PAPEIS]
+    },
+    comment: 'Perfil principal escolhido no cadastro; as permissões vêm de papeis'
+  },
+  papeis: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    validate: {
+      papeisValidos(value) {
+        if (!Array.isArray(value) || value.length === 0 || value.some(papel => !PAPEIS.includes(papel))) {
+          throw new Error(`Papéis devem ser um ou mais de: ${PAPEIS.join(', ')}`);
+        }
+      }
+    },
+    comment: 'Conjunto de papéis da conta; uma mesma conta pode comprar e vender'
   },
   telefone: {
     type: DataTypes.STRING(20),
     allowNull: true,
+    defaultValue: null,
     validate: {
       is: /^[\d\s\-\(\)\+]+$/
     }
@@ -50,11 +69,77 @@ const User = sequelize.define('User', {
   ativo: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  emailVerificado: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  emailVerificadoEm: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  documento: {
+    type: DataTypes.STRING(14),
+    allowNull: true,
+    unique: true,
+    comment: 'CPF ou CNPJ do produtor, apenas dígitos'
+  },
+  tipoDocumento: {
+    type: DataTypes.ENUM('cpf', 'cnpj'),
+    allowNull: true
+  },
+  dapCaf: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: 'Número da DAP ou do CAF (agricultura familiar)'
+  },
+  statusVerificacao: {
+    type: DataTypes.ENUM('nao_enviado', 'pendente', 'aprovado', 'rejeitado'),
+    allowNull: true,
+    validate: {
+      isIn: [['nao_enviado', 'pendente', 'aprovado', 'rejeitado']]
+    },
+    comment: 'Verificação de agricultor familiar; nulo para quem não é produtor'
+  },
+  motivoRejeicao: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  verificacaoEnviadaEm: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  verificadoEm: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  verificadoPorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
   }
 }, {
   tableName: 'users',
   timestamps: true,
   hooks: {
+    /**
+     * Hook para normalizar os papéis antes de validar
+     */
+    beforeValidate: (user) => {
+      // Sem papéis informados, a conta recebe o papel do perfil principal
+      const papeis = Array.isArray(user.papeis) && user.papeis.length > 0 ? user.papeis : [user.tipo];
+      user.papeis = PAPEIS.filter(papel => papeis.includes(papel))
+        .concat(papeis.filter(papel => !PAPEIS.includes(papel)));
+
+      // Todo produtor começa sem verificação enviada
+      if (user.papeis.includes('produtor') && !user.statusVerificacao) {
+        user.statusVerificacao = 'nao_enviado';
+      }
+    },
     /**
      * Hook para criptografar a senha antes de salvar
      */
@@ -82,6 +167,23 @@ User.prototype.verificarSenha = async function(senhaInformada) {
   return await bcrypt.compare(senhaInformada, this.senha);
 };
 
+/**
+ * Verifica se a conta possui um papel
+ * @param {string} papel - 'consumidor', 'produtor' ou 'admin'
+ * @returns {boolean} - True se a conta tiver o papel
+ */
+User.prototype.temPapel = function(papel) {
+  return Array.isArray(this.papeis) && this.papeis.includes(papel);
+};
+
+/**
+ * Indica se o produtor foi aprovado na verificação de agricultor familiar
+ * @returns {boolean} - True se pode publicar produtos
+ */
+User.prototype.isProdutorVerificado = function() {
+  return this.temPapel('produtor') && this.statusVerificacao === 'aprovado';
+};
+
 /**
  * Método para obter dados do usuário sem a senha
  * @returns {object} - Dados do usuário sem a senha
@@ -92,5 +194,7 @@ User.prototype.toJSON = function() {
   return values;
 };
 
+User.PAPEIS = PAPEIS;
+
 module.exports = User;
 
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Documento de Verificação
+ * Comprovantes enviados pelo produtor para a verificação de agricultor familiar
+ */
+const VerificationDocument = sequelize.define('VerificationDocument', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  tipo: {
+    type: DataTypes.ENUM('dap_caf', 'identidade', 'comprovante_endereco', 'outro'),
+    allowNull: false,
+    validate: {
+      isIn: [['dap_caf', 'identidade', 'comprovante_endereco', 'outro']]
+    }
+  },
+  nome: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+    comment: 'Descrição ou nome original do arquivo'
+  },
+  url: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    validate: {
+      isUrl: true
+    }
+  }
+}, {
+  tableName: 'verification_documents',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+module.exports = VerificationDocument;
@@ -1,4 +1,6 @@
-const { sequelize } = require('../config/database');
+const { sequelize, testConnection } = require('../config/database');
+const { runSeeders } = require('../database');
+const searchService = require('../services/searchService');
 
 // Importar todos os modelos
 const User = require('./User');
@@ -9,6 +11,28 @@ const Cart = require('./Cart');
 const CartItem = require('./CartItem');
 const Order = require('./Order');
 const OrderItem = require('./OrderItem');
+const RefreshToken = require('./RefreshToken');
+const RevokedToken = require('./RevokedToken');
+const AccountToken = require('./AccountToken');
+const AdminAction = require('./AdminAction');
+const VerificationDocument = require('./VerificationDocument');
+const Organization = require('./Organization');
+const OrganizationMember = require('./OrganizationMember');
+const StaffMember = require('./StaffMember');
+const ProducerProfile = require('./ProducerProfile');
+const ProductVariant = require('./ProductVariant');
+const CepLocation = require('./CepLocation');
+const ProductImage = require('./ProductImage');
+const ProductSeason = require('./ProductSeason');
+const Harvest = require('./Harvest');
+const ProductImport = require('./ProductImport');
+const Review = require('./Review');
+const ReviewReport = require('./ReviewReport');
+const Certification = require('./Certification');
+const ProductCertification = require('./ProductCertification');
+const Promotion = require('./Promotion');
+const Coupon = require('./Coupon');
+const CouponRedemption = require('./CouponRedemption');
 
 /**
  * Definição dos relacionamentos entre os modelos
@@ -27,7 +51,120 @@ Cart.belongsTo(User, { foreignKey: 'userId', as: 'usuario' });
 User.hasMany(Order, { foreignKey: 'consumidorId', as: 'pedidos' });
 Order.belongsTo(User, { foreignKey: 'consumidorId', as: 'consumidor' });
 
+User.hasMany(RefreshToken, { foreignKey: 'userId', as: 'refreshTokens' });
+RefreshToken.belongsTo(User, { foreignKey: 'userId', as: 'usuario' });
+
+User.hasMany(RevokedToken, { foreignKey: 'userId', as: 'tokensRevogados' });
+RevokedToken.belongsTo(User, { foreignKey: 'userId', as: 'usuario' });
+
+User.hasMany(AccountToken, { foreignKey: 'userId', as: 'tokensConta' });
+AccountToken.belongsTo(User, { foreignKey: 'userId', as: 'usuario' });
+
+User.hasMany(AdminAction, { foreignKey: 'adminId', as: 'acoesAdministrativas' });
+AdminAction.belongsTo(User, { foreignKey: 'adminId', as: 'admin' });
+
+User.hasMany(VerificationDocument, { foreignKey: 'userId', as: 'documentosVerificacao' });
+VerificationDocument.belongsTo(User, { foreignKey: 'userId', as: 'usuario' });
+
+User.belongsTo(User, { foreignKey: 'verificadoPorId', as: 'verificadoPor' });
+
+User.hasOne(ProducerProfile, { foreignKey: 'userId', as: 'perfilProdutor' });
+ProducerProfile.belongsTo(User, { foreignKey: 'userId', as: 'produtor' });
+
+// Relacionamentos de Organization
+Organization.hasMany(OrganizationMember, { foreignKey: 'organizationId', as: 'membros' });
+OrganizationMember.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organizacao' });
+
+User.hasMany(OrganizationMember, { foreignKey: 'userId', as: 'organizacoes' });
+OrganizationMember.belongsTo(User, { foreignKey: 'userId', as: 'usuario' });
+
+Organization.hasMany(Product, { foreignKey: 'organizationId', as: 'produtos' });
+Product.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organizacao' });
+
+// Relacionamentos da equipe dos produtores
+User.hasMany(StaffMember, { foreignKey: 'produtorId', as: 'equipe' });
+StaffMember.belongsTo(User, { foreignKey: 'produtorId', as: 'produtor' });
+
+User.hasMany(StaffMember, { foreignKey: 'userId', as: 'empregadores' });
+StaffMember.belongsTo(User, { foreignKey: 'userId', as: 'usuario' });
+
+// Relacionamentos das variações de produto
+Product.hasMany(ProductVariant, { foreignKey: 'productId', as: 'variantes' });
+ProductVariant.belongsTo(Product, { foreignKey: 'productId', as: 'produto' });
+
+CartItem.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variante' });
+OrderItem.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variante' });
+
+// Relacionamentos das imagens de produto
+Product.hasMany(ProductImage, { foreignKey: 'productId', as: 'imagens' });
+ProductImage.belongsTo(Product, { foreignKey: 'productId', as: 'produto' });
+
+// Relacionamentos das janelas de safra
+Product.hasMany(ProductSeason, { foreignKey: 'productId', as: 'safras' });
+ProductSeason.belongsTo(Product, { foreignKey: 'productId', as: 'produto' });
+
+// Relacionamentos da pré-venda
+Product.hasMany(Harvest, { foreignKey: 'productId', as: 'colheitas' });
+Harvest.belongsTo(Product, { foreignKey: 'productId', as: 'produto' });
+
+CartItem.belongsTo(Harvest, { foreignKey: 'harvestId', as: 'colheita' });
+OrderItem.belongsTo(Harvest, { foreignKey: 'harvestId', as: 'colheita' });
+Harvest.hasMany(OrderItem, { foreignKey: 'harvestId', as: 'reservas' });
+
+// Relacionamentos das importações de planilha
+User.hasMany(ProductImport, { foreignKey: 'produtorId', as: 'importacoes' });
+ProductImport.belongsTo(User, { foreignKey: 'produtorId', as: 'produtor' });
+
+// Relacionamentos das avaliações
+OrderItem.hasOne(Review, { foreignKey: 'orderItemId', as: 'avaliacao' });
+Review.belongsTo(OrderItem, { foreignKey: 'orderItemId', as: 'itemPedido' });
+Product.hasMany(Review, { foreignKey: 'productId', as: 'avaliacoes' });
+Review.belongsTo(Product, { foreignKey: 'productId', as: 'produto' });
+Review.belongsTo(User, { foreignKey: 'consumidorId', as: 'consumidor' });
+Review.belongsTo(User, { foreignKey: 'produtorId', as: 'produtor' });
+Review.hasMany(ReviewReport, { foreignKey: 'reviewId', as: 'denunciasRecebidas' });
+ReviewReport.belongsTo(Review, { foreignKey: 'reviewId', as: 'avaliacao' });
+ReviewReport.belongsTo(User, { foreignKey: 'userId', as: 'autor' });
+
+// Relacionamentos das certificações (orgânico e transição agroecológica)
+User.hasMany(Certification, { foreignKey: 'produtorId', as: 'certificados' });
+Certification.belongsTo(User, { foreignKey: 'produtorId', as: 'produtor' });
+Product.belongsToMany(Certification, {
+  through: ProductCertification,
+  foreignKey: 'productId',
+  otherKey: 'certificationId',
+  as: 'certificacoes'
+});
+Certification.belongsToMany(Product, {
+  through: ProductCertification,
+  foreignKey: 'certificationId',
+  otherKey: 'productId',
+  as: 'produtos'
+});
+ProductCertification.belongsTo(Certification, { foreignKey: 'certificationId', as: 'certificacao' });
+ProductCertification.belongsTo(Product, { foreignKey: 'productId', as: 'produto' });
+
+// Relacionamentos das promoções (campanhas por produto, produtor ou categoria)
+// A campanha sai junto com o alvo; os itens de pedido guardam o nome e o desconto aplicados
+Promotion.belongsTo(Product, { foreignKey: 'productId', as: 'produto', onDelete: 'CASCADE' });
+Promotion.belongsTo(User, { foreignKey: 'produtorId', as: 'produtor', onDelete: 'CASCADE' });
+Promotion.belongsTo(Category, { foreignKey: 'categoryId', as: 'categoria', onDelete: 'CASCADE' });
+Promotion.belongsTo(User, { foreignKey: 'criadoPorId', as: 'criadoPor', onDelete: 'CASCADE' });
+OrderItem.belongsTo(Promotion, { foreignKey: 'promotionId', as: 'promocao' });
+
+// Relacionamentos dos cupons (aplicado no carrinho, registrado no pedido e em cada uso)
+Coupon.belongsTo(User, { foreignKey: 'produtorId', as: 'produtor', onDelete: 'CASCADE' });
+Coupon.belongsTo(Category, { foreignKey: 'categoryId', as: 'categoria', onDelete: 'CASCADE' });
+Coupon.belongsTo(User, { foreignKey: 'criadoPorId', as: 'criadoPor', onDelete: 'CASCADE' });
+CouponRedemption.belongsTo(Coupon, { foreignKey: 'couponId', as: 'cupom', onDelete: 'CASCADE' });
+CouponRedemption.belongsTo(User, { foreignKey: 'userId', as: 'usuario', onDelete: 'CASCADE' });
+CouponRedemption.belongsTo(Order, { foreignKey: 'orderId', as: 'pedido', onDelete: 'CASCADE' });
+Cart.belongsTo(Coupon, { foreignKey: 'couponId', as: 'cupom' });
+Order.belongsTo(Coupon, { foreignKey: 'couponId', as: 'cupom' });
+
 // Relacionamentos da Category
+Category.belongsTo(Category, { foreignKey: 'parentId', as: 'pai' });
+Category.hasMany(Category, { foreignKey: 'parentId', as: 'subcategorias' });
 Category.hasMany(Product, { foreignKey: 'categoryId', as: 'produtos' });
 Product.belongsTo(Category, { foreignKey: 'categoryId', as: 'categoria' });
 
@@ -46,20 +183,76 @@ OrderItem.belongsTo(Product, { foreignKey: 'productId', as: 'produto' });
 Product.hasMany(OrderItem, { foreignKey: 'productId', as: 'itensPedido' });
 
 /**
- * Função para testar a conexão com o banco de dados
+ * Índice de busca textual
+ * Acompanha o nome e a descrição dos produtos, o nome da categoria e o nome do produtor
  */
-const testConnection = async () => {
-  try {
-    await sequelize.authenticate();
-    console.log('✅ Conexão com o banco de dados estabelecida com sucesso.');
-  } catch (error) {
-    console.error('❌ Erro ao conectar com o banco de dados:', error);
-    throw error;
-  }
+const CAMPOS_BUSCA_PRODUTO = ['nome', 'descricao', 'categoryId', 'produtorId'];
+
+// Indica se o save alterou algum dos campos informados
+const salvou = (options, campos) => !options.fields || options.fields.some(campo => campos.includes(campo));
+
+Product.addHook('afterCreate', 'indiceBusca', (product, { transaction }) =>
+  searchService.indexProducts({ ids: [product.id] }, { transaction }));
+
+Product.addHook('afterBulkCreate', 'indiceBusca', (products, { transaction }) =>
+  searchService.indexProducts({ ids: products.map(product => product.id) }, { transaction }));
+
+Product.addHook('afterUpdate', 'indiceBusca', (product, options) => (salvou(options, CAMPOS_BUSCA_PRODUTO)
+  ? searchService.indexProducts({ ids: [product.id] }, { transaction: options.transaction })
+  : undefined));
+
+Product.addHook('afterBulkDestroy', 'indiceBusca', ({ transaction }) =>
+  searchService.pruneSearchIndex({ transaction }));
+
+Category.addHook('afterUpdate', 'indiceBusca', (category, options) => (salvou(options, ['nome'])
+  ? searchService.indexProducts({ categoryId: category.id }, { transaction: options.transaction })
+  : undefined));
+
+User.addHook('afterUpdate', 'indiceBusca', (user, options) => (salvou(options, ['nome'])
+  ? searchService.indexProducts({ produtorId: user.id }, { transaction: options.transaction })
+  : undefined));
+
+// O sync (usado nos testes) não conhece a tabela do índice
+sequelize.addHook('afterBulkSync', 'indiceBusca', async () => {
+  await searchService.ensureSearchIndex();
+  await searchService.pruneSearchIndex();
+});
+
+/**
+ * Nota média dos produtos
+ * Recalculada sempre que uma avaliação é criada, muda de nota ou de estado na moderação
+ */
+const refreshRating = async (productId, transaction) => {
+  const [resumo] = await Review.findAll({
+    where: { productId, status: 'publicada' },
+    attributes: [
+      [sequelize.fn('AVG', sequelize.col('nota')), 'media'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'total']
+    ],
+    raw: true,
+    transaction
+  });
+  const total = Number(resumo.total);
+
+  await Product.update({
+    notaMedia: total > 0 ? parseFloat(Number(resumo.media).toFixed(2)) : null,
+    totalAvaliacoes: total
+  }, { where: { id: productId }, transaction });
 };
 
+Review.addHook('afterCreate', 'notaMedia', (review, { transaction }) =>
+  refreshRating(review.productId, transaction));
+
+Review.addHook('afterUpdate', 'notaMedia', (review, options) => (salvou(options, ['nota', 'status'])
+  ? refreshRating(review.productId, options.transaction)
+  : undefined));
+
+Review.addHook('afterDestroy', 'notaMedia', (review, { transaction }) =>
+  refreshRating(review.productId, transaction));
+
 /**
  * Função para sincronizar todos os modelos com o banco de dados
+ * Usada apenas nos testes; os demais ambientes usam as migrações (npm run db:migrate)
  * @param {boolean} force - Se true, recria as tabelas (apaga dados existentes)
  */
 const syncDatabase = async (force = false) => {
@@ -78,44 +271,11 @@ const syncDatabase = async (force = false) => {
 
 /**
  * Função para popular o banco com dados iniciais
+ * Executa os seeds versionados do ambiente atual (src/database/seeders)
  */
 const seedDatabase = async () => {
   try {
-    // Verificar se já existem categorias
-    const categoriesCount = await Category.count();
-    
-    if (categoriesCount === 0) {
-      // Criar categorias padrão
-      await Category.bulkCreate([
-        {
-          nome: 'Vegetais',
-          descricao: 'Verduras e legumes frescos',
-          icone: 'leaf'
-        },
-        {
-          nome: 'Frutas',
-          descricao: 'Frutas frescas da estação',
-          icone: 'apple'
-        },
-        {
-          nome: 'Laticínios',
-          descricao: 'Leite, queijos e derivados',
-          icone: 'milk'
-        },
-        {
-          nome: 'Grãos',
-          descricao: 'Feijão, arroz, milho e outros grãos',
-          icone: 'grain'
-        },
-        {
-          nome: 'Temperos',
-          descricao: 'Ervas e temperos naturais',
-          icone: 'herb'
-        }
-      ]);
-      
-      console.log('✅ Categorias padrão criadas com sucesso.');
-    }
+    await runSeeders();
   } catch (error) {
     console.error('❌ Erro ao popular banco de dados:', error);
     throw error;
@@ -132,6 +292,28 @@ module.exports = {
   CartItem,
   Order,
   OrderItem,
+  RefreshToken,
+  RevokedToken,
+  AccountToken,
+  AdminAction,
+  VerificationDocument,
+  Organization,
+  OrganizationMember,
+  StaffMember,
+  ProducerProfile,
+  ProductVariant,
+  CepLocation,
+  ProductImage,
+  ProductSeason,
+  Harvest,
+  ProductImport,
+  Review,
+  ReviewReport,
+  Certification,
+  ProductCertification,
+  Promotion,
+  Coupon,
+  CouponRedemption,
   testConnection,
   syncDatabase,
   seedDatabase
@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+
+const adminController = require('../controllers/adminController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validateCategory, validateCategoryReorder, validatePromotion, validateCoupon } = require('../middleware/validation');
+
+/**
+ * Rotas de Administração
+ * Endpoints de moderação restritos a administradores
+ */
+
+// Todas as rotas exigem um administrador autenticado
+router.use(authenticateToken, authorize('admin:access'));
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Lista e pesquisa usuários
+ * @access  Private (Admin)
+ * @query   page, limit, search, papel, ativo
+ */
+router.get('/users', adminController.getUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Obtém um usuário e o histórico de ações administrativas sobre ele
+ * @access  Private (Admin)
+ */
+router.get('/users/:id', adminController.getUserById);
+
+/**
+ * @route   PUT /api/admin/users/:id/deactivate
+ * @desc    Desativa um usuário e encerra suas sessões
+ * @access  Private (Admin)
+ * @body    { motivo }
+ */
+router.put('/users/:id/deactivate', adminController.deactivateUser);
+
+/**
+ * @route   PUT /api/admin/users/:id/activate
+ * @desc    Reativa um usuário
+ * @access  Private (Admin)
+ * @body    { motivo? }
+ */
+router.put('/users/:id/activate', adminController.activateUser);
+
+/**
+ * @route   GET /api/admin/verifications
+ * @desc    Fila de verificação de produtores (pendentes por padrão)
+ * @access  Private (Admin)
+ * @query   page, limit, status
+ */
+router.get('/verifications', adminController.getVerifications);
+
+/**
+ * @route   GET /api/admin/verifications/:id
+ * @desc    Obtém documentos e histórico de análise de um produtor
+ * @access  Private (Admin)
+ */
+router.get('/verifications/:id', adminController.getVerificationById);
+
+/**
+ * @route   PUT /api/admin/verifications/:id/approve
+ * @desc    Aprova o produtor como agricultor familiar
+ * @access  Private (Admin)
+ * @body    { motivo? }
+ */
+router.put('/verifications/:id/approve', adminController.approveVerification);
+
+/**
+ * @route   PUT /api/admin/verifications/:id/reject
+ * @desc    Rejeita a verificação do produtor informando o motivo
+ * @access  Private (Admin)
+ * @body    { motivo }
+ */
+router.put('/verifications/:id/reject', adminController.rejectVerification);
+
+/**
+ * @route   GET /api/admin/categories
+ * @desc    Lista todas as categorias, inclusive as inativas, agrupadas pelo pai
+ * @access  Private (Admin)
+ */
+router.get('/categories', adminController.getCategories);
+
+/**
+ * @route   POST /api/admin/categories
+ * @desc    Cria uma categoria (com parentId, uma subcategoria; sem ordem, vai para o fim)
+ * @access  Private (Admin)
+ * @body    { nome, descricao?, icone?, slug?, parentId?, ordem? }
+ */
+router.post('/categories', validateCategory, adminController.createCategory);
+
+/**
+ * @route   PUT /api/admin/categories/reorder
+ * @desc    Define a ordem de exibição das subcategorias de um pai (ou das principais)
+ * @access  Private (Admin)
+ * @body    { parentId?: number | null, ids: number[] (todas as filhas, na nova ordem) }
+ */
+router.put('/categories/reorder', validateCategoryReorder, adminController.reorderCategories);
+
+/**
+ * @route   PUT /api/admin/categories/:id
+ * @desc    Atualiza uma categoria; com parentId, move para outro pai (null a torna principal)
+ * @access  Private (Admin)
+ * @body    { nome?, descricao?, icone?, ativo?, slug?, parentId?, ordem? }
+ */
+router.put('/categories/:id', validateCategory, adminController.updateCategory);
+
+/**
+ * @route   PUT /api/admin/categories/:id/deactivate
+ * @desc    Desativa a categoria e todas as suas subcategorias
+ * @access  Private (Admin)
+ */
+router.put('/categories/:id/deactivate', adminController.deactivateCategory);
+
+/**
+ * @route   DELETE /api/admin/categories/:id
+ * @desc    Remove uma categoria (ou desativa, se tiver produtos); 409 se tiver subcategorias
+ * @access  Private (Admin)
+ */
+router.delete('/categories/:id', adminController.deleteCategory);
+
+/**
+ * @route   PUT /api/admin/products/:id/deactivate
+ * @desc    Desativa o produto de qualquer produtor
+ * @access  Private (Admin)
+ * @body    { motivo }
+ */
+router.put('/products/:id/deactivate', adminController.deactivateProduct);
+
+/**
+ * @route   GET /api/admin/promotions
+ * @desc    Lista as campanhas de promoção de toda a plataforma
+ * @access  Private (Admin)
+ * @query   page, limit, escopo (produto | produtor | categoria), vigente=true
+ */
+router.get('/promotions', adminController.getPromotions);
+
+/**
+ * @route   POST /api/admin/promotions
+ * @desc    Cria uma campanha para um produto, um produtor ou uma categoria (com as subcategorias)
+ * @access  Private (Admin)
+ * @body    { nome, tipo: percentual | valor_fixo | faixa_quantidade | leve_pague, escopo: produto | produtor | categoria,
+ *          productId | produtorId | categoryId, percentual | valorDesconto | quantidadeFaixa + precoFaixa | leve + pague,
+ *          inicioEm, fimEm, ativo? }
+ */
+router.post('/promotions', validatePromotion, adminController.createPromotion);
+
+/**
+ * @route   PUT /api/admin/promotions/:id
+ * @desc    Atualiza qualquer campanha (ativo=false pausa sem apagar)
+ * @access  Private (Admin)
+ * @body    Mesmos campos da criação, todos opcionais
+ */
+router.put('/promotions/:id', validatePromotion, adminController.updatePromotion);
+
+/**
+ * @route   DELETE /api/admin/promotions/:id
+ * @desc    Remove uma campanha (ou desativa, se já foi aplicada em pedidos)
+ * @access  Private (Admin)
+ * @body    { motivo? }
+ */
+router.delete('/promotions/:id', adminController.deletePromotion);
+
+/**
+ * @route   GET /api/admin/coupons
+ * @desc    Lista os cupons com o número de usos
+ * @access  Private (Admin)
+ * @query   page, limit, codigo, ativo
+ */
+router.get('/coupons', adminController.getCoupons);
+
+/**
+ * @route   POST /api/admin/coupons
+ * @desc    Cria um cupom (primeira compra, dia de feira, frete grátis...)
+ * @access  Private (Admin)
+ * @body    { codigo, descricao?, tipo: percentual | valor_fixo | frete_gratis, percentual | valorDesconto,
+ *          valorMinimoPedido?, limiteUsos?, limitePorUsuario? (padrão 1), primeiraCompra?,
+ *          produtorId?, categoryId?, inicioEm, fimEm, ativo? }
+ */
+router.post('/coupons', validateCoupon, adminController.createCoupon);
+
+/**
+ * @route   PUT /api/admin/coupons/:id
+ * @desc    Atualiza um cupom (limites e restrições aceitam null para retirar)
+ * @access  Private (Admin)
+ * @body    Mesmos campos da criação, todos opcionais
+ */
+router.put('/coupons/:id', validateCoupon, adminController.updateCoupon);
+
+/**
+ * @route   DELETE /api/admin/coupons/:id
+ * @desc    Remove um cupom (ou desativa, se já foi usado em pedidos)
+ * @access  Private (Admin)
+ * @body    { motivo? }
+ */
+router.delete('/coupons/:id', adminController.deleteCoupon);
+
+/**
+ * @route   GET /api/admin/orders
+ * @desc    Lista todos os pedidos
+ * @access  Private (Admin)
+ * @query   page, limit, status, consumidor
+ */
+router.get('/orders', adminController.getOrders);
+
+/**
+ * @route   GET /api/admin/orders/:id
+ * @desc    Obtém qualquer pedido com o histórico administrativo
+ * @access  Private (Admin)
+ */
+router.get('/orders/:id', adminController.getOrderById);
+
+/**
+ * @route   PUT /api/admin/orders/:id/status
+ * @desc    Altera o status de qualquer pedido
+ * @access  Private (Admin)
+ * @body    { status, motivo }
+ */
+router.put('/orders/:id/status', adminController.overrideOrderStatus);
+
+/**
+ * @route   GET /api/admin/reviews/reported
+ * @desc    Fila de moderação: avaliações denunciadas, com os motivos (as fora do ar primeiro)
+ * @access  Private (Admin)
+ * @query   page, limit, status (publicada, em_analise ou removida)
+ */
+router.get('/reviews/reported', adminController.getReportedReviews);
+
+/**
+ * @route   PUT /api/admin/reviews/:id/moderation
+ * @desc    Mantém a avaliação publicada ou a remove (novas denúncias não a tiram mais do ar)
+ * @access  Private (Admin)
+ * @body    { status: 'publicada' | 'removida', motivo (obrigatório para remover) }
+ */
+router.put('/reviews/:id/moderation', adminController.moderateReview);
+
+/**
+ * @route   GET /api/admin/actions
+ * @desc    Lista o registro de ações administrativas
+ * @access  Private (Admin)
+ * @query   page, limit, entidade, entidadeId, admin
+ */
+router.get('/actions', adminController.getActions);
+
+module.exports = router;
@@ -3,7 +3,12 @@ const router = express.Router();
 
 const authController = require('../controllers/authController');
 const { authenticateToken } = require('../middleware/auth');
-const { validateUserRegistration, validateLogin } = require('../middleware/validation');
+const {
+  validateUserRegistration,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword
+} = require('../middleware/validation');
 
 /**
  * Rotas de Autenticação
@@ -14,6 +19,7 @@ const { validateUserRegistration, validateLogin } = require('../middleware/valid
  * @route   POST /api/auth/register
  * @desc    Registra um novo usuário
  * @access  Public
+ * @body    { nome, email, senha, tipo?, papeis?, telefone? }
  */
 router.post('/register', validateUserRegistration, authController.register);
 
@@ -24,6 +30,67 @@ router.post('/register', validateUserRegistration, authController.register);
  */
 router.post('/login', validateLogin, authController.login);
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Troca o refresh token por um novo par de tokens (rotação)
+ * @access  Public
+ * @body    { refreshToken }
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Encerra a sessão atual
+ * @access  Private
+ */
+router.post('/logout', authenticateToken, authController.logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Encerra todas as sessões do usuário
+ * @access  Private
+ */
+router.post('/logout-all', authenticateToken, authController.logoutAll);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Envia por email o link de redefinição de senha
+ * @access  Public
+ * @body    { email }
+ */
+router.post('/forgot-password', validateForgotPassword, authController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Redefine a senha com o token recebido por email
+ * @access  Public
+ * @body    { token, novaSenha }
+ */
+router.post('/reset-password', validateResetPassword, authController.resetPassword);
+
+/**
+ * @route   POST /api/auth/accept-invitation
+ * @desc    Aceita o convite para a equipe de um produtor e define a senha
+ * @access  Public
+ * @body    { token, novaSenha }
+ */
+router.post('/accept-invitation', validateResetPassword, authController.acceptInvitation);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirma o email com o token recebido
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/verify-email', authController.verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Reenvia o email de confirmação
+ * @access  Private
+ */
+router.post('/resend-verification', authenticateToken, authController.resendVerification);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Obtém perfil do usuário logado
@@ -38,6 +105,14 @@ router.get('/profile', authenticateToken, authController.getProfile);
  */
 router.put('/profile', authenticateToken, authController.updateProfile);
 
+/**
+ * @route   POST /api/auth/roles
+ * @desc    Adiciona o papel de consumidor ou produtor à conta e renova os tokens
+ * @access  Private
+ * @body    { papel }
+ */
+router.post('/roles', authenticateToken, authController.addRole);
+
 /**
  * @route   PUT /api/auth/change-password
  * @desc    Altera senha do usuário
@@ -2,8 +2,8 @@ const express = require('express');
 const router = express.Router();
 
 const cartController = require('../controllers/cartController');
-const { authenticateToken, requireConsumidor } = require('../middleware/auth');
-const { validateCartItem } = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validateCartItem, validateCouponCode } = require('../middleware/validation');
 
 /**
  * Rotas do Carrinho
@@ -15,37 +15,56 @@ const { validateCartItem } = require('../middleware/validation');
  * @desc    Obtém carrinho do usuário logado
  * @access  Private (Consumidor)
  */
-router.get('/', authenticateToken, requireConsumidor, cartController.getCart);
+router.get('/', authenticateToken, authorize('cart:use'), cartController.getCart);
 
 /**
  * @route   POST /api/cart/add
- * @desc    Adiciona item ao carrinho
+ * @desc    Adiciona item ao carrinho (com harvestId, reserva parte de uma colheita em pré-venda)
+ *          A quantidade respeita o mínimo e o incremento do produto; unidade, pacote, caixa e
+ *          reservas de colheita só aceitam números inteiros
  * @access  Private (Consumidor)
- * @body    { productId, quantidade }
+ * @body    { productId, variantId?, harvestId?, quantidade }
  */
-router.post('/add', authenticateToken, requireConsumidor, validateCartItem, cartController.addToCart);
+router.post('/add', authenticateToken, authorize('cart:use'), validateCartItem, cartController.addToCart);
 
 /**
  * @route   PUT /api/cart/update/:productId
  * @desc    Atualiza quantidade de item no carrinho
  * @access  Private (Consumidor)
- * @body    { quantidade }
+ * @body    { quantidade, variantId?, harvestId? }
  */
-router.put('/update/:productId', authenticateToken, requireConsumidor, cartController.updateCartItem);
+router.put('/update/:productId', authenticateToken, authorize('cart:use'), cartController.updateCartItem);
 
 /**
  * @route   DELETE /api/cart/remove/:productId
  * @desc    Remove item do carrinho
  * @access  Private (Consumidor)
+ * @query   variantId (itens de produtos com variações), harvestId (reservas de pré-venda)
  */
-router.delete('/remove/:productId', authenticateToken, requireConsumidor, cartController.removeFromCart);
+router.delete('/remove/:productId', authenticateToken, authorize('cart:use'), cartController.removeFromCart);
 
 /**
  * @route   DELETE /api/cart/clear
  * @desc    Limpa todo o carrinho
  * @access  Private (Consumidor)
  */
-router.delete('/clear', authenticateToken, requireConsumidor, cartController.clearCart);
+router.delete('/clear', authenticateToken, authorize('cart:use'), cartController.clearCart);
+
+/**
+ * @route   POST /api/cart/coupon
+ * @desc    Aplica um cupom ao carrinho (substitui o anterior); o desconto aparece no resumo
+ *          e o cupom é conferido de novo ao finalizar o pedido
+ * @access  Private (Consumidor)
+ * @body    { codigo }
+ */
+router.post('/coupon', authenticateToken, authorize('cart:use'), validateCouponCode, cartController.applyCoupon);
+
+/**
+ * @route   DELETE /api/cart/coupon
+ * @desc    Remove o cupom do carrinho
+ * @access  Private (Consumidor)
+ */
+router.delete('/coupon', authenticateToken, authorize('cart:use'), cartController.removeCoupon);
 
 module.exports = router;
 
@@ -22,5 +22,12 @@ router.get('/', categoryController.getCategories);
  */
 router.get('/with-count', categoryController.getCategoriesWithCount);
 
+/**
+ * @route   GET /api/categories/tree
+ * @desc    Árvore de categorias ativas; totalProdutos inclui os produtos das subcategorias
+ * @access  Public
+ */
+router.get('/tree', categoryController.getCategoryTree);
+
 module.exports = router;
 
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 
 const orderController = require('../controllers/orderController');
-const { authenticateToken, requireConsumidor, requireProdutor } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
 
 /**
  * Rotas de Pedidos
@@ -11,11 +11,12 @@ const { authenticateToken, requireConsumidor, requireProdutor } = require('../mi
 
 /**
  * @route   POST /api/orders
- * @desc    Cria um novo pedido a partir do carrinho
+ * @desc    Cria um novo pedido a partir do carrinho (com as promoções vigentes e o cupom do carrinho,
+ *          conferido de novo e registrado no pedido; 400 se o cupom deixou de valer)
  * @access  Private (Consumidor)
  * @body    { enderecoId?, observacoes? }
  */
-router.post('/', authenticateToken, requireConsumidor, orderController.createOrder);
+router.post('/', authenticateToken, authorize('order:place'), orderController.createOrder);
 
 /**
  * @route   GET /api/orders
@@ -23,37 +24,37 @@ router.post('/', authenticateToken, requireConsumidor, orderController.createOrd
  * @access  Private (Consumidor)
  * @query   page, limit, status
  */
-router.get('/', authenticateToken, requireConsumidor, orderController.getMyOrders);
+router.get('/', authenticateToken, authorize('order:read'), orderController.getMyOrders);
 
 /**
  * @route   GET /api/orders/:id
  * @desc    Obtém detalhes de um pedido específico
  * @access  Private (Consumidor)
  */
-router.get('/:id', authenticateToken, requireConsumidor, orderController.getOrderById);
+router.get('/:id', authenticateToken, authorize('order:read'), orderController.getOrderById);
 
 /**
  * @route   PUT /api/orders/:id/cancel
  * @desc    Cancela um pedido
  * @access  Private (Consumidor)
  */
-router.put('/:id/cancel', authenticateToken, requireConsumidor, orderController.cancelOrder);
+router.put('/:id/cancel', authenticateToken, authorize('order:cancel'), orderController.cancelOrder);
 
 /**
  * @route   GET /api/orders/sales/my
- * @desc    Lista vendas do produtor logado
- * @access  Private (Produtor)
- * @query   page, limit, status
+ * @desc    Lista vendas do produtor logado ou, para a equipe, do produtor informado (sem valores)
+ * @access  Private (Produtor ou equipe)
+ * @query   page, limit, status, produtor
  */
-router.get('/sales/my', authenticateToken, requireProdutor, orderController.getMySales);
+router.get('/sales/my', authenticateToken, authorize('sales:read'), orderController.getMySales);
 
 /**
  * @route   PUT /api/orders/:id/status
  * @desc    Atualiza status de um pedido
- * @access  Private (Produtor)
+ * @access  Private (Produtor, membro da organização ou equipe)
  * @body    { status }
  */
-router.put('/:id/status', authenticateToken, requireProdutor, orderController.updateOrderStatus);
+router.put('/:id/status', authenticateToken, authorize('order:status'), orderController.updateOrderStatus);
 
 module.exports = router;
 
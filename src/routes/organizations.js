@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+
+const organizationController = require('../controllers/organizationController');
+const orderController = require('../controllers/orderController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validateOrganization } = require('../middleware/validation');
+
+/**
+ * Rotas de Organizações
+ * Endpoints para cooperativas e associações e seus membros
+ */
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Cria uma organização; o criador se torna dono
+ * @access  Private (Produtor)
+ * @body    { nome, tipo, cnpj?, descricao?, cidade?, estado? }
+ */
+router.post('/', authenticateToken, authorize('organization:create'), validateOrganization, organizationController.createOrganization);
+
+/**
+ * @route   GET /api/organizations/my
+ * @desc    Lista as organizações do usuário logado
+ * @access  Private
+ */
+router.get('/my', authenticateToken, organizationController.getMyOrganizations);
+
+/**
+ * @route   GET /api/organizations/:id
+ * @desc    Obtém os dados públicos de uma organização
+ * @access  Public
+ */
+router.get('/:id', organizationController.getOrganizationById);
+
+/**
+ * @route   PUT /api/organizations/:id
+ * @desc    Atualiza os dados da organização
+ * @access  Private (Dono ou gestor)
+ * @body    { nome?, tipo?, cnpj?, descricao?, cidade?, estado? }
+ */
+router.put('/:id', authenticateToken, validateOrganization, organizationController.updateOrganization);
+
+/**
+ * @route   GET /api/organizations/:id/members
+ * @desc    Lista os membros da organização
+ * @access  Private (Membro)
+ */
+router.get('/:id/members', authenticateToken, organizationController.getMembers);
+
+/**
+ * @route   POST /api/organizations/:id/members
+ * @desc    Adiciona um membro pelo email
+ * @access  Private (Dono ou gestor)
+ * @body    { email, papel? }
+ */
+router.post('/:id/members', authenticateToken, organizationController.addMember);
+
+/**
+ * @route   PUT /api/organizations/:id/members/:userId
+ * @desc    Altera o papel de um membro
+ * @access  Private (Dono)
+ * @body    { papel }
+ */
+router.put('/:id/members/:userId', authenticateToken, organizationController.updateMember);
+
+/**
+ * @route   DELETE /api/organizations/:id/members/:userId
+ * @desc    Remove um membro ou sai da organização
+ * @access  Private (Dono, gestor ou o próprio membro)
+ */
+router.delete('/:id/members/:userId', authenticateToken, organizationController.removeMember);
+
+/**
+ * @route   GET /api/organizations/:id/sales
+ * @desc    Lista as vendas dos produtos da organização
+ * @access  Private (Membro)
+ * @query   page, limit, status
+ */
+router.get('/:id/sales', authenticateToken, orderController.getOrganizationSales);
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+
+const producerController = require('../controllers/producerController');
+const certificationController = require('../controllers/certificationController');
+const promotionController = require('../controllers/promotionController');
+const { authenticateToken, authorize, optionalAuth } = require('../middleware/auth');
+const {
+  validateProducerProfile,
+  validateProductFilters,
+  validateNearQuery,
+  validateCertification,
+  validatePromotion
+} = require('../middleware/validation');
+const { uploadImages, uploadDocument } = require('../middleware/upload');
+
+/**
+ * Rotas de Produtores
+ * Vitrine pública das propriedades e perfil do produtor logado
+ */
+
+/**
+ * @route   GET /api/producers
+ * @desc    Lista produtores aprovados com filtros opcionais (com a nota média das avaliações)
+ * @access  Public (near exige login)
+ * @query   page, limit, search, cidade, estado, category
+ * @query   near (ID de um endereço do usuário), radiusKm, orderBy=distance
+ */
+router.get('/', optionalAuth, validateNearQuery, producerController.getProducers);
+
+/**
+ * @route   GET /api/producers/me/profile
+ * @desc    Obtém o perfil do produtor logado
+ * @access  Private (Produtor)
+ */
+router.get('/me/profile', authenticateToken, authorize('profile:update'), producerController.getMyProfile);
+
+/**
+ * @route   PUT /api/producers/me/profile
+ * @desc    Cria ou atualiza o perfil do produtor logado
+ * @access  Private (Produtor)
+ * @body    { nomePropriedade, historia?, cidade?, estado?, fotos?, praticas?, certificacoes?, areaEntrega?, cidadesEntrega? }
+ *          (fotos enviadas por upload que saírem da lista são apagadas)
+ */
+router.put('/me/profile', authenticateToken, authorize('profile:update'), validateProducerProfile, producerController.updateMyProfile);
+
+/**
+ * @route   POST /api/producers/me/profile/photos
+ * @desc    Envia fotos da propriedade (a versão grande é acrescentada em "fotos")
+ * @access  Private (Produtor com perfil cadastrado)
+ * @body    multipart/form-data com o campo "fotos" (JPEG, PNG ou WebP; até 10 no perfil)
+ */
+router.post('/me/profile/photos', authenticateToken, authorize('profile:update'), uploadImages('fotos'), producerController.uploadProfilePhotos);
+
+/**
+ * @route   GET /api/producers/me/certifications
+ * @desc    Lista as certificações do produtor logado, com os produtos cobertos por cada uma
+ * @access  Private (Produtor)
+ */
+router.get('/me/certifications', authenticateToken, authorize('certification:manage'), certificationController.getMyCertifications);
+
+/**
+ * @route   POST /api/producers/me/certifications
+ * @desc    Cadastra um certificado orgânico ou declaração de transição agroecológica
+ * @access  Private (Produtor)
+ * @body    { tipo: sisorg_opac | auditoria | ocs | transicao_agroecologica, numero, orgaoEmissor, validoDe, validoAte }
+ */
+router.post('/me/certifications', authenticateToken, authorize('certification:manage'), validateCertification, certificationController.createCertification);
+
+/**
+ * @route   PUT /api/producers/me/certifications/:id
+ * @desc    Atualiza uma certificação (nova validade reativa o selo e o aviso de vencimento)
+ * @access  Private (Produtor)
+ * @body    { tipo?, numero?, orgaoEmissor?, validoDe?, validoAte? }
+ */
+router.put('/me/certifications/:id', authenticateToken, authorize('certification:manage'), validateCertification, certificationController.updateCertification);
+
+/**
+ * @route   POST /api/producers/me/certifications/:id/document
+ * @desc    Envia a cópia do certificado (substitui a anterior)
+ * @access  Private (Produtor)
+ * @body    multipart/form-data com o campo "documento" (PDF, JPEG ou PNG)
+ */
+router.post('/me/certifications/:id/document', authenticateToken, authorize('certification:manage'), uploadDocument('documento'), certificationController.uploadCertificationDocument);
+
+/**
+ * @route   DELETE /api/producers/me/certifications/:id
+ * @desc    Remove uma certificação (o selo sai dos produtos ligados a ela)
+ * @access  Private (Produtor)
+ */
+router.delete('/me/certifications/:id', authenticateToken, authorize('certification:manage'), certificationController.deleteCertification);
+
+/**
+ * @route   GET /api/producers/me/promotions
+ * @desc    Lista as campanhas de promoção criadas pelo produtor logado (com a indicação de vigência)
+ * @access  Private (Produtor)
+ */
+router.get('/me/promotions', authenticateToken, authorize('promotion:manage'), promotionController.getMyPromotions);
+
+/**
+ * @route   POST /api/producers/me/promotions
+ * @desc    Cria uma campanha para um produto próprio ou para todos os produtos do produtor
+ * @access  Private (Produtor)
+ * @body    { nome, tipo: percentual | valor_fixo | faixa_quantidade | leve_pague, escopo: produto (com productId) | produtor,
+ *          percentual | valorDesconto | quantidadeFaixa + precoFaixa | leve + pague, inicioEm, fimEm, ativo? }
+ */
+router.post('/me/promotions', authenticateToken, authorize('promotion:manage'), validatePromotion, promotionController.createPromotion);
+
+/**
+ * @route   PUT /api/producers/me/promotions/:id
+ * @desc    Atualiza uma campanha do produtor (ativo=false pausa sem apagar)
+ * @access  Private (Produtor)
+ * @body    Mesmos campos da criação, todos opcionais
+ */
+router.put('/me/promotions/:id', authenticateToken, authorize('promotion:manage'), validatePromotion, promotionController.updatePromotion);
+
+/**
+ * @route   DELETE /api/producers/me/promotions/:id
+ * @desc    Remove uma campanha do produtor (ou desativa, se já foi aplicada em pedidos)
+ * @access  Private (Produtor)
+ */
+router.delete('/me/promotions/:id', authenticateToken, authorize('promotion:manage'), promotionController.deletePromotion);
+
+/**
+ * @route   GET /api/producers/:id
+ * @desc    Obtém a vitrine de um produtor (perfil, organizações, categorias, nota média e selos vigentes)
+ * @access  Public
+ */
+router.get('/:id', producerController.getProducerById);
+
+/**
+ * @route   GET /api/producers/:id/products
+ * @desc    Lista os produtos de um produtor
+ * @access  Public (near exige login)
+ * @query   page, limit, category, search, promocao, precoMin, precoMax, unidade, emEstoque, selo, near, orderBy, order
+ * @returns data, facetas e pagination (mesmo formato de GET /api/products)
+ */
+router.get('/:id/products', optionalAuth, validateProductFilters, validateNearQuery, producerController.getProducerProducts);
+
+module.exports = router;
@@ -2,8 +2,13 @@ const express = require('express');
 const router = express.Router();
 
 const productController = require('../controllers/productController');
-const { authenticateToken, requireProdutor, optionalAuth } = require('../middleware/auth');
-const { validateProduct } = require('../middleware/validation');
+const harvestController = require('../controllers/harvestController');
+const productImportController = require('../controllers/productImportController');
+const reviewController = require('../controllers/reviewController');
+const { authenticateToken, authorize, requireProdutorVerificado, optionalAuth } = require('../middleware/auth');
+const { validateProduct, validateProductFilters, validateNearQuery, validateVariant, validateImageOrder,
+  validateProductSeasons, validateHarvest, validateHarvestOutcome, validateProductCertifications } = require('../middleware/validation');
+const { uploadImages, uploadSpreadsheet } = require('../middleware/upload');
 
 /**
  * Rotas de Produtos
@@ -13,10 +18,19 @@ const { validateProduct } = require('../middleware/validation');
 /**
  * @route   GET /api/products
  * @desc    Lista todos os produtos com filtros opcionais
- * @access  Public
- * @query   page, limit, category, search, produtor, promocao, orderBy, order
+ * @access  Public (near exige login)
+ * @query   page, limit, category, search, produtor, organizacao, promocao, cidade, estado, orderBy, order
+ *          (search ignora acentos e plural; com busca, orderBy padrão é relevancia)
+ * @query   precoMin, precoMax (preço final), unidade (lista separada por vírgula), emEstoque,
+ *          certificacao, pratica (lista), entregaEm (cidade atendida pelo produtor; cidade e entregaEm ignoram acentos)
+ * @query   near (ID de um endereço do usuário), radiusKm, orderBy=distance
+ * @query   disponibilidade (disponivel ou em_breve; sem o filtro, lista as duas e omite os fora de safra)
+ * @query   orderBy=avaliacao (nota média; produtos sem avaliações por último)
+ * @query   category aceita ID ou slug e inclui os produtos das subcategorias
+ * @query   selo (organico ou o tipo: sisorg_opac, auditoria, ocs, transicao_agroecologica; só certificações válidas)
+ * @returns data (página atual, com os selos vigentes de cada produto), facetas (categorias, unidades, certificacoes, praticas, faixasPreco), pagination
  */
-router.get('/', optionalAuth, productController.getProducts);
+router.get('/', optionalAuth, validateProductFilters, validateNearQuery, productController.getProducts);
 
 /**
  * @route   GET /api/products/my
@@ -24,7 +38,58 @@ router.get('/', optionalAuth, productController.getProducts);
  * @access  Private (Produtor)
  * @query   page, limit, search, ativo
  */
-router.get('/my', authenticateToken, requireProdutor, productController.getMyProducts);
+router.get('/my', authenticateToken, authorize('product:list'), productController.getMyProducts);
+
+/**
+ * @route   GET /api/products/my/export
+ * @desc    Exporta os produtos ativos do produtor logado (mesmas colunas da importação)
+ * @access  Private (Produtor)
+ * @query   formato (csv ou xlsx, padrão: csv)
+ */
+router.get('/my/export', authenticateToken, authorize('product:list'), productImportController.exportProducts);
+
+/**
+ * @route   POST /api/products/my/import
+ * @desc    Importa produtos de uma planilha: SKU novo cria, SKU existente atualiza; as linhas seguem as
+ *          regras do cadastro e as inválidas são relatadas. Planilhas grandes seguem em segundo plano (202)
+ * @access  Private (Produtor verificado)
+ * @body    multipart/form-data com o campo "arquivo" (.csv ou .xlsx) e as colunas
+ *          sku, nome, categoria (nome), preco, unidadeMedida, descricao?, estoque?, promocao?, percentualDesconto?, imagemUrl?
+ * @query   simulacao (true: apenas confere as linhas e devolve os erros, sem gravar)
+ */
+router.post('/my/import', authenticateToken, authorize('product:create'), requireProdutorVerificado,
+  uploadSpreadsheet('arquivo'), productImportController.importProducts);
+
+/**
+ * @route   GET /api/products/my/imports
+ * @desc    Lista as importações do produtor logado
+ * @access  Private (Produtor)
+ * @query   page, limit
+ */
+router.get('/my/imports', authenticateToken, authorize('product:list'), productImportController.getImports);
+
+/**
+ * @route   GET /api/products/my/imports/:importId
+ * @desc    Andamento, totais e erros por linha de uma importação
+ * @access  Private (Produtor)
+ */
+router.get('/my/imports/:importId', authenticateToken, authorize('product:list'), productImportController.getImportById);
+
+/**
+ * @route   GET /api/products/my/imports/:importId/errors
+ * @desc    Baixa o relatório de erros da importação em CSV (linha, sku, erros)
+ * @access  Private (Produtor)
+ */
+router.get('/my/imports/:importId/errors', authenticateToken, authorize('product:list'),
+  productImportController.downloadImportErrors);
+
+/**
+ * @route   GET /api/products/season
+ * @desc    Lista os produtos com safra no mês (calendário sazonal)
+ * @access  Public
+ * @query   mes (1-12, padrão: o mês atual)
+ */
+router.get('/season', productController.getSeasonProducts);
 
 /**
  * @route   GET /api/products/:id
@@ -33,26 +98,152 @@ router.get('/my', authenticateToken, requireProdutor, productController.getMyPro
  */
 router.get('/:id', optionalAuth, productController.getProductById);
 
+/**
+ * @route   GET /api/products/:id/reviews
+ * @desc    Lista as avaliações publicadas do produto, com a nota média e a distribuição das notas
+ * @access  Public
+ * @query   page, limit, orderBy (recentes, nota_alta ou nota_baixa)
+ */
+router.get('/:id/reviews', reviewController.getProductReviews);
+
 /**
  * @route   POST /api/products
- * @desc    Cria um novo produto
- * @access  Private (Produtor)
+ * @desc    Cria um novo produto (kg, g, litro e ml aceitam estoque e quantidades fracionadas)
+ * @access  Private (Produtor verificado)
+ * @body    { nome, preco, unidadeMedida, categoryId, estoque?, quantidadeMinima?, incremento?, ..., variantes?: [{ nome, preco, unidadeMedida, estoque, sku, promocao, percentualDesconto }] }
  */
-router.post('/', authenticateToken, requireProdutor, validateProduct, productController.createProduct);
+router.post('/', authenticateToken, authorize('product:create'), requireProdutorVerificado, validateProduct, productController.createProduct);
 
 /**
  * @route   PUT /api/products/:id
  * @desc    Atualiza um produto existente
- * @access  Private (Produtor - apenas próprios produtos)
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ */
+router.put('/:id', authenticateToken, authorize('product:update'), validateProduct, productController.updateProduct);
+
+/**
+ * @route   PUT /api/products/:id/stock
+ * @desc    Atualiza o estoque de um produto (inteiro em unidade, pacote e caixa; até 3 casas decimais nas demais)
+ * @access  Private (Produtor - próprios produtos, da sua organização ou do produtor para quem trabalha)
+ * @body    { estoque }
+ */
+router.put('/:id/stock', authenticateToken, authorize('product:stock'), productController.updateStock);
+
+/**
+ * @route   PUT /api/products/:id/season
+ * @desc    Define as janelas de safra do produto (substitui as anteriores; lista vazia: o ano todo)
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ * @body    { safras: [{ mesInicio, mesFim } | { dataInicio, dataFim }] }
+ */
+router.put('/:id/season', authenticateToken, authorize('product:update'), validateProductSeasons, productController.updateSeasons);
+
+/**
+ * @route   PUT /api/products/:id/certifications
+ * @desc    Define as certificações do produtor que cobrem o produto (substitui as anteriores)
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ * @body    { certificacoes: [IDs das certificações do produtor] } (lista vazia retira os selos)
+ */
+router.put('/:id/certifications', authenticateToken, authorize('product:update'), validateProductCertifications, productController.updateCertifications);
+
+/**
+ * @route   GET /api/products/:id/harvests
+ * @desc    Lista as colheitas do produto em pré-venda, com a quantidade que ainda pode ser reservada
+ * @access  Public
+ */
+router.get('/:id/harvests', harvestController.getHarvests);
+
+/**
+ * @route   POST /api/products/:id/harvests
+ * @desc    Publica uma colheita para pré-venda (reservas pelo carrinho com harvestId)
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ * @body    { quantidadePrevista, dataColheita, dataEntrega? }
+ */
+router.post('/:id/harvests', authenticateToken, authorize('product:update'), validateHarvest, harvestController.createHarvest);
+
+/**
+ * @route   PUT /api/products/:id/harvests/:harvestId
+ * @desc    Atualiza a previsão da colheita ou encerra/reabre as reservas
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ * @body    { quantidadePrevista?, dataColheita?, dataEntrega?, status?: 'aberta' | 'encerrada' }
+ */
+router.put('/:id/harvests/:harvestId', authenticateToken, authorize('product:update'), validateHarvest, harvestController.updateHarvest);
+
+/**
+ * @route   POST /api/products/:id/harvests/:harvestId/outcome
+ * @desc    Registra o resultado da colheita: reservas atendidas na proporção, as que ficariam
+ *          sem nada são canceladas (com aviso por email) e a sobra vai para o estoque
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ * @body    { quantidadeColhida }
+ */
+router.post('/:id/harvests/:harvestId/outcome', authenticateToken, authorize('product:update'), validateHarvestOutcome, harvestController.registerHarvestOutcome);
+
+/**
+ * @route   POST /api/products/:id/variants
+ * @desc    Adiciona uma variação ao produto (tamanho, embalagem) com preço, unidade e estoque próprios
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ * @body    { nome, preco, unidadeMedida, estoque, sku, promocao, percentualDesconto }
+ */
+router.post('/:id/variants', authenticateToken, authorize('product:update'), validateVariant, productController.createVariant);
+
+/**
+ * @route   PUT /api/products/:id/variants/:variantId
+ * @desc    Atualiza uma variação do produto
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ * @body    { nome, preco, unidadeMedida, estoque, sku, promocao, percentualDesconto }
+ */
+router.put('/:id/variants/:variantId', authenticateToken, authorize('product:update'), validateVariant, productController.updateVariant);
+
+/**
+ * @route   PUT /api/products/:id/variants/:variantId/stock
+ * @desc    Atualiza o estoque de uma variação
+ * @access  Private (Produtor - próprios produtos, da sua organização ou do produtor para quem trabalha)
+ * @body    { estoque }
+ */
+router.put('/:id/variants/:variantId/stock', authenticateToken, authorize('product:stock'), productController.updateVariantStock);
+
+/**
+ * @route   DELETE /api/products/:id/variants/:variantId
+ * @desc    Remove uma variação (soft delete)
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ */
+router.delete('/:id/variants/:variantId', authenticateToken, authorize('product:update'), productController.deleteVariant);
+
+/**
+ * @route   POST /api/products/:id/images
+ * @desc    Envia imagens para a galeria do produto (geradas em miniatura, média e grande, sem EXIF)
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ * @body    multipart/form-data com o campo "imagens" (JPEG, PNG ou WebP; até 10 por produto)
+ */
+router.post('/:id/images', authenticateToken, authorize('product:update'), uploadImages('imagens'), productController.uploadImages);
+
+/**
+ * @route   PUT /api/products/:id/images/order
+ * @desc    Reordena a galeria do produto
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ * @body    { ordem: [imageId, ...] } com todas as imagens do produto
+ */
+router.put('/:id/images/order', authenticateToken, authorize('product:update'), validateImageOrder, productController.reorderImages);
+
+/**
+ * @route   PUT /api/products/:id/images/:imageId/cover
+ * @desc    Define a imagem de capa (copiada para imagemUrl do produto)
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ */
+router.put('/:id/images/:imageId/cover', authenticateToken, authorize('product:update'), productController.setCoverImage);
+
+/**
+ * @route   DELETE /api/products/:id/images/:imageId
+ * @desc    Remove uma imagem da galeria e apaga os arquivos
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
  */
-router.put('/:id', authenticateToken, requireProdutor, validateProduct, productController.updateProduct);
+router.delete('/:id/images/:imageId', authenticateToken, authorize('product:update'), productController.deleteImage);
 
 /**
  * @route   DELETE /api/products/:id
  * @desc    Remove um produto (soft delete)
- * @access  Private (Produtor - apenas próprios produtos)
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
  */
-router.delete('/:id', authenticateToken, requireProdutor, productController.deleteProduct);
+router.delete('/:id', authenticateToken, authorize('product:delete'), productController.deleteProduct);
 
 module.exports = router;
 
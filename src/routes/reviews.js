@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+
+const reviewController = require('../controllers/reviewController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validateReview, validateReviewReply, validateReviewReport } = require('../middleware/validation');
+const { uploadImages } = require('../middleware/upload');
+
+/**
+ * Rotas de Avaliações
+ * Avaliações de produtos por quem os recebeu, respostas dos produtores e denúncias
+ * (a lista pública fica em GET /api/products/:id/reviews)
+ */
+
+/**
+ * @route   POST /api/reviews
+ * @desc    Avalia um item de um pedido entregue (uma avaliação por item)
+ * @access  Private (Consumidor)
+ * @body    { orderItemId, nota (1 a 5), comentario? }
+ */
+router.post('/', authenticateToken, authorize('review:write'), validateReview, reviewController.createReview);
+
+/**
+ * @route   PUT /api/reviews/:id
+ * @desc    Edita a nota ou o comentário da própria avaliação
+ * @access  Private (Consumidor autor)
+ * @body    { nota?, comentario? }
+ */
+router.put('/:id', authenticateToken, authorize('review:write'), validateReview, reviewController.updateReview);
+
+/**
+ * @route   POST /api/reviews/:id/photos
+ * @desc    Envia fotos para a própria avaliação (até 5 por avaliação)
+ * @access  Private (Consumidor autor)
+ * @body    multipart/form-data com o campo "fotos" (JPEG, PNG ou WebP)
+ */
+router.post('/:id/photos', authenticateToken, authorize('review:write'), uploadImages('fotos'), reviewController.uploadReviewPhotos);
+
+/**
+ * @route   PUT /api/reviews/:id/reply
+ * @desc    Responde publicamente a uma avaliação (vazio ou null apaga a resposta)
+ * @access  Private (Produtor - próprios produtos ou dono/gestor da organização)
+ * @body    { resposta }
+ */
+router.put('/:id/reply', authenticateToken, authorize('review:reply'), validateReviewReply, reviewController.replyReview);
+
+/**
+ * @route   POST /api/reviews/:id/report
+ * @desc    Denuncia uma avaliação; com várias denúncias ela sai do ar até a moderação decidir
+ * @access  Private
+ * @body    { motivo }
+ */
+router.post('/:id/report', authenticateToken, validateReviewReport, reviewController.reportReview);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+
+const staffController = require('../controllers/staffController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validateStaffInvitation } = require('../middleware/validation');
+
+/**
+ * Rotas da Equipe
+ * Familiares e funcionários que ajudam o produtor com pedidos e estoque
+ */
+
+/**
+ * @route   GET /api/staff
+ * @desc    Lista a equipe do produtor logado e as permissões da equipe
+ * @access  Private (Produtor)
+ */
+router.get('/', authenticateToken, authorize('staff:manage'), staffController.getStaff);
+
+/**
+ * @route   POST /api/staff
+ * @desc    Convida alguém para a equipe; cria a conta se o email ainda não tiver uma
+ * @access  Private (Produtor)
+ * @body    { email, nome? }
+ */
+router.post('/', authenticateToken, authorize('staff:manage'), validateStaffInvitation, staffController.inviteStaff);
+
+/**
+ * @route   GET /api/staff/employers
+ * @desc    Lista os produtores para quem o usuário logado trabalha
+ * @access  Private
+ */
+router.get('/employers', authenticateToken, staffController.getEmployers);
+
+/**
+ * @route   DELETE /api/staff/employers/:produtorId
+ * @desc    Sai da equipe de um produtor
+ * @access  Private
+ */
+router.delete('/employers/:produtorId', authenticateToken, staffController.leaveEmployer);
+
+/**
+ * @route   DELETE /api/staff/:userId
+ * @desc    Remove alguém da equipe
+ * @access  Private (Produtor)
+ */
+router.delete('/:userId', authenticateToken, authorize('staff:manage'), staffController.removeStaff);
+
+module.exports = router;
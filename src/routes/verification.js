@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+
+const verificationController = require('../controllers/verificationController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+/**
+ * Rotas de Verificação de Produtores
+ * Endpoints para o produtor comprovar que é agricultor familiar
+ */
+
+/**
+ * @route   GET /api/verification
+ * @desc    Obtém a situação da verificação do produtor logado
+ * @access  Private (Produtor)
+ */
+router.get('/', authenticateToken, authorize('verification:submit'), verificationController.getMyVerification);
+
+/**
+ * @route   POST /api/verification
+ * @desc    Envia CPF/CNPJ, DAP/CAF e comprovantes para análise
+ * @access  Private (Produtor)
+ * @body    { documento, dapCaf, documentos: [{ tipo, url, nome? }] }
+ */
+router.post('/', authenticateToken, authorize('verification:submit'), verificationController.submitVerification);
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { User, AccountToken } = require('../models');
+const { TokenError, hashToken, revokeAllSessions } = require('./authTokenService');
+const mailer = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+
+/**
+ * Serviço de tokens de conta enviados por email
+ * Redefinição de senha, verificação de email e convites de equipe usam tokens aleatórios de uso único
+ * com validade limitada; só o hash fica no banco.
+ */
+
+/**
+ * Validade de cada tipo de token, em milissegundos
+ * @param {string} tipo - Tipo do token
+ * @returns {number} - Duração
+ */
+const getTtl = (tipo) => (tipo === 'reset_senha'
+  ? config.account.passwordResetTtlMinutes * 60 * 1000
+  : config.account.emailVerificationTtlHours * 60 * 60 * 1000);
+
+/**
+ * Cria um token para o usuário, invalidando os anteriores do mesmo tipo
+ * @param {Object} user - Usuário
+ * @param {string} tipo - 'reset_senha', 'verificacao_email' ou 'convite_equipe'
+ * @returns {Promise<string>} - Token original (para o link do email)
+ */
+const createAccountToken = async (user, tipo) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await AccountToken.destroy({ where: { userId: user.id, tipo, usedAt: null } });
+  await AccountToken.create({
+    userId: user.id,
+    tipo,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + getTtl(tipo))
+  });
+
+  return token;
+};
+
+/**
+ * Consome um token: marca como usado e retorna o usuário dono
+ * @param {string} token - Token recebido do link
+ * @param {string} tipo - Tipo esperado
+ * @returns {Promise<Object>} - Usuário
+ * @throws {TokenError} - Token inexistente, expirado ou já usado
+ */
+const consumeAccountToken = async (token, tipo) => {
+  const where = {
+    tokenHash: hashToken(String(token)),
+    tipo,
+    usedAt: null,
+    expiresAt: { [Op.gt]: new Date() }
+  };
+
+  const stored = await AccountToken.findOne({ where });
+
+  // A atualização condicional garante o uso único mesmo com pedidos simultâneos
+  const [atualizados] = stored
+    ? await AccountToken.update({ usedAt: new Date() }, { where: { ...where, id: stored.id } })
+    : [0];
+
+  if (atualizados === 0) {
+    throw new TokenError('Link inválido ou expirado');
+  }
+
+  const user = await User.findByPk(stored.userId);
+  if (!user || !user.ativo) {
+    throw new TokenError('Link inválido ou expirado');
+  }
+
+  return user;
+};
+
+/**
+ * Envia o email de verificação para o usuário
+ * @param {Object} user - Usuário
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user, 'verificacao_email');
+  await mailer.sendMail({ to: user.email, ...emailTemplates.verificacaoEmail(user, token) });
+};
+
+/**
+ * Envia o email de redefinição de senha para o usuário
+ * @param {Object} user - Usuário
+ */
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user, 'reset_senha');
+  await mailer.sendMail({ to: user.email, ...emailTemplates.redefinicaoSenha(user, token) });
+};
+
+/**
+ * Redefine a senha a partir de um token e encerra todas as sessões abertas
+ * @param {string} token - Token recebido por email
+ * @param {string} novaSenha - Nova senha
+ * @returns {Promise<Object>} - Usuário atualizado
+ */
+const resetPassword = async (token, novaSenha) => {
+  const user = await consumeAccountToken(token, 'reset_senha');
+
+  await user.update({ senha: novaSenha });
+  await revokeAllSessions(user.id);
+
+  return user;
+};
+
+/**
+ * Confirma o email do usuário a partir de um token
+ * @param {string} token - Token recebido por email
+ * @returns {Promise<Object>} - Usuário atualizado
+ */
+const verifyEmail = async (token) => {
+  const user = await consumeAccountToken(token, 'verificacao_email');
+
+  if (!user.emailVerificado) {
+    await user.update({ emailVerificado: true, emailVerificadoEm: new Date() });
+  }
+
+  return user;
+};
+
+/**
+ * Envia o convite para a equipe de um produtor a quem ainda não tem conta
+ * @param {Object} user - Conta criada para o convidado
+ * @param {Object} produtor - Produtor que convidou
+ */
+const sendStaffInvitationEmail = async (user, produtor) => {
+  const token = await createAccountToken(user, 'convite_equipe');
+  await mailer.sendMail({ to: user.email, ...emailTemplates.conviteEquipe(user, produtor, token) });
+};
+
+/**
+ * Aceita o convite de equipe: define a senha e confirma o email, que chegou pelo próprio convite
+ * @param {string} token - Token recebido por email
+ * @param {string} senha - Senha escolhida
+ * @returns {Promise<Object>} - Usuário atualizado
+ */
+const acceptStaffInvitation = async (token, senha) => {
+  const user = await consumeAccountToken(token, 'convite_equipe');
+
+  await user.update({
+    senha,
+    emailVerificado: true,
+    emailVerificadoEm: user.emailVerificadoEm || new Date()
+  });
+  await revokeAllSessions(user.id);
+
+  return user;
+};
+
+module.exports = {
+  createAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  resetPassword,
+  verifyEmail,
+  sendStaffInvitationEmail,
+  acceptStaffInvitation
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { User, RefreshToken, RevokedToken } = require('../models');
+const { generateToken, generateRefreshToken, verifyToken, decodeToken } = require('../utils/jwt');
+
+/**
+ * Serviço de sessões (tokens de acesso e de refresh)
+ * Cada login abre uma família de tokens. O refresh token é trocado a cada uso
+ * (rotação); reapresentar um token já trocado indica vazamento e encerra a família.
+ */
+
+/**
+ * Erro de token inválido, expirado ou revogado
+ */
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+/**
+ * Calcula o hash armazenado de um refresh token
+ * @param {string} token - Refresh token
+ * @returns {string} - SHA-256 em hexadecimal
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Emite um par de tokens (acesso + refresh) para o usuário
+ * @param {Object} user - Usuário autenticado
+ * @param {Object} options - { family, userAgent, ip, transaction }
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+ */
+const issueTokens = async (user, { family = crypto.randomUUID(), userAgent, ip, transaction } = {}) => {
+  const refreshJti = crypto.randomUUID();
+  const token = generateToken(user, { jti: crypto.randomUUID(), family });
+  const refreshToken = generateRefreshToken(user, { jti: refreshJti, family });
+
+  const { exp: refreshExp } = decodeToken(refreshToken);
+  const { iat, exp } = decodeToken(token);
+
+  await RefreshToken.create({
+    userId: user.id,
+    jti: refreshJti,
+    family,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(refreshExp * 1000),
+    userAgent: userAgent ? userAgent.slice(0, 255) : null,
+    ip: ip || null
+  }, { transaction });
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: exp - iat
+  };
+};
+
+/**
+ * Revoga todos os refresh tokens ativos de uma família (sessão)
+ * @param {string} family - Família a revogar
+ * @param {string} reason - Motivo registrado
+ * @param {Object} transaction - Transação opcional
+ */
+const revokeFamily = async (family, reason, transaction) => {
+  await RefreshToken.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { family, revokedAt: null }, transaction }
+  );
+};
+
+/**
+ * Troca um refresh token por um novo par de tokens
+ * @param {string} refreshToken - Refresh token apresentado pelo cliente
+ * @param {Object} context - { userAgent, ip }
+ * @returns {Promise<Object>} - { user, token, refreshToken, expiresIn }
+ * @throws {TokenError} - Token inválido, expirado ou reutilizado
+ */
+const rotateRefreshToken = async (refreshToken, context = {}) => {
+  const decoded = verifyToken(refreshToken);
+  if (!decoded || decoded.type !== 'refresh') {
+    throw new TokenError('Refresh token inválido');
+  }
+
+  const stored = await RefreshToken.findOne({ where: { tokenHash: hashToken(refreshToken) } });
+  if (!stored) {
+    throw new TokenError('Refresh token inválido');
+  }
+
+  if (stored.revokedAt) {
+    // Um token já trocado voltou a ser usado: encerra a sessão inteira
+    await revokeFamily(stored.family, 'reutilizado');
+    throw new TokenError('Refresh token já utilizado. Por segurança, a sessão foi encerrada');
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw new TokenError('Refresh token expirado');
+  }
+
+  const user = await User.findByPk(stored.userId);
+  if (!user || !user.ativo) {
+    throw new TokenError('Usuário não encontrado ou inativo');
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Atualização condicional: só um dos pedidos concorrentes consegue trocar o token
+    const [revogados] = await RefreshToken.update(
+      { revokedAt: new Date(), revokedReason: 'rotacionado' },
+      { where: { id: stored.id, revokedAt: null }, transaction }
+    );
+
+    if (revogados === 0) {
+      await transaction.rollback();
+      await revokeFamily(stored.family, 'reutilizado');
+      throw new TokenError('Refresh token já utilizado. Por segurança, a sessão foi encerrada');
+    }
+
+    const tokens = await issueTokens(user, { ...context, family: stored.family, transaction });
+    const { jti } = decodeToken(tokens.refreshToken);
+    await RefreshToken.update({ replacedBy: jti }, { where: { id: stored.id }, transaction });
+
+    await transaction.commit();
+
+    return { user, ...tokens };
+  } catch (err) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    throw err;
+  }
+};
+
+/**
+ * Encerra a sessão do token de acesso informado
+ * @param {Object} auth - Payload decodificado do token de acesso (req.auth)
+ */
+const revokeSession = async (auth) => {
+  if (auth.fam) {
+    await revokeFamily(auth.fam, 'logout');
+  }
+
+  if (auth.jti) {
+    await RevokedToken.findOrCreate({
+      where: { jti: auth.jti },
+      defaults: { userId: auth.userId, expiresAt: new Date(auth.exp * 1000) }
+    });
+  }
+};
+
+/**
+ * Encerra todas as sessões do usuário
+ * @param {number} userId - ID do usuário
+ * @param {Object} auth - Payload do token de acesso atual (opcional)
+ */
+const revokeAllSessions = async (userId, auth) => {
+  await RefreshToken.update(
+    { revokedAt: new Date(), revokedReason: 'logout_all' },
+    { where: { userId, revokedAt: null } }
+  );
+
+  if (auth) {
+    await revokeSession(auth);
+  }
+};
+
+/**
+ * Verifica se um token de acesso foi revogado (por jti ou por família)
+ * @param {Object} decoded - Payload decodificado do token de acesso
+ * @returns {Promise<boolean>} - True se o token não deve mais ser aceito
+ */
+const isAccessTokenRevoked = async (decoded) => {
+  if (decoded.jti) {
+    const revoked = await RevokedToken.findByPk(decoded.jti);
+    if (revoked) {
+      return true;
+    }
+  }
+
+  if (decoded.fam) {
+    const ativos = await RefreshToken.count({
+      where: { family: decoded.fam, revokedAt: null }
+    });
+    return ativos === 0;
+  }
+
+  return false;
+};
+
+/**
+ * Remove registros que já expiraram e não precisam mais ser consultados
+ * @returns {Promise<Object>} - Quantidade removida de cada tabela
+ */
+const purgeExpired = async () => {
+  const now = new Date();
+  const refreshTokens = await RefreshToken.destroy({ where: { expiresAt: { [Op.lt]: now } } });
+  const revokedTokens = await RevokedToken.destroy({ where: { expiresAt: { [Op.lt]: now } } });
+  return { refreshTokens, revokedTokens };
+};
+
+module.exports = {
+  TokenError,
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isAccessTokenRevoked,
+  purgeExpired
+};
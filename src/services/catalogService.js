@@ -0,0 +1,271 @@
+const { Op } = require('sequelize');
+const { sequelize, Product, Category, ProducerProfile } = require('../models');
+const { isPostgres } = require('../config/database');
+const { ROTULOS, countBadgeTypes } = require('./certificationService');
+const { normalizeText } = require('../utils/text');
+
+/**
+ * Serviço do catálogo
+ * Filtros de oferta (preço final, unidade, estoque), filtros pelo perfil do produtor
+ * (prática, cidade de entrega, localização) e contagem das facetas da listagem.
+ * Certificações vêm só dos selos vigentes (Certification), não da lista declarada no perfil
+ */
+
+// Faixas de preço exibidas na barra de filtros (o máximo não entra na faixa)
+const FAIXAS_PRECO = [
+  { min: 0, max: 10 },
+  { min: 10, max: 25 },
+  { min: 25, max: 50 },
+  { min: 50, max: 100 },
+  { min: 100, max: null }
+];
+
+// Unidades de medida de produtos e variações
+const UNIDADES = Product.rawAttributes.unidadeMedida.values;
+
+const VARIACOES_ATIVAS_SQL = 'FROM product_variants v WHERE v."productId" = "Product"."id" AND v."ativo" = true';
+
+/**
+ * Expressão SQL do preço final (com o desconto da promoção)
+ * @param {string} alias - Tabela ou alias com preco, promocao e percentualDesconto
+ * @returns {string} - Expressão SQL
+ */
+const precoFinalSql = (alias) => `(CASE WHEN ${alias}."promocao" AND ${alias}."percentualDesconto" IS NOT NULL
+  THEN ${alias}."preco" * (100 - ${alias}."percentualDesconto") / 100.0 ELSE ${alias}."preco" END)`;
+
+/**
+ * Maior (ou menor) de vários valores SQL: GREATEST/LEAST no PostgreSQL, MAX/MIN escalares no SQLite
+ * @param {string} funcao - 'maior' ou 'menor'
+ * @param {Array<string>} valores - Expressões SQL (ao menos duas)
+ * @returns {string}
+ */
+const extremeSql = (funcao, valores) => {
+  const nomes = isPostgres() ? { maior: 'GREATEST', menor: 'LEAST' } : { maior: 'MAX', menor: 'MIN' };
+  return `${nomes[funcao]}(${valores.join(', ')})`;
+};
+
+/**
+ * Expressão SQL do preço no catálogo: o preço final com a campanha de maior desconto que muda
+ * o preço unitário, com as mesmas regras de applyBestPromotion (o item nunca sai de graça)
+ * @param {string} alias - "Product" ou a variação (v); o alcance da campanha é sempre do produto
+ * @param {Array<Object>} campanhas - Resultado de findUnitPricePromotions
+ * @returns {string} - Expressão SQL
+ */
+const catalogPriceSql = (alias, campanhas) => {
+  const base = `ROUND(${precoFinalSql(alias)}, 2)`;
+  if (campanhas.length === 0) {
+    return base;
+  }
+
+  const descontos = campanhas.map(({ promocao, categorias }) => {
+    const alcance = {
+      produto: `"Product"."id" = ${Number(promocao.productId)}`,
+      produtor: `"Product"."produtorId" = ${Number(promocao.produtorId)}`,
+      categoria: categorias.length > 0 ? `"Product"."categoryId" IN (${categorias.map(Number).join(', ')})` : '1 = 0'
+    }[promocao.escopo];
+
+    const desconto = promocao.tipo === 'percentual'
+      ? `ROUND(${base} * ${Number(promocao.percentual)} / 100.0, 2)`
+      : extremeSql('menor', [String(Number(promocao.valorDesconto)), base]);
+
+    return `(CASE WHEN ${alcance} THEN ${desconto} ELSE 0 END)`;
+  });
+
+  return extremeSql('maior', [`${base} - ${extremeSql('maior', ['0', ...descontos])}`, '0.01']);
+};
+
+/**
+ * Menor preço à venda no catálogo (das variações ativas, se houver), que define a faixa de preço do produto
+ * @param {Array<Object>} campanhas - Resultado de findUnitPricePromotions
+ * @returns {string} - Expressão SQL
+ */
+const lowestPriceSql = (campanhas) => `COALESCE(
+  (SELECT MIN(${catalogPriceSql('v', campanhas)}) ${VARIACOES_ATIVAS_SQL}),
+  ${catalogPriceSql('"Product"', campanhas)})`;
+
+/**
+ * Condição SQL sobre o que está à venda: as variações ativas, se houver, ou o próprio produto
+ * @param {string} condicaoProduto - Condição SQL sobre "Product"
+ * @param {string} condicaoVariante - Condição SQL sobre a variação (alias v)
+ * @returns {string}
+ */
+const offerSql = (condicaoProduto, condicaoVariante) => `(CASE WHEN EXISTS (SELECT 1 ${VARIACOES_ATIVAS_SQL})
+    THEN EXISTS (SELECT 1 ${VARIACOES_ATIVAS_SQL} AND ${condicaoVariante})
+    ELSE ${condicaoProduto} END)`;
+
+/**
+ * Condição sobre o que está à venda, para o where do Sequelize
+ * @param {string} condicaoProduto - Condição SQL sobre "Product"
+ * @param {string} condicaoVariante - Condição SQL sobre a variação (alias v)
+ * @returns {Object} - Literal para o where do Sequelize
+ */
+const offerCondition = (condicaoProduto, condicaoVariante) => sequelize.literal(offerSql(condicaoProduto, condicaoVariante));
+
+/**
+ * Lê um parâmetro de lista separada por vírgulas
+ * @param {string} value - Valor da query (ex.: "kg,unidade")
+ * @returns {Array<string>} - Itens sem espaços extras
+ */
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Monta as condições de oferta da listagem
+ * O preço considerado é o do catálogo, já com as campanhas vigentes
+ * @param {Object} query - Parâmetros (precoMin, precoMax, unidade, emEstoque)
+ * @param {Array<Object>} campanhas - Resultado de findUnitPricePromotions
+ * @returns {Array<Object>} - Literais para combinar com Op.and
+ */
+const buildOfferFilters = ({ precoMin, precoMax, unidade, emEstoque }, campanhas = []) => {
+  const filtros = [];
+
+  const faixa = (alias) => [
+    precoMin !== undefined ? `${catalogPriceSql(alias, campanhas)} >= ${Number(precoMin)}` : null,
+    precoMax !== undefined ? `${catalogPriceSql(alias, campanhas)} <= ${Number(precoMax)}` : null
+  ].filter(Boolean).join(' AND ');
+
+  if (precoMin !== undefined || precoMax !== undefined) {
+    filtros.push(offerCondition(faixa('"Product"'), faixa('v')));
+  }
+
+  const unidades = parseList(unidade);
+  if (unidades.length > 0) {
+    const lista = unidades.map(item => sequelize.escape(item)).join(', ');
+    filtros.push(offerCondition(`"Product"."unidadeMedida" IN (${lista})`, `v."unidadeMedida" IN (${lista})`));
+  }
+
+  if (emEstoque === 'true') {
+    filtros.push(offerCondition('"Product"."estoque" > 0', 'v."estoque" > 0'));
+  }
+
+  return filtros;
+};
+
+/**
+ * Condição SQL de uma lista JSON do perfil (alias pp) que contém o valor
+ * @param {string} coluna - Coluna JSON do perfil (praticas, cidadesEntregaBusca)
+ * @param {string} valor - Valor procurado, já no formato gravado na coluna
+ * @returns {string} - Condição SQL
+ */
+const jsonListContains = (coluna, valor) => {
+  const texto = sequelize.escape(valor);
+
+  if (isPostgres()) {
+    return `EXISTS (SELECT 1 FROM json_array_elements_text(pp."${coluna}") item WHERE item = ${texto})`;
+  }
+  return `EXISTS (SELECT 1 FROM json_each(pp."${coluna}") item WHERE item.value = ${texto})`;
+};
+
+/**
+ * Condição dos produtos cujo produtor atende aos filtros do perfil, resolvida no banco
+ * Cidades são comparadas com as cópias normalizadas do perfil (sem acentos e maiúsculas)
+ * @param {Object} query - Parâmetros (pratica, entregaEm, cidade, estado)
+ * @returns {Object|null} - Literal para o where de Product, ou null se nenhum desses filtros foi usado
+ */
+const producerProfileCondition = ({ pratica, entregaEm, cidade, estado }) => {
+  const condicoes = parseList(pratica).map(item => jsonListContains('praticas', item.toLowerCase()));
+
+  if (entregaEm) {
+    condicoes.push(jsonListContains('cidadesEntregaBusca', normalizeText(entregaEm)));
+  }
+  if (cidade) {
+    condicoes.push(`pp."cidadeBusca" = ${sequelize.escape(normalizeText(cidade))}`);
+  }
+  if (estado) {
+    condicoes.push(`pp."estado" = ${sequelize.escape(String(estado).toUpperCase())}`);
+  }
+
+  if (condicoes.length === 0) {
+    return null;
+  }
+
+  return sequelize.literal(`"Product"."produtorId" IN (SELECT pp."userId" FROM producer_profiles pp
+    WHERE ${condicoes.join(' AND ')})`);
+};
+
+/**
+ * Converte totais em lista ordenada pelo total
+ * @param {Map} contador - Valor => total
+ * @returns {Array<Object>} - [{ valor, total }] sem os valores zerados
+ */
+const toFacet = (contador) => [...contador.entries()]
+  .filter(([, total]) => total > 0)
+  .map(([valor, total]) => ({ valor, total }))
+  .sort((a, b) => b.total - a.total || String(a.valor).localeCompare(String(b.valor)));
+
+/**
+ * Soma condicional para as contagens agregadas
+ * @param {string} condicao - Condição SQL sobre "Product"
+ * @param {string} alias - Nome da coluna no resultado
+ * @returns {Array} - Atributo do Sequelize
+ */
+const countWhen = (condicao, alias) => [sequelize.literal(`SUM(CASE WHEN ${condicao} THEN 1 ELSE 0 END)`), alias];
+
+/**
+ * Conta as facetas de todos os produtos que atendem aos filtros (não só da página atual)
+ * Tudo é agregado no banco: o custo não cresce com a quantidade de produtos carregados
+ * @param {Object} where - Filtro dos produtos da listagem
+ * @param {Array<Object>} campanhas - Resultado de findUnitPricePromotions (faixas de preço)
+ * @returns {Promise<Object>} - { categorias, unidades, certificacoes (tipos de selo vigente), praticas, faixasPreco }
+ */
+const countFacets = async (where, campanhas = []) => {
+  const menorPreco = lowestPriceSql(campanhas);
+  const contagem = [sequelize.fn('COUNT', sequelize.col('Product.id')), 'total'];
+
+  const porCategoria = await Product.findAll({ where, attributes: ['categoryId', contagem], group: ['categoryId'], raw: true });
+  const porProdutor = await Product.findAll({ where, attributes: ['produtorId', contagem], group: ['produtorId'], raw: true });
+
+  // Unidades das variações à venda (ou do produto) e faixa do menor preço, numa só consulta
+  const ofertas = await Product.findOne({
+    where,
+    attributes: [
+      ...UNIDADES.map(unidade => countWhen(
+        offerSql(`"Product"."unidadeMedida" = '${unidade}'`, `v."unidadeMedida" = '${unidade}'`),
+        `unidade_${unidade}`
+      )),
+      ...FAIXAS_PRECO.map(({ min, max }, indice) => countWhen(
+        [`${menorPreco} >= ${min}`, max !== null ? `${menorPreco} < ${max}` : null].filter(Boolean).join(' AND '),
+        `faixa_${indice}`
+      ))
+    ],
+    raw: true
+  });
+
+  const nomes = await Category.findAll({
+    where: { id: { [Op.in]: porCategoria.map(linha => linha.categoryId) } },
+    attributes: ['id', 'nome']
+  });
+
+  // Cada prática conta os produtos dos produtores que a declaram
+  const produtosPorProdutor = new Map(porProdutor.map(linha => [linha.produtorId, Number(linha.total)]));
+  const perfis = await ProducerProfile.findAll({
+    where: { userId: { [Op.in]: [...produtosPorProdutor.keys()] } },
+    attributes: ['userId', 'praticas']
+  });
+  const praticas = new Map();
+  for (const perfil of perfis) {
+    for (const pratica of new Set(perfil.praticas || [])) {
+      praticas.set(pratica, (praticas.get(pratica) || 0) + produtosPorProdutor.get(perfil.userId));
+    }
+  }
+
+  const certificacoes = await countBadgeTypes(where);
+
+  return {
+    categorias: toFacet(new Map(porCategoria.map(linha => [linha.categoryId, Number(linha.total)]))).map(({ valor, total }) => ({
+      id: valor,
+      nome: (nomes.find(categoria => categoria.id === valor) || {}).nome,
+      total
+    })),
+    unidades: toFacet(new Map(UNIDADES.map(unidade => [unidade, Number(ofertas[`unidade_${unidade}`]) || 0]))),
+    certificacoes: toFacet(certificacoes).map(({ valor, total }) => ({ valor, rotulo: ROTULOS[valor], total })),
+    praticas: toFacet(praticas),
+    faixasPreco: FAIXAS_PRECO.map((faixa, indice) => ({ ...faixa, total: Number(ofertas[`faixa_${indice}`]) || 0 }))
+  };
+};
+
+module.exports = {
+  FAIXAS_PRECO,
+  buildOfferFilters,
+  producerProfileCondition,
+  countFacets
+};
@@ -0,0 +1,269 @@
+const { Op } = require('sequelize');
+const { sequelize, Category, Product } = require('../models');
+
+/**
+ * Serviço de categorias
+ * As categorias formam uma árvore (Vegetais > Folhosas). As consultas carregam a tabela
+ * inteira de uma vez: são poucas dezenas de linhas e isso evita consultas recursivas
+ * diferentes no PostgreSQL e no SQLite
+ */
+
+// Níveis permitidos na árvore (categoria > subcategoria > sub-subcategoria)
+const MAX_NIVEIS = 3;
+
+/**
+ * Erro base das categorias
+ */
+class CategoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CategoryError';
+  }
+}
+
+/**
+ * A categoria pai informada não existe
+ */
+class ParentNotFoundError extends CategoryError {
+  constructor() {
+    super('Categoria pai não encontrada');
+    this.name = 'ParentNotFoundError';
+  }
+}
+
+/**
+ * A mudança de pai criaria um ciclo ou passaria do número de níveis
+ */
+class CategoryHierarchyError extends CategoryError {
+  constructor(message) {
+    super(message);
+    this.name = 'CategoryHierarchyError';
+  }
+}
+
+/**
+ * Carrega todas as categorias na ordem de exibição
+ * @param {Object} options - { apenasAtivas, transaction }
+ * @returns {Promise<Array<Object>>}
+ */
+const loadCategories = ({ apenasAtivas = false, transaction } = {}) => Category.findAll({
+  where: apenasAtivas ? { ativo: true } : {},
+  order: [['ordem', 'ASC'], ['nome', 'ASC']],
+  transaction
+});
+
+/**
+ * Agrupa as categorias pelo pai
+ * @param {Array<Object>} categorias - Categorias carregadas
+ * @returns {Map} - parentId (null para as principais) => categorias filhas
+ */
+const groupByParent = (categorias) => {
+  const filhos = new Map();
+  for (const categoria of categorias) {
+    const chave = categoria.parentId || null;
+    if (!filhos.has(chave)) filhos.set(chave, []);
+    filhos.get(chave).push(categoria);
+  }
+  return filhos;
+};
+
+/**
+ * IDs da categoria e de todas as suas descendentes
+ * @param {Map} filhos - Resultado de groupByParent
+ * @param {number} categoryId - Categoria de origem
+ * @returns {Array<number>}
+ */
+const collectDescendants = (filhos, categoryId) => {
+  const ids = [];
+  const pendentes = [Number(categoryId)];
+  while (pendentes.length > 0) {
+    const id = pendentes.shift();
+    ids.push(id);
+    pendentes.push(...(filhos.get(id) || []).map(filho => filho.id));
+  }
+  return ids;
+};
+
+/**
+ * Encontra uma categoria pelo ID ou pelo slug
+ * @param {string|number} referencia - "3" ou "folhosas"
+ * @returns {Promise<Object|null>}
+ */
+const findCategory = (referencia) => (/^\d+$/.test(String(referencia))
+  ? Category.findByPk(referencia)
+  : Category.findOne({ where: { slug: String(referencia) } }));
+
+/**
+ * IDs usados para filtrar produtos por categoria: ela e todas as descendentes
+ * @param {string|number} referencia - ID ou slug da categoria
+ * @returns {Promise<Array<number>>} - Vazio quando a categoria não existe
+ */
+const getCategoryFilterIds = async (referencia) => {
+  const categoria = await findCategory(referencia);
+  if (!categoria) {
+    return [];
+  }
+
+  const categorias = await Category.findAll({ attributes: ['id', 'parentId'] });
+  return collectDescendants(groupByParent(categorias), categoria.id);
+};
+
+/**
+ * Linhagem de cada categoria: ela mesma e os ancestrais até a principal
+ * @param {Array<number>} categoryIds - Categorias de interesse
+ * @param {Object} transaction - Transação opcional
+ * @returns {Promise<Map>} - categoryId => [id, idDoPai, ...]
+ */
+const getCategoryLineage = async (categoryIds, transaction) => {
+  const categorias = await Category.findAll({ attributes: ['id', 'parentId'], transaction });
+  const pais = new Map(categorias.map(categoria => [categoria.id, categoria.parentId]));
+
+  return new Map([...new Set(categoryIds.map(Number))].map((id) => {
+    const linhagem = [];
+    for (let atual = id; atual && !linhagem.includes(atual); atual = pais.get(atual)) {
+      linhagem.push(atual);
+    }
+    return [id, linhagem];
+  }));
+};
+
+/**
+ * Garante que a categoria pode ficar sob o pai informado
+ * @param {Object|null} categoria - Categoria que muda de pai (null na criação)
+ * @param {number|null} parentId - Novo pai
+ * @param {Object} transaction - Transação opcional
+ * @throws {ParentNotFoundError|CategoryHierarchyError}
+ */
+const assertValidParent = async (categoria, parentId, transaction) => {
+  if (!parentId) {
+    return;
+  }
+
+  const categorias = await loadCategories({ transaction });
+  const porId = new Map(categorias.map(item => [item.id, item]));
+
+  if (!porId.has(Number(parentId))) {
+    throw new ParentNotFoundError();
+  }
+
+  // Nível do pai (1 para as principais)
+  let nivelPai = 0;
+  for (let atual = porId.get(Number(parentId)); atual; atual = porId.get(atual.parentId)) {
+    if (categoria && atual.id === categoria.id) {
+      throw new CategoryHierarchyError('Uma categoria não pode ficar dentro dela mesma ou de uma subcategoria sua');
+    }
+    nivelPai += 1;
+  }
+
+  // Profundidade da subárvore que será movida (1 quando não tem filhas)
+  const filhos = groupByParent(categorias);
+  const altura = (id) => 1 + Math.max(0, ...(filhos.get(id) || []).map(filho => altura(filho.id)));
+  const alturaMovida = categoria ? altura(categoria.id) : 1;
+
+  if (nivelPai + alturaMovida > MAX_NIVEIS) {
+    throw new CategoryHierarchyError(`A árvore de categorias pode ter no máximo ${MAX_NIVEIS} níveis`);
+  }
+};
+
+/**
+ * Próxima posição livre entre as irmãs
+ * @param {number|null} parentId - Pai das irmãs
+ * @returns {Promise<number>}
+ */
+const nextPosition = async (parentId) => {
+  const maior = await Category.max('ordem', { where: { parentId: parentId || null } });
+  return maior === null || maior === undefined || Number.isNaN(maior) ? 0 : maior + 1;
+};
+
+/**
+ * Árvore das categorias ativas com o total de produtos somado aos ancestrais
+ * @returns {Promise<Array<Object>>} - [{ id, nome, slug, ..., totalProdutos, subcategorias }]
+ */
+const buildCategoryTree = async () => {
+  const [categorias, contagens] = await Promise.all([
+    loadCategories({ apenasAtivas: true }),
+    Product.findAll({
+      where: { ativo: true },
+      attributes: ['categoryId', [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+      group: ['categoryId'],
+      raw: true
+    })
+  ]);
+
+  const diretos = new Map(contagens.map(({ categoryId, total }) => [categoryId, Number(total)]));
+  const filhos = groupByParent(categorias);
+
+  const montar = (categoria) => {
+    const subcategorias = (filhos.get(categoria.id) || []).map(montar);
+    return {
+      id: categoria.id,
+      nome: categoria.nome,
+      slug: categoria.slug,
+      descricao: categoria.descricao,
+      icone: categoria.icone,
+      ordem: categoria.ordem,
+      totalProdutos: subcategorias.reduce((soma, sub) => soma + sub.totalProdutos, diretos.get(categoria.id) || 0),
+      subcategorias
+    };
+  };
+
+  // Subcategorias de uma categoria inativa saem da árvore junto com ela
+  return (filhos.get(null) || []).map(montar);
+};
+
+/**
+ * Reordena as filhas de uma categoria (ou as principais)
+ * @param {number|null} parentId - Pai das categorias
+ * @param {Array<number>} ids - Todas as filhas, na nova ordem
+ * @returns {Promise<Array<Object>>} - Categorias reordenadas
+ * @throws {CategoryError} - Se a lista não corresponder exatamente às filhas
+ */
+const reorderCategories = async (parentId, ids) => sequelize.transaction(async (transaction) => {
+  const irmas = await Category.findAll({ where: { parentId: parentId || null }, transaction });
+  const atuais = new Set(irmas.map(categoria => categoria.id));
+  const novos = ids.map(Number);
+
+  if (novos.length !== atuais.size || new Set(novos).size !== novos.length || novos.some(id => !atuais.has(id))) {
+    throw new CategoryError('Informe todas as subcategorias da categoria, cada uma uma única vez');
+  }
+
+  const porId = new Map(irmas.map(categoria => [categoria.id, categoria]));
+  for (const [ordem, id] of novos.entries()) {
+    if (porId.get(id).ordem !== ordem) {
+      await porId.get(id).update({ ordem }, { transaction });
+    }
+  }
+
+  return novos.map(id => porId.get(id));
+});
+
+/**
+ * Desativa a categoria e todas as descendentes (os produtos continuam ligados a elas)
+ * @param {Object} categoria - Categoria
+ * @param {Object} transaction - Transação opcional
+ * @returns {Promise<Array<number>>} - IDs desativados
+ */
+const deactivateCategory = async (categoria, transaction) => {
+  const categorias = await Category.findAll({ attributes: ['id', 'parentId'], transaction });
+  const ids = collectDescendants(groupByParent(categorias), categoria.id);
+
+  await Category.update({ ativo: false }, { where: { id: { [Op.in]: ids } }, transaction });
+  await categoria.reload({ transaction });
+
+  return ids;
+};
+
+module.exports = {
+  MAX_NIVEIS,
+  CategoryError,
+  ParentNotFoundError,
+  CategoryHierarchyError,
+  findCategory,
+  getCategoryFilterIds,
+  getCategoryLineage,
+  assertValidParent,
+  nextPosition,
+  buildCategoryTree,
+  reorderCategories,
+  deactivateCategory
+};
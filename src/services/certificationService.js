@@ -0,0 +1,372 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Certification, ProductCertification, Product, User } = require('../models');
+const { getStorage } = require('./storage');
+const { toDateOnly } = require('./seasonService');
+const mailer = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+
+/**
+ * Serviço de certificações
+ * O produtor cadastra os certificados orgânicos (SisOrg por OPAC ou auditoria, OCS na venda
+ * direta) e as declarações de transição agroecológica, envia a cópia do documento e liga cada
+ * um aos produtos que ele cobre. O selo aparece nos produtos enquanto o certificado está válido
+ */
+
+const TIPOS_CERTIFICACAO = ['sisorg_opac', 'auditoria', 'ocs', 'transicao_agroecologica'];
+
+// Tipos que garantem o produto como orgânico (filtro selo=organico)
+const TIPOS_ORGANICO = ['sisorg_opac', 'auditoria', 'ocs'];
+
+// Texto do selo exibido nos produtos
+const ROTULOS = {
+  sisorg_opac: 'Orgânico (SisOrg – avaliação participativa)',
+  auditoria: 'Orgânico (SisOrg – certificação por auditoria)',
+  ocs: 'Orgânico (venda direta – OCS)',
+  transicao_agroecologica: 'Em transição agroecológica'
+};
+
+// Antecedência do aviso de vencimento
+const DIAS_AVISO_VENCIMENTO = 30;
+
+const UM_DIA_MS = 24 * 60 * 60 * 1000;
+
+// Documentos aceitos, reconhecidos pela assinatura do arquivo (não pela extensão enviada)
+const FORMATOS_DOCUMENTO = [
+  { extensao: 'pdf', contentType: 'application/pdf', assinatura: Buffer.from('%PDF-') },
+  { extensao: 'jpg', contentType: 'image/jpeg', assinatura: Buffer.from([0xff, 0xd8, 0xff]) },
+  { extensao: 'png', contentType: 'image/png', assinatura: Buffer.from([0x89, 0x50, 0x4e, 0x47]) }
+];
+
+/**
+ * Erro de documento recusado
+ */
+class CertificationDocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CertificationDocumentError';
+  }
+}
+
+/**
+ * Erro de certificação que não é do produtor do produto
+ */
+class CertificationOwnerError extends Error {
+  constructor() {
+    super('Só é possível ligar ao produto certificações do próprio produtor');
+    this.name = 'CertificationOwnerError';
+  }
+}
+
+/**
+ * Filtro das certificações que valem como selo hoje
+ * @param {Date} agora - Data de referência
+ * @returns {Object} - Condição do where
+ */
+const vigentes = (agora = new Date()) => {
+  const hoje = toDateOnly(agora);
+  return {
+    status: 'ativa',
+    validoDe: { [Op.lte]: hoje },
+    validoAte: { [Op.gte]: hoje }
+  };
+};
+
+/**
+ * Selo exibido nos produtos e na vitrine do produtor
+ * @param {Object} certificacao - Certificação
+ * @returns {Object} - { id, tipo, rotulo, organico, orgaoEmissor, numero, validoAte, documentoUrl }
+ */
+const toBadge = (certificacao) => ({
+  id: certificacao.id,
+  tipo: certificacao.tipo,
+  rotulo: ROTULOS[certificacao.tipo],
+  organico: TIPOS_ORGANICO.includes(certificacao.tipo),
+  orgaoEmissor: certificacao.orgaoEmissor,
+  numero: certificacao.numero,
+  validoAte: certificacao.validoAte,
+  documentoUrl: certificacao.documentoUrl
+});
+
+/**
+ * Selos vigentes de cada produto
+ * @param {Array<number>} productIds - Produtos
+ * @returns {Promise<Map>} - productId => [selo] (só produtos com selo)
+ */
+const findBadges = async (productIds) => {
+  if (productIds.length === 0) {
+    return new Map();
+  }
+
+  const certificacoes = await Certification.findAll({
+    where: vigentes(),
+    include: [{
+      model: Product,
+      as: 'produtos',
+      where: { id: { [Op.in]: productIds } },
+      attributes: ['id'],
+      through: { attributes: [] }
+    }],
+    order: [['tipo', 'ASC'], ['id', 'ASC']]
+  });
+
+  const selos = new Map();
+  for (const certificacao of certificacoes) {
+    for (const produto of certificacao.produtos) {
+      if (!selos.has(produto.id)) selos.set(produto.id, []);
+      selos.get(produto.id).push(toBadge(certificacao));
+    }
+  }
+  return selos;
+};
+
+/**
+ * Selos vigentes de um produtor
+ * @param {number} produtorId - Produtor
+ * @returns {Promise<Array<Object>>}
+ */
+const findProducerBadges = async (produtorId) => {
+  const certificacoes = await Certification.findAll({
+    where: { ...vigentes(), produtorId },
+    order: [['tipo', 'ASC'], ['id', 'ASC']]
+  });
+  return certificacoes.map(toBadge);
+};
+
+/**
+ * IDs dos produtos com selo vigente de um tipo
+ * @param {string} selo - Tipo da certificação ou "organico" (qualquer garantia orgânica)
+ * @returns {Promise<Array<number>>}
+ */
+const findCertifiedProductIds = async (selo) => {
+  const tipos = selo === 'organico' ? TIPOS_ORGANICO : [selo];
+
+  const ligacoes = await ProductCertification.findAll({
+    attributes: ['productId'],
+    include: [{
+      model: Certification,
+      as: 'certificacao',
+      attributes: [],
+      where: { ...vigentes(), tipo: { [Op.in]: tipos } }
+    }],
+    raw: true
+  });
+
+  return [...new Set(ligacoes.map(ligacao => ligacao.productId))];
+};
+
+/**
+ * Quantos produtos têm selo vigente de cada tipo (faceta de certificações do catálogo)
+ * @param {Object} productWhere - Filtro dos produtos da listagem
+ * @returns {Promise<Map>} - tipo => total de produtos
+ */
+const countBadgeTypes = async (productWhere) => {
+  const totais = await Product.findAll({
+    where: productWhere,
+    attributes: [
+      [sequelize.col('certificacoes.tipo'), 'tipo'],
+      [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('Product.id'))), 'total']
+    ],
+    include: [{
+      model: Certification,
+      as: 'certificacoes',
+      attributes: [],
+      where: vigentes(),
+      through: { attributes: [] }
+    }],
+    group: [sequelize.col('certificacoes.tipo')],
+    raw: true
+  });
+
+  return new Map(totais.map(({ tipo, total }) => [tipo, Number(total)]));
+};
+
+/**
+ * Status depois de uma mudança de validade (renovar reativa o selo e o aviso)
+ * @param {Object} certificacao - Certificação já com os novos valores
+ * @returns {Object} - { status, avisoVencimentoEm } quando a validade mudou
+ */
+const renewalFields = (certificacao) => {
+  if (!certificacao.changed('validoAte')) {
+    return {};
+  }
+  return {
+    status: certificacao.validoAte < toDateOnly(new Date()) ? 'expirada' : 'ativa',
+    avisoVencimentoEm: null
+  };
+};
+
+/**
+ * Cria ou atualiza uma certificação do produtor
+ * @param {Object} certificacao - Certificação existente ou nova (Certification.build)
+ * @param {Object} dados - { tipo, numero, orgaoEmissor, validoDe, validoAte }
+ * @returns {Promise<Object>} - Certificação gravada
+ */
+const saveCertification = async (certificacao, dados) => {
+  certificacao.set(dados);
+  certificacao.set(certificacao.isNewRecord
+    ? { status: certificacao.validoAte < toDateOnly(new Date()) ? 'expirada' : 'ativa' }
+    : renewalFields(certificacao));
+  return certificacao.save();
+};
+
+/**
+ * Confere o tipo real do documento enviado
+ * @param {Buffer} conteudo - Arquivo enviado
+ * @returns {Object} - Formato reconhecido
+ * @throws {CertificationDocumentError}
+ */
+const detectDocumentFormat = (conteudo) => {
+  const formato = FORMATOS_DOCUMENTO.find(({ assinatura }) => conteudo.subarray(0, assinatura.length).equals(assinatura));
+  if (!formato) {
+    throw new CertificationDocumentError('Formato de documento não suportado; envie PDF, JPEG ou PNG');
+  }
+  return formato;
+};
+
+/**
+ * Grava a cópia do certificado, substituindo a anterior
+ * @param {Object} certificacao - Certificação
+ * @param {Buffer} conteudo - Arquivo enviado
+ * @returns {Promise<Object>} - Certificação atualizada
+ * @throws {CertificationDocumentError}
+ */
+const storeDocument = async (certificacao, conteudo) => {
+  const { extensao, contentType } = detectDocumentFormat(conteudo);
+  const storage = getStorage();
+  const chave = `certificados/${certificacao.produtorId}/${crypto.randomUUID()}.${extensao}`;
+  const anterior = certificacao.documentoChave;
+
+  const url = await storage.put(chave, conteudo, contentType);
+
+  try {
+    await certificacao.update({ documentoUrl: url, documentoChave: chave });
+  } catch (err) {
+    await storage.remove(chave).catch(() => {});
+    throw err;
+  }
+
+  if (anterior) {
+    await storage.remove(anterior).catch(err => console.error('Erro ao apagar documento antigo de certificação:', err));
+  }
+
+  return certificacao;
+};
+
+/**
+ * Remove a certificação, as ligações com produtos e o documento
+ * @param {Object} certificacao - Certificação
+ */
+const removeCertification = async (certificacao) => {
+  await sequelize.transaction(async (transaction) => {
+    await ProductCertification.destroy({ where: { certificationId: certificacao.id }, transaction });
+    await certificacao.destroy({ transaction });
+  });
+
+  if (certificacao.documentoChave) {
+    await getStorage().remove(certificacao.documentoChave).catch(err => console.error('Erro ao apagar documento de certificação:', err));
+  }
+};
+
+/**
+ * Define as certificações que cobrem um produto (substitui as anteriores)
+ * @param {Object} product - Produto
+ * @param {Array<number>} ids - Certificações do produtor do produto
+ * @returns {Promise<Array<Object>>} - Certificações ligadas
+ * @throws {CertificationOwnerError}
+ */
+const replaceProductCertifications = async (product, ids) => {
+  const unicos = [...new Set(ids.map(Number))];
+
+  const certificacoes = await Certification.findAll({
+    where: { id: { [Op.in]: unicos }, produtorId: product.produtorId },
+    order: [['id', 'ASC']]
+  });
+
+  if (certificacoes.length !== unicos.length) {
+    throw new CertificationOwnerError();
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await ProductCertification.destroy({ where: { productId: product.id }, transaction });
+    await ProductCertification.bulkCreate(
+      unicos.map(certificationId => ({ productId: product.id, certificationId })),
+      { transaction }
+    );
+  });
+
+  return certificacoes;
+};
+
+/**
+ * Envia um aviso sobre a certificação sem interromper a verificação em caso de falha
+ * @param {Object} certificacao - Certificação com o produtor carregado
+ * @param {Function} template - Modelo do email
+ */
+const notify = async (certificacao, template) => {
+  try {
+    await mailer.sendMail({ to: certificacao.produtor.email, ...template(certificacao.produtor, certificacao) });
+  } catch (err) {
+    console.error('Erro ao enviar aviso de vencimento de certificação:', err);
+  }
+};
+
+/**
+ * Verificação periódica dos vencimentos
+ * Avisa uma vez quem vence nos próximos DIAS_AVISO_VENCIMENTO dias e marca como expiradas
+ * (o selo some dos produtos) as certificações vencidas, avisando o produtor
+ * @param {Date} agora - Data de referência
+ * @returns {Promise<Object>} - { avisadas, expiradas }
+ */
+const checkExpirations = async (agora = new Date()) => {
+  const hoje = toDateOnly(agora);
+  const limiteAviso = toDateOnly(new Date(agora.getTime() + DIAS_AVISO_VENCIMENTO * UM_DIA_MS));
+  const produtor = { model: User, as: 'produtor', attributes: ['id', 'nome', 'email'] };
+
+  const vencidas = await Certification.findAll({
+    where: { status: 'ativa', validoAte: { [Op.lt]: hoje } },
+    include: [produtor],
+    order: [['id', 'ASC']]
+  });
+
+  for (const certificacao of vencidas) {
+    await certificacao.update({ status: 'expirada' });
+    await notify(certificacao, emailTemplates.certificacaoExpirada);
+  }
+
+  const vencendo = await Certification.findAll({
+    where: {
+      status: 'ativa',
+      avisoVencimentoEm: null,
+      validoAte: { [Op.between]: [hoje, limiteAviso] }
+    },
+    include: [produtor],
+    order: [['id', 'ASC']]
+  });
+
+  for (const certificacao of vencendo) {
+    await certificacao.update({ avisoVencimentoEm: agora });
+    await notify(certificacao, emailTemplates.certificacaoVencendo);
+  }
+
+  return { avisadas: vencendo.length, expiradas: vencidas.length };
+};
+
+module.exports = {
+  TIPOS_CERTIFICACAO,
+  TIPOS_ORGANICO,
+  ROTULOS,
+  DIAS_AVISO_VENCIMENTO,
+  CertificationDocumentError,
+  CertificationOwnerError,
+  toBadge,
+  findBadges,
+  findProducerBadges,
+  findCertifiedProductIds,
+  countBadgeTypes,
+  saveCertification,
+  storeDocument,
+  removeCertification,
+  replaceProductCertifications,
+  checkExpirations
+};
@@ -0,0 +1,317 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Coupon, CouponRedemption, Order, User, Category } = require('../models');
+const { getCategoryLineage } = require('./categoryService');
+const { roundMoney, formatCurrency } = require('../utils/quantity');
+
+/**
+ * Serviço de cupons
+ * Confere se o cupom vale para o consumidor e o carrinho, calcula o desconto
+ * e registra o uso dentro da transação do pedido
+ */
+
+const CAMPOS_CUPOM = [
+  'codigo', 'descricao', 'tipo', 'percentual', 'valorDesconto', 'valorMinimoPedido', 'limiteUsos',
+  'limitePorUsuario', 'primeiraCompra', 'produtorId', 'categoryId', 'inicioEm', 'fimEm', 'ativo'
+];
+
+// Valor exigido por cada tipo (frete grátis não tem valor)
+const VALOR_POR_TIPO = { percentual: 'percentual', valor_fixo: 'valorDesconto' };
+
+/**
+ * Erro de cupom que não vale para o carrinho (validade, limites, pedido mínimo...)
+ */
+class CouponError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponError';
+  }
+}
+
+/**
+ * Erro de código de cupom inexistente
+ */
+class CouponNotFoundError extends CouponError {
+  constructor() {
+    super('Cupom não encontrado');
+    this.name = 'CouponNotFoundError';
+  }
+}
+
+/**
+ * Erro de produtor ou categoria da restrição inexistente
+ */
+class CouponTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponTargetError';
+  }
+}
+
+/**
+ * Normaliza o código digitado ("  primeira10 " => "PRIMEIRA10")
+ * @param {string} codigo - Código digitado
+ * @returns {string}
+ */
+const normalizeCode = (codigo) => String(codigo || '').trim().toUpperCase();
+
+/**
+ * Busca um cupom pelo código
+ * @param {string} codigo - Código digitado
+ * @param {Object} transaction - Transação opcional
+ * @returns {Promise<Object>}
+ * @throws {CouponNotFoundError}
+ */
+const findCoupon = async (codigo, transaction) => {
+  const cupom = await Coupon.findOne({ where: { codigo: normalizeCode(codigo) }, transaction });
+  if (!cupom) {
+    throw new CouponNotFoundError();
+  }
+  return cupom;
+};
+
+/**
+ * Soma dos itens que participam do cupom (todos, ou os do produtor ou da categoria do cupom)
+ * @param {Object} cupom - Cupom
+ * @param {Array<Object>} itens - { produto, subtotal }, com o subtotal já com as promoções
+ * @param {Object} transaction - Transação opcional
+ * @returns {Promise<number>}
+ */
+const eligibleSubtotal = async (cupom, itens, transaction) => {
+  const linhagens = cupom.categoryId
+    ? await getCategoryLineage(itens.map(item => item.produto.categoryId), transaction)
+    : new Map();
+
+  const participantes = itens.filter(({ produto }) => (
+    (!cupom.produtorId || produto.produtorId === cupom.produtorId)
+    && (!cupom.categoryId || (linhagens.get(Number(produto.categoryId)) || []).includes(cupom.categoryId))
+  ));
+
+  return roundMoney(participantes.reduce((soma, item) => soma + item.subtotal, 0));
+};
+
+/**
+ * Confere o cupom para o consumidor e o carrinho e calcula o desconto
+ * O desconto fica limitado aos itens que participam e o pedido nunca sai de graça
+ * @param {Object} cupom - Cupom
+ * @param {Object} compra - { userId, itens: [{ produto, subtotal }], transaction, agora }
+ * @returns {Promise<Object>} - { desconto, freteGratis }
+ * @throws {CouponError} - Com o motivo de o cupom não valer
+ */
+const evaluateCoupon = async (cupom, { userId, itens, transaction, agora = new Date() }) => {
+  if (!cupom.ativo) {
+    throw new CouponError('Cupom indisponível');
+  }
+  if (new Date(cupom.inicioEm) > agora) {
+    throw new CouponError('Cupom ainda não está valendo');
+  }
+  if (new Date(cupom.fimEm) <= agora) {
+    throw new CouponError('Cupom expirado');
+  }
+  if (cupom.limiteUsos && cupom.usos >= cupom.limiteUsos) {
+    throw new CouponError('Cupom esgotado');
+  }
+
+  if (cupom.limitePorUsuario
+    && await CouponRedemption.count({ where: { couponId: cupom.id, userId }, transaction }) >= cupom.limitePorUsuario) {
+    throw new CouponError('Você já usou este cupom o máximo de vezes permitido');
+  }
+
+  if (cupom.primeiraCompra
+    && await Order.count({ where: { consumidorId: userId, status: { [Op.ne]: 'cancelado' } }, transaction }) > 0) {
+    throw new CouponError('Cupom válido apenas na primeira compra');
+  }
+
+  const base = await eligibleSubtotal(cupom, itens, transaction);
+  if (base === 0) {
+    throw new CouponError('Nenhum item do carrinho participa deste cupom');
+  }
+  if (cupom.valorMinimoPedido && base < cupom.valorMinimoPedido) {
+    throw new CouponError(`Cupom válido para pedidos a partir de ${formatCurrency(cupom.valorMinimoPedido)}`);
+  }
+
+  const total = roundMoney(itens.reduce((soma, item) => soma + item.subtotal, 0));
+  const bruto = {
+    percentual: () => roundMoney((base * cupom.percentual) / 100),
+    valor_fixo: () => Math.min(cupom.valorDesconto, base),
+    frete_gratis: () => 0
+  }[cupom.tipo]();
+
+  return {
+    desconto: Math.min(bruto, roundMoney(total - 0.01)),
+    freteGratis: cupom.tipo === 'frete_gratis'
+  };
+};
+
+/**
+ * Primeira vaga livre do consumidor no limite por uso do cupom
+ * @param {Object} cupom - Cupom com limitePorUsuario
+ * @param {number} userId - Consumidor
+ * @param {Object} transaction - Transação do pedido
+ * @returns {Promise<number|null>} - Vaga livre, ou null se o consumidor já usou todas
+ */
+const findFreeSlot = async (cupom, userId, transaction) => {
+  const usos = await CouponRedemption.findAll({
+    where: { couponId: cupom.id, userId },
+    attributes: ['vaga'],
+    transaction
+  });
+  const ocupadas = new Set(usos.map(uso => uso.vaga));
+
+  for (let vaga = 1; vaga <= cupom.limitePorUsuario; vaga += 1) {
+    if (!ocupadas.has(vaga)) {
+      return vaga;
+    }
+  }
+  return null;
+};
+
+/**
+ * Registra o uso do cupom no pedido
+ * O contador só sobe se ainda houver usos disponíveis, na mesma instrução, e o registro
+ * ocupa uma vaga do consumidor (e a de primeira compra) protegida por chave única:
+ * dois pedidos simultâneos não passam de nenhum dos limites, mesmo que os dois tenham
+ * passado pela conferência de evaluateCoupon
+ * @param {Object} cupom - Cupom
+ * @param {Object} uso - { userId, orderId, desconto }
+ * @param {Object} transaction - Transação do pedido
+ * @throws {CouponError} - Limite atingido entre a conferência e o registro
+ */
+const redeemCoupon = async (cupom, { userId, orderId, desconto }, transaction) => {
+  const [atualizados] = await Coupon.update(
+    { usos: sequelize.literal('usos + 1') },
+    {
+      where: {
+        id: cupom.id,
+        [Op.or]: [
+          { limiteUsos: null },
+          { usos: { [Op.lt]: sequelize.col('limiteUsos') } }
+        ]
+      },
+      transaction
+    }
+  );
+
+  if (atualizados === 0) {
+    throw new CouponError('Cupom esgotado');
+  }
+
+  // Para cupom de primeira compra, qualquer uso anterior do consumidor também conta como compra
+  const limiteAtingido = cupom.primeiraCompra
+    ? 'Cupom válido apenas na primeira compra'
+    : 'Você já usou este cupom o máximo de vezes permitido';
+
+  const vaga = cupom.limitePorUsuario ? await findFreeSlot(cupom, userId, transaction) : null;
+  if (cupom.limitePorUsuario && vaga === null) {
+    throw new CouponError(limiteAtingido);
+  }
+
+  try {
+    await CouponRedemption.create({
+      couponId: cupom.id, userId, orderId, desconto, vaga, primeiraCompra: cupom.primeiraCompra
+    }, { transaction });
+  } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      throw new CouponError(limiteAtingido);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Devolve o uso do cupom de um pedido cancelado
+ * @param {Object} order - Pedido
+ * @param {Object} transaction - Transação do cancelamento
+ */
+const releaseCoupon = async (order, transaction) => {
+  const removidos = await CouponRedemption.destroy({ where: { orderId: order.id }, transaction });
+  if (removidos > 0) {
+    await Coupon.decrement('usos', { by: 1, where: { id: order.couponId }, transaction });
+  }
+};
+
+/**
+ * Campos do cupom enviados na requisição
+ * @param {Object} body - Corpo da requisição
+ * @returns {Object} - Apenas os campos informados
+ */
+const pickCouponData = (body) => {
+  const dados = {};
+  for (const campo of CAMPOS_CUPOM) {
+    if (body[campo] !== undefined) {
+      dados[campo] = body[campo];
+    }
+  }
+  return dados;
+};
+
+/**
+ * Aplica os dados e salva o cupom; o valor de outro tipo é limpo
+ * @param {Object} cupom - Cupom (novo ou existente)
+ * @param {Object} dados - Campos enviados
+ * @returns {Promise<Object>} - Cupom salvo
+ * @throws {CouponTargetError}
+ */
+const saveCoupon = async (cupom, dados) => {
+  cupom.set(dados);
+
+  for (const [tipo, campo] of Object.entries(VALOR_POR_TIPO)) {
+    if (tipo !== cupom.tipo) {
+      cupom.set(campo, null);
+    }
+  }
+
+  if (cupom.changed('produtorId') && cupom.produtorId) {
+    // Vale o conjunto de papéis: quem começou como consumidor pode ter passado a vender
+    const produtor = await User.findByPk(cupom.produtorId);
+    if (!produtor || !produtor.temPapel('produtor')) {
+      throw new CouponTargetError('Produtor não encontrado');
+    }
+  }
+  if (cupom.changed('categoryId') && cupom.categoryId && !(await Category.findByPk(cupom.categoryId))) {
+    throw new CouponTargetError('Categoria não encontrada');
+  }
+
+  return cupom.save();
+};
+
+/**
+ * Remove o cupom, ou só desativa se ele já foi usado em pedidos
+ * @param {Object} cupom - Cupom
+ * @returns {Promise<boolean>} - true se o cupom foi apagado
+ */
+const removeCoupon = async (cupom) => {
+  if (await Order.count({ where: { couponId: cupom.id } }) > 0) {
+    await cupom.update({ ativo: false });
+    return false;
+  }
+
+  await cupom.destroy();
+  return true;
+};
+
+/**
+ * Resumo do cupom para as respostas da API
+ * @param {Object} cupom - Cupom
+ * @returns {Object} - { codigo, tipo, descricao }
+ */
+const toCouponSummary = (cupom) => ({
+  codigo: cupom.codigo,
+  tipo: cupom.tipo,
+  descricao: cupom.descricao
+});
+
+module.exports = {
+  CouponError,
+  CouponNotFoundError,
+  CouponTargetError,
+  normalizeCode,
+  findCoupon,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  pickCouponData,
+  saveCoupon,
+  removeCoupon,
+  toCouponSummary
+};
@@ -0,0 +1,204 @@
+const config = require('../config');
+
+/**
+ * Modelos dos emails transacionais
+ * Cada função retorna { subject, text, html } pronto para o mailer
+ */
+
+/**
+ * Escapa texto para uso em HTML
+ * @param {string} value - Texto original
+ * @returns {string} - Texto escapado
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Monta um email simples com saudação, parágrafo e botão de ação
+ * @param {Object} options - { nome, paragrafo, acao, link, rodape }
+ * @returns {Object} - { text, html }
+ */
+const layout = ({ nome, paragrafo, acao, link, rodape }) => ({
+  text: `Olá, ${nome}!\n\n${paragrafo}\n\n${acao}: ${link}\n\n${rodape}`,
+  html: `<p>Olá, ${escapeHtml(nome)}!</p>
+<p>${escapeHtml(paragrafo)}</p>
+<p><a href="${escapeHtml(link)}">${escapeHtml(acao)}</a></p>
+<p style="color:#666;font-size:12px">${escapeHtml(rodape)}</p>`
+});
+
+/**
+ * Email de confirmação de endereço
+ * @param {Object} user - Usuário
+ * @param {string} token - Token de verificação
+ */
+const verificacaoEmail = (user, token) => ({
+  subject: 'Confirme seu email no Agro Marketplace',
+  ...layout({
+    nome: user.nome,
+    paragrafo: 'Para concluir seu cadastro, confirme que este email é seu.',
+    acao: 'Confirmar email',
+    link: `${config.appUrl}/verificar-email?token=${token}`,
+    rodape: `O link vale por ${config.account.emailVerificationTtlHours} horas. Se você não criou uma conta, ignore esta mensagem.`
+  })
+});
+
+/**
+ * Email de redefinição de senha
+ * @param {Object} user - Usuário
+ * @param {string} token - Token de redefinição
+ */
+const redefinicaoSenha = (user, token) => ({
+  subject: 'Redefinição de senha do Agro Marketplace',
+  ...layout({
+    nome: user.nome,
+    paragrafo: 'Recebemos um pedido para redefinir a senha da sua conta.',
+    acao: 'Criar nova senha',
+    link: `${config.appUrl}/redefinir-senha?token=${token}`,
+    rodape: `O link vale por ${config.account.passwordResetTtlMinutes} minutos e só pode ser usado uma vez. Se não foi você, ignore esta mensagem: sua senha continua a mesma.`
+  })
+});
+
+/**
+ * Email de aprovação do cadastro de produtor
+ * @param {Object} user - Produtor
+ */
+const verificacaoProdutorAprovada = (user) => ({
+  subject: 'Seu cadastro de produtor foi aprovado',
+  ...layout({
+    nome: user.nome,
+    paragrafo: 'Conferimos seus documentos de agricultor familiar. Você já pode publicar seus produtos.',
+    acao: 'Cadastrar produtos',
+    link: `${config.appUrl}/produtor/produtos`,
+    rodape: 'Obrigado por fazer parte do Agro Marketplace.'
+  })
+});
+
+/**
+ * Email de rejeição do cadastro de produtor
+ * @param {Object} user - Produtor
+ * @param {string} motivo - Motivo informado pelo administrador
+ */
+const verificacaoProdutorRejeitada = (user, motivo) => ({
+  subject: 'Seu cadastro de produtor precisa de correções',
+  ...layout({
+    nome: user.nome,
+    paragrafo: `Não foi possível aprovar seus documentos de agricultor familiar. Motivo: ${motivo}`,
+    acao: 'Corrigir e reenviar',
+    link: `${config.appUrl}/produtor/verificacao`,
+    rodape: 'Depois de corrigir, envie os dados novamente para uma nova análise.'
+  })
+});
+
+/**
+ * Convite para a equipe de um produtor, para quem ainda não tem conta
+ * @param {Object} user - Conta criada para o convidado
+ * @param {Object} produtor - Produtor que convidou
+ * @param {string} token - Token do convite
+ */
+const conviteEquipe = (user, produtor, token) => ({
+  subject: `${produtor.nome} convidou você para a equipe no Agro Marketplace`,
+  ...layout({
+    nome: user.nome,
+    paragrafo: `${produtor.nome} convidou você para ajudar com os pedidos e o estoque. Crie sua senha para começar.`,
+    acao: 'Aceitar convite',
+    link: `${config.appUrl}/aceitar-convite?token=${token}`,
+    rodape: `O link vale por ${config.account.emailVerificationTtlHours} horas. Se você não conhece ${produtor.nome}, ignore esta mensagem.`
+  })
+});
+
+/**
+ * Aviso de inclusão na equipe de um produtor, para quem já tem conta
+ * @param {Object} user - Membro da equipe
+ * @param {Object} produtor - Produtor que incluiu
+ */
+const equipeAdicionada = (user, produtor) => ({
+  subject: `Você agora faz parte da equipe de ${produtor.nome}`,
+  ...layout({
+    nome: user.nome,
+    paragrafo: `${produtor.nome} incluiu você na equipe. Você já pode atualizar pedidos e estoque com a sua conta.`,
+    acao: 'Ver pedidos',
+    link: `${config.appUrl}/equipe`,
+    rodape: 'Se não reconhece este convite, você pode sair da equipe a qualquer momento.'
+  })
+});
+
+/**
+ * Aviso de reserva de pré-venda reduzida ou cancelada após a colheita
+ * @param {Object} user - Consumidor
+ * @param {Object} order - Pedido de pré-venda
+ * @param {Array<Object>} ajustes - [{ nome, reservado, atendido }]
+ */
+const reservaAjustada = (user, order, ajustes) => {
+  const itens = ajustes
+    .map(({ nome, reservado, atendido }) => (atendido === 0
+      ? `${nome}: reserva de ${reservado} cancelada`
+      : `${nome}: ${atendido} de ${reservado} reservados`))
+    .join('; ');
+
+  return {
+    subject: order.status === 'cancelado'
+      ? `Seu pedido de pré-venda #${order.id} foi cancelado`
+      : `Sua reserva no pedido #${order.id} foi ajustada`,
+    ...layout({
+      nome: user.nome,
+      paragrafo: `A colheita rendeu menos que o previsto e as reservas foram divididas na proporção de cada pedido. ${itens}.`,
+      acao: 'Ver pedido',
+      link: `${config.appUrl}/pedidos/${order.id}`,
+      rodape: 'Itens cancelados não são cobrados; o valor do pedido já foi atualizado.'
+    })
+  };
+};
+
+/**
+ * Data AAAA-MM-DD no formato brasileiro
+ * @param {string} data - Data de um campo DATEONLY
+ * @returns {string} - DD/MM/AAAA
+ */
+const formatDate = (data) => String(data).split('-').reverse().join('/');
+
+/**
+ * Aviso de certificação perto do vencimento
+ * @param {Object} user - Produtor
+ * @param {Object} certificacao - Certificação
+ */
+const certificacaoVencendo = (user, certificacao) => ({
+  subject: `Seu certificado ${certificacao.numero} vence em ${formatDate(certificacao.validoAte)}`,
+  ...layout({
+    nome: user.nome,
+    paragrafo: `O certificado ${certificacao.numero} (${certificacao.orgaoEmissor}) vale até ${formatDate(certificacao.validoAte)}. Depois dessa data o selo deixa de aparecer nos seus produtos; cadastre a nova validade e envie o documento renovado assim que o receber.`,
+    acao: 'Atualizar certificação',
+    link: `${config.appUrl}/produtor/certificacoes`,
+    rodape: 'Você recebe este aviso uma única vez para cada validade cadastrada.'
+  })
+});
+
+/**
+ * Aviso de certificação vencida (o selo saiu dos produtos)
+ * @param {Object} user - Produtor
+ * @param {Object} certificacao - Certificação
+ */
+const certificacaoExpirada = (user, certificacao) => ({
+  subject: `Seu certificado ${certificacao.numero} venceu`,
+  ...layout({
+    nome: user.nome,
+    paragrafo: `O certificado ${certificacao.numero} (${certificacao.orgaoEmissor}) venceu em ${formatDate(certificacao.validoAte)} e o selo foi retirado dos produtos ligados a ele.`,
+    acao: 'Renovar certificação',
+    link: `${config.appUrl}/produtor/certificacoes`,
+    rodape: 'Ao cadastrar a nova validade, o selo volta a aparecer automaticamente.'
+  })
+});
+
+module.exports = {
+  verificacaoEmail,
+  redefinicaoSenha,
+  verificacaoProdutorAprovada,
+  verificacaoProdutorRejeitada,
+  conviteEquipe,
+  equipeAdicionada,
+  reservaAjustada,
+  certificacaoVencendo,
+  certificacaoExpirada
+};
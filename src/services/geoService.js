@@ -0,0 +1,197 @@
+const { Op } = require('sequelize');
+const { sequelize, Address, CepLocation, ProducerProfile } = require('../models');
+
+/**
+ * Serviço de localização
+ * Coordenadas por CEP (tabela offline), distância entre consumidor e propriedades
+ * e ordenação por proximidade
+ */
+
+const RAIO_TERRA_KM = 6371;
+
+// Linhas gravadas por vez na importação do CSV
+const LOTE_IMPORTACAO = 1000;
+
+/**
+ * Erro base das buscas por proximidade
+ */
+class LocationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LocationError';
+  }
+}
+
+/**
+ * O endereço de origem não existe ou é de outro usuário
+ */
+class OriginNotFoundError extends LocationError {
+  constructor() {
+    super('Endereço não encontrado');
+    this.name = 'OriginNotFoundError';
+  }
+}
+
+/**
+ * O endereço de origem não tem coordenadas (CEP fora da tabela)
+ */
+class OriginWithoutCoordinatesError extends LocationError {
+  constructor() {
+    super('Não foi possível localizar este endereço; confira o CEP ou informe a localização');
+    this.name = 'OriginWithoutCoordinatesError';
+  }
+}
+
+/**
+ * Distância em linha reta entre dois pontos (fórmula de haversine)
+ * @param {Object} origem - { latitude, longitude }
+ * @param {Object} destino - { latitude, longitude }
+ * @returns {number} - Distância em km
+ */
+const haversineKm = (origem, destino) => {
+  const rad = graus => (Number(graus) * Math.PI) / 180;
+  const dLat = rad(destino.latitude - origem.latitude);
+  const dLon = rad(destino.longitude - origem.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(rad(origem.latitude)) * Math.cos(rad(destino.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * RAIO_TERRA_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Busca as coordenadas de um CEP
+ * Sem o CEP exato, usa outro CEP do mesmo setor (cinco primeiros dígitos)
+ * @param {string} cep - CEP com ou sem máscara
+ * @returns {Promise<Object|null>} - { latitude, longitude } ou null
+ */
+const lookupCep = async (cep) => {
+  const digitos = String(cep || '').replace(/\D/g, '');
+  if (digitos.length !== 8) {
+    return null;
+  }
+
+  const local = await CepLocation.findByPk(digitos)
+    || await CepLocation.findOne({ where: { cep: { [Op.like]: `${digitos.slice(0, 5)}%` } }, order: [['cep', 'ASC']] });
+
+  return local ? { latitude: Number(local.latitude), longitude: Number(local.longitude) } : null;
+};
+
+/**
+ * Importa a tabela de CEPs a partir do conteúdo de um CSV
+ * Cabeçalho obrigatório com cep, latitude e longitude (cidade e estado opcionais),
+ * separado por vírgula ou ponto e vírgula; CEPs já cadastrados são atualizados
+ * @param {string} conteudo - Texto do CSV
+ * @returns {Promise<Object>} - { importados, ignorados }
+ */
+const importCepCsv = async (conteudo) => {
+  const [cabecalho, ...linhas] = String(conteudo).split(/\r?\n/).filter(linha => linha.trim());
+  const separador = cabecalho && cabecalho.includes(';') ? ';' : ',';
+  const colunas = (cabecalho || '').split(separador).map(coluna => coluna.trim().toLowerCase());
+
+  if (!['cep', 'latitude', 'longitude'].every(coluna => colunas.includes(coluna))) {
+    throw new LocationError('O CSV precisa das colunas cep, latitude e longitude');
+  }
+
+  const registros = [];
+  let ignorados = 0;
+
+  for (const linha of linhas) {
+    const valores = linha.split(separador).map(valor => valor.trim());
+    const campo = nome => valores[colunas.indexOf(nome)];
+
+    const cep = String(campo('cep') || '').replace(/\D/g, '');
+    const latitude = parseFloat(String(campo('latitude')).replace(',', '.'));
+    const longitude = parseFloat(String(campo('longitude')).replace(',', '.'));
+
+    if (cep.length !== 8 || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+      ignorados++;
+      continue;
+    }
+
+    registros.push({
+      cep,
+      latitude,
+      longitude,
+      cidade: campo('cidade') || null,
+      estado: campo('estado') ? campo('estado').toUpperCase() : null
+    });
+  }
+
+  for (let i = 0; i < registros.length; i += LOTE_IMPORTACAO) {
+    await CepLocation.bulkCreate(registros.slice(i, i + LOTE_IMPORTACAO), {
+      updateOnDuplicate: ['latitude', 'longitude', 'cidade', 'estado']
+    });
+  }
+
+  return { importados: registros.length, ignorados };
+};
+
+/**
+ * Obtém as coordenadas de um endereço do usuário para a busca por proximidade
+ * @param {Object} user - Usuário logado
+ * @param {number} addressId - Endereço escolhido como origem
+ * @returns {Promise<Object>} - { latitude, longitude }
+ * @throws {OriginNotFoundError|OriginWithoutCoordinatesError}
+ */
+const getAddressOrigin = async (user, addressId) => {
+  const address = await Address.findOne({ where: { id: addressId, userId: user.id } });
+
+  if (!address) {
+    throw new OriginNotFoundError();
+  }
+
+  if (address.latitude === null || address.longitude === null) {
+    throw new OriginWithoutCoordinatesError();
+  }
+
+  return { latitude: Number(address.latitude), longitude: Number(address.longitude) };
+};
+
+/**
+ * Calcula a distância até cada propriedade com localização cadastrada
+ * @param {Object} origem - { latitude, longitude }
+ * @param {number} raioKm - Raio máximo (opcional)
+ * @returns {Promise<Map>} - produtorId => distância em km, da mais próxima para a mais distante
+ */
+const findProducerDistances = async (origem, raioKm) => {
+  const perfis = await ProducerProfile.findAll({
+    where: { latitude: { [Op.ne]: null }, longitude: { [Op.ne]: null } },
+    attributes: ['userId', 'latitude', 'longitude']
+  });
+
+  const distancias = perfis
+    .map(perfil => [perfil.userId, parseFloat(haversineKm(origem, perfil).toFixed(1))])
+    .filter(([, distancia]) => !raioKm || distancia <= Number(raioKm))
+    .sort((a, b) => a[1] - b[1]);
+
+  return new Map(distancias);
+};
+
+/**
+ * Ordenação pela distância do produtor (quem não tem localização fica por último)
+ * @param {Map} distancias - produtorId => distância, já ordenado
+ * @param {string} coluna - Coluna com o ID do produtor (ex.: '"Product"."produtorId"')
+ * @returns {Object|null} - Expressão para o "order" do Sequelize, ou null sem distâncias
+ */
+const orderByDistance = (distancias, coluna) => {
+  const ids = [...distancias.keys()];
+  if (ids.length === 0) {
+    return null;
+  }
+
+  return sequelize.literal(
+    `CASE ${coluna} ${ids.map((id, posicao) => `WHEN ${Number(id)} THEN ${posicao}`).join(' ')} ELSE ${ids.length} END`
+  );
+};
+
+module.exports = {
+  LocationError,
+  OriginNotFoundError,
+  OriginWithoutCoordinatesError,
+  haversineKm,
+  lookupCep,
+  importCepCsv,
+  getAddressOrigin,
+  findProducerDistances,
+  orderByDistance
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+/**
+ * Serviço de imagens
+ * Confere o formato real do arquivo, corrige a orientação, remove os metadados (EXIF com
+ * localização do celular, por exemplo) e grava três tamanhos em WebP no armazenamento
+ */
+
+// Tipos aceitos no upload (o conteúdo é conferido de novo pelo sharp)
+const TIPOS_ACEITOS = ['image/jpeg', 'image/png', 'image/webp'];
+const FORMATOS_ACEITOS = ['jpeg', 'png', 'webp'];
+
+// Maior lado de cada tamanho gerado, em pixels
+const TAMANHOS = {
+  miniatura: 200,
+  media: 600,
+  grande: 1200
+};
+
+// Imagens menores que isso não servem nem para a miniatura
+const LADO_MINIMO = 100;
+
+/**
+ * Erro de imagem recusada
+ */
+class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageError';
+  }
+}
+
+/**
+ * Gera os tamanhos de uma imagem
+ * @param {Buffer} conteudo - Arquivo enviado
+ * @returns {Promise<Object>} - { arquivos: { miniatura, media, grande }, largura, altura }
+ * @throws {ImageError} - Arquivo que não é imagem, formato não aceito ou pequeno demais
+ */
+const processImage = async (conteudo) => {
+  let metadata;
+  try {
+    metadata = await sharp(conteudo).metadata();
+  } catch (err) {
+    throw new ImageError('Arquivo não é uma imagem válida');
+  }
+
+  if (!FORMATOS_ACEITOS.includes(metadata.format)) {
+    throw new ImageError('Formato de imagem não suportado; envie JPEG, PNG ou WebP');
+  }
+
+  // Dimensões já considerando a orientação gravada pelo celular
+  const { width: largura, height: altura } = metadata.autoOrient || metadata;
+
+  if (Math.min(largura, altura) < LADO_MINIMO) {
+    throw new ImageError(`Imagem muito pequena; envie pelo menos ${LADO_MINIMO}x${LADO_MINIMO} pixels`);
+  }
+
+  // rotate() sem argumentos aplica a orientação do EXIF antes de descartá-lo
+  const original = sharp(conteudo, { failOn: 'error' }).rotate();
+
+  const arquivos = {};
+  for (const [tamanho, lado] of Object.entries(TAMANHOS)) {
+    // O sharp não copia metadados para a saída, a menos que withMetadata() seja chamado
+    arquivos[tamanho] = await original.clone()
+      .resize({ width: lado, height: lado, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  }
+
+  return { arquivos, largura, altura };
+};
+
+/**
+ * Processa e grava uma imagem no armazenamento
+ * @param {Buffer} conteudo - Arquivo enviado
+ * @param {string} pasta - Prefixo das chaves (ex.: "produtos/12")
+ * @returns {Promise<Object>} - { chave, urlMiniatura, urlMedia, urlGrande, largura, altura }
+ */
+const storeImage = async (conteudo, pasta) => {
+  const { arquivos, largura, altura } = await processImage(conteudo);
+  const storage = getStorage();
+  const chave = `${pasta}/${crypto.randomUUID()}`;
+
+  const urls = {};
+  for (const [tamanho, arquivo] of Object.entries(arquivos)) {
+    urls[tamanho] = await storage.put(`${chave}-${tamanho}.webp`, arquivo, 'image/webp');
+  }
+
+  return {
+    chave,
+    urlMiniatura: urls.miniatura,
+    urlMedia: urls.media,
+    urlGrande: urls.grande,
+    largura,
+    altura
+  };
+};
+
+/**
+ * Apaga todos os tamanhos de uma imagem
+ * @param {string} chave - Chave base devolvida por storeImage
+ */
+const removeImage = async (chave) => {
+  const storage = getStorage();
+  await Promise.all(Object.keys(TAMANHOS).map(tamanho => storage.remove(`${chave}-${tamanho}.webp`)));
+};
+
+/**
+ * Apaga uma imagem a partir da URL de um dos tamanhos
+ * URLs externas (fotos cadastradas antes do upload) são ignoradas
+ * @param {string} url - URL pública
+ */
+const removeImageByUrl = async (url) => {
+  const chave = getStorage().keyFromUrl(url);
+  const base = chave && /^(.+)-(miniatura|media|grande)\.webp$/.exec(chave);
+
+  if (base) {
+    await removeImage(base[1]);
+  }
+};
+
+module.exports = {
+  TIPOS_ACEITOS,
+  TAMANHOS,
+  ImageError,
+  processImage,
+  storeImage,
+  removeImage,
+  removeImageByUrl
+};
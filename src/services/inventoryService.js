@@ -0,0 +1,162 @@
+const { Product, ProductVariant, Harvest } = require('../models');
+const { reserveHarvest } = require('./preOrderService');
+const { hasQuantityPrecision, isMultipleOf } = require('../utils/quantity');
+
+/**
+ * Serviço de estoque
+ * Decide o que está sendo comprado (a variação escolhida ou o próprio produto)
+ * e movimenta o estoque no lugar certo
+ */
+
+/**
+ * Erro base das regras de variação
+ */
+class VariantError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VariantError';
+  }
+}
+
+/**
+ * A variação informada não existe, está inativa ou é de outro produto
+ */
+class VariantNotFoundError extends VariantError {
+  constructor() {
+    super('Variação não encontrada');
+    this.name = 'VariantNotFoundError';
+  }
+}
+
+/**
+ * O produto tem variações ativas e nenhuma foi escolhida
+ */
+class VariantRequiredError extends VariantError {
+  constructor(product) {
+    super(`Escolha uma variação de "${product.nome}"`);
+    this.name = 'VariantRequiredError';
+  }
+}
+
+/**
+ * Resolve o item comprado a partir do produto e da variação informada
+ * Produtos com variações ativas exigem a escolha de uma delas
+ * @param {Object} product - Produto
+ * @param {number|null} variantId - Variação escolhida (opcional)
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object>} - { variante, estoque, precoFinal, nome, regra }
+ * @throws {VariantNotFoundError|VariantRequiredError}
+ */
+const resolvePurchase = async (product, variantId, { transaction } = {}) => {
+  if (variantId) {
+    const variante = await ProductVariant.findOne({
+      where: { id: variantId, productId: product.id, ativo: true },
+      transaction
+    });
+
+    if (!variante) {
+      throw new VariantNotFoundError();
+    }
+
+    return {
+      variante,
+      estoque: variante.estoque,
+      precoFinal: variante.getPrecoFinal(),
+      nome: `${product.nome} (${variante.nome})`,
+      regra: product.getRegraQuantidade(variante)
+    };
+  }
+
+  const variacoes = await ProductVariant.count({
+    where: { productId: product.id, ativo: true },
+    transaction
+  });
+
+  if (variacoes > 0) {
+    throw new VariantRequiredError(product);
+  }
+
+  return {
+    variante: null,
+    estoque: product.estoque,
+    precoFinal: product.getPrecoFinal(),
+    nome: product.nome,
+    regra: product.getRegraQuantidade()
+  };
+};
+
+/**
+ * Confere a quantidade pedida contra a regra do item (inteira ou fracionada, mínimo e incremento)
+ * @param {Object} compra - Resultado de resolvePurchase ou resolveReservation
+ * @param {number} quantidade - Quantidade pedida
+ * @returns {string|null} - Motivo da recusa, ou null se a quantidade é válida
+ */
+const quantityMessage = ({ nome, regra }, quantidade) => {
+  const { unidadeMedida, minimo, incremento, fracionada } = regra;
+
+  if (!hasQuantityPrecision(quantidade)) {
+    return 'Quantidade aceita no máximo 3 casas decimais';
+  }
+  if (!fracionada && !Number.isInteger(quantidade)) {
+    return `"${nome}" é vendido em quantidades inteiras (${unidadeMedida})`;
+  }
+  if (quantidade < minimo) {
+    return `A quantidade mínima de "${nome}" é ${minimo} ${unidadeMedida}`;
+  }
+  if (!isMultipleOf(quantidade, incremento)) {
+    return `"${nome}" é vendido em múltiplos de ${incremento} ${unidadeMedida}`;
+  }
+  return null;
+};
+
+/**
+ * Baixa o estoque de um item vendido
+ * Itens de pré-venda não mexem no estoque: somam na quantidade reservada da colheita
+ * @param {Object} item - { productId, variantId, harvestId, quantidade }
+ * @param {Object} transaction - Transação
+ * @throws {HarvestClosedError} - A colheita fechou ou se esgotou desde a conferência
+ */
+const decrementStock = ({ productId, variantId, harvestId, quantidade }, transaction) => {
+  if (harvestId) {
+    return reserveHarvest({ harvestId, quantidade }, transaction);
+  }
+
+  return variantId
+    ? ProductVariant.decrement('estoque', { by: quantidade, where: { id: variantId }, transaction })
+    : Product.decrement('estoque', { by: quantidade, where: { id: productId }, transaction });
+};
+
+/**
+ * Devolve ao estoque um item de pedido cancelado
+ * Reservas ainda não colhidas liberam a colheita; depois da colheita o que foi
+ * atendido já existe e volta para o estoque do produto
+ * @param {Object} item - { productId, variantId, harvestId, statusReserva, quantidade }
+ * @param {Object} transaction - Transação
+ */
+const restoreStock = async ({ productId, variantId, harvestId, statusReserva, quantidade }, transaction) => {
+  if (harvestId) {
+    if (statusReserva === 'cancelado') {
+      return;
+    }
+
+    const harvest = await Harvest.findByPk(harvestId, { transaction });
+    if (harvest && harvest.status !== 'colhida') {
+      await harvest.decrement('quantidadeReservada', { by: quantidade, transaction });
+      return;
+    }
+  }
+
+  await (variantId
+    ? ProductVariant.increment('estoque', { by: quantidade, where: { id: variantId }, transaction })
+    : Product.increment('estoque', { by: quantidade, where: { id: productId }, transaction }));
+};
+
+module.exports = {
+  VariantError,
+  VariantNotFoundError,
+  VariantRequiredError,
+  resolvePurchase,
+  quantityMessage,
+  decrementStock,
+  restoreStock
+};
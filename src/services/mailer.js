@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+
+/**
+ * Serviço de envio de emails
+ * O transporte é escolhido por MAIL_TRANSPORT:
+ *   console - apenas exibe a mensagem no log (desenvolvimento e testes)
+ *   file    - grava cada mensagem como JSON em MAIL_FILE_DIR
+ *   smtp    - envia de verdade pelo servidor SMTP configurado
+ */
+
+/**
+ * Transporte que exibe a mensagem no console
+ */
+const consoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Email para ${message.to} | ${message.subject}\n${message.text}`);
+    return { id: crypto.randomUUID() };
+  }
+});
+
+/**
+ * Transporte que grava as mensagens em arquivos JSON
+ * @param {string} directory - Diretório de destino
+ */
+const fileTransport = (directory) => ({
+  send: async (message) => {
+    const id = crypto.randomUUID();
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(directory, `${Date.now()}-${id}.json`),
+      JSON.stringify({ id, date: new Date().toISOString(), ...message }, null, 2)
+    );
+    return { id };
+  }
+});
+
+/**
+ * Transporte SMTP (nodemailer)
+ * @param {Object} smtp - Configuração do servidor
+ */
+const smtpTransport = (smtp) => {
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    ...(smtp.user && { auth: { user: smtp.user, pass: smtp.pass } })
+  });
+
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+/**
+ * Cria o transporte de acordo com a configuração
+ * @param {Object} mailConfig - Configuração de email (config.mail)
+ * @returns {Object} - Transporte com o método send
+ */
+const createTransport = (mailConfig) => {
+  switch (mailConfig.transport) {
+    case 'file':
+      return fileTransport(mailConfig.fileDir);
+    case 'smtp':
+      return smtpTransport(mailConfig.smtp);
+    default:
+      return consoleTransport();
+  }
+};
+
+let transport = null;
+
+/**
+ * Envia um email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - { id } identificador da mensagem
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createTransport(config.mail);
+  }
+
+  return transport.send({
+    from: config.mail.from,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  createTransport,
+  sendMail
+};
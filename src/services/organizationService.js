@@ -0,0 +1,25 @@
+const { OrganizationMember } = require('../models');
+
+/**
+ * Serviço de organizações
+ * Consultas de vínculo dos membros de cooperativas e associações
+ * (as regras de autorização ficam em permissionService)
+ */
+
+/**
+ * Busca o vínculo de um usuário com uma organização
+ * @param {number} organizationId - ID da organização
+ * @param {number} userId - ID do usuário
+ * @returns {Promise<Object|null>} - Membro ou null
+ */
+const getMembership = (organizationId, userId) => {
+  if (!organizationId) {
+    return Promise.resolve(null);
+  }
+
+  return OrganizationMember.findOne({ where: { organizationId, userId } });
+};
+
+module.exports = {
+  getMembership
+};
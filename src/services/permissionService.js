@@ -0,0 +1,179 @@
+const { OrganizationMember, StaffMember } = require('../models');
+
+/**
+ * Serviço de permissões
+ * Ponto único de autorização: controllers e rotas perguntam can(user, acao, recurso)
+ * em vez de comparar papéis ou donos de registros diretamente.
+ *
+ * Sem recurso, a resposta depende só dos papéis da conta (e do vínculo de equipe);
+ * com recurso, a regra da ação confere o vínculo do usuário com aquele registro.
+ */
+
+/**
+ * Ações liberadas por papel da conta
+ */
+const PERMISSOES_PAPEL = {
+  consumidor: ['cart:use', 'order:place', 'order:read', 'order:cancel', 'review:write'],
+  produtor: [
+    'product:create', 'product:list', 'product:update', 'product:delete', 'product:stock',
+    'order:status', 'sales:read', 'sales:financials',
+    'organization:create', 'staff:manage', 'verification:submit', 'profile:update', 'review:reply',
+    'certification:manage', 'promotion:manage'
+  ],
+  admin: ['admin:access']
+};
+
+/**
+ * Ações liberadas para a equipe de um produtor (familiares e funcionários)
+ * A equipe opera pedidos e estoque, mas não altera preços nem vê valores das vendas
+ */
+const PERMISSOES_EQUIPE = ['product:stock', 'order:status', 'sales:read'];
+
+/**
+ * Mensagens de acesso negado para as verificações sem recurso
+ */
+const MENSAGENS_NEGADO = {
+  'cart:use': 'Acesso restrito a consumidores',
+  'order:place': 'Acesso restrito a consumidores',
+  'order:read': 'Acesso restrito a consumidores',
+  'order:cancel': 'Acesso restrito a consumidores',
+  'review:write': 'Apenas consumidores podem avaliar produtos',
+  'admin:access': 'Acesso restrito a administradores'
+};
+
+/**
+ * Vínculos do usuário carregados uma vez por requisição (o usuário é buscado a cada uma)
+ */
+const contextos = new WeakMap();
+
+/**
+ * Carrega as organizações e os produtores a que o usuário está vinculado
+ * @param {Object} user - Usuário autenticado
+ * @returns {Promise<Object>} - { papelNaOrganizacao(id), isEquipeDe(produtorId), isEquipe }
+ */
+const getContext = (user) => {
+  if (!contextos.has(user)) {
+    contextos.set(user, (async () => {
+      const [membros, equipes] = await Promise.all([
+        OrganizationMember.findAll({ where: { userId: user.id }, attributes: ['organizationId', 'papel'] }),
+        StaffMember.findAll({ where: { userId: user.id }, attributes: ['produtorId'] })
+      ]);
+
+      const papeis = new Map(membros.map(membro => [Number(membro.organizationId), membro.papel]));
+      const empregadores = new Set(equipes.map(equipe => Number(equipe.produtorId)));
+
+      return {
+        papelNaOrganizacao: (organizationId) => (organizationId ? papeis.get(Number(organizationId)) || null : null),
+        isEquipeDe: (produtorId) => empregadores.has(Number(produtorId)),
+        isEquipe: empregadores.size > 0
+      };
+    })());
+  }
+
+  return contextos.get(user);
+};
+
+const GERENTES = ['dono', 'gestor'];
+
+/**
+ * Regra comum de quem opera um produto no dia a dia (estoque e pedidos):
+ * o produtor autor, qualquer membro da organização do produto ou a equipe do produtor
+ */
+const operaProduto = (user, ctx, product) => product.produtorId === user.id
+  || Boolean(ctx.papelNaOrganizacao(product.organizationId))
+  || ctx.isEquipeDe(product.produtorId);
+
+/**
+ * Regra comum de quem edita um produto (inclusive o preço):
+ * o produtor autor ou dono/gestor da organização do produto
+ */
+const gerenciaProduto = (user, ctx, product) => product.produtorId === user.id
+  || GERENTES.includes(ctx.papelNaOrganizacao(product.organizationId));
+
+/**
+ * Regras por ação quando há um recurso
+ * Cada regra recebe (user, recurso, contexto) e retorna um booleano
+ */
+const REGRAS = {
+  'order:read': (user, order) => order.consumidorId === user.id,
+  'order:cancel': (user, order) => order.consumidorId === user.id,
+
+  'product:update': (user, product, ctx) => gerenciaProduto(user, ctx, product),
+  'product:delete': (user, product, ctx) => gerenciaProduto(user, ctx, product),
+  'product:stock': (user, product, ctx) => operaProduto(user, ctx, product),
+  // Mover o produto entre organizações é decisão do produtor autor
+  'product:transfer': (user, product) => product.produtorId === user.id,
+
+  // Pedido com os itens e produtos carregados: basta operar um dos produtos
+  'order:status': (user, order, ctx) => (order.itens || [])
+    .some(item => item.produto && operaProduto(user, ctx, item.produto)),
+
+  // Recurso: { produtorId } para as vendas de um produtor ou { organizationId } para as de uma organização
+  'sales:read': (user, { produtorId, organizationId }, ctx) => (organizationId
+    ? Boolean(ctx.papelNaOrganizacao(organizationId))
+    : produtorId === user.id || ctx.isEquipeDe(produtorId)),
+  'sales:financials': (user, { produtorId, organizationId }, ctx) => (organizationId
+    ? Boolean(ctx.papelNaOrganizacao(organizationId))
+    : produtorId === user.id),
+
+  // Recurso: { organizationId, papel }, em que papel é o do membro adicionado ou removido
+  'organization:read': (user, { organizationId }, ctx) => Boolean(ctx.papelNaOrganizacao(organizationId)),
+  'organization:publish': (user, { organizationId }, ctx) => Boolean(ctx.papelNaOrganizacao(organizationId)),
+  'organization:update': (user, { organizationId }, ctx) => GERENTES.includes(ctx.papelNaOrganizacao(organizationId)),
+  'organization:members': (user, { organizationId, papel }, ctx) => {
+    const meuPapel = ctx.papelNaOrganizacao(organizationId);
+    return meuPapel === 'dono' || (meuPapel === 'gestor' && papel === 'membro');
+  },
+  'organization:roles': (user, { organizationId }, ctx) => ctx.papelNaOrganizacao(organizationId) === 'dono',
+
+  'review:write': (user, review) => review.consumidorId === user.id,
+  // Recurso: o produto avaliado; responde quem edita o produto
+  'review:reply': (user, product, ctx) => gerenciaProduto(user, ctx, product),
+
+  'address:update': (user, address) => address.userId === user.id,
+  'address:delete': (user, address) => address.userId === user.id
+};
+
+/**
+ * Verifica se o usuário pode executar uma ação
+ * @param {Object} user - Usuário autenticado
+ * @param {string} action - Ação no formato 'recurso:operacao' (ex.: 'product:update')
+ * @param {Object} resource - Registro alvo (opcional)
+ * @returns {Promise<boolean>} - True se autorizado
+ */
+const can = async (user, action, resource) => {
+  if (!user) {
+    return false;
+  }
+
+  if (resource === undefined) {
+    const porPapel = (user.papeis || []).some(papel => (PERMISSOES_PAPEL[papel] || []).includes(action));
+    if (porPapel || !PERMISSOES_EQUIPE.includes(action)) {
+      return porPapel;
+    }
+
+    const ctx = await getContext(user);
+    return ctx.isEquipe;
+  }
+
+  const regra = REGRAS[action];
+  if (!regra) {
+    throw new Error(`Ação sem regra de permissão: ${action}`);
+  }
+
+  return regra(user, resource, await getContext(user));
+};
+
+/**
+ * Mensagem padrão de acesso negado para uma ação sem recurso
+ * @param {string} action - Ação verificada
+ * @returns {string} - Mensagem
+ */
+const deniedMessage = (action) => MENSAGENS_NEGADO[action] || 'Acesso restrito a produtores';
+
+module.exports = {
+  PERMISSOES_PAPEL,
+  PERMISSOES_EQUIPE,
+  can,
+  deniedMessage
+};
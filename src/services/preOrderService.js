@@ -0,0 +1,326 @@
+const { Op } = require('sequelize');
+const { sequelize, Harvest, Order, OrderItem, Product, ProductVariant, User } = require('../models');
+const mailer = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+const { releaseCoupon } = require('./couponService');
+const { toWholeRule, roundMoney } = require('../utils/quantity');
+
+/**
+ * Serviço de pré-venda
+ * O produtor publica uma colheita futura (quantidade e data previstas), os consumidores
+ * reservam pelo carrinho e, depois da colheita, o resultado real é distribuído entre as
+ * reservas: se faltar, cada uma recebe a sua proporção e quem ficaria sem nada é cancelado
+ */
+
+/**
+ * Erro base da pré-venda
+ */
+class PreOrderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PreOrderError';
+  }
+}
+
+/**
+ * A colheita não existe ou é de outro produto
+ */
+class HarvestNotFoundError extends PreOrderError {
+  constructor() {
+    super('Colheita não encontrada');
+    this.name = 'HarvestNotFoundError';
+  }
+}
+
+/**
+ * A colheita não aceita mais reservas ou alterações
+ */
+class HarvestClosedError extends PreOrderError {
+  constructor(message = 'Esta colheita não aceita mais reservas') {
+    super(message);
+    this.name = 'HarvestClosedError';
+  }
+}
+
+/**
+ * Resolve a reserva de uma colheita, no mesmo formato de resolvePurchase
+ * @param {Object} product - Produto
+ * @param {number} harvestId - Colheita escolhida
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object>} - { colheita, variante: null, estoque, precoFinal, nome, regra }
+ * @throws {HarvestNotFoundError|HarvestClosedError}
+ */
+const resolveReservation = async (product, harvestId, { transaction } = {}) => {
+  const colheita = await Harvest.findOne({ where: { id: harvestId, productId: product.id }, transaction });
+
+  if (!colheita) {
+    throw new HarvestNotFoundError();
+  }
+
+  if (colheita.status !== 'aberta') {
+    throw new HarvestClosedError();
+  }
+
+  return {
+    colheita,
+    variante: null,
+    estoque: colheita.getDisponivel(),
+    precoFinal: product.getPrecoFinal(),
+    nome: `${product.nome} (colheita de ${colheita.dataColheita})`,
+    // A colheita é contada em unidades inteiras, então as reservas também
+    regra: toWholeRule(product.getRegraQuantidade())
+  };
+};
+
+/**
+ * Soma uma reserva na colheita, só se ela ainda estiver aberta e com quantidade disponível
+ * A conferência é feita no próprio UPDATE: checkouts simultâneos não passam da previsão
+ * @param {Object} item - { harvestId, quantidade }
+ * @param {Object} transaction - Transação
+ * @throws {HarvestClosedError}
+ */
+const reserveHarvest = async ({ harvestId, quantidade }, transaction) => {
+  const reservada = sequelize.literal(`"quantidadeReservada" + ${Number(quantidade)}`);
+  const [atualizadas] = await Harvest.update({ quantidadeReservada: reservada }, {
+    where: {
+      id: harvestId,
+      status: 'aberta',
+      [Op.and]: sequelize.where(reservada, Op.lte, sequelize.col('quantidadePrevista'))
+    },
+    transaction
+  });
+
+  if (atualizadas === 0) {
+    throw new HarvestClosedError('A colheita não tem mais quantidade disponível para esta reserva');
+  }
+};
+
+/**
+ * Publica uma colheita para pré-venda
+ * @param {Object} product - Produto (sem variações ativas)
+ * @param {Object} dados - { quantidadePrevista, dataColheita, dataEntrega }
+ * @returns {Promise<Object>} - Colheita criada
+ * @throws {PreOrderError} - Produto com variações
+ */
+const createHarvest = async (product, { quantidadePrevista, dataColheita, dataEntrega }) => {
+  const variacoes = await ProductVariant.count({ where: { productId: product.id, ativo: true } });
+  if (variacoes > 0) {
+    throw new PreOrderError('A pré-venda ainda não está disponível para produtos com variações');
+  }
+
+  return Harvest.create({
+    productId: product.id,
+    quantidadePrevista,
+    dataColheita,
+    dataEntrega: dataEntrega || null
+  });
+};
+
+/**
+ * Atualiza a previsão de uma colheita ou encerra/reabre as reservas
+ * @param {Object} colheita - Colheita
+ * @param {Object} dados - { quantidadePrevista, dataColheita, dataEntrega, status }
+ * @returns {Promise<Object>} - Colheita atualizada
+ * @throws {HarvestClosedError|PreOrderError}
+ */
+const updateHarvest = async (colheita, dados) => {
+  if (colheita.status === 'colhida') {
+    throw new HarvestClosedError('Esta colheita já foi registrada');
+  }
+
+  if (dados.quantidadePrevista !== undefined && dados.quantidadePrevista < colheita.quantidadeReservada) {
+    throw new PreOrderError(
+      `A previsão não pode ficar abaixo do que já foi reservado (${colheita.quantidadeReservada}); registre o resultado da colheita`
+    );
+  }
+
+  const campos = ['quantidadePrevista', 'dataColheita', 'dataEntrega', 'status']
+    .filter(campo => dados[campo] !== undefined);
+
+  await colheita.update(Object.fromEntries(campos.map(campo => [campo, dados[campo]])));
+
+  // Pedidos já feitos acompanham a nova data de entrega
+  if (dados.dataColheita !== undefined || dados.dataEntrega !== undefined) {
+    const reservas = await OrderItem.findAll({ where: { harvestId: colheita.id }, attributes: ['orderId'] });
+    if (reservas.length > 0) {
+      await Order.update(
+        { dataEntregaPrevista: colheita.getDataEntrega() },
+        { where: { id: { [Op.in]: reservas.map(item => item.orderId) }, status: { [Op.ne]: 'cancelado' } } }
+      );
+    }
+  }
+
+  return colheita;
+};
+
+/**
+ * Distribui a quantidade colhida entre as reservas, na proporção de cada uma
+ * As sobras do arredondamento vão para as maiores frações e, no empate, para quem reservou primeiro
+ * @param {Array<number>} reservas - Quantidades reservadas, na ordem das reservas
+ * @param {number} colhida - Quantidade colhida
+ * @returns {Array<number>} - Quantidade atendida de cada reserva
+ */
+const allocateProportionally = (reservas, colhida) => {
+  const total = reservas.reduce((soma, quantidade) => soma + quantidade, 0);
+
+  if (colhida >= total) {
+    return [...reservas];
+  }
+
+  const cotas = reservas.map(quantidade => (quantidade * colhida) / total);
+  const atendidas = cotas.map(Math.floor);
+  let sobra = colhida - atendidas.reduce((soma, quantidade) => soma + quantidade, 0);
+
+  const porFracao = cotas
+    .map((cota, posicao) => ({ posicao, fracao: cota - Math.floor(cota) }))
+    .sort((a, b) => b.fracao - a.fracao || a.posicao - b.posicao);
+
+  for (const { posicao } of porFracao) {
+    if (sobra === 0) break;
+    atendidas[posicao] += 1;
+    sobra -= 1;
+  }
+
+  return atendidas;
+};
+
+/**
+ * Avisa os consumidores cujas reservas foram reduzidas ou canceladas
+ * Falhas no envio não desfazem o registro da colheita
+ * @param {Map} ajustesPorPedido - orderId => [{ nome, reservado, atendido }]
+ */
+const notifyAdjustments = async (ajustesPorPedido) => {
+  const pedidos = await Order.findAll({
+    where: { id: { [Op.in]: [...ajustesPorPedido.keys()] } },
+    include: [{ model: User, as: 'consumidor', attributes: ['id', 'nome', 'email'] }],
+    order: [['id', 'ASC']]
+  });
+
+  for (const pedido of pedidos) {
+    try {
+      await mailer.sendMail({
+        to: pedido.consumidor.email,
+        ...emailTemplates.reservaAjustada(pedido.consumidor, pedido, ajustesPorPedido.get(pedido.id))
+      });
+    } catch (err) {
+      console.error('Erro ao enviar aviso de reserva ajustada:', err);
+    }
+  }
+};
+
+/**
+ * Registra o resultado da colheita e atende as reservas
+ * Se colher menos que o reservado, cada reserva recebe a sua proporção; reservas que ficariam
+ * sem nada são canceladas e pedidos sem nenhum item restante também. O que sobrar vai para o
+ * estoque do produto. Os consumidores afetados recebem um aviso por email.
+ * @param {Object} colheita - Colheita
+ * @param {number} quantidadeColhida - Quantidade real colhida
+ * @returns {Promise<Object>} - { reservado, colhido, atendidos, parciais, cancelados, pedidosCancelados, sobraEstoque }
+ * @throws {HarvestClosedError}
+ */
+const registerOutcome = async (colheita, quantidadeColhida) => {
+  const ajustesPorPedido = new Map();
+
+  const resumo = await sequelize.transaction(async (transaction) => {
+    // A colheita é marcada antes de ler as reservas: um segundo registro simultâneo
+    // não passa daqui e os checkouts deixam de reservar nela
+    const [marcadas] = await Harvest.update({ quantidadeColhida, status: 'colhida' }, {
+      where: { id: colheita.id, status: { [Op.ne]: 'colhida' } },
+      transaction
+    });
+    if (marcadas === 0) {
+      throw new HarvestClosedError('Esta colheita já foi registrada');
+    }
+
+    const reservas = await OrderItem.findAll({
+      where: { harvestId: colheita.id, statusReserva: 'reservado' },
+      include: [{
+        model: Order,
+        as: 'pedido',
+        where: { status: { [Op.ne]: 'cancelado' } },
+        attributes: ['id']
+      }],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+
+    const product = await Product.findByPk(colheita.productId, { transaction });
+    const reservado = reservas.reduce((soma, item) => soma + item.quantidade, 0);
+    const atendidas = allocateProportionally(reservas.map(item => item.quantidade), quantidadeColhida);
+    const contagem = { atendido: 0, parcial: 0, cancelado: 0 };
+
+    for (const [posicao, item] of reservas.entries()) {
+      const atendida = atendidas[posicao];
+      const statusReserva = atendida === item.quantidade ? 'atendido' : (atendida === 0 ? 'cancelado' : 'parcial');
+      contagem[statusReserva] += 1;
+
+      if (statusReserva !== 'atendido') {
+        const ajustes = ajustesPorPedido.get(item.orderId) || [];
+        ajustes.push({ nome: product.nome, reservado: item.quantidade, atendido: atendida });
+        ajustesPorPedido.set(item.orderId, ajustes);
+      }
+
+      await item.update({
+        statusReserva,
+        // Reservas canceladas guardam a quantidade pedida para o histórico
+        ...(statusReserva === 'parcial' && { quantidade: atendida })
+      }, { transaction });
+    }
+
+    // Pedidos ajustados têm o valor recalculado; sem itens restantes, são cancelados
+    let pedidosCancelados = 0;
+    for (const orderId of ajustesPorPedido.keys()) {
+      const pedido = await Order.findByPk(orderId, {
+        include: [{ model: OrderItem, as: 'itens' }],
+        transaction
+      });
+      const restantes = pedido.itens.filter(item => item.statusReserva !== 'cancelado');
+
+      if (restantes.length === 0) {
+        await pedido.update({ status: 'cancelado' }, { transaction });
+        await releaseCoupon(pedido, transaction);
+        pedidosCancelados += 1;
+      } else {
+        // O desconto do cupom diminui na mesma proporção dos itens
+        const valorItens = restantes.reduce((soma, item) => soma + Number(item.subtotal), 0);
+        const valorAnterior = Number(pedido.valorTotal) + pedido.descontoCupom;
+        const descontoCupom = roundMoney(pedido.descontoCupom * valorItens / valorAnterior);
+        await pedido.update({ valorTotal: roundMoney(valorItens - descontoCupom), descontoCupom }, { transaction });
+      }
+    }
+
+    const sobraEstoque = Math.max(quantidadeColhida - reservado, 0);
+    if (sobraEstoque > 0) {
+      await product.increment('estoque', { by: sobraEstoque, transaction });
+    }
+
+    return {
+      reservado,
+      colhido: quantidadeColhida,
+      atendidos: contagem.atendido,
+      parciais: contagem.parcial,
+      cancelados: contagem.cancelado,
+      pedidosCancelados,
+      sobraEstoque
+    };
+  });
+  await colheita.reload();
+
+  if (ajustesPorPedido.size > 0) {
+    await notifyAdjustments(ajustesPorPedido);
+  }
+
+  return resumo;
+};
+
+module.exports = {
+  PreOrderError,
+  HarvestNotFoundError,
+  HarvestClosedError,
+  resolveReservation,
+  reserveHarvest,
+  createHarvest,
+  updateHarvest,
+  allocateProportionally,
+  registerOutcome
+};
@@ -0,0 +1,275 @@
+const { Op } = require('sequelize');
+const { Promotion } = require('../models');
+const { getCategoryLineage, getCategoryFilterIds } = require('./categoryService');
+const { roundMoney, roundQuantity, formatCurrency, countBlocks, calculateSubtotal } = require('../utils/quantity');
+
+/**
+ * Serviço de preços
+ * Aplica as campanhas de promoção (Promotion) sobre o preço de venda dos itens. O preço de
+ * venda já considera a promoção simples do produto (promocao + percentualDesconto); as
+ * campanhas não se somam entre si: em cada item vale a que dá o maior desconto
+ */
+
+// Tipos que mudam o preço unitário, exibido no catálogo como preço promocional
+const TIPOS_PRECO_UNITARIO = ['percentual', 'valor_fixo'];
+
+/**
+ * Filtro das campanhas que valem no momento informado
+ * @param {Date} agora - Momento de referência
+ * @returns {Object} - Condição do where
+ */
+const vigentes = (agora = new Date()) => ({
+  ativo: true,
+  inicioEm: { [Op.lte]: agora },
+  fimEm: { [Op.gt]: agora }
+});
+
+/**
+ * Formata uma quantidade com vírgula decimal ("0,5")
+ * @param {number} valor - Quantidade
+ * @returns {string}
+ */
+const formatQuantity = (valor) => String(roundQuantity(valor)).replace('.', ',');
+
+/**
+ * Texto da campanha exibido ao consumidor
+ * @param {Object} promocao - Campanha
+ * @param {string} unidadeMedida - Unidade do produto
+ * @returns {string} - "10% de desconto", "3 kg por R$ 20,00", "Leve 3, pague 2"...
+ */
+const describePromotion = (promocao, unidadeMedida) => {
+  switch (promocao.tipo) {
+    case 'percentual':
+      return `${formatQuantity(promocao.percentual)}% de desconto`;
+    case 'valor_fixo':
+      return `${formatCurrency(promocao.valorDesconto)} de desconto por ${unidadeMedida}`;
+    case 'faixa_quantidade':
+      return `${formatQuantity(promocao.quantidadeFaixa)} ${unidadeMedida} por ${formatCurrency(promocao.precoFaixa)}`;
+    default:
+      return `Leve ${promocao.leve}, pague ${promocao.pague}`;
+  }
+};
+
+/**
+ * Resumo da campanha para as respostas da API
+ * @param {Object} promocao - Campanha
+ * @param {string} unidadeMedida - Unidade do produto
+ * @returns {Object} - { id, nome, tipo, descricao, fimEm }
+ */
+const toPromotionSummary = (promocao, unidadeMedida) => ({
+  id: promocao.id,
+  nome: promocao.nome,
+  tipo: promocao.tipo,
+  descricao: describePromotion(promocao, unidadeMedida),
+  fimEm: promocao.fimEm
+});
+
+/**
+ * Desconto de uma campanha sobre um item
+ * @param {Object} promocao - Campanha
+ * @param {number} precoUnitario - Preço de venda por unidade de medida
+ * @param {number} quantidade - Quantidade comprada
+ * @returns {number} - Desconto em reais (0 quando a quantidade não alcança a campanha)
+ */
+const calculateDiscount = (promocao, precoUnitario, quantidade) => {
+  const bruto = calculateSubtotal(precoUnitario, quantidade);
+
+  switch (promocao.tipo) {
+    case 'percentual':
+      return roundMoney((bruto * promocao.percentual) / 100);
+
+    case 'valor_fixo':
+      return calculateSubtotal(Math.min(promocao.valorDesconto, precoUnitario), quantidade);
+
+    case 'faixa_quantidade': {
+      // Cada faixa completa sai pelo preço fechado; o resto, pelo preço normal
+      const faixas = countBlocks(quantidade, promocao.quantidadeFaixa);
+      const resto = roundQuantity(quantidade - faixas * promocao.quantidadeFaixa);
+      const promocional = roundMoney(faixas * promocao.precoFaixa + calculateSubtotal(precoUnitario, resto));
+      return Math.max(roundMoney(bruto - promocional), 0);
+    }
+
+    case 'leve_pague': {
+      // A cada "leve" unidades, "leve - pague" saem de graça
+      const grupos = countBlocks(quantidade, promocao.leve);
+      return calculateSubtotal(precoUnitario, grupos * (promocao.leve - promocao.pague));
+    }
+
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Escolhe a campanha com o maior desconto para o item (no empate, a mais antiga)
+ * O item nunca sai de graça: o desconto para um centavo antes do valor cheio
+ * @param {Array<Object>} promocoes - Campanhas que alcançam o produto
+ * @param {number} precoUnitario - Preço de venda por unidade de medida
+ * @param {number} quantidade - Quantidade comprada
+ * @returns {Object} - { promocao (ou null), desconto, subtotal }
+ */
+const applyBestPromotion = (promocoes, precoUnitario, quantidade) => {
+  const bruto = calculateSubtotal(precoUnitario, quantidade);
+  let melhor = { promocao: null, desconto: 0 };
+
+  for (const promocao of promocoes) {
+    const desconto = Math.min(calculateDiscount(promocao, precoUnitario, quantidade), roundMoney(bruto - 0.01));
+    if (desconto > melhor.desconto) {
+      melhor = { promocao, desconto };
+    }
+  }
+
+  return { ...melhor, subtotal: roundMoney(bruto - melhor.desconto) };
+};
+
+/**
+ * Campanhas vigentes que alcançam cada produto: as do próprio produto, as do produtor
+ * e as da categoria do produto ou de qualquer categoria acima dela
+ * @param {Array<Object>} products - Produtos (id, produtorId, categoryId)
+ * @param {Object} options - { agora, transaction }
+ * @returns {Promise<Map>} - productId => [campanhas] (produtos sem campanha ficam de fora)
+ */
+const findPromotionsFor = async (products, { agora = new Date(), transaction } = {}) => {
+  if (products.length === 0) {
+    return new Map();
+  }
+
+  const promocoes = await Promotion.findAll({
+    where: {
+      ...vigentes(agora),
+      [Op.or]: [
+        { escopo: 'produto', productId: { [Op.in]: products.map(product => product.id) } },
+        { escopo: 'produtor', produtorId: { [Op.in]: products.map(product => product.produtorId) } },
+        { escopo: 'categoria' }
+      ]
+    },
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  if (promocoes.length === 0) {
+    return new Map();
+  }
+
+  const linhagens = promocoes.some(promocao => promocao.escopo === 'categoria')
+    ? await getCategoryLineage(products.map(product => product.categoryId), transaction)
+    : new Map();
+
+  const alcance = new Map();
+  for (const product of products) {
+    const categorias = linhagens.get(Number(product.categoryId)) || [];
+    const doProduto = promocoes.filter(promocao => (
+      (promocao.escopo === 'produto' && promocao.productId === product.id)
+      || (promocao.escopo === 'produtor' && promocao.produtorId === product.produtorId)
+      || (promocao.escopo === 'categoria' && categorias.includes(promocao.categoryId))
+    ));
+
+    if (doProduto.length > 0) {
+      alcance.set(product.id, doProduto);
+    }
+  }
+  return alcance;
+};
+
+/**
+ * Preço promocional e campanhas de cada produto, para o catálogo
+ * O preço promocional considera só as campanhas que mudam o preço unitário; faixas e
+ * "leve e pague" aparecem na lista de campanhas e são aplicadas no carrinho. Com variações,
+ * cada uma tem o seu preço promocional e o do produto é o menor deles
+ * @param {Array<Object>} products - Produtos com as variações ativas carregadas
+ * @returns {Promise<Map>} - productId => { precoPromocional, precosVariantes (variantId => preço), promocoes }
+ */
+const findCatalogPricing = async (products) => {
+  const alcance = await findPromotionsFor(products);
+  const ofertas = new Map();
+
+  for (const product of products) {
+    const promocoes = alcance.get(product.id) || [];
+    const unitarias = promocoes.filter(promocao => TIPOS_PRECO_UNITARIO.includes(promocao.tipo));
+
+    const promocional = (preco) => {
+      const { promocao, subtotal } = applyBestPromotion(unitarias, roundMoney(preco), 1);
+      return promocao ? subtotal : null;
+    };
+
+    const precosVariantes = new Map((product.variantes || []).map(variante => [variante.id, promocional(variante.getPrecoFinal())]));
+    const precosComCampanha = [...precosVariantes.values()].filter(preco => preco !== null);
+
+    let precoPromocional = null;
+    if (precosVariantes.size === 0) {
+      precoPromocional = promocional(product.getPrecoFinal());
+    } else if (precosComCampanha.length > 0) {
+      precoPromocional = Math.min(...precosComCampanha);
+    }
+
+    ofertas.set(product.id, {
+      precoPromocional,
+      precosVariantes,
+      promocoes: promocoes.map(item => toPromotionSummary(item, product.unidadeMedida))
+    });
+  }
+  return ofertas;
+};
+
+/**
+ * Campanhas vigentes que mudam o preço unitário, com as categorias alcançadas por cada uma
+ * Usadas nos filtros e nas faixas de preço do catálogo, calculados no banco
+ * @param {Date} agora - Momento de referência
+ * @returns {Promise<Array<Object>>} - [{ promocao, categorias }]
+ */
+const findUnitPricePromotions = async (agora = new Date()) => {
+  const promocoes = await Promotion.findAll({
+    where: { ...vigentes(agora), tipo: { [Op.in]: TIPOS_PRECO_UNITARIO } },
+    order: [['id', 'ASC']]
+  });
+
+  const campanhas = [];
+  for (const promocao of promocoes) {
+    campanhas.push({
+      promocao,
+      categorias: promocao.escopo === 'categoria' ? await getCategoryFilterIds(promocao.categoryId) : []
+    });
+  }
+  return campanhas;
+};
+
+/**
+ * Condição dos produtos em promoção: a promoção simples do produto ou alguma campanha vigente
+ * @param {Date} agora - Momento de referência
+ * @returns {Promise<Object>} - Condição do where de Product
+ */
+const promotedProductsCondition = async (agora = new Date()) => {
+  const promocoes = await Promotion.findAll({
+    where: vigentes(agora),
+    attributes: ['escopo', 'productId', 'produtorId', 'categoryId']
+  });
+
+  const alvos = (escopo, campo) => [...new Set(promocoes
+    .filter(promocao => promocao.escopo === escopo)
+    .map(promocao => promocao[campo]))];
+
+  const categorias = [];
+  for (const categoryId of alvos('categoria', 'categoryId')) {
+    categorias.push(...await getCategoryFilterIds(categoryId));
+  }
+
+  return {
+    [Op.or]: [
+      { promocao: true },
+      { id: { [Op.in]: alvos('produto', 'productId') } },
+      { produtorId: { [Op.in]: alvos('produtor', 'produtorId') } },
+      { categoryId: { [Op.in]: categorias } }
+    ]
+  };
+};
+
+module.exports = {
+  describePromotion,
+  toPromotionSummary,
+  calculateDiscount,
+  applyBestPromotion,
+  findPromotionsFor,
+  findCatalogPricing,
+  findUnitPricePromotions,
+  promotedProductsCondition
+};
@@ -0,0 +1,189 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { User, VerificationDocument } = require('../models');
+const { parseCpfCnpj, normalizeDapCaf } = require('../utils/documents');
+const mailer = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+
+/**
+ * Serviço de verificação de produtores
+ * O produtor envia CPF/CNPJ, número da DAP/CAF e comprovantes; um administrador
+ * aprova ou rejeita. Só produtores aprovados podem publicar produtos.
+ */
+
+const TIPOS_DOCUMENTO = ['dap_caf', 'identidade', 'comprovante_endereco', 'outro'];
+
+/**
+ * Erro de regra da verificação (dados inválidos ou transição não permitida)
+ */
+class VerificationError extends Error {
+  constructor(message, errors = [message]) {
+    super(message);
+    this.name = 'VerificationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Erro de documento já usado por outro produtor
+ */
+class DocumentConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentConflictError';
+  }
+}
+
+/**
+ * Envia um email de resultado sem interromper a operação em caso de falha
+ * @param {Object} user - Produtor
+ * @param {Object} message - { subject, text, html }
+ */
+const notify = async (user, message) => {
+  try {
+    await mailer.sendMail({ to: user.email, ...message });
+  } catch (err) {
+    console.error('Erro ao enviar email de verificação de produtor:', err);
+  }
+};
+
+/**
+ * Envia (ou reenvia) os dados de verificação do produtor
+ * @param {Object} user - Produtor autenticado
+ * @param {Object} data - { documento, dapCaf, documentos: [{ tipo, url, nome? }] }
+ * @returns {Promise<Object>} - Produtor com os documentos enviados
+ * @throws {VerificationError|DocumentConflictError}
+ */
+const submitVerification = async (user, { documento, dapCaf, documentos } = {}) => {
+  if (!user.temPapel('produtor')) {
+    throw new VerificationError('Apenas produtores enviam verificação');
+  }
+
+  if (user.statusVerificacao === 'aprovado') {
+    throw new VerificationError('Seu cadastro de produtor já está aprovado');
+  }
+
+  const errors = [];
+  const cpfCnpj = parseCpfCnpj(documento);
+  const numeroDapCaf = normalizeDapCaf(dapCaf);
+
+  if (!cpfCnpj) {
+    errors.push('CPF ou CNPJ inválido');
+  }
+
+  if (!numeroDapCaf) {
+    errors.push('Número da DAP/CAF inválido');
+  }
+
+  if (!Array.isArray(documentos) || documentos.length === 0) {
+    errors.push('Envie pelo menos um documento comprobatório');
+  } else {
+    const quantidade = errors.length;
+
+    documentos.forEach((doc, i) => {
+      if (!doc || !TIPOS_DOCUMENTO.includes(doc.tipo)) {
+        errors.push(`Documento ${i + 1}: tipo deve ser um de: ${TIPOS_DOCUMENTO.join(', ')}`);
+      }
+      if (!doc || !doc.url || !/^https?:\/\/\S+$/.test(doc.url)) {
+        errors.push(`Documento ${i + 1}: URL inválida`);
+      }
+    });
+
+    if (errors.length === quantidade && !documentos.some(doc => doc.tipo === 'dap_caf')) {
+      errors.push('Envie o comprovante da DAP/CAF');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new VerificationError('Dados inválidos', errors);
+  }
+
+  const emUso = await User.findOne({
+    where: { documento: cpfCnpj.numero, id: { [Op.ne]: user.id } }
+  });
+  if (emUso) {
+    throw new DocumentConflictError('CPF/CNPJ já cadastrado por outro produtor');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    // Cada envio substitui os comprovantes anteriores
+    await VerificationDocument.destroy({ where: { userId: user.id }, transaction });
+    await VerificationDocument.bulkCreate(documentos.map(doc => ({
+      userId: user.id,
+      tipo: doc.tipo,
+      nome: doc.nome || null,
+      url: doc.url
+    })), { transaction, validate: true });
+
+    await user.update({
+      documento: cpfCnpj.numero,
+      tipoDocumento: cpfCnpj.tipo,
+      dapCaf: numeroDapCaf,
+      statusVerificacao: 'pendente',
+      motivoRejeicao: null,
+      verificacaoEnviadaEm: new Date(),
+      verificadoEm: null,
+      verificadoPorId: null
+    }, { transaction });
+  });
+
+  return getVerification(user.id);
+};
+
+/**
+ * Obtém os dados de verificação de um produtor
+ * @param {number} userId - ID do produtor
+ * @returns {Promise<Object|null>} - Produtor com documentos
+ */
+const getVerification = (userId) => User.findOne({
+  where: { id: userId, statusVerificacao: { [Op.ne]: null } },
+  include: [
+    { model: VerificationDocument, as: 'documentosVerificacao' },
+    { model: User, as: 'verificadoPor', attributes: ['id', 'nome'] }
+  ]
+});
+
+/**
+ * Aprova ou rejeita uma verificação pendente
+ * @param {Object} producer - Produtor
+ * @param {Object} admin - Administrador responsável
+ * @param {Object} decision - { aprovado, motivo }
+ * @param {Object} transaction - Transação opcional
+ * @returns {Promise<Object>} - Produtor atualizado
+ * @throws {VerificationError}
+ */
+const reviewVerification = async (producer, admin, { aprovado, motivo }, transaction) => {
+  if (producer.statusVerificacao !== 'pendente') {
+    throw new VerificationError('Só é possível analisar verificações pendentes');
+  }
+
+  if (!aprovado && !motivo) {
+    throw new VerificationError('Motivo da rejeição é obrigatório');
+  }
+
+  await producer.update({
+    statusVerificacao: aprovado ? 'aprovado' : 'rejeitado',
+    motivoRejeicao: aprovado ? null : motivo,
+    verificadoEm: new Date(),
+    verificadoPorId: admin.id
+  }, { transaction });
+
+  return producer;
+};
+
+/**
+ * Avisa o produtor sobre o resultado da análise
+ * @param {Object} producer - Produtor já atualizado
+ */
+const notifyReview = (producer) => notify(producer, producer.statusVerificacao === 'aprovado'
+  ? emailTemplates.verificacaoProdutorAprovada(producer)
+  : emailTemplates.verificacaoProdutorRejeitada(producer, producer.motivoRejeicao));
+
+module.exports = {
+  VerificationError,
+  DocumentConflictError,
+  submitVerification,
+  getVerification,
+  reviewVerification,
+  notifyReview
+};
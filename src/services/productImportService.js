@@ -0,0 +1,425 @@
+const { Op } = require('sequelize');
+const { Product, Category, ProductImport } = require('../models');
+const config = require('../config');
+const { getProductErrors } = require('../middleware/validation');
+const { normalizeText } = require('../utils/text');
+const { readSpreadsheet, writeSpreadsheet } = require('../utils/spreadsheet');
+
+/**
+ * Serviço de importação e exportação de produtos por planilha
+ * Cada linha é um produto identificado pelo SKU do produtor: SKU novo cria o produto,
+ * SKU existente atualiza. As linhas passam pelas mesmas regras da rota de produtos
+ * (validateProduct) e do modelo; as que falham são relatadas e as demais seguem
+ */
+
+// Colunas da planilha, na ordem da exportação
+const COLUNAS = [
+  'sku', 'nome', 'descricao', 'categoria', 'preco', 'unidadeMedida',
+  'estoque', 'quantidadeMinima', 'incremento', 'promocao', 'percentualDesconto', 'imagemUrl'
+];
+
+const COLUNAS_OBRIGATORIAS = ['sku', 'nome', 'categoria', 'preco', 'unidadeMedida'];
+
+// Linhas processadas entre uma atualização de andamento e outra
+const LOTE_ANDAMENTO = 100;
+
+// Importações sem andamento por esse tempo foram interrompidas (ex.: reinício do servidor)
+const MINUTOS_SEM_ANDAMENTO = 30;
+
+const TIPOS_ARQUIVO = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Erro de arquivo recusado (ilegível, sem cabeçalho, grande demais)
+ */
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+/**
+ * Formato da planilha pela extensão do arquivo
+ * @param {string} nomeArquivo - Nome original do arquivo
+ * @returns {string|null} - csv, xlsx ou null se não for aceito
+ */
+const detectFormat = (nomeArquivo) => {
+  const extensao = String(nomeArquivo || '').toLowerCase().split('.').pop();
+  return TIPOS_ARQUIVO[extensao] ? extensao : null;
+};
+
+/**
+ * Identifica as colunas pelo cabeçalho, ignorando acentos, maiúsculas e espaços
+ * ("Unidade Medida" e "unidadeMedida" são a mesma coluna)
+ * @param {Array<string>} cabecalho - Primeira linha da planilha
+ * @returns {Object} - coluna => posição
+ * @throws {ImportError} - Colunas obrigatórias ausentes
+ */
+const mapColumns = (cabecalho) => {
+  const chave = texto => normalizeText(texto).replace(/ /g, '');
+  const porChave = Object.fromEntries(COLUNAS.map(coluna => [chave(coluna), coluna]));
+
+  const posicoes = {};
+  cabecalho.forEach((titulo, posicao) => {
+    const coluna = porChave[chave(titulo)];
+    if (coluna && posicoes[coluna] === undefined) {
+      posicoes[coluna] = posicao;
+    }
+  });
+
+  const ausentes = COLUNAS_OBRIGATORIAS.filter(coluna => posicoes[coluna] === undefined);
+  if (ausentes.length > 0) {
+    throw new ImportError(`Colunas obrigatórias ausentes no cabeçalho: ${ausentes.join(', ')}`);
+  }
+
+  return posicoes;
+};
+
+/**
+ * Lê a planilha enviada
+ * @param {Buffer} conteudo - Arquivo enviado
+ * @param {string} formato - csv ou xlsx
+ * @returns {Promise<Array<Object>>} - [{ linha, valores }] (linha conta a partir do cabeçalho = 1)
+ * @throws {ImportError}
+ */
+const readRows = async (conteudo, formato) => {
+  let linhas;
+  try {
+    linhas = await readSpreadsheet(conteudo, formato);
+  } catch (err) {
+    throw new ImportError('Não foi possível ler a planilha; confira se o arquivo é um CSV ou XLSX válido');
+  }
+
+  if (linhas.length === 0) {
+    throw new ImportError('A planilha está vazia');
+  }
+
+  const posicoes = mapColumns(linhas[0]);
+
+  const registros = linhas.slice(1)
+    .map((valores, indice) => ({
+      linha: indice + 2,
+      valores: Object.fromEntries(Object.entries(posicoes)
+        .map(([coluna, posicao]) => [coluna, String(valores[posicao] || '').trim()]))
+    }))
+    // Linhas totalmente em branco (comuns no fim das planilhas) são ignoradas
+    .filter(({ valores }) => Object.values(valores).some(Boolean));
+
+  if (registros.length === 0) {
+    throw new ImportError('A planilha não tem nenhum produto');
+  }
+
+  if (registros.length > config.imports.maxRows) {
+    throw new ImportError(`A planilha pode ter no máximo ${config.imports.maxRows} produtos`);
+  }
+
+  return registros;
+};
+
+/**
+ * Número escrito à brasileira ("1.234,50") ou com ponto decimal ("1234.50")
+ * @param {string} texto - Valor da célula
+ * @returns {string} - Número com ponto decimal (inválidos seguem como vieram para a validação)
+ */
+const parseDecimal = (texto) => (texto.includes(',')
+  ? texto.replace(/\./g, '').replace(',', '.')
+  : texto);
+
+/**
+ * Sim/não da planilha
+ * @param {string} texto - Valor da célula
+ * @returns {boolean|null} - null quando não for reconhecido
+ */
+const parseBoolean = (texto) => {
+  const valor = normalizeText(texto);
+  if (['sim', 's', 'true', '1', 'x'].includes(valor)) return true;
+  if (['nao', 'n', 'false', '0'].includes(valor)) return false;
+  return null;
+};
+
+/**
+ * Converte os valores de uma linha nos dados do produto
+ * Células vazias não são informadas: na criação valem os padrões, na atualização fica o valor atual
+ * @param {Object} valores - coluna => texto
+ * @param {Map} categorias - nome normalizado => categoria
+ * @returns {Object} - { dados, erros }
+ */
+const toProductData = (valores, categorias) => {
+  const dados = {};
+  const erros = [];
+
+  if (valores.sku) dados.sku = valores.sku;
+  if (valores.nome) dados.nome = valores.nome;
+  if (valores.descricao) dados.descricao = valores.descricao;
+  if (valores.preco) dados.preco = parseDecimal(valores.preco);
+  if (valores.unidadeMedida) dados.unidadeMedida = valores.unidadeMedida.toLowerCase();
+  if (valores.estoque) dados.estoque = parseDecimal(valores.estoque);
+  if (valores.quantidadeMinima) dados.quantidadeMinima = parseDecimal(valores.quantidadeMinima);
+  if (valores.incremento) dados.incremento = parseDecimal(valores.incremento);
+  if (valores.imagemUrl) dados.imagemUrl = valores.imagemUrl;
+
+  if (valores.categoria) {
+    const categoria = categorias.get(normalizeText(valores.categoria));
+    if (categoria) {
+      dados.categoryId = categoria.id;
+    } else {
+      erros.push(`Categoria "${valores.categoria}" não encontrada`);
+    }
+  }
+
+  if (valores.promocao) {
+    const promocao = parseBoolean(valores.promocao);
+    if (promocao === null) {
+      erros.push('Promoção deve ser "sim" ou "não"');
+    } else {
+      dados.promocao = promocao;
+      // Como na rota de produtos, o desconto só vale com a promoção ativa
+      if (!promocao) {
+        dados.percentualDesconto = null;
+      } else if (valores.percentualDesconto) {
+        dados.percentualDesconto = parseDecimal(valores.percentualDesconto);
+      }
+    }
+  }
+
+  return { dados, erros };
+};
+
+/**
+ * Confere todas as linhas e decide o que cada uma faz
+ * @param {number} produtorId - Produtor dono dos produtos
+ * @param {Array<Object>} registros - Linhas lidas por readRows
+ * @returns {Promise<Array<Object>>} - [{ linha, sku, dados, produto, erros }] (produto: o existente, se houver)
+ */
+const validateRows = async (produtorId, registros) => {
+  const categorias = new Map((await Category.findAll({ where: { ativo: true } }))
+    .map(categoria => [normalizeText(categoria.nome), categoria]));
+
+  const skus = [...new Set(registros.map(({ valores }) => valores.sku).filter(Boolean))];
+  const existentes = new Map((await Product.findAll({
+    where: { produtorId, sku: { [Op.in]: skus } }
+  })).map(produto => [produto.sku, produto]));
+
+  const primeiraLinha = new Map();
+
+  const resultados = [];
+  for (const { linha, valores } of registros) {
+    const { dados, erros } = toProductData(valores, categorias);
+    const produto = existentes.get(valores.sku) || null;
+
+    if (!valores.sku) {
+      erros.push('SKU é obrigatório para importar');
+    } else if (primeiraLinha.has(valores.sku)) {
+      erros.push(`SKU repetido (já usado na linha ${primeiraLinha.get(valores.sku)})`);
+    } else {
+      primeiraLinha.set(valores.sku, linha);
+    }
+
+    // Na atualização, o que a linha não informa vem do produto atual
+    const completo = { ...(produto && produto.get({ plain: true })), ...dados, produtorId };
+
+    // Categoria desconhecida já foi relatada acima
+    erros.push(...getProductErrors(completo)
+      .filter(mensagem => !(mensagem.startsWith('Categoria') && valores.categoria)));
+
+    if (erros.length === 0) {
+      try {
+        await Product.build(completo).validate();
+      } catch (err) {
+        if (err.name !== 'SequelizeValidationError') throw err;
+        erros.push(...err.errors.map(item => item.message));
+      }
+    }
+
+    resultados.push({ linha, sku: valores.sku || null, dados, produto, erros });
+  }
+
+  return resultados;
+};
+
+/**
+ * Grava uma linha válida (cria ou atualiza pelo SKU)
+ * @param {number} produtorId - Produtor dono dos produtos
+ * @param {Object} resultado - Linha conferida por validateRows
+ * @returns {Promise<string>} - criado ou atualizado
+ */
+const applyRow = async (produtorId, { dados, produto }) => {
+  if (produto) {
+    await produto.update(dados);
+    return 'atualizado';
+  }
+
+  await Product.create({ ...dados, produtorId });
+  return 'criado';
+};
+
+/**
+ * Processa uma importação registrada
+ * Na simulação as linhas só são conferidas e os totais dizem o que aconteceria
+ * @param {Object} importacao - Registro da importação
+ * @param {Array<Object>} registros - Linhas lidas por readRows
+ * @returns {Promise<Object>} - Importação atualizada
+ */
+const processImport = async (importacao, registros) => {
+  try {
+    await importacao.update({ status: 'processando' });
+
+    const resultados = await validateRows(importacao.produtorId, registros);
+    const totais = { criados: 0, atualizados: 0 };
+    const erros = [];
+
+    for (const [indice, resultado] of resultados.entries()) {
+      if (resultado.erros.length > 0) {
+        erros.push({ linha: resultado.linha, sku: resultado.sku, erros: resultado.erros });
+      } else if (importacao.simulacao) {
+        totais[resultado.produto ? 'atualizados' : 'criados'] += 1;
+      } else {
+        try {
+          const acao = await applyRow(importacao.produtorId, resultado);
+          totais[acao === 'criado' ? 'criados' : 'atualizados'] += 1;
+        } catch (err) {
+          const mensagens = {
+            SequelizeUniqueConstraintError: ['SKU já cadastrado em outro produto'],
+            SequelizeValidationError: (err.errors || []).map(item => item.message)
+          };
+          if (!mensagens[err.name]) throw err;
+          erros.push({ linha: resultado.linha, sku: resultado.sku, erros: mensagens[err.name] });
+        }
+      }
+
+      if ((indice + 1) % LOTE_ANDAMENTO === 0) {
+        await importacao.update({ linhasProcessadas: indice + 1, ...totais, comErro: erros.length });
+      }
+    }
+
+    return importacao.update({
+      status: 'concluida',
+      linhasProcessadas: resultados.length,
+      ...totais,
+      comErro: erros.length,
+      erros,
+      concluidaEm: new Date()
+    });
+  } catch (err) {
+    console.error(`Erro ao processar a importação ${importacao.id}:`, err);
+    return importacao.update({
+      status: 'falhou',
+      mensagem: 'Erro inesperado ao processar a planilha; tente novamente',
+      concluidaEm: new Date()
+    });
+  }
+};
+
+/**
+ * Registra e executa a importação de uma planilha
+ * Simulações e planilhas pequenas são processadas na hora; as grandes seguem em segundo plano
+ * @param {number} produtorId - Produtor dono dos produtos
+ * @param {Object} arquivo - { buffer, originalname } (arquivo recebido pelo multer)
+ * @param {Object} options - { simulacao }
+ * @returns {Promise<Object>} - { importacao, emSegundoPlano }
+ * @throws {ImportError}
+ */
+const startImport = async (produtorId, arquivo, { simulacao = false } = {}) => {
+  const formato = detectFormat(arquivo.originalname);
+  if (!formato) {
+    throw new ImportError('Formato não suportado; envie um arquivo .csv ou .xlsx');
+  }
+
+  const registros = await readRows(arquivo.buffer, formato);
+
+  const importacao = await ProductImport.create({
+    produtorId,
+    nomeArquivo: arquivo.originalname,
+    formato,
+    simulacao,
+    totalLinhas: registros.length
+  });
+
+  if (simulacao || registros.length <= config.imports.syncMaxRows) {
+    await processImport(importacao, registros);
+    return { importacao, emSegundoPlano: false };
+  }
+
+  // processImport registra as próprias falhas na importação
+  setImmediate(() => processImport(importacao, registros));
+  return { importacao, emSegundoPlano: true };
+};
+
+/**
+ * Exporta os produtos ativos do produtor, nas mesmas colunas aceitas pela importação
+ * @param {number} produtorId - Produtor dono dos produtos
+ * @param {string} formato - csv ou xlsx
+ * @returns {Promise<Object>} - { conteudo, contentType, nomeArquivo }
+ */
+const exportProducts = async (produtorId, formato) => {
+  const produtos = await Product.findAll({
+    where: { produtorId, ativo: true },
+    include: [{ model: Category, as: 'categoria', attributes: ['nome'] }],
+    order: [['nome', 'ASC']]
+  });
+
+  const linhas = produtos.map(produto => [
+    produto.sku,
+    produto.nome,
+    produto.descricao,
+    produto.categoria ? produto.categoria.nome : null,
+    Number(produto.preco),
+    produto.unidadeMedida,
+    produto.estoque,
+    produto.quantidadeMinima,
+    produto.incremento,
+    produto.promocao ? 'sim' : 'não',
+    produto.percentualDesconto,
+    produto.imagemUrl
+  ]);
+
+  return {
+    conteudo: await writeSpreadsheet([COLUNAS, ...linhas], formato, 'Produtos'),
+    contentType: TIPOS_ARQUIVO[formato],
+    nomeArquivo: `produtos.${formato}`
+  };
+};
+
+/**
+ * Relatório dos erros de uma importação, em CSV (linha, sku e os motivos)
+ * @param {Object} importacao - Registro da importação
+ * @returns {Promise<Buffer>} - Conteúdo do arquivo
+ */
+const buildErrorReport = (importacao) => writeSpreadsheet([
+  ['linha', 'sku', 'erros'],
+  ...importacao.erros.map(({ linha, sku, erros }) => [linha, sku, erros.join('; ')])
+], 'csv');
+
+/**
+ * Marca como falhas as importações em segundo plano que pararam de andar
+ * (o processo que as executava foi encerrado)
+ * @returns {Promise<number>} - Importações marcadas
+ */
+const failStalledImports = async () => {
+  const limite = new Date(Date.now() - MINUTOS_SEM_ANDAMENTO * 60 * 1000);
+
+  const [marcadas] = await ProductImport.update({
+    status: 'falhou',
+    mensagem: 'A importação foi interrompida; envie a planilha novamente',
+    concluidaEm: new Date()
+  }, {
+    where: { status: { [Op.in]: ['pendente', 'processando'] }, updatedAt: { [Op.lt]: limite } }
+  });
+
+  return marcadas;
+};
+
+module.exports = {
+  COLUNAS,
+  TIPOS_ARQUIVO,
+  ImportError,
+  detectFormat,
+  startImport,
+  processImport,
+  exportProducts,
+  buildErrorReport,
+  failStalledImports
+};
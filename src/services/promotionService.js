@@ -0,0 +1,131 @@
+const { Promotion, Product, Category, User, OrderItem } = require('../models');
+
+/**
+ * Serviço de campanhas de promoção
+ * Regras de cadastro compartilhadas pelo painel do produtor e pela administração
+ */
+
+// Campo do alvo de cada escopo
+const ALVOS = { produto: 'productId', produtor: 'produtorId', categoria: 'categoryId' };
+
+// Valores exigidos por cada tipo
+const VALORES_POR_TIPO = {
+  percentual: ['percentual'],
+  valor_fixo: ['valorDesconto'],
+  faixa_quantidade: ['quantidadeFaixa', 'precoFaixa'],
+  leve_pague: ['leve', 'pague']
+};
+
+const CAMPOS_PROMOCAO = [
+  'nome', 'tipo', 'escopo', 'productId', 'produtorId', 'categoryId',
+  ...Object.values(VALORES_POR_TIPO).flat(),
+  'inicioEm', 'fimEm', 'ativo'
+];
+
+/**
+ * Erro de alvo da campanha inexistente (ou de outro produtor)
+ */
+class PromotionTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromotionTargetError';
+  }
+}
+
+/**
+ * Campos da campanha enviados na requisição
+ * @param {Object} body - Corpo da requisição
+ * @returns {Object} - Apenas os campos informados (nome sem espaços nas pontas)
+ */
+const pickPromotionData = (body) => {
+  const dados = {};
+  for (const campo of CAMPOS_PROMOCAO) {
+    if (body[campo] !== undefined) {
+      dados[campo] = campo === 'nome' ? String(body[campo]).trim() : body[campo];
+    }
+  }
+  return dados;
+};
+
+/**
+ * Confere o alvo da campanha; no escopo produto, guarda também o produtor do produto
+ * @param {Object} promocao - Campanha com os dados novos
+ * @param {number} dono - Produtor que cadastra (só os próprios produtos); ausente para administradores
+ * @throws {PromotionTargetError}
+ */
+const resolveTarget = async (promocao, dono) => {
+  if (promocao.escopo === 'produto') {
+    const product = promocao.productId && await Product.findByPk(promocao.productId);
+    if (!product || (dono && product.produtorId !== dono)) {
+      throw new PromotionTargetError('Produto não encontrado');
+    }
+    promocao.produtorId = product.produtorId;
+  }
+
+  if (promocao.escopo === 'produtor' && promocao.produtorId) {
+    // Vale o conjunto de papéis: quem começou como consumidor pode ter passado a vender
+    const produtor = await User.findByPk(promocao.produtorId);
+    if (!produtor || !produtor.temPapel('produtor')) {
+      throw new PromotionTargetError('Produtor não encontrado');
+    }
+  }
+
+  if (promocao.escopo === 'categoria' && promocao.categoryId && !(await Category.findByPk(promocao.categoryId))) {
+    throw new PromotionTargetError('Categoria não encontrada');
+  }
+};
+
+/**
+ * Aplica os dados e salva a campanha
+ * Valores de outros tipos e alvos de outros escopos são limpos, para a campanha não guardar restos
+ * de uma configuração anterior
+ * @param {Object} promocao - Campanha (nova ou existente)
+ * @param {Object} dados - Campos enviados
+ * @param {Object} options - { dono }: produtor que cadastra, restrito aos próprios produtos
+ * @returns {Promise<Object>} - Campanha salva
+ * @throws {PromotionTargetError}
+ */
+const savePromotion = async (promocao, dados, { dono } = {}) => {
+  promocao.set(dados);
+
+  for (const [tipo, campos] of Object.entries(VALORES_POR_TIPO)) {
+    if (tipo !== promocao.tipo) {
+      campos.forEach(campo => promocao.set(campo, null));
+    }
+  }
+  for (const [escopo, campo] of Object.entries(ALVOS)) {
+    if (escopo !== promocao.escopo) {
+      promocao.set(campo, null);
+    }
+  }
+
+  if (promocao.isNewRecord || Object.values(ALVOS).some(campo => promocao.changed(campo)) || promocao.changed('escopo')) {
+    await resolveTarget(promocao, dono);
+  }
+
+  return promocao.save();
+};
+
+/**
+ * Remove a campanha, ou só desativa se ela já foi aplicada em pedidos
+ * @param {Object} promocao - Campanha
+ * @returns {Promise<boolean>} - true se a campanha foi apagada
+ */
+const removePromotion = async (promocao) => {
+  if (await OrderItem.count({ where: { promotionId: promocao.id } }) > 0) {
+    await promocao.update({ ativo: false });
+    return false;
+  }
+
+  await promocao.destroy();
+  return true;
+};
+
+module.exports = {
+  ALVOS,
+  VALORES_POR_TIPO,
+  PromotionTargetError,
+  pickPromotionData,
+  savePromotion,
+  removePromotion
+};
@@ -0,0 +1,210 @@
+const { Op } = require('sequelize');
+const { sequelize, Review, ReviewReport, Order, OrderItem, Product } = require('../models');
+
+/**
+ * Serviço de avaliações
+ * Só quem recebeu o produto avalia (item de um pedido entregue, uma avaliação por item).
+ * A nota média do produto é mantida pelos hooks do modelo Review; aqui ficam as regras de
+ * quem pode avaliar, a resposta do produtor e a moderação das denúncias
+ */
+
+// Denúncias que tiram a avaliação do ar até um administrador decidir
+const DENUNCIAS_PARA_ANALISE = 3;
+
+/**
+ * Erro base das avaliações
+ */
+class ReviewError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReviewError';
+  }
+}
+
+/**
+ * O item não é de um pedido entregue do consumidor
+ */
+class ReviewNotAllowedError extends ReviewError {
+  constructor() {
+    super('Você só pode avaliar produtos de pedidos seus que já foram entregues');
+    this.name = 'ReviewNotAllowedError';
+  }
+}
+
+/**
+ * O item já foi avaliado, ou a avaliação já foi denunciada pelo usuário
+ */
+class ReviewConflictError extends ReviewError {
+  constructor(message) {
+    super(message);
+    this.name = 'ReviewConflictError';
+  }
+}
+
+/**
+ * Cria a avaliação de um item recebido
+ * @param {Object} user - Consumidor autenticado
+ * @param {Object} dados - { orderItemId, nota, comentario }
+ * @returns {Promise<Object>} - Avaliação criada
+ * @throws {ReviewNotAllowedError|ReviewConflictError}
+ */
+const createReview = async (user, { orderItemId, nota, comentario }) => {
+  const item = await OrderItem.findOne({
+    where: {
+      id: orderItemId,
+      // Reservas de colheita canceladas não chegaram ao consumidor
+      statusReserva: { [Op.or]: [{ [Op.is]: null }, { [Op.ne]: 'cancelado' }] }
+    },
+    include: [
+      { model: Order, as: 'pedido', where: { consumidorId: user.id, status: 'entregue' }, attributes: ['id'] },
+      { model: Product, as: 'produto', attributes: ['id', 'produtorId'] }
+    ]
+  });
+
+  if (!item) {
+    throw new ReviewNotAllowedError();
+  }
+
+  try {
+    return await Review.create({
+      orderItemId: item.id,
+      productId: item.productId,
+      consumidorId: user.id,
+      produtorId: item.produto.produtorId,
+      nota,
+      comentario: comentario || null
+    });
+  } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      throw new ReviewConflictError('Este item já foi avaliado; edite a avaliação existente');
+    }
+    throw err;
+  }
+};
+
+/**
+ * Registra a resposta pública do produtor
+ * @param {Object} review - Avaliação
+ * @param {string} resposta - Texto da resposta (vazio apaga a resposta)
+ * @returns {Promise<Object>} - Avaliação atualizada
+ */
+const replyReview = (review, resposta) => review.update({
+  resposta: resposta || null,
+  respondidaEm: resposta ? new Date() : null
+});
+
+/**
+ * Denuncia uma avaliação
+ * Ao atingir DENUNCIAS_PARA_ANALISE a avaliação sai do ar até a decisão de um administrador;
+ * depois de uma decisão, as novas denúncias só entram na fila de moderação
+ * @param {Object} review - Avaliação
+ * @param {Object} user - Usuário que denuncia
+ * @param {string} motivo - Motivo informado
+ * @returns {Promise<Object>} - Avaliação atualizada
+ * @throws {ReviewConflictError}
+ */
+const reportReview = async (review, user, motivo) => {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      await ReviewReport.create({ reviewId: review.id, userId: user.id, motivo }, { transaction });
+
+      // Contagem e mudança de status no banco: denúncias simultâneas não se perdem
+      await review.increment('denuncias', { transaction });
+      await Review.update({ status: 'em_analise' }, {
+        where: {
+          id: review.id,
+          status: 'publicada',
+          moderadaEm: null,
+          denuncias: { [Op.gte]: DENUNCIAS_PARA_ANALISE }
+        },
+        individualHooks: true,
+        transaction
+      });
+    });
+  } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      throw new ReviewConflictError('Você já denunciou esta avaliação');
+    }
+    throw err;
+  }
+
+  return review.reload();
+};
+
+/**
+ * Decisão de um administrador sobre uma avaliação
+ * @param {Object} review - Avaliação
+ * @param {string} status - publicada ou removida
+ * @param {Object} transaction - Transação opcional
+ * @returns {Promise<Object>} - Avaliação atualizada
+ */
+const moderateReview = (review, status, transaction) => review.update({ status, moderadaEm: new Date() }, { transaction });
+
+/**
+ * Nota média e total de avaliações por produtor
+ * @param {Array<number>} produtorIds - Produtores
+ * @returns {Promise<Map>} - produtorId => { notaMedia, totalAvaliacoes } (só produtores avaliados)
+ */
+const getProducerRatings = async (produtorIds) => {
+  if (produtorIds.length === 0) {
+    return new Map();
+  }
+
+  const resumos = await Review.findAll({
+    where: { produtorId: { [Op.in]: produtorIds }, status: 'publicada' },
+    attributes: [
+      'produtorId',
+      [sequelize.fn('AVG', sequelize.col('nota')), 'media'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'total']
+    ],
+    group: ['produtorId'],
+    raw: true
+  });
+
+  return new Map(resumos.map(resumo => [Number(resumo.produtorId), {
+    notaMedia: parseFloat(Number(resumo.media).toFixed(2)),
+    totalAvaliacoes: Number(resumo.total)
+  }]));
+};
+
+/**
+ * Nota de um produtor, com o padrão para quem ainda não foi avaliado
+ * @param {Map} notas - Resultado de getProducerRatings
+ * @param {number} produtorId - Produtor
+ * @returns {Object} - { notaMedia, totalAvaliacoes }
+ */
+const ratingOf = (notas, produtorId) => notas.get(Number(produtorId)) || { notaMedia: null, totalAvaliacoes: 0 };
+
+/**
+ * Quantas avaliações publicadas o produto tem de cada nota
+ * @param {number} productId - Produto
+ * @returns {Promise<Object>} - { 1: n, 2: n, 3: n, 4: n, 5: n }
+ */
+const getRatingDistribution = async (productId) => {
+  const contagens = await Review.findAll({
+    where: { productId, status: 'publicada' },
+    attributes: ['nota', [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+    group: ['nota'],
+    raw: true
+  });
+
+  const distribuicao = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const { nota, total } of contagens) {
+    distribuicao[nota] = Number(total);
+  }
+  return distribuicao;
+};
+
+module.exports = {
+  DENUNCIAS_PARA_ANALISE,
+  ReviewError,
+  ReviewNotAllowedError,
+  ReviewConflictError,
+  createReview,
+  replyReview,
+  reportReview,
+  moderateReview,
+  getProducerRatings,
+  ratingOf,
+  getRatingDistribution
+};
@@ -0,0 +1,172 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize, isPostgres } = require('../config/database');
+const { toStems, stemWord, toSearchTerms } = require('../utils/text');
+
+/**
+ * Serviço de busca textual de produtos
+ * Mantém o índice product_search com nome, categoria, descrição e nome do produtor:
+ * - SQLite: tabela virtual FTS5 com os radicais calculados em utils/text
+ * - PostgreSQL: tsvector com unaccent e o dicionário "portuguese"
+ * O nome do produto pesa mais que categoria, que pesa mais que descrição e produtor.
+ */
+
+const TABELA = 'product_search';
+
+// Limite de produtos devolvidos pela busca (a paginação é feita sobre eles)
+const MAX_RESULTADOS = 1000;
+
+// Pesos do bm25 do FTS5, na ordem das colunas (nome, categoria, descricao, produtor)
+const PESOS_SQLITE = [10, 4, 2, 2];
+
+/**
+ * Cria a estrutura do índice, se ainda não existir
+ * Usado pela migração e pelo sync dos testes
+ * @param {Object} db - Instância do Sequelize
+ */
+const ensureSearchIndex = async (db = sequelize) => {
+  if (isPostgres(db)) {
+    await db.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+    await db.query(`CREATE TABLE IF NOT EXISTS ${TABELA} (
+      "productId" INTEGER PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+      documento TSVECTOR NOT NULL
+    )`);
+    await db.query(`CREATE INDEX IF NOT EXISTS ${TABELA}_documento ON ${TABELA} USING GIN (documento)`);
+    return;
+  }
+
+  await db.query(`CREATE VIRTUAL TABLE IF NOT EXISTS ${TABELA}
+    USING fts5(nome, categoria, descricao, produtor, tokenize = 'unicode61 remove_diacritics 2')`);
+};
+
+/**
+ * Remove a estrutura do índice
+ * @param {Object} db - Instância do Sequelize
+ */
+const dropSearchIndex = (db = sequelize) => db.query(`DROP TABLE IF EXISTS ${TABELA}`);
+
+/**
+ * Monta o filtro SQL dos produtos a reindexar
+ * @param {Object|null} filtro - { ids }, { categoryId } ou { produtorId }; null para todos
+ * @returns {Object} - { condicao, replacements }
+ */
+const buildFilter = (filtro) => {
+  if (!filtro) {
+    return { condicao: '1 = 1', replacements: {} };
+  }
+  if (filtro.ids) {
+    return { condicao: 'p.id IN (:valor)', replacements: { valor: filtro.ids } };
+  }
+  if (filtro.categoryId) {
+    return { condicao: 'p."categoryId" = :valor', replacements: { valor: filtro.categoryId } };
+  }
+  return { condicao: 'p."produtorId" = :valor', replacements: { valor: filtro.produtorId } };
+};
+
+/**
+ * Atualiza o índice dos produtos informados
+ * @param {Object|null} filtro - { ids }, { categoryId } ou { produtorId }; null reindexa tudo
+ * @param {Object} options - { db, transaction }
+ */
+const indexProducts = async (filtro, { db = sequelize, transaction } = {}) => {
+  const { condicao, replacements } = buildFilter(filtro);
+  const origem = `FROM products p
+    LEFT JOIN categories c ON c.id = p."categoryId"
+    LEFT JOIN users u ON u.id = p."produtorId"
+    WHERE ${condicao}`;
+
+  if (isPostgres(db)) {
+    const vetor = (campo, peso) => `setweight(to_tsvector('portuguese', unaccent(coalesce(${campo}, ''))), '${peso}')`;
+
+    await db.query(`INSERT INTO ${TABELA} ("productId", documento)
+      SELECT p.id, ${vetor('p.nome', 'A')} || ${vetor('c.nome', 'B')} || ${vetor('p.descricao', 'C')} || ${vetor('u.nome', 'C')}
+      ${origem}
+      ON CONFLICT ("productId") DO UPDATE SET documento = EXCLUDED.documento`, { replacements, transaction });
+    return;
+  }
+
+  const produtos = await db.query(
+    `SELECT p.id, p.nome, p.descricao, c.nome AS categoria, u.nome AS produtor ${origem}`,
+    { replacements, transaction, type: QueryTypes.SELECT }
+  );
+
+  for (const produto of produtos) {
+    await db.query(`DELETE FROM ${TABELA} WHERE rowid = :id`, { replacements: { id: produto.id }, transaction });
+    await db.query(
+      `INSERT INTO ${TABELA} (rowid, nome, categoria, descricao, produtor) VALUES (:id, :nome, :categoria, :descricao, :produtor)`,
+      {
+        replacements: {
+          id: produto.id,
+          nome: toStems(produto.nome),
+          categoria: toStems(produto.categoria),
+          descricao: toStems(produto.descricao),
+          produtor: toStems(produto.produtor)
+        },
+        transaction
+      }
+    );
+  }
+};
+
+/**
+ * Remove do índice os produtos que não existem mais
+ * @param {Object} options - { db, transaction }
+ */
+const pruneSearchIndex = ({ db = sequelize, transaction } = {}) => {
+  const coluna = isPostgres(db) ? '"productId"' : 'rowid';
+  return db.query(`DELETE FROM ${TABELA} WHERE ${coluna} NOT IN (SELECT id FROM products)`, { transaction });
+};
+
+/**
+ * Busca produtos pelo texto digitado, do mais para o menos relevante
+ * Cada termo precisa aparecer (como prefixo) em algum dos campos indexados
+ * @param {string} busca - Texto digitado
+ * @param {Object} options - { db }
+ * @returns {Promise<Array<number>>} - IDs dos produtos encontrados, ordenados por relevância
+ */
+const searchProductIds = async (busca, { db = sequelize } = {}) => {
+  const termos = toSearchTerms(busca);
+  if (termos.length === 0) {
+    return [];
+  }
+
+  let linhas;
+  if (isPostgres(db)) {
+    linhas = await db.query(
+      `SELECT "productId" AS id, ts_rank(documento, consulta) AS relevancia
+      FROM ${TABELA}, to_tsquery('portuguese', :consulta) consulta
+      WHERE documento @@ consulta
+      ORDER BY relevancia DESC
+      LIMIT ${MAX_RESULTADOS}`,
+      { replacements: { consulta: termos.map(termo => `${termo}:*`).join(' & ') }, type: QueryTypes.SELECT }
+    );
+  } else {
+    linhas = await db.query(
+      `SELECT rowid AS id FROM ${TABELA}
+      WHERE ${TABELA} MATCH :consulta
+      ORDER BY bm25(${TABELA}, ${PESOS_SQLITE.join(', ')})
+      LIMIT ${MAX_RESULTADOS}`,
+      { replacements: { consulta: termos.map(termo => `"${stemWord(termo)}"*`).join(' ') }, type: QueryTypes.SELECT }
+    );
+  }
+
+  return linhas.map(linha => Number(linha.id));
+};
+
+/**
+ * Ordenação pela posição de cada produto no resultado da busca
+ * @param {Array<number>} ids - IDs na ordem de relevância
+ * @param {string} alias - Alias da tabela de produtos na consulta
+ * @returns {Object} - Expressão para o "order" do Sequelize
+ */
+const orderByRelevance = (ids, alias = 'Product') => sequelize.literal(
+  `CASE "${alias}"."id" ${ids.map((id, posicao) => `WHEN ${Number(id)} THEN ${posicao}`).join(' ')} END`
+);
+
+module.exports = {
+  ensureSearchIndex,
+  dropSearchIndex,
+  indexProducts,
+  pruneSearchIndex,
+  searchProductIds,
+  orderByRelevance
+};
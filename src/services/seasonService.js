@@ -0,0 +1,228 @@
+const { Op } = require('sequelize');
+const { sequelize, Product, ProductSeason, CartItem } = require('../models');
+
+/**
+ * Serviço de safra
+ * Calcula a disponibilidade dos produtos a partir das janelas de safra
+ * (disponivel, em_breve ou fora_de_safra) e tira dos carrinhos o que saiu de safra
+ */
+
+// Antecedência (um mês) com que um produto fora de safra passa a aparecer como "em breve"
+const DIAS_EM_BREVE = 31;
+
+const UM_DIA_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Data no formato dos campos DATEONLY (fuso do servidor)
+ * @param {Date} data - Data
+ * @returns {string} - AAAA-MM-DD
+ */
+const toDateOnly = (data) => [
+  data.getFullYear(),
+  String(data.getMonth() + 1).padStart(2, '0'),
+  String(data.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Confere se um mês está entre o início e o fim de uma janela recorrente
+ * @param {Object} janela - { mesInicio, mesFim }
+ * @param {number} mes - Mês (1-12)
+ * @returns {boolean}
+ */
+const includesMonth = ({ mesInicio, mesFim }, mes) => (mesInicio <= mesFim
+  ? mes >= mesInicio && mes <= mesFim
+  // Janela que vira o ano (ex.: novembro a fevereiro)
+  : mes >= mesInicio || mes <= mesFim);
+
+/**
+ * Confere se a janela está aberta em uma data
+ * @param {Object} janela - Janela de safra
+ * @param {Date} data - Data de referência
+ * @returns {boolean}
+ */
+const isOpenOn = (janela, data) => {
+  if (janela.dataInicio) {
+    const dia = toDateOnly(data);
+    return janela.dataInicio <= dia && dia <= janela.dataFim;
+  }
+  return includesMonth(janela, data.getMonth() + 1);
+};
+
+/**
+ * Próxima abertura da janela a partir de uma data
+ * @param {Object} janela - Janela de safra
+ * @param {Date} data - Data de referência
+ * @returns {Date|null} - Início da próxima safra, ou null se a janela já passou
+ */
+const nextOpening = (janela, data) => {
+  if (janela.dataInicio) {
+    const [ano, mes, dia] = janela.dataInicio.split('-').map(Number);
+    const inicio = new Date(ano, mes - 1, dia);
+    return inicio > data ? inicio : null;
+  }
+
+  const inicio = new Date(data.getFullYear(), janela.mesInicio - 1, 1);
+  return inicio > data ? inicio : new Date(data.getFullYear() + 1, janela.mesInicio - 1, 1);
+};
+
+/**
+ * Confere se a janela cobre algum dia de um mês
+ * @param {Object} janela - Janela de safra
+ * @param {number} ano - Ano
+ * @param {number} mes - Mês (1-12)
+ * @returns {boolean}
+ */
+const coversMonth = (janela, ano, mes) => {
+  if (janela.dataInicio) {
+    const primeiroDia = toDateOnly(new Date(ano, mes - 1, 1));
+    const ultimoDia = toDateOnly(new Date(ano, mes, 0));
+    return janela.dataInicio <= ultimoDia && janela.dataFim >= primeiroDia;
+  }
+  return includesMonth(janela, mes);
+};
+
+/**
+ * Calcula a disponibilidade de um produto pelas suas janelas
+ * @param {Array<Object>} janelas - Janelas de safra do produto
+ * @param {Date} data - Data de referência (padrão: agora)
+ * @returns {string} - disponivel, em_breve ou fora_de_safra
+ */
+const computeAvailability = (janelas, data = new Date()) => {
+  if (!janelas || janelas.length === 0 || janelas.some(janela => isOpenOn(janela, data))) {
+    return 'disponivel';
+  }
+
+  const limite = new Date(data.getTime() + DIAS_EM_BREVE * UM_DIA_MS);
+  const emBreve = janelas
+    .map(janela => nextOpening(janela, data))
+    .some(inicio => inicio && inicio <= limite);
+
+  return emBreve ? 'em_breve' : 'fora_de_safra';
+};
+
+/**
+ * Mensagem para quem tenta comprar um produto que não está disponível
+ * @param {Object} product - Produto
+ * @returns {string|null} - Motivo, ou null se o produto pode ser comprado
+ */
+const unavailableMessage = (product) => {
+  switch (product.disponibilidade) {
+    case 'em_breve':
+      return `"${product.nome}" ainda não está disponível; a safra começa em breve`;
+    case 'fora_de_safra':
+      return `"${product.nome}" está fora de safra`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Aplica a disponibilidade calculada aos produtos e limpa os carrinhos
+ * Produtos que deixaram de estar disponíveis saem de todos os carrinhos (menos as reservas de colheita)
+ * @param {Array<Object>} produtos - Produtos com as safras carregadas
+ * @param {Date} data - Data de referência
+ * @param {Object} transaction - Transação em andamento
+ * @returns {Promise<Object>} - { atualizados, itensRemovidos }
+ */
+const applyAvailability = async (produtos, data, transaction) => {
+  const porEstado = { disponivel: [], em_breve: [], fora_de_safra: [] };
+
+  for (const produto of produtos) {
+    const disponibilidade = computeAvailability(produto.safras, data);
+    if (disponibilidade !== produto.disponibilidade) {
+      porEstado[disponibilidade].push(produto.id);
+    }
+  }
+
+  for (const [disponibilidade, ids] of Object.entries(porEstado)) {
+    if (ids.length > 0) {
+      await Product.update({ disponibilidade }, { where: { id: { [Op.in]: ids } }, transaction });
+    }
+  }
+
+  const foraDeVenda = [...porEstado.em_breve, ...porEstado.fora_de_safra];
+  const itensRemovidos = foraDeVenda.length > 0
+    ? await CartItem.destroy({ where: { productId: { [Op.in]: foraDeVenda }, harvestId: null }, transaction })
+    : 0;
+
+  return {
+    atualizados: Object.values(porEstado).reduce((total, ids) => total + ids.length, 0),
+    itensRemovidos
+  };
+};
+
+/**
+ * Recalcula a disponibilidade de todos os produtos ativos com janelas de safra
+ * Executado periodicamente pelo job de sazonalidade (e por npm run season:refresh)
+ * @param {Date} data - Data de referência (padrão: agora)
+ * @returns {Promise<Object>} - { atualizados, itensRemovidos }
+ */
+const refreshAvailability = async (data = new Date()) => {
+  // Produtos que perderam as janelas voltam a ficar disponíveis o ano todo
+  const produtos = await Product.findAll({
+    where: {
+      ativo: true,
+      [Op.or]: [
+        { disponibilidade: { [Op.ne]: 'disponivel' } },
+        { id: { [Op.in]: sequelize.literal('(SELECT "productId" FROM product_seasons)') } }
+      ]
+    },
+    attributes: ['id', 'disponibilidade'],
+    include: [{ model: ProductSeason, as: 'safras' }]
+  });
+
+  return sequelize.transaction(transaction => applyAvailability(produtos, data, transaction));
+};
+
+/**
+ * Troca as janelas de safra de um produto e já recalcula a disponibilidade
+ * @param {Object} product - Produto
+ * @param {Array<Object>} safras - Novas janelas ({ mesInicio, mesFim } ou { dataInicio, dataFim })
+ * @returns {Promise<Object>} - Produto recarregado com as safras
+ */
+const replaceSeasons = async (product, safras) => {
+  await sequelize.transaction(async (transaction) => {
+    await ProductSeason.destroy({ where: { productId: product.id }, transaction });
+
+    const janelas = await ProductSeason.bulkCreate(safras.map(janela => ({
+      productId: product.id,
+      mesInicio: janela.mesInicio || null,
+      mesFim: janela.mesFim || null,
+      dataInicio: janela.dataInicio || null,
+      dataFim: janela.dataFim || null
+    })), { validate: true, transaction });
+
+    product.safras = janelas;
+    await applyAvailability([product], new Date(), transaction);
+  });
+
+  return product.reload({ include: [{ model: ProductSeason, as: 'safras' }] });
+};
+
+/**
+ * Produtos da safra de um mês, para o calendário sazonal
+ * Só entram produtos com janelas de safra (os disponíveis o ano todo não são "da estação")
+ * @param {number} mes - Mês (1-12)
+ * @param {number} ano - Ano (padrão: o atual)
+ * @returns {Promise<Array<number>>} - IDs dos produtos ativos com safra no mês
+ */
+const findProductIdsInSeason = async (mes, ano = new Date().getFullYear()) => {
+  const janelas = await ProductSeason.findAll({
+    include: [{ model: Product, as: 'produto', where: { ativo: true }, attributes: [] }]
+  });
+
+  return [...new Set(janelas
+    .filter(janela => coversMonth(janela, ano, mes))
+    .map(janela => janela.productId))];
+};
+
+module.exports = {
+  DIAS_EM_BREVE,
+  toDateOnly,
+  computeAvailability,
+  coversMonth,
+  unavailableMessage,
+  refreshAvailability,
+  replaceSeasons,
+  findProductIdsInSeason
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Serviço de armazenamento de arquivos
+ * O driver é escolhido por STORAGE_DRIVER e todos expõem a mesma interface:
+ *   put(chave, conteudo, contentType) - grava o arquivo e devolve a URL pública
+ *   remove(chave)                     - apaga o arquivo (sem erro se não existir)
+ *   urlFor(chave)                     - URL pública da chave
+ *   keyFromUrl(url)                   - chave de uma URL deste armazenamento (ou null)
+ *
+ *   local - grava em STORAGE_LOCAL_DIR; a API serve os arquivos em /uploads
+ *   s3    - AWS S3 ou serviço compatível (MinIO, R2...) via S3_ENDPOINT
+ */
+
+/**
+ * Funções comuns de URL pública
+ * @param {string} publicUrl - Endereço base dos arquivos
+ */
+const urlHelpers = (publicUrl) => ({
+  urlFor: chave => `${publicUrl}/${chave}`,
+  keyFromUrl: url => (typeof url === 'string' && url.startsWith(`${publicUrl}/`)
+    ? url.slice(publicUrl.length + 1)
+    : null)
+});
+
+/**
+ * Driver que grava no disco local
+ * @param {string} directory - Diretório raiz dos arquivos
+ * @param {string} publicUrl - Endereço base dos arquivos
+ */
+const localDriver = (directory, publicUrl) => {
+  const helpers = urlHelpers(publicUrl);
+
+  // Impede que uma chave aponte para fora do diretório
+  const resolve = (chave) => {
+    const destino = path.resolve(directory, chave);
+    if (!destino.startsWith(`${directory}${path.sep}`)) {
+      throw new Error(`Chave de arquivo inválida: ${chave}`);
+    }
+    return destino;
+  };
+
+  return {
+    ...helpers,
+    put: async (chave, conteudo) => {
+      const destino = resolve(chave);
+      await fs.promises.mkdir(path.dirname(destino), { recursive: true });
+      await fs.promises.writeFile(destino, conteudo);
+      return helpers.urlFor(chave);
+    },
+    remove: async (chave) => {
+      await fs.promises.rm(resolve(chave), { force: true });
+    }
+  };
+};
+
+/**
+ * Driver S3 (AWS ou compatível)
+ * @param {Object} s3 - Configuração do bucket (config.storage.s3)
+ * @param {string} publicUrl - Endereço base dos arquivos
+ */
+const s3Driver = (s3, publicUrl) => {
+  // Carregado sob demanda para não pesar na inicialização de quem usa o disco local
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region: s3.region,
+    forcePathStyle: s3.forcePathStyle,
+    ...(s3.endpoint && { endpoint: s3.endpoint }),
+    ...(s3.accessKeyId && {
+      credentials: { accessKeyId: s3.accessKeyId, secretAccessKey: s3.secretAccessKey }
+    })
+  });
+  const helpers = urlHelpers(publicUrl);
+
+  return {
+    ...helpers,
+    put: async (chave, conteudo, contentType) => {
+      await client.send(new PutObjectCommand({
+        Bucket: s3.bucket,
+        Key: chave,
+        Body: conteudo,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+      return helpers.urlFor(chave);
+    },
+    remove: async (chave) => {
+      await client.send(new DeleteObjectCommand({ Bucket: s3.bucket, Key: chave }));
+    }
+  };
+};
+
+/**
+ * Cria o driver de acordo com a configuração
+ * @param {Object} storageConfig - Configuração de armazenamento (config.storage)
+ * @returns {Object} - Driver com put, remove, urlFor e keyFromUrl
+ */
+const createStorage = (storageConfig) => {
+  switch (storageConfig.driver) {
+    case 's3':
+      return s3Driver(storageConfig.s3, storageConfig.publicUrl);
+    default:
+      return localDriver(storageConfig.localDir, storageConfig.publicUrl);
+  }
+};
+
+let storage = null;
+
+/**
+ * Driver configurado para a aplicação (criado no primeiro uso)
+ * @returns {Object} - Driver de armazenamento
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage(config.storage);
+  }
+  return storage;
+};
+
+module.exports = {
+  createStorage,
+  getStorage
+};
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const config = require('../../config');
+const mailer = require('../../services/mailer');
+const { User, AccountToken } = global.testModels;
+
+/**
+ * Testes de recuperação de senha e verificação de email
+ */
+
+const app = createApp();
+
+describe('Recuperação de senha e verificação de email', () => {
+  let sendMail;
+
+  // Extrai o token do link enviado no último email
+  const lastToken = () => {
+    const [message] = sendMail.mock.calls[sendMail.mock.calls.length - 1];
+    return /token=([a-f0-9]{64})/.exec(message.text)[1];
+  };
+
+  beforeEach(() => {
+    sendMail = jest.spyOn(mailer, 'sendMail').mockResolvedValue({ id: 'teste' });
+  });
+
+  afterEach(() => {
+    sendMail.mockRestore();
+  });
+
+  describe('Verificação de email', () => {
+    let session;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ nome: 'João Silva', email: 'joao@teste.com', senha: '123456', tipo: 'consumidor' })
+        .expect(201);
+      session = response.body.data;
+    });
+
+    test('registro deve enviar email de confirmação e criar conta não verificada', () => {
+      expect(session.user.emailVerificado).toBe(false);
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'joao@teste.com' }));
+    });
+
+    test('deve confirmar o email com o token recebido', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: lastToken() })
+        .expect(200);
+
+      expect(response.body.data.emailVerificado).toBe(true);
+      expect(response.body.data.emailVerificadoEm).toBeDefined();
+    });
+
+    test('token de verificação deve ser de uso único', async () => {
+      const token = lastToken();
+      await request(app).post('/api/auth/verify-email').send({ token }).expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(400);
+
+      expect(response.body.errors).toContain('Link inválido ou expirado');
+    });
+
+    test('reenviar confirmação deve invalidar o link anterior', async () => {
+      const primeiro = lastToken();
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      await request(app).post('/api/auth/verify-email').send({ token: primeiro }).expect(400);
+      await request(app).post('/api/auth/verify-email').send({ token: lastToken() }).expect(200);
+    });
+
+    test('checkout deve ser bloqueado para email não confirmado quando a regra estiver ativa', async () => {
+      config.account.requireVerifiedEmailForCheckout = true;
+
+      try {
+        const response = await request(app)
+          .post('/api/orders')
+          .set('Authorization', `Bearer ${session.token}`)
+          .send({})
+          .expect(403);
+
+        expect(response.body.message).toContain('Confirme seu email');
+      } finally {
+        config.account.requireVerifiedEmailForCheckout = false;
+      }
+    });
+  });
+
+  describe('Redefinição de senha', () => {
+    beforeEach(async () => {
+      await User.create({ nome: 'Teste User', email: 'teste@teste.com', senha: '123456' });
+    });
+
+    test('deve responder igual para emails cadastrados e não cadastrados', async () => {
+      const existente = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'teste@teste.com' })
+        .expect(200);
+
+      const inexistente = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'ninguem@teste.com' })
+        .expect(200);
+
+      expect(inexistente.body.message).toBe(existente.body.message);
+      expect(sendMail).toHaveBeenCalledTimes(1);
+    });
+
+    test('deve armazenar apenas o hash do token', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: 'teste@teste.com' });
+
+      const stored = await AccountToken.findOne({ where: { tipo: 'reset_senha' } });
+      expect(stored.tokenHash).not.toBe(lastToken());
+    });
+
+    test('deve redefinir a senha e encerrar as sessões abertas', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'teste@teste.com', senha: '123456' });
+
+      await request(app).post('/api/auth/forgot-password').send({ email: 'teste@teste.com' });
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: lastToken(), novaSenha: 'nova-senha' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'teste@teste.com', senha: 'nova-senha' })
+        .expect(200);
+    });
+
+    test('deve recusar token expirado', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: 'teste@teste.com' });
+      await AccountToken.update({ expiresAt: new Date(Date.now() - 1000) }, { where: {} });
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: lastToken(), novaSenha: 'nova-senha' })
+        .expect(400);
+    });
+
+    test('token de verificação de email não deve redefinir senha', async () => {
+      const user = await User.findOne({ where: { email: 'teste@teste.com' } });
+      const accountTokenService = require('../../services/accountTokenService');
+      const token = await accountTokenService.createAccountToken(user, 'verificacao_email');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, novaSenha: 'nova-senha' })
+        .expect(400);
+    });
+
+    test('deve validar os dados da redefinição', async () => {
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'abc', novaSenha: '123' })
+        .expect(400);
+    });
+  });
+});
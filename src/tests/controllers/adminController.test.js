@@ -0,0 +1,191 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const { User, Category, Product, Order, OrderItem, AdminAction } = global.testModels;
+
+/**
+ * Testes das rotas de administração
+ */
+
+const app = createApp();
+
+describe('Administração', () => {
+  let admin;
+  let adminToken;
+  let produtor;
+  let consumidor;
+
+  beforeEach(async () => {
+    admin = await User.create({ nome: 'Admin', email: 'admin@teste.com', senha: '123456', tipo: 'admin' });
+    produtor = await User.create({ nome: 'Maria Produtora', email: 'maria@teste.com', senha: '123456', tipo: 'produtor' });
+    consumidor = await User.create({ nome: 'João Consumidor', email: 'joao@teste.com', senha: '123456', tipo: 'consumidor' });
+    adminToken = await login('admin@teste.com');
+  });
+
+  test('deve negar acesso a quem não é administrador', async () => {
+    const token = await login('joao@teste.com');
+
+    const response = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  describe('Usuários', () => {
+    test('deve pesquisar usuários por nome ou email', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?search=maria')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].email).toBe('maria@teste.com');
+      expect(response.body.data[0].senha).toBeUndefined();
+    });
+
+    test('deve desativar usuário, encerrar suas sessões e registrar o responsável', async () => {
+      const token = await login('joao@teste.com');
+
+      await request(app)
+        .put(`/api/admin/users/${consumidor.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ motivo: 'Fraude em pagamentos' })
+        .expect(200);
+
+      await consumidor.reload();
+      expect(consumidor.ativo).toBe(false);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      const acao = await AdminAction.findOne({ where: { entidade: 'User', entidadeId: consumidor.id } });
+      expect(acao.adminId).toBe(admin.id);
+      expect(acao.acao).toBe('usuario.desativar');
+      expect(acao.motivo).toBe('Fraude em pagamentos');
+    });
+
+    test('deve exigir motivo e impedir desativar a própria conta', async () => {
+      await request(app)
+        .put(`/api/admin/users/${consumidor.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      await request(app)
+        .put(`/api/admin/users/${admin.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ motivo: 'Teste' })
+        .expect(400);
+    });
+  });
+
+  describe('Categorias', () => {
+    test('deve criar, atualizar e remover categorias', async () => {
+      const created = await request(app)
+        .post('/api/admin/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ nome: 'Mel', icone: 'mel' })
+        .expect(201);
+
+      const id = created.body.data.id;
+
+      await request(app)
+        .post('/api/admin/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ nome: 'Mel' })
+        .expect(409);
+
+      const updated = await request(app)
+        .put(`/api/admin/categories/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ descricao: 'Mel e derivados' })
+        .expect(200);
+
+      expect(updated.body.data.descricao).toBe('Mel e derivados');
+
+      await request(app)
+        .delete(`/api/admin/categories/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await Category.findByPk(id)).toBeNull();
+      expect(await AdminAction.count({ where: { entidade: 'Category', entidadeId: id } })).toBe(3);
+    });
+
+    test('categoria com produtos deve ser apenas desativada', async () => {
+      const category = await Category.create({ nome: 'Frutas' });
+      await Product.create({ nome: 'Banana', preco: 5, estoque: 10, categoryId: category.id, produtorId: produtor.id });
+
+      const response = await request(app)
+        .delete(`/api/admin/categories/${category.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Categoria possui produtos e foi desativada');
+      await category.reload();
+      expect(category.ativo).toBe(false);
+    });
+  });
+
+  describe('Produtos e pedidos', () => {
+    let product;
+    let order;
+
+    beforeEach(async () => {
+      const category = await Category.create({ nome: 'Vegetais' });
+      product = await Product.create({ nome: 'Alface', preco: 3, estoque: 8, categoryId: category.id, produtorId: produtor.id });
+      order = await Order.create({
+        consumidorId: consumidor.id,
+        valorTotal: 6,
+        enderecoEntrega: { logradouro: 'Rua A' }
+      });
+      await OrderItem.create({ orderId: order.id, productId: product.id, quantidade: 2, precoUnitario: 3, subtotal: 6 });
+    });
+
+    test('deve desativar produto de qualquer produtor com motivo', async () => {
+      await request(app)
+        .put(`/api/admin/products/${product.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ motivo: 'Produto proibido' })
+        .expect(200);
+
+      await product.reload();
+      expect(product.ativo).toBe(false);
+    });
+
+    test('cancelar pedido deve devolver o estoque e registrar a alteração', async () => {
+      const response = await request(app)
+        .put(`/api/admin/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'cancelado', motivo: 'Pedido duplicado' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('cancelado');
+      await product.reload();
+      expect(product.estoque).toBe(10);
+
+      const detalhe = await request(app)
+        .get(`/api/admin/orders/${order.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(detalhe.body.data.historico).toHaveLength(1);
+      expect(detalhe.body.data.historico[0].detalhes).toEqual({ antes: 'pendente', depois: 'cancelado' });
+      expect(detalhe.body.data.historico[0].admin.id).toBe(admin.id);
+    });
+
+    test('não deve reabrir pedido cancelado', async () => {
+      await order.update({ status: 'cancelado' });
+
+      await request(app)
+        .put(`/api/admin/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'pendente', motivo: 'Reabrir' })
+        .expect(400);
+    });
+  });
+});
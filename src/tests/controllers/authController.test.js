@@ -1,6 +1,6 @@
 const request = require('supertest');
 const express = require('express');
-const { User, Cart } = global.testModels;
+const { User, Cart, RefreshToken } = global.testModels;
 const authController = require('../../controllers/authController');
 const { validateUserRegistration, validateLogin } = require('../../middleware/validation');
 
@@ -13,6 +13,9 @@ app.post('/register', validateUserRegistration, authController.register);
 app.post('/login', validateLogin, authController.login);
 app.get('/profile', require('../../middleware/auth').authenticateToken, authController.getProfile);
 app.put('/profile', require('../../middleware/auth').authenticateToken, authController.updateProfile);
+app.post('/refresh', authController.refresh);
+app.post('/logout', require('../../middleware/auth').authenticateToken, authController.logout);
+app.post('/logout-all', require('../../middleware/auth').authenticateToken, authController.logoutAll);
 
 describe('Auth Controller', () => {
   describe('POST /register', () => {
@@ -34,12 +37,13 @@ describe('Auth Controller', () => {
       expect(response.body.data.user.nome).toBe(userData.nome);
       expect(response.body.data.user.email).toBe(userData.email);
       expect(response.body.data.user.tipo).toBe(userData.tipo);
+      expect(response.body.data.user.papeis).toEqual(['consumidor']);
       expect(response.body.data.user.senha).toBeUndefined();
       expect(response.body.data.token).toBeDefined();
 
-      // Verificar se o carrinho foi criado para o consumidor
+      // O carrinho só é criado quando a conta começa a comprar
       const cart = await Cart.findOne({ where: { userId: response.body.data.user.id } });
-      expect(cart).toBeTruthy();
+      expect(cart).toBeFalsy();
     });
 
     test('deve registrar um novo produtor sem criar carrinho', async () => {
@@ -63,6 +67,22 @@ describe('Auth Controller', () => {
       expect(cart).toBeFalsy();
     });
 
+    test('deve registrar uma conta que compra e vende', async () => {
+      const response = await request(app)
+        .post('/register')
+        .send({
+          nome: 'Sítio Dois Irmãos',
+          email: 'sitio@teste.com',
+          senha: '123456',
+          papeis: ['produtor', 'consumidor']
+        })
+        .expect(201);
+
+      expect(response.body.data.user.tipo).toBe('produtor');
+      expect(response.body.data.user.papeis).toEqual(['consumidor', 'produtor']);
+      expect(response.body.data.user.statusVerificacao).toBe('nao_enviado');
+    });
+
     test('deve falhar com dados inválidos', async () => {
       const userData = {
         nome: 'A',
@@ -294,5 +314,139 @@ describe('Auth Controller', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
 
+  describe('Refresh tokens', () => {
+    let session;
+
+    const login = () => request(app)
+      .post('/login')
+      .send({ email: 'teste@teste.com', senha: '123456' });
+
+    beforeEach(async () => {
+      await User.create({
+        nome: 'Teste User',
+        email: 'teste@teste.com',
+        senha: '123456',
+        tipo: 'consumidor'
+      });
+
+      session = (await login()).body.data;
+    });
+
+    test('login deve retornar token de acesso e refresh token armazenado como hash', async () => {
+      expect(session.token).toBeDefined();
+      expect(session.refreshToken).toBeDefined();
+      expect(session.expiresIn).toBe(15 * 60);
+
+      const stored = await RefreshToken.findOne({ where: { userId: session.user.id } });
+      expect(stored.tokenHash).not.toBe(session.refreshToken);
+      expect(stored.tokenHash).toHaveLength(64);
+    });
+
+    test('POST /refresh deve rotacionar o refresh token', async () => {
+      const response = await request(app)
+        .post('/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(session.refreshToken);
+
+      const tokens = await RefreshToken.findAll({ order: [['id', 'ASC']] });
+      expect(tokens).toHaveLength(2);
+      expect(tokens[0].revokedReason).toBe('rotacionado');
+      expect(tokens[0].replacedBy).toBe(tokens[1].jti);
+      expect(tokens[1].family).toBe(tokens[0].family);
+    });
+
+    test('reutilizar um refresh token já trocado deve encerrar a sessão inteira', async () => {
+      const rotated = await request(app)
+        .post('/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+
+      expect(reuse.body.message).toContain('já utilizado');
+
+      // O token legítimo emitido na rotação também deixa de funcionar
+      await request(app)
+        .post('/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/profile')
+        .set('Authorization', `Bearer ${rotated.body.data.token}`)
+        .expect(401);
+    });
+
+    test('deve rejeitar refresh token inválido ou ausente', async () => {
+      await request(app).post('/refresh').send({}).expect(400);
+      await request(app).post('/refresh').send({ refreshToken: 'abc' }).expect(401);
+      // Token de acesso não serve como refresh token
+      await request(app).post('/refresh').send({ refreshToken: session.token }).expect(401);
+    });
+
+    test('refresh token não deve ser aceito como token de acesso', async () => {
+      await request(app)
+        .get('/profile')
+        .set('Authorization', `Bearer ${session.refreshToken}`)
+        .expect(401);
+    });
+
+    test('POST /logout deve revogar o token de acesso e o refresh token da sessão', async () => {
+      await request(app)
+        .post('/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/profile')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(401);
+      expect(response.body.message).toBe('Token revogado');
+
+      await request(app)
+        .post('/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+    });
+
+    test('POST /logout deve manter as outras sessões ativas', async () => {
+      const other = (await login()).body.data;
+
+      await request(app)
+        .post('/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/profile')
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(200);
+    });
+
+    test('POST /logout-all deve encerrar todas as sessões do usuário', async () => {
+      const other = (await login()).body.data;
+
+      await request(app)
+        .post('/logout-all')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/profile')
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/refresh')
+        .send({ refreshToken: other.refreshToken })
+        .expect(401);
+    });
+  });
+});
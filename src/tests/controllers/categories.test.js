@@ -0,0 +1,142 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const { User, Category, Product, AdminAction } = global.testModels;
+
+/**
+ * Testes da árvore de categorias e da sua administração
+ */
+
+const app = createApp();
+
+describe('Categorias hierárquicas', () => {
+  let adminToken;
+  let produtor;
+  let vegetais;
+  let folhosas;
+  let raizes;
+
+  const admin = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${adminToken}`);
+
+  const produto = (nome, category) => Product.create({
+    nome, preco: 5, unidadeMedida: 'kg', estoque: 10, categoryId: category.id, produtorId: produtor.id
+  });
+
+  beforeEach(async () => {
+    await User.create({ nome: 'Admin', email: 'admin@teste.com', senha: '123456', tipo: 'admin' });
+    produtor = await User.create({ nome: 'Sítio', email: 'sitio@teste.com', senha: '123456', tipo: 'produtor' });
+
+    vegetais = await Category.create({ nome: 'Vegetais', ordem: 0 });
+    folhosas = await Category.create({ nome: 'Folhosas', parentId: vegetais.id, ordem: 0 });
+    raizes = await Category.create({ nome: 'Raízes e tubérculos', parentId: vegetais.id, ordem: 1 });
+
+    adminToken = await login('admin@teste.com');
+  });
+
+  test('deve gerar o slug a partir do nome', () => {
+    expect(raizes.slug).toBe('raizes-e-tuberculos');
+  });
+
+  test('a árvore deve somar os produtos das subcategorias aos ancestrais', async () => {
+    const frutas = await Category.create({ nome: 'Frutas', ordem: 1 });
+    const alfaces = await Category.create({ nome: 'Alfaces', parentId: folhosas.id });
+    await produto('Alface crespa', alfaces);
+    await produto('Rúcula', folhosas);
+    await produto('Mandioca', raizes);
+    await produto('Abobrinha', vegetais);
+    await (await produto('Couve', folhosas)).update({ ativo: false });
+
+    const response = await request(app).get('/api/categories/tree').expect(200);
+    const [raizVegetais, raizFrutas] = response.body.data;
+
+    expect(raizVegetais).toMatchObject({ id: vegetais.id, slug: 'vegetais', totalProdutos: 4 });
+    expect(raizVegetais.subcategorias.map(sub => [sub.nome, sub.totalProdutos])).toEqual([
+      ['Folhosas', 2],
+      ['Raízes e tubérculos', 1]
+    ]);
+    expect(raizVegetais.subcategorias[0].subcategorias[0]).toMatchObject({ nome: 'Alfaces', totalProdutos: 1 });
+    expect(raizFrutas).toMatchObject({ id: frutas.id, totalProdutos: 0, subcategorias: [] });
+  });
+
+  test('filtrar produtos pela categoria pai deve incluir as descendentes', async () => {
+    await produto('Alface crespa', folhosas);
+    await produto('Mandioca', raizes);
+    const frutas = await Category.create({ nome: 'Frutas' });
+    await produto('Banana', frutas);
+
+    const porId = await request(app).get(`/api/products?category=${vegetais.id}`).expect(200);
+    expect(porId.body.data.map(item => item.nome).sort()).toEqual(['Alface crespa', 'Mandioca']);
+
+    const porSlug = await request(app).get('/api/products?category=folhosas').expect(200);
+    expect(porSlug.body.data.map(item => item.nome)).toEqual(['Alface crespa']);
+
+    const inexistente = await request(app).get('/api/products?category=nao-existe').expect(200);
+    expect(inexistente.body.data).toHaveLength(0);
+  });
+
+  test('o administrador deve criar subcategorias e movê-las sem criar ciclos', async () => {
+    const criada = await admin('post', '/api/admin/categories')
+      .send({ nome: 'Legumes', parentId: vegetais.id })
+      .expect(201);
+    expect(criada.body.data).toMatchObject({ slug: 'legumes', parentId: vegetais.id, ordem: 2 });
+
+    await admin('post', '/api/admin/categories').send({ nome: 'Ervas', parentId: 9999 }).expect(404);
+    await admin('post', '/api/admin/categories').send({ nome: 'Outra', slug: 'Com Espaço' }).expect(400);
+    await admin('post', '/api/admin/categories').send({ nome: 'Légumes', slug: 'legumes' }).expect(409);
+
+    // Vegetais não pode ir para dentro da própria subcategoria
+    const ciclo = await admin('put', `/api/admin/categories/${vegetais.id}`)
+      .send({ parentId: folhosas.id })
+      .expect(400);
+    expect(ciclo.body.errors[0]).toMatch(/dentro dela mesma/);
+
+    // Terceiro nível é permitido; o quarto não
+    const alfaces = await Category.create({ nome: 'Alfaces', parentId: folhosas.id });
+    await admin('post', '/api/admin/categories').send({ nome: 'Americana', parentId: alfaces.id }).expect(400);
+
+    const movida = await admin('put', `/api/admin/categories/${raizes.id}`)
+      .send({ parentId: null })
+      .expect(200);
+    expect(movida.body.data.parentId).toBeNull();
+
+    // Renomear atualiza o slug
+    const renomeada = await admin('put', `/api/admin/categories/${folhosas.id}`)
+      .send({ nome: 'Verduras folhosas' })
+      .expect(200);
+    expect(renomeada.body.data.slug).toBe('verduras-folhosas');
+  });
+
+  test('deve reordenar as subcategorias de um pai', async () => {
+    const legumes = await Category.create({ nome: 'Legumes', parentId: vegetais.id, ordem: 2 });
+
+    await admin('put', '/api/admin/categories/reorder')
+      .send({ parentId: vegetais.id, ids: [legumes.id, folhosas.id] })
+      .expect(400);
+
+    await admin('put', '/api/admin/categories/reorder')
+      .send({ parentId: vegetais.id, ids: [legumes.id, raizes.id, folhosas.id] })
+      .expect(200);
+
+    const lista = await request(app).get('/api/categories').expect(200);
+    expect(lista.body.data.filter(item => item.parentId === vegetais.id).map(item => item.nome)).toEqual([
+      'Legumes', 'Raízes e tubérculos', 'Folhosas'
+    ]);
+    expect(await AdminAction.count({ where: { acao: 'categoria.reordenar' } })).toBe(1);
+  });
+
+  test('desativar deve levar junto as subcategorias', async () => {
+    await admin('put', `/api/admin/categories/${vegetais.id}/deactivate`).expect(200);
+
+    expect(await Category.count({ where: { ativo: true } })).toBe(0);
+    const tree = await request(app).get('/api/categories/tree').expect(200);
+    expect(tree.body.data).toEqual([]);
+
+    // A subcategoria só volta depois do pai
+    await admin('put', `/api/admin/categories/${folhosas.id}`).send({ ativo: true }).expect(400);
+    await admin('put', `/api/admin/categories/${vegetais.id}`).send({ ativo: true }).expect(200);
+    await admin('put', `/api/admin/categories/${folhosas.id}`).send({ ativo: true }).expect(200);
+
+    // Categoria com subcategorias não pode ser removida
+    await admin('delete', `/api/admin/categories/${vegetais.id}`).expect(409);
+  });
+});
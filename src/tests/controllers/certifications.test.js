@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const config = require('../../config');
+const { createApp } = require('../../../server');
+const { login, dataDaquiA } = require('../helpers');
+const mailer = require('../../services/mailer');
+const { checkExpirations } = require('../../services/certificationService');
+const { User, Category, Product, Certification } = global.testModels;
+
+/**
+ * Testes das certificações orgânicas e de transição agroecológica
+ */
+
+const app = createApp();
+
+describe('Certificações', () => {
+  let produtor;
+  let tokenProdutor;
+  let alface;
+  let cenoura;
+  let sendMail;
+
+  const cadastrar = (dados) => request(app)
+    .post('/api/producers/me/certifications')
+    .set('Authorization', `Bearer ${tokenProdutor}`)
+    .send({ numero: 'BR-ORG-001', orgaoEmissor: 'OPAC Sul de Minas', validoDe: dataDaquiA(-300), validoAte: dataDaquiA(60), ...dados });
+
+  const ligar = (product, certificacoes, token = tokenProdutor) => request(app)
+    .put(`/api/products/${product.id}/certifications`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ certificacoes });
+
+  beforeEach(async () => {
+    sendMail = jest.spyOn(mailer, 'sendMail').mockResolvedValue({ id: 'teste' });
+
+    const category = await Category.create({ nome: 'Vegetais' });
+    produtor = await User.create({
+      nome: 'Sítio Orgânico', email: 'organico@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+    });
+    alface = await Product.create({
+      nome: 'Alface', preco: 4, unidadeMedida: 'unidade', estoque: 10, categoryId: category.id, produtorId: produtor.id
+    });
+    cenoura = await Product.create({
+      nome: 'Cenoura', preco: 6, unidadeMedida: 'kg', estoque: 10, categoryId: category.id, produtorId: produtor.id
+    });
+    tokenProdutor = await login('organico@teste.com');
+  });
+
+  afterEach(() => {
+    sendMail.mockRestore();
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(config.storage.localDir, { recursive: true, force: true });
+  });
+
+  test('deve validar os dados da certificação', async () => {
+    const response = await cadastrar({ tipo: 'selo_verde', validoDe: dataDaquiA(10), validoAte: dataDaquiA(5) }).expect(400);
+    expect(response.body.errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^Tipo deve estar entre/),
+      'Fim da validade não pode ser anterior ao início'
+    ]));
+
+    await cadastrar({ tipo: 'ocs', validoDe: dataDaquiA(-400), validoAte: dataDaquiA(-1) }).expect(400);
+
+    // Consumidores não cadastram certificações
+    await User.create({ nome: 'Ana', email: 'ana@teste.com', senha: '123456', tipo: 'consumidor' });
+    await request(app)
+      .post('/api/producers/me/certifications')
+      .set('Authorization', `Bearer ${await login('ana@teste.com')}`)
+      .send({ tipo: 'ocs' })
+      .expect(403);
+  });
+
+  test('o selo deve aparecer nos produtos ligados e filtrar o catálogo', async () => {
+    const organico = await cadastrar({ tipo: 'sisorg_opac' }).expect(201);
+    expect(organico.body.data).toMatchObject({ status: 'ativa', rotulo: expect.stringMatching(/^Orgânico/) });
+    const transicao = await cadastrar({ tipo: 'transicao_agroecologica', numero: 'TR-7' }).expect(201);
+
+    await ligar(alface, [organico.body.data.id]).expect(200);
+    await ligar(cenoura, [transicao.body.data.id]).expect(200);
+
+    const detalhe = await request(app).get(`/api/products/${alface.id}`).expect(200);
+    expect(detalhe.body.data.selos).toEqual([
+      expect.objectContaining({ tipo: 'sisorg_opac', organico: true, numero: 'BR-ORG-001', validoAte: dataDaquiA(60) })
+    ]);
+
+    const organicos = await request(app).get('/api/products?selo=organico').expect(200);
+    expect(organicos.body.data.map(produto => produto.nome)).toEqual(['Alface']);
+
+    const emTransicao = await request(app).get('/api/products?selo=transicao_agroecologica').expect(200);
+    expect(emTransicao.body.data.map(produto => produto.nome)).toEqual(['Cenoura']);
+    expect(emTransicao.body.data[0].selos[0].organico).toBe(false);
+
+    await request(app).get('/api/products?selo=qualquer').expect(400);
+
+    const perfil = await request(app).get(`/api/producers/${produtor.id}`).expect(200);
+    expect(perfil.body.data.selos.map(selo => selo.tipo)).toEqual(['sisorg_opac', 'transicao_agroecologica']);
+
+    // Lista vazia retira o selo
+    await ligar(alface, []).expect(200);
+    const semSelo = await request(app).get(`/api/products/${alface.id}`).expect(200);
+    expect(semSelo.body.data.selos).toEqual([]);
+  });
+
+  test('não deve ligar certificações de outro produtor', async () => {
+    const outro = await User.create({ nome: 'Outro', email: 'outro@teste.com', senha: '123456', tipo: 'produtor' });
+    const alheia = await Certification.create({
+      produtorId: outro.id, tipo: 'auditoria', numero: 'X-1', orgaoEmissor: 'Certificadora', validoDe: dataDaquiA(-10), validoAte: dataDaquiA(100)
+    });
+
+    await ligar(alface, [alheia.id]).expect(400);
+    await ligar(alface, [alheia.id], await login('outro@teste.com')).expect(403);
+  });
+
+  test('deve guardar o documento e recusar arquivos que não são PDF ou imagem', async () => {
+    const criada = await cadastrar({ tipo: 'auditoria' }).expect(201);
+    const url = `/api/producers/me/certifications/${criada.body.data.id}/document`;
+
+    await request(app)
+      .post(url)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .attach('documento', Buffer.from('texto qualquer'), { filename: 'certificado.pdf' })
+      .expect(400);
+
+    const response = await request(app)
+      .post(url)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .attach('documento', Buffer.from('%PDF-1.4\n%conteúdo'), { filename: 'certificado.pdf' })
+      .expect(201);
+
+    const { documentoUrl, documentoChave } = response.body.data;
+    expect(documentoUrl).toMatch(/\.pdf$/);
+    const arquivo = path.join(config.storage.localDir, documentoChave);
+    expect(fs.existsSync(arquivo)).toBe(true);
+
+    await request(app)
+      .delete(`/api/producers/me/certifications/${criada.body.data.id}`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .expect(200);
+    expect(fs.existsSync(arquivo)).toBe(false);
+  });
+
+  test('a verificação periódica deve avisar o vencimento e retirar o selo das vencidas', async () => {
+    const vencendo = await Certification.create({
+      produtorId: produtor.id, tipo: 'ocs', numero: 'OCS-1', orgaoEmissor: 'OCS Feira Livre', validoDe: dataDaquiA(-300), validoAte: dataDaquiA(10)
+    });
+    const vencida = await Certification.create({
+      produtorId: produtor.id, tipo: 'sisorg_opac', numero: 'OPAC-9', orgaoEmissor: 'OPAC Sul', validoDe: dataDaquiA(-400), validoAte: dataDaquiA(-1)
+    });
+    await Certification.create({
+      produtorId: produtor.id, tipo: 'auditoria', numero: 'AUD-2', orgaoEmissor: 'Certificadora', validoDe: dataDaquiA(-10), validoAte: dataDaquiA(200)
+    });
+    await ligar(alface, [vencida.id]).expect(200);
+
+    // Até a verificação rodar, a data já esconde o selo vencido
+    const antes = await request(app).get(`/api/products/${alface.id}`).expect(200);
+    expect(antes.body.data.selos).toEqual([]);
+
+    expect(await checkExpirations()).toEqual({ avisadas: 1, expiradas: 1 });
+    expect(sendMail).toHaveBeenCalledTimes(2);
+    expect(sendMail.mock.calls.map(([mensagem]) => mensagem.subject)).toEqual([
+      'Seu certificado OPAC-9 venceu',
+      expect.stringMatching(/^Seu certificado OCS-1 vence em/)
+    ]);
+
+    // Cada validade é avisada uma única vez
+    expect(await checkExpirations()).toEqual({ avisadas: 0, expiradas: 0 });
+
+    await vencida.reload();
+    expect(vencida.status).toBe('expirada');
+
+    // Renovar a validade reativa o selo
+    const renovada = await request(app)
+      .put(`/api/producers/me/certifications/${vencida.id}`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ validoAte: dataDaquiA(365) })
+      .expect(200);
+    expect(renovada.body.data.status).toBe('ativa');
+
+    const depois = await request(app).get(`/api/products/${alface.id}`).expect(200);
+    expect(depois.body.data.selos.map(selo => selo.numero)).toEqual(['OPAC-9']);
+
+    await vencendo.reload();
+    expect(vencendo.avisoVencimentoEm).not.toBeNull();
+  });
+});
@@ -0,0 +1,240 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login, daquiA, criarConsumidor, criarCatalogo, adicionarAoCarrinho } = require('../helpers');
+const { evaluateCoupon, redeemCoupon, releaseCoupon, CouponError } = require('../../services/couponService');
+const { User, Cart, CartItem, Order, Coupon, CouponRedemption, AdminAction } = global.testModels;
+const sequelize = global.testSequelize;
+
+/**
+ * Testes dos cupons (carrinho, pedido e cadastro)
+ */
+
+const app = createApp();
+
+describe('Cupons', () => {
+  let admin;
+  let outroProdutor;
+  let hortalicas;
+  let tomate;
+  let alface;
+  let mel;
+  let tokenAna;
+  let tokenBia;
+  let tokenAdmin;
+
+  const cupom = (dados) => Coupon.create({
+    inicioEm: daquiA(-1), fimEm: daquiA(7), criadoPorId: admin.id, ...dados
+  });
+
+  const aplicar = (token, codigo) => request(app)
+    .post('/api/cart/coupon')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ codigo });
+
+  const finalizar = (token) => request(app)
+    .post('/api/orders')
+    .set('Authorization', `Bearer ${token}`)
+    .send({});
+
+  beforeEach(async () => {
+    ({ hortalicas, outroProdutor, tomate, alface, mel } = await criarCatalogo());
+
+    await criarConsumidor('Ana', 'ana@teste.com');
+    await criarConsumidor('Bia', 'bia@teste.com');
+    admin = await User.create({ nome: 'Admin', email: 'admin@teste.com', senha: '123456', tipo: 'admin' });
+
+    tokenAna = await login('ana@teste.com');
+    tokenBia = await login('bia@teste.com');
+    tokenAdmin = await login('admin@teste.com');
+  });
+
+  test('o cupom aplicado deve aparecer no resumo e ser conferido a cada consulta', async () => {
+    await request(app)
+      .post('/api/admin/coupons')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({
+        codigo: 'feira10', tipo: 'percentual', percentual: 10, valorMinimoPedido: 30,
+        inicioEm: daquiA(-1).toISOString(), fimEm: daquiA(7).toISOString()
+      })
+      .expect(201);
+    expect(await AdminAction.count({ where: { acao: 'cupom.criar' } })).toBe(1);
+
+    await request(app)
+      .post('/api/admin/coupons')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ codigo: 'FEIRA10', tipo: 'frete_gratis', inicioEm: daquiA(-1).toISOString(), fimEm: daquiA(7).toISOString() })
+      .expect(409);
+
+    // A restrição por produtor vale pelo papel, mesmo quando o perfil principal é consumidor
+    const rita = await User.create({
+      nome: 'Rita', email: 'rita@teste.com', senha: '123456', tipo: 'consumidor', papeis: ['consumidor', 'produtor']
+    });
+    const ana = await User.findOne({ where: { email: 'ana@teste.com' } });
+    const restrito = (codigo, produtorId) => request(app)
+      .post('/api/admin/coupons')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ codigo, tipo: 'frete_gratis', produtorId, inicioEm: daquiA(-1).toISOString(), fimEm: daquiA(7).toISOString() });
+    await restrito('RITA', rita.id).expect(201);
+    const semPapel = await restrito('ANA', ana.id).expect(404);
+    expect(semPapel.body.message).toBe('Produtor não encontrado');
+
+    await adicionarAoCarrinho(tokenAna, tomate, 2);
+    const abaixo = await aplicar(tokenAna, 'feira10').expect(400);
+    expect(abaixo.body.errors).toEqual(['Cupom válido para pedidos a partir de R$ 30,00']);
+    await aplicar(tokenAna, 'NAOEXISTE').expect(404);
+
+    await adicionarAoCarrinho(tokenAna, mel, 1);
+    const aplicado = await aplicar(tokenAna, ' Feira10 ').expect(200);
+    expect(aplicado.body.data.cupom).toMatchObject({ codigo: 'FEIRA10', valido: true, desconto: 3.6 });
+    expect(aplicado.body.data.resumo).toEqual({
+      quantidadeTotal: 3, descontoTotal: 3.6, descontoCupom: 3.6, freteGratis: false, valorTotal: 32.4
+    });
+
+    // Sem o mel, o carrinho fica abaixo do mínimo: o cupom continua, mas sem desconto
+    await request(app)
+      .delete(`/api/cart/remove/${mel.id}`)
+      .set('Authorization', `Bearer ${tokenAna}`)
+      .expect(200);
+    const carrinho = await request(app)
+      .get('/api/cart')
+      .set('Authorization', `Bearer ${tokenAna}`)
+      .expect(200);
+    expect(carrinho.body.data.cupom).toMatchObject({ valido: false, motivo: 'Cupom válido para pedidos a partir de R$ 30,00' });
+    expect(carrinho.body.data.resumo).toMatchObject({ descontoCupom: 0, valorTotal: 16 });
+
+    // O pedido não fecha com um cupom que deixou de valer
+    const pedido = await finalizar(tokenAna).expect(400);
+    expect(pedido.body.errors).toEqual(['Cupom válido para pedidos a partir de R$ 30,00']);
+
+    const removido = await request(app)
+      .delete('/api/cart/coupon')
+      .set('Authorization', `Bearer ${tokenAna}`)
+      .expect(200);
+    expect(removido.body.data.cupom).toBeNull();
+    expect(removido.body.data.resumo.valorTotal).toBe(16);
+  });
+
+  test('o pedido deve registrar o cupom e respeitar os limites de uso', async () => {
+    const mel5 = await cupom({
+      codigo: 'MEL5', tipo: 'valor_fixo', valorDesconto: 5, produtorId: outroProdutor.id, limiteUsos: 1
+    });
+
+    await adicionarAoCarrinho(tokenAna, tomate, 1);
+    await adicionarAoCarrinho(tokenAna, mel, 1);
+    // Só o mel participa do cupom do apiário
+    const aplicado = await aplicar(tokenAna, 'MEL5').expect(200);
+    expect(aplicado.body.data.resumo).toMatchObject({ descontoCupom: 5, valorTotal: 23 });
+
+    await adicionarAoCarrinho(tokenBia, mel, 1);
+    await aplicar(tokenBia, 'MEL5').expect(200);
+
+    const pedido = await finalizar(tokenAna).expect(201);
+    expect(pedido.body.data).toMatchObject({ couponId: mel5.id, codigoCupom: 'MEL5', descontoCupom: 5, freteGratis: false });
+    expect(Number(pedido.body.data.valorTotal)).toBe(23);
+    expect((await mel5.reload()).usos).toBe(1);
+    expect(await CouponRedemption.count({ where: { couponId: mel5.id } })).toBe(1);
+    expect((await Cart.findOne({ where: { userId: pedido.body.data.consumidorId } })).couponId).toBeNull();
+
+    // Bia aplicou antes de esgotar; no fechamento o cupom é conferido de novo
+    const esgotado = await finalizar(tokenBia).expect(400);
+    expect(esgotado.body.errors).toEqual(['Cupom esgotado']);
+    expect(await CartItem.count()).toBe(1);
+
+    // O cancelamento devolve o uso
+    await request(app)
+      .put(`/api/orders/${pedido.body.data.id}/cancel`)
+      .set('Authorization', `Bearer ${tokenAna}`)
+      .expect(200);
+    expect((await mel5.reload()).usos).toBe(0);
+    expect(await CouponRedemption.count()).toBe(0);
+
+    await finalizar(tokenBia).expect(201);
+
+    // Limite por consumidor (padrão 1)
+    await mel5.update({ limiteUsos: null });
+    await adicionarAoCarrinho(tokenBia, mel, 1);
+    const repetido = await aplicar(tokenBia, 'MEL5').expect(400);
+    expect(repetido.body.errors).toEqual(['Você já usou este cupom o máximo de vezes permitido']);
+  });
+
+  test('o registro do uso não passa do limite mesmo com a conferência desatualizada', async () => {
+    const unico = await cupom({ codigo: 'UNICO', tipo: 'frete_gratis', limiteUsos: 1 });
+    const desatualizado = await Coupon.findByPk(unico.id);
+    await unico.update({ usos: 1 });
+
+    const bia = await User.findOne({ where: { email: 'bia@teste.com' } });
+    await expect(redeemCoupon(desatualizado, { userId: bia.id, orderId: 1, desconto: 0 })).rejects.toThrow(CouponError);
+    expect((await unico.reload()).usos).toBe(1);
+  });
+
+  test('dois fechamentos ao mesmo tempo não passam do limite por consumidor nem da primeira compra', async () => {
+    // O SQLite em memória usa uma única conexão e não roda duas transações em paralelo;
+    // a corrida é reproduzida passo a passo: os dois fechamentos conferem o cupom antes
+    // de qualquer um registrar o uso
+    const bia = await User.findOne({ where: { email: 'bia@teste.com' } });
+    const itens = [{ produto: tomate, subtotal: 16 }];
+    const pedido = () => Order.create({ consumidorId: bia.id, valorTotal: 16, enderecoEntrega: {}, status: 'pendente' });
+
+    const fecharAoMesmoTempo = async (cupomDoPedido) => {
+      const conferencias = [
+        await evaluateCoupon(cupomDoPedido, { userId: bia.id, itens }),
+        await evaluateCoupon(cupomDoPedido, { userId: bia.id, itens })
+      ];
+      const resultados = [];
+      for (const { desconto } of conferencias) {
+        const { id } = await pedido();
+        resultados.push(await sequelize.transaction(transaction => (
+          redeemCoupon(cupomDoPedido, { userId: bia.id, orderId: id, desconto }, transaction)
+        )).then(() => 'registrado', err => err));
+      }
+      return resultados;
+    };
+
+    const porConsumidor = await cupom({ codigo: 'UMAVEZ', tipo: 'valor_fixo', valorDesconto: 2 });
+    const [primeiro, segundo] = await fecharAoMesmoTempo(porConsumidor);
+    expect(primeiro).toBe('registrado');
+    expect(segundo).toEqual(new CouponError('Você já usou este cupom o máximo de vezes permitido'));
+    expect(await CouponRedemption.count({ where: { couponId: porConsumidor.id } })).toBe(1);
+    expect((await porConsumidor.reload()).usos).toBe(1);
+
+    // Sem limite por consumidor, a vaga de primeira compra segura o segundo fechamento
+    await Order.destroy({ where: { consumidorId: bia.id } });
+    const primeiraCompra = await cupom({ codigo: 'PRIMEIRA5', tipo: 'valor_fixo', valorDesconto: 5, primeiraCompra: true, limitePorUsuario: null });
+    const resultados = await fecharAoMesmoTempo(primeiraCompra);
+    expect(resultados).toEqual(['registrado', new CouponError('Cupom válido apenas na primeira compra')]);
+    expect(await CouponRedemption.count({ where: { couponId: primeiraCompra.id } })).toBe(1);
+
+    // Cancelar o pedido devolve a vaga
+    const uso = await CouponRedemption.findOne({ where: { couponId: primeiraCompra.id } });
+    await releaseCoupon({ id: uso.orderId, couponId: primeiraCompra.id });
+    await Order.destroy({ where: { consumidorId: bia.id } });
+    expect(await fecharAoMesmoTempo(primeiraCompra)).toEqual(['registrado', expect.any(CouponError)]);
+  });
+
+  test('primeira compra, restrição por categoria e frete grátis', async () => {
+    await cupom({ codigo: 'BEMVINDO', tipo: 'percentual', percentual: 20, primeiraCompra: true, categoryId: hortalicas.id });
+    await cupom({ codigo: 'FRETEGRATIS', tipo: 'frete_gratis', limitePorUsuario: null });
+
+    await adicionarAoCarrinho(tokenAna, alface, 5);
+    await adicionarAoCarrinho(tokenAna, mel, 1);
+
+    // Alface está em Folhosas, subcategoria de Hortaliças: 20% de R$ 15
+    const bemVindo = await aplicar(tokenAna, 'bemvindo').expect(200);
+    expect(bemVindo.body.data.resumo).toMatchObject({ descontoCupom: 3, valorTotal: 32 });
+
+    // Um novo cupom substitui o anterior
+    const frete = await aplicar(tokenAna, 'FRETEGRATIS').expect(200);
+    expect(frete.body.data.cupom).toMatchObject({ codigo: 'FRETEGRATIS', tipo: 'frete_gratis' });
+    expect(frete.body.data.resumo).toMatchObject({ descontoCupom: 0, freteGratis: true, valorTotal: 35 });
+
+    const pedido = await finalizar(tokenAna).expect(201);
+    expect(pedido.body.data).toMatchObject({ freteGratis: true, descontoCupom: 0, codigoCupom: 'FRETEGRATIS' });
+
+    await adicionarAoCarrinho(tokenAna, alface, 5);
+    const segunda = await aplicar(tokenAna, 'BEMVINDO').expect(400);
+    expect(segunda.body.errors).toEqual(['Cupom válido apenas na primeira compra']);
+
+    const semItens = await aplicar(tokenBia, 'FRETEGRATIS').expect(404);
+    expect(semItens.body.message).toBe('Carrinho não encontrado');
+  });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const { decodeToken } = require('../../utils/jwt');
+const { User, Category, Product, Address, Cart } = global.testModels;
+
+/**
+ * Testes de contas com os papéis de consumidor e produtor ao mesmo tempo
+ */
+
+const app = createApp();
+
+describe('Contas com dois papéis', () => {
+  let sitio;
+  let vizinho;
+  let produtoProprio;
+  let produtoVizinho;
+  let token;
+
+  beforeEach(async () => {
+    const category = await Category.create({ nome: 'Vegetais' });
+    sitio = await User.create({ nome: 'Sítio Boa Vista', email: 'sitio@teste.com', senha: '123456', tipo: 'produtor' });
+    vizinho = await User.create({ nome: 'Chácara Vizinha', email: 'vizinho@teste.com', senha: '123456', tipo: 'produtor' });
+
+    produtoProprio = await Product.create({ nome: 'Alface', preco: 3, estoque: 10, categoryId: category.id, produtorId: sitio.id });
+    produtoVizinho = await Product.create({ nome: 'Ovos', preco: 12, estoque: 10, categoryId: category.id, produtorId: vizinho.id });
+
+    await Address.create({
+      userId: sitio.id, rua: 'Estrada do Sítio', numero: 'km 3', bairro: 'Zona Rural',
+      cidade: 'Lavras', estado: 'MG', cep: '37200-000', principal: true
+    });
+
+    token = await login('sitio@teste.com');
+  });
+
+  test('produtor sem papel de consumidor não acessa o carrinho', async () => {
+    await request(app)
+      .get('/api/cart')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+
+  test('adicionar papel deve renovar os tokens com o novo conjunto de papéis', async () => {
+    const response = await request(app)
+      .post('/api/auth/roles')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ papel: 'consumidor' })
+      .expect(200);
+
+    expect(response.body.data.user.papeis).toEqual(['consumidor', 'produtor']);
+    expect(decodeToken(response.body.data.token).papeis).toEqual(['consumidor', 'produtor']);
+
+    // O token antigo pertencia à sessão encerrada
+    await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401);
+
+    await request(app)
+      .post('/api/auth/roles')
+      .set('Authorization', `Bearer ${response.body.data.token}`)
+      .send({ papel: 'consumidor' })
+      .expect(409);
+  });
+
+  describe('com os dois papéis', () => {
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/roles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ papel: 'consumidor' })
+        .expect(200);
+      token = response.body.data.token;
+    });
+
+    test('não deve comprar os próprios produtos', async () => {
+      const response = await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ productId: produtoProprio.id, quantidade: 1 })
+        .expect(400);
+
+      expect(response.body.errors).toContain('Você não pode comprar seus próprios produtos');
+    });
+
+    test('deve comprar do vizinho e continuar vendendo pela mesma conta', async () => {
+      expect(await Cart.findOne({ where: { userId: sitio.id } })).toBeNull();
+
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ productId: produtoVizinho.id, quantidade: 2 })
+        .expect(200);
+
+      await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(201);
+
+      const compras = await request(app)
+        .get('/api/orders')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(compras.body.data).toHaveLength(1);
+
+      const vendas = await request(app)
+        .get('/api/orders/sales/my')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(vendas.body.data).toHaveLength(0);
+
+      const vendasVizinho = await request(app)
+        .get('/api/orders/sales/my')
+        .set('Authorization', `Bearer ${await login('vizinho@teste.com')}`)
+        .expect(200);
+
+      expect(vendasVizinho.body.data).toHaveLength(1);
+    });
+  });
+});
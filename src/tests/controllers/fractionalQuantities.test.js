@@ -0,0 +1,145 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login, criarConsumidor } = require('../helpers');
+const { User, Category, Product, ProductVariant, OrderItem } = global.testModels;
+
+/**
+ * Testes das quantidades fracionadas (produtos vendidos por peso ou volume)
+ */
+
+const app = createApp();
+
+describe('Quantidades fracionadas', () => {
+  let tomate;
+  let alface;
+  let tokenProdutor;
+  let tokenConsumidor;
+
+  const adicionar = (produto, quantidade, extra = {}) => request(app)
+    .post('/api/cart/add')
+    .set('Authorization', `Bearer ${tokenConsumidor}`)
+    .send({ productId: produto.id, quantidade, ...extra });
+
+  beforeEach(async () => {
+    const category = await Category.create({ nome: 'Vegetais' });
+    const produtor = await User.create({
+      nome: 'Sítio', email: 'sitio@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+    });
+    tomate = await Product.create({
+      nome: 'Tomate', preco: 7.9, unidadeMedida: 'kg', estoque: 10.5, quantidadeMinima: 0.5, incremento: 0.25,
+      categoryId: category.id, produtorId: produtor.id
+    });
+    alface = await Product.create({
+      nome: 'Alface', preco: 2.99, unidadeMedida: 'unidade', estoque: 20, categoryId: category.id, produtorId: produtor.id
+    });
+
+    await criarConsumidor('Ana', 'ana@teste.com');
+
+    tokenProdutor = await login('sitio@teste.com');
+    tokenConsumidor = await login('ana@teste.com');
+  });
+
+  test('o carrinho deve respeitar o mínimo, o incremento e as unidades inteiras', async () => {
+    const abaixo = await adicionar(tomate, 0.25).expect(400);
+    expect(abaixo.body.errors).toEqual(['A quantidade mínima de "Tomate" é 0.5 kg']);
+
+    const foraDoPasso = await adicionar(tomate, 0.6).expect(400);
+    expect(foraDoPasso.body.errors).toEqual(['"Tomate" é vendido em múltiplos de 0.25 kg']);
+
+    await adicionar(tomate, 0.1234).expect(400);
+
+    const fracionada = await adicionar(alface, 1.5).expect(400);
+    expect(fracionada.body.errors).toEqual(['"Alface" é vendido em quantidades inteiras (unidade)']);
+
+    await adicionar(tomate, 0.75).expect(200);
+    await adicionar(alface, 3).expect(200);
+
+    // Somar ao item do carrinho: 0,75 + 0,5 = 1,25 kg
+    const carrinho = await adicionar(tomate, '0.5').expect(200);
+    const itemTomate = carrinho.body.data.itens.find(item => item.productId === tomate.id);
+    expect(itemTomate.quantidade).toBe(1.25);
+    expect(itemTomate.subtotal).toBe(9.88);
+    expect(carrinho.body.data.resumo).toEqual({ quantidadeTotal: 4.25, descontoTotal: 0, descontoCupom: 0, freteGratis: false, valorTotal: 18.85 });
+
+    const atualizado = await request(app)
+      .put(`/api/cart/update/${tomate.id}`)
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({ quantidade: 1.1 })
+      .expect(400);
+    expect(atualizado.body.errors[0]).toMatch(/múltiplos de 0.25 kg/);
+
+    await request(app)
+      .put(`/api/cart/update/${tomate.id}`)
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({ quantidade: 11 })
+      .expect(400);
+  });
+
+  test('o pedido deve baixar o estoque fracionado com o subtotal arredondado', async () => {
+    await adicionar(tomate, 1.25).expect(200);
+
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({})
+      .expect(201);
+
+    expect(Number(response.body.data.valorTotal)).toBe(9.88);
+    const [item] = await OrderItem.findAll({ where: { orderId: response.body.data.id } });
+    expect(item.quantidade).toBe(1.25);
+    expect(Number(item.subtotal)).toBe(9.88);
+
+    await tomate.reload();
+    expect(tomate.estoque).toBe(9.25);
+  });
+
+  test('o checkout deve recusar itens que deixaram de respeitar a regra do produto', async () => {
+    await adicionar(tomate, 0.75).expect(200);
+    await tomate.update({ quantidadeMinima: 1, incremento: 0.5 });
+
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({})
+      .expect(400);
+    expect(response.body.errors).toEqual(['A quantidade mínima de "Tomate" é 1 kg']);
+  });
+
+  test('o produtor deve definir quantidades e estoque conforme a unidade', async () => {
+    const produto = (dados) => request(app)
+      .put(`/api/products/${tomate.id}`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ nome: 'Tomate', preco: 7.9, categoryId: tomate.categoryId, unidadeMedida: 'kg', ...dados });
+
+    await produto({ quantidadeMinima: 0.3, incremento: 0.25 }).expect(400);
+
+    const invalido = await produto({ unidadeMedida: 'caixa', estoque: 2.5 }).expect(400);
+    expect(invalido.body.errors).toEqual(['Estoque deve ser um número inteiro não negativo para produtos vendidos por caixa']);
+
+    const atualizado = await produto({ estoque: 3.75, quantidadeMinima: 0.2, incremento: 0.1 }).expect(200);
+    expect(atualizado.body.data).toMatchObject({ estoque: 3.75, quantidadeMinima: 0.2, incremento: 0.1 });
+
+    // A rota de estoque confere a unidade pelo modelo
+    await request(app)
+      .put(`/api/products/${alface.id}/stock`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ estoque: 4.5 })
+      .expect(400);
+
+    const estoque = await request(app)
+      .put(`/api/products/${tomate.id}/stock`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ estoque: '12.345' })
+      .expect(200);
+    expect(estoque.body.data.estoque).toBe(12.345);
+  });
+
+  test('variações vendidas por unidade de um produto a granel usam quantidades inteiras', async () => {
+    const bandeja = await ProductVariant.create({
+      productId: tomate.id, nome: 'Bandeja', unidadeMedida: 'unidade', preco: 6, estoque: 5
+    });
+
+    await adicionar(tomate, 1.5, { variantId: bandeja.id }).expect(400);
+    await adicionar(tomate, 2, { variantId: bandeja.id }).expect(200);
+  });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const { importCepCsv, haversineKm } = require('../../services/geoService');
+const { User, Category, Product, ProducerProfile, Address } = global.testModels;
+
+/**
+ * Testes da busca por proximidade (CEP, distância, raio e ordenação)
+ */
+
+const app = createApp();
+
+// Lavras (MG), Campinas (SP) e São Paulo (SP)
+const LAVRAS = { latitude: -21.245, longitude: -44.999 };
+const CAMPINAS = { latitude: -22.9056, longitude: -47.0608 };
+
+describe('Busca por proximidade', () => {
+  let token;
+  let endereco;
+
+  beforeEach(async () => {
+    await importCepCsv([
+      'cep;latitude;longitude;cidade;estado',
+      '04101-000;-23,5880;-46,6340;São Paulo;sp',
+      '13010-000;-22.9056;-47.0608;Campinas;SP',
+      'invalido;1;2;;'
+    ].join('\n'));
+
+    const category = await Category.create({ nome: 'Vegetais' });
+    const sitio = await User.create({ nome: 'Sítio Lavras', email: 'lavras@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado' });
+    const chacara = await User.create({ nome: 'Chácara Campinas', email: 'campinas@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado' });
+
+    await ProducerProfile.create({ userId: sitio.id, nomePropriedade: 'Sítio', ...LAVRAS });
+    await ProducerProfile.create({ userId: chacara.id, nomePropriedade: 'Chácara', ...CAMPINAS });
+
+    await Product.create({ nome: 'Alface', preco: 3, estoque: 10, categoryId: category.id, produtorId: sitio.id });
+    await Product.create({ nome: 'Couve', preco: 4, estoque: 10, categoryId: category.id, produtorId: chacara.id });
+
+    await User.create({ nome: 'Eva', email: 'eva@teste.com', senha: '123456', tipo: 'consumidor' });
+    token = await login('eva@teste.com');
+
+    // CEP sem linha exata: usa outro CEP do mesmo setor
+    const response = await request(app)
+      .post('/api/addresses')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ rua: 'Rua das Palmeiras', numero: '215', bairro: 'Vila Mariana', cidade: 'São Paulo', estado: 'SP', cep: '04101-300' })
+      .expect(201);
+    endereco = response.body.data;
+  });
+
+  test('deve localizar o endereço pela tabela de CEPs', async () => {
+    expect(Number(endereco.latitude)).toBeCloseTo(-23.588);
+    expect(Number(endereco.longitude)).toBeCloseTo(-46.634);
+    expect(haversineKm(CAMPINAS, endereco)).toBeGreaterThan(70);
+    expect(haversineKm(CAMPINAS, endereco)).toBeLessThan(90);
+  });
+
+  test('deve filtrar produtos pelo raio e ordenar por distância', async () => {
+    const perto = await request(app)
+      .get(`/api/products?near=${endereco.id}&radiusKm=100`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(perto.body.data.map(produto => produto.nome)).toEqual(['Couve']);
+    expect(perto.body.data[0].distanciaKm).toBeLessThan(100);
+
+    const todos = await request(app)
+      .get(`/api/products?near=${endereco.id}&orderBy=distance`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(todos.body.data.map(produto => produto.nome)).toEqual(['Couve', 'Alface']);
+  });
+
+  test('deve ordenar o diretório de produtores por distância', async () => {
+    const response = await request(app)
+      .get(`/api/producers?near=${endereco.id}&orderBy=distance`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.map(produtor => produtor.nome)).toEqual(['Chácara Campinas', 'Sítio Lavras']);
+    expect(response.body.data[1].distanciaKm).toBeGreaterThan(response.body.data[0].distanciaKm);
+  });
+
+  test('deve exigir login e um endereço próprio com coordenadas', async () => {
+    await request(app).get(`/api/products?near=${endereco.id}`).expect(401);
+    await request(app).get('/api/products?orderBy=distance').expect(400);
+
+    const outro = await User.create({ nome: 'Outro', email: 'outro@teste.com', senha: '123456', tipo: 'consumidor' });
+    const alheio = await Address.create({
+      userId: outro.id, rua: 'Rua B', numero: '1', bairro: 'Centro', cidade: 'Lavras', estado: 'MG', cep: '37200-000'
+    });
+
+    await request(app)
+      .get(`/api/producers?near=${alheio.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404);
+
+    const semCoordenadas = await Address.create({
+      userId: endereco.userId, rua: 'Rua C', numero: '2', bairro: 'Centro', cidade: 'Lavras', estado: 'MG', cep: '37200-000'
+    });
+
+    await request(app)
+      .get(`/api/products?near=${semCoordenadas.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+  });
+});
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const { User, Category, Product, Order, OrderItem } = global.testModels;
+
+/**
+ * Testes de organizações (cooperativas e associações)
+ */
+
+const app = createApp();
+
+describe('Organizações', () => {
+  let category;
+  let tokens;
+  let ana;
+  let bruno;
+  let carla;
+
+  const criarProdutor = (nome, email) => User.create({
+    nome, email, senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+  });
+
+  const criarCooperativa = async () => {
+    const response = await request(app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${tokens.ana}`)
+      .send({ nome: 'Cooperativa Serra Verde', tipo: 'cooperativa', cnpj: '11.222.333/0001-81', estado: 'mg' })
+      .expect(201);
+    return response.body.data;
+  };
+
+  const adicionarMembro = (organization, token, email, papel) => request(app)
+    .post(`/api/organizations/${organization.id}/members`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ email, papel });
+
+  beforeEach(async () => {
+    category = await Category.create({ nome: 'Vegetais' });
+    ana = await criarProdutor('Ana Dona', 'ana@teste.com');
+    bruno = await criarProdutor('Bruno Gestor', 'bruno@teste.com');
+    carla = await criarProdutor('Carla Membro', 'carla@teste.com');
+
+    tokens = {
+      ana: await login('ana@teste.com'),
+      bruno: await login('bruno@teste.com'),
+      carla: await login('carla@teste.com')
+    };
+  });
+
+  test('deve criar a organização com o criador como dono e validar o CNPJ', async () => {
+    const organization = await criarCooperativa();
+
+    expect(organization.cnpj).toBe('11222333000181');
+    expect(organization.estado).toBe('MG');
+
+    const minhas = await request(app)
+      .get('/api/organizations/my')
+      .set('Authorization', `Bearer ${tokens.ana}`)
+      .expect(200);
+
+    expect(minhas.body.data[0].meuPapel).toBe('dono');
+
+    await request(app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${tokens.bruno}`)
+      .send({ nome: 'Associação', tipo: 'associacao', cnpj: '11.222.333/0001-80' })
+      .expect(400);
+  });
+
+  test('gestor só adiciona membros comuns e a organização mantém um dono', async () => {
+    const organization = await criarCooperativa();
+
+    await adicionarMembro(organization, tokens.ana, 'bruno@teste.com', 'gestor').expect(201);
+    await adicionarMembro(organization, tokens.bruno, 'carla@teste.com', 'gestor').expect(403);
+    await adicionarMembro(organization, tokens.bruno, 'carla@teste.com', 'membro').expect(201);
+    await adicionarMembro(organization, tokens.ana, 'carla@teste.com', 'membro').expect(409);
+
+    await request(app)
+      .delete(`/api/organizations/${organization.id}/members/${ana.id}`)
+      .set('Authorization', `Bearer ${tokens.ana}`)
+      .expect(400);
+
+    const membros = await request(app)
+      .get(`/api/organizations/${organization.id}/members`)
+      .set('Authorization', `Bearer ${tokens.carla}`)
+      .expect(200);
+
+    expect(membros.body.data.map(membro => membro.papel)).toEqual(['dono', 'gestor', 'membro']);
+  });
+
+  describe('Catálogo e vendas da organização', () => {
+    let organization;
+    let product;
+
+    beforeEach(async () => {
+      organization = await criarCooperativa();
+      await adicionarMembro(organization, tokens.ana, 'bruno@teste.com', 'gestor').expect(201);
+      await adicionarMembro(organization, tokens.ana, 'carla@teste.com', 'membro').expect(201);
+
+      // Carla cultiva; o produto é vendido pela cooperativa
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${tokens.carla}`)
+        .send({ nome: 'Couve', preco: 4, estoque: 20, unidadeMedida: 'unidade', categoryId: category.id, organizationId: organization.id })
+        .expect(201);
+      product = response.body.data;
+    });
+
+    test('produto da organização continua creditando o produtor', async () => {
+      expect(product.produtor.id).toBe(carla.id);
+      expect(product.organizationId).toBe(organization.id);
+
+      const listagem = await request(app)
+        .get(`/api/products?organizacao=${organization.id}`)
+        .expect(200);
+
+      expect(listagem.body.data).toHaveLength(1);
+      expect(listagem.body.data[0].organizacao.nome).toBe('Cooperativa Serra Verde');
+    });
+
+    test('qualquer membro ajusta o estoque, mas só dono e gestor editam o produto', async () => {
+      const dados = { nome: 'Couve Manteiga', preco: 5, unidadeMedida: 'unidade', categoryId: category.id };
+
+      await request(app)
+        .put(`/api/products/${product.id}/stock`)
+        .set('Authorization', `Bearer ${tokens.ana}`)
+        .send({ estoque: 15 })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/products/${product.id}`)
+        .set('Authorization', `Bearer ${tokens.bruno}`)
+        .send(dados)
+        .expect(200);
+
+      await criarProdutor('Diego', 'diego@teste.com');
+      await request(app)
+        .put(`/api/products/${product.id}/stock`)
+        .set('Authorization', `Bearer ${await login('diego@teste.com')}`)
+        .send({ estoque: 0 })
+        .expect(403);
+    });
+
+    test('membros veem as vendas da organização e atualizam o status do pedido', async () => {
+      const consumidor = await User.create({ nome: 'Eva', email: 'eva@teste.com', senha: '123456', tipo: 'consumidor' });
+      const order = await Order.create({ consumidorId: consumidor.id, valorTotal: 8, enderecoEntrega: { rua: 'Rua A' } });
+      await OrderItem.create({ orderId: order.id, productId: product.id, quantidade: 2, precoUnitario: 4, subtotal: 8 });
+
+      const vendas = await request(app)
+        .get(`/api/organizations/${organization.id}/sales`)
+        .set('Authorization', `Bearer ${tokens.bruno}`)
+        .expect(200);
+
+      expect(vendas.body.data).toHaveLength(1);
+      expect(vendas.body.data[0].itens[0].produto.produtor.id).toBe(carla.id);
+
+      await request(app)
+        .put(`/api/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${tokens.ana}`)
+        .send({ status: 'confirmado' })
+        .expect(200);
+
+      const estranho = await criarProdutor('Fábio', 'fabio@teste.com');
+      await request(app)
+        .get(`/api/organizations/${organization.id}/sales`)
+        .set('Authorization', `Bearer ${await login(estranho.email)}`)
+        .expect(403);
+    });
+
+    test('membro que sai leva seus produtos da organização', async () => {
+      await request(app)
+        .delete(`/api/organizations/${organization.id}/members/${carla.id}`)
+        .set('Authorization', `Bearer ${tokens.carla}`)
+        .expect(200);
+
+      const atualizado = await Product.findByPk(product.id);
+      expect(atualizado.organizationId).toBeNull();
+    });
+  });
+});
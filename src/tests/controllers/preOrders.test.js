@@ -0,0 +1,212 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login, dataDaquiA, criarConsumidor } = require('../helpers');
+const mailer = require('../../services/mailer');
+const { allocateProportionally, reserveHarvest, registerOutcome, HarvestClosedError } = require('../../services/preOrderService');
+const { User, Category, Product, Harvest, Order, OrderItem } = global.testModels;
+
+/**
+ * Testes da pré-venda (colheitas, reservas e distribuição do resultado)
+ */
+
+const app = createApp();
+
+describe('Pré-venda', () => {
+  describe('Distribuição proporcional', () => {
+    test('deve dividir pela proporção e dar as sobras às maiores frações', () => {
+      expect(allocateProportionally([5, 3, 2], 7)).toEqual([4, 2, 1]);
+      expect(allocateProportionally([1, 1, 1], 2)).toEqual([1, 1, 0]);
+      expect(allocateProportionally([4, 6], 12)).toEqual([4, 6]);
+      expect(allocateProportionally([4, 6], 0)).toEqual([0, 0]);
+    });
+  });
+
+  describe('Endpoints', () => {
+    let abobora;
+    let tokenProdutor;
+    let sendMail;
+
+    // Consumidor com endereço, já logado
+    const entrarComoConsumidor = async (nome) => {
+      const email = `${nome.toLowerCase()}@teste.com`;
+      await criarConsumidor(nome, email);
+      return login(email);
+    };
+
+    const publicar = (dados) => request(app)
+      .post(`/api/products/${abobora.id}/harvests`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send(dados);
+
+    const reservar = async (token, harvestId, quantidade) => {
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ productId: abobora.id, harvestId, quantidade })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(201);
+      return response.body.data;
+    };
+
+    beforeEach(async () => {
+      sendMail = jest.spyOn(mailer, 'sendMail').mockResolvedValue({ id: 'teste' });
+
+      const category = await Category.create({ nome: 'Legumes' });
+      const produtor = await User.create({
+        nome: 'Sítio Boa Vista', email: 'sitio@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+      });
+      abobora = await Product.create({
+        nome: 'Abóbora cabotiá', preco: 5, unidadeMedida: 'kg', estoque: 0, categoryId: category.id, produtorId: produtor.id
+      });
+
+      tokenProdutor = await login('sitio@teste.com');
+    });
+
+    afterEach(() => {
+      sendMail.mockRestore();
+    });
+
+    test('deve validar a colheita publicada', async () => {
+      const response = await publicar({ quantidadePrevista: 0, dataColheita: dataDaquiA(-3), dataEntrega: 'amanhã' })
+        .expect(400);
+
+      expect(response.body.errors).toHaveLength(3);
+    });
+
+    test('deve reservar pelo carrinho e marcar o pedido como pré-venda', async () => {
+      const publicada = await publicar({ quantidadePrevista: 10, dataColheita: dataDaquiA(20), dataEntrega: dataDaquiA(22) })
+        .expect(201);
+      const colheita = publicada.body.data;
+      expect(colheita.disponivel).toBe(10);
+
+      const tokenAna = await entrarComoConsumidor('Ana');
+      const pedido = await reservar(tokenAna, colheita.id, 4);
+
+      expect(pedido.preVenda).toBe(true);
+      expect(pedido.dataEntregaPrevista).toMatch(new RegExp(`^${dataDaquiA(22)}`));
+      expect(pedido.itens[0]).toMatchObject({ harvestId: colheita.id, quantidadeReservada: 4, statusReserva: 'reservado' });
+
+      // O estoque do produto não é usado; a reserva sai da colheita
+      expect((await Product.findByPk(abobora.id)).estoque).toBe(0);
+      const lista = await request(app).get(`/api/products/${abobora.id}/harvests`).expect(200);
+      expect(lista.body.data[0].disponivel).toBe(6);
+
+      const excesso = await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${await entrarComoConsumidor('Bia')}`)
+        .send({ productId: abobora.id, harvestId: colheita.id, quantidade: 7 })
+        .expect(400);
+      expect(excesso.body.success).toBe(false);
+
+      // Cancelar o pedido devolve a quantidade à colheita
+      await request(app)
+        .put(`/api/orders/${pedido.id}/cancel`)
+        .set('Authorization', `Bearer ${tokenAna}`)
+        .expect(200);
+      expect((await Harvest.findByPk(colheita.id)).quantidadeReservada).toBe(0);
+    });
+
+    test('não deve aceitar reservas em colheita encerrada', async () => {
+      const publicada = await publicar({ quantidadePrevista: 10, dataColheita: dataDaquiA(20) }).expect(201);
+      const colheitaId = publicada.body.data.id;
+
+      await request(app)
+        .put(`/api/products/${abobora.id}/harvests/${colheitaId}`)
+        .set('Authorization', `Bearer ${tokenProdutor}`)
+        .send({ status: 'encerrada' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${await entrarComoConsumidor('Ana')}`)
+        .send({ productId: abobora.id, harvestId: colheitaId, quantidade: 1 })
+        .expect(400);
+      expect(response.body.errors[0]).toMatch(/não aceita mais reservas/);
+    });
+
+    test('não deve reservar além da previsão quando checkouts conferem a mesma disponibilidade', async () => {
+      const publicada = await publicar({ quantidadePrevista: 10, dataColheita: dataDaquiA(20) }).expect(201);
+      const colheitaId = publicada.body.data.id;
+
+      // Os dois checkouts viram 10 disponíveis; o banco de testes não roda transações em
+      // paralelo, então a disputa é reproduzida na ordem em que as reservas chegariam
+      await reserveHarvest({ harvestId: colheitaId, quantidade: 6 });
+      await expect(reserveHarvest({ harvestId: colheitaId, quantidade: 6 })).rejects.toThrow(HarvestClosedError);
+
+      expect((await Harvest.findByPk(colheitaId)).quantidadeReservada).toBe(6);
+    });
+
+    test('deve distribuir uma colheita menor entre as reservas e avisar os consumidores', async () => {
+      const publicada = await publicar({ quantidadePrevista: 10, dataColheita: dataDaquiA(20) }).expect(201);
+      const colheitaId = publicada.body.data.id;
+
+      const pedidoAna = await reservar(await entrarComoConsumidor('Ana'), colheitaId, 5);
+      const pedidoBia = await reservar(await entrarComoConsumidor('Bia'), colheitaId, 3);
+      const pedidoCaio = await reservar(await entrarComoConsumidor('Caio'), colheitaId, 1);
+
+      const response = await request(app)
+        .post(`/api/products/${abobora.id}/harvests/${colheitaId}/outcome`)
+        .set('Authorization', `Bearer ${tokenProdutor}`)
+        .send({ quantidadeColhida: 3 })
+        .expect(200);
+
+      // 5, 3 e 1 reservados; 3 colhidos: 1.67, 1 e 0.33 por proporção
+      expect(response.body.data.resumo).toEqual({
+        reservado: 9, colhido: 3, atendidos: 0, parciais: 2, cancelados: 1, pedidosCancelados: 1, sobraEstoque: 0
+      });
+      expect(response.body.data.colheita.status).toBe('colhida');
+
+      const itemAna = await OrderItem.findOne({ where: { orderId: pedidoAna.id } });
+      expect(itemAna).toMatchObject({ statusReserva: 'parcial', quantidade: 2, quantidadeReservada: 5 });
+      expect(Number((await Order.findByPk(pedidoAna.id)).valorTotal)).toBe(10);
+      expect(Number((await Order.findByPk(pedidoBia.id)).valorTotal)).toBe(5);
+      expect((await Order.findByPk(pedidoCaio.id)).status).toBe('cancelado');
+
+      expect(sendMail).toHaveBeenCalledTimes(3);
+      expect(sendMail.mock.calls[0][0].to).toBe('ana@teste.com');
+
+      await request(app)
+        .post(`/api/products/${abobora.id}/harvests/${colheitaId}/outcome`)
+        .set('Authorization', `Bearer ${tokenProdutor}`)
+        .send({ quantidadeColhida: 3 })
+        .expect(409);
+    });
+
+    test('deve registrar o resultado uma vez só, mesmo a partir de leituras antigas da colheita', async () => {
+      const publicada = await publicar({ quantidadePrevista: 10, dataColheita: dataDaquiA(20) }).expect(201);
+      await reservar(await entrarComoConsumidor('Ana'), publicada.body.data.id, 4);
+
+      // Duas requisições que leram a colheita ainda aberta
+      const primeira = await Harvest.findByPk(publicada.body.data.id);
+      const segunda = await Harvest.findByPk(publicada.body.data.id);
+
+      await registerOutcome(primeira, 12);
+      await expect(registerOutcome(segunda, 12)).rejects.toThrow(HarvestClosedError);
+
+      expect(primeira).toMatchObject({ status: 'colhida', quantidadeColhida: 12 });
+      expect((await Product.findByPk(abobora.id)).estoque).toBe(8);
+    });
+
+    test('deve mandar a sobra da colheita para o estoque', async () => {
+      const publicada = await publicar({ quantidadePrevista: 10, dataColheita: dataDaquiA(20) }).expect(201);
+      const colheitaId = publicada.body.data.id;
+      const pedido = await reservar(await entrarComoConsumidor('Ana'), colheitaId, 4);
+
+      const response = await request(app)
+        .post(`/api/products/${abobora.id}/harvests/${colheitaId}/outcome`)
+        .set('Authorization', `Bearer ${tokenProdutor}`)
+        .send({ quantidadeColhida: 12 })
+        .expect(200);
+
+      expect(response.body.data.resumo).toMatchObject({ atendidos: 1, sobraEstoque: 8 });
+      expect((await Product.findByPk(abobora.id)).estoque).toBe(8);
+      expect((await OrderItem.findOne({ where: { orderId: pedido.id } })).statusReserva).toBe('atendido');
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const { User, Category, Product, ProducerProfile } = global.testModels;
+
+/**
+ * Testes da vitrine pública dos produtores
+ */
+
+const app = createApp();
+
+describe('Produtores', () => {
+  let vegetais;
+  let frutas;
+  let sitio;
+  let chacara;
+
+  beforeEach(async () => {
+    vegetais = await Category.create({ nome: 'Vegetais' });
+    frutas = await Category.create({ nome: 'Frutas' });
+
+    sitio = await User.create({ nome: 'Maria Souza', email: 'maria@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado' });
+    chacara = await User.create({ nome: 'José Lima', email: 'jose@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado' });
+    // Produtor ainda não aprovado não aparece na vitrine
+    await User.create({ nome: 'Pendente', email: 'pendente@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'pendente' });
+
+    await ProducerProfile.create({ userId: sitio.id, nomePropriedade: 'Sítio Boa Vista', cidade: 'Lavras', estado: 'MG', praticas: ['agroecologico'] });
+    await ProducerProfile.create({ userId: chacara.id, nomePropriedade: 'Chácara do Sol', cidade: 'Campinas', estado: 'SP' });
+
+    await Product.create({ nome: 'Alface', preco: 3, estoque: 10, categoryId: vegetais.id, produtorId: sitio.id });
+    await Product.create({ nome: 'Couve', preco: 4, estoque: 10, categoryId: vegetais.id, produtorId: sitio.id });
+    await Product.create({ nome: 'Banana', preco: 5, estoque: 10, categoryId: frutas.id, produtorId: chacara.id });
+  });
+
+  test('deve listar apenas produtores aprovados, com filtros por cidade e categoria', async () => {
+    const todos = await request(app).get('/api/producers').expect(200);
+    expect(todos.body.data.map(produtor => produtor.nome)).toEqual(['José Lima', 'Maria Souza']);
+    expect(todos.body.data[1].email).toBeUndefined();
+
+    const lavras = await request(app).get('/api/producers?cidade=lavras').expect(200);
+    expect(lavras.body.data.map(produtor => produtor.id)).toEqual([sitio.id]);
+
+    const frutasResp = await request(app).get(`/api/producers?category=${frutas.id}`).expect(200);
+    expect(frutasResp.body.data.map(produtor => produtor.id)).toEqual([chacara.id]);
+
+    const busca = await request(app).get('/api/producers?search=Boa Vista').expect(200);
+    expect(busca.body.data.map(produtor => produtor.id)).toEqual([sitio.id]);
+  });
+
+  test('deve mostrar a vitrine e os produtos do produtor', async () => {
+    const vitrine = await request(app).get(`/api/producers/${sitio.id}`).expect(200);
+    expect(vitrine.body.data.perfilProdutor.nomePropriedade).toBe('Sítio Boa Vista');
+    expect(vitrine.body.data.categorias.map(categoria => categoria.nome)).toEqual(['Vegetais']);
+    expect(vitrine.body.data.totalProdutos).toBe(2);
+
+    const produtos = await request(app).get(`/api/producers/${sitio.id}/products?search=alf`).expect(200);
+    expect(produtos.body.data.map(produto => produto.nome)).toEqual(['Alface']);
+    expect(produtos.body.data[0].precoFinal).toBe(3);
+
+    const porCidade = await request(app).get('/api/products?estado=sp').expect(200);
+    expect(porCidade.body.data.map(produto => produto.nome)).toEqual(['Banana']);
+  });
+
+  test('produtor deve criar e atualizar o próprio perfil', async () => {
+    const novo = await User.create({ nome: 'Ana Horta', email: 'ana@teste.com', senha: '123456', tipo: 'produtor' });
+    const token = await login(novo.email);
+
+    await request(app)
+      .put('/api/producers/me/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ historia: 'Horta urbana' })
+      .expect(400);
+
+    await request(app)
+      .put('/api/producers/me/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ nomePropriedade: 'Horta da Ana', praticas: ['magica'] })
+      .expect(400);
+
+    await request(app)
+      .put('/api/producers/me/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ nomePropriedade: 'Horta da Ana', estado: 'rj', fotos: ['https://exemplo.com/horta.jpg'] })
+      .expect(201);
+
+    const atualizado = await request(app)
+      .put('/api/producers/me/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ cidadesEntrega: ['Niterói'] })
+      .expect(200);
+
+    expect(atualizado.body.data.estado).toBe('RJ');
+    expect(atualizado.body.data.cidadesEntrega).toEqual(['Niterói']);
+
+    // Sem aprovação, o perfil ainda não é público
+    await request(app).get(`/api/producers/${novo.id}`).expect(404);
+  });
+});
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { User, Category, Product, ProductVariant, ProducerProfile, Certification, ProductCertification } = global.testModels;
+
+/**
+ * Testes dos filtros do catálogo e das facetas da listagem
+ */
+
+const app = createApp();
+
+describe('Filtros e facetas do catálogo', () => {
+  let vegetais;
+  let laticinios;
+
+  const listar = async (query = '') => {
+    const response = await request(app).get(`/api/products${query}`).expect(200);
+    return response.body;
+  };
+
+  const nomes = body => body.data.map(produto => produto.nome).sort();
+
+  beforeEach(async () => {
+    vegetais = await Category.create({ nome: 'Vegetais' });
+    laticinios = await Category.create({ nome: 'Laticínios' });
+
+    const sitio = await User.create({ nome: 'Maria', email: 'maria@teste.com', senha: '123456', tipo: 'produtor' });
+    const chacara = await User.create({ nome: 'José', email: 'jose@teste.com', senha: '123456', tipo: 'produtor' });
+
+    await ProducerProfile.create({
+      userId: sitio.id, nomePropriedade: 'Sítio Boa Vista', cidade: 'Lavras', estado: 'MG',
+      praticas: ['organico'], certificacoes: ['Orgânico Brasil'], cidadesEntrega: ['Lavras', 'Ijací']
+    });
+    await ProducerProfile.create({
+      userId: chacara.id, nomePropriedade: 'Chácara do Sol', cidade: 'São José', estado: 'SP', cidadesEntrega: ['Valinhos']
+    });
+
+    const alface = await Product.create({ nome: 'Alface', preco: 4, unidadeMedida: 'unidade', estoque: 10, categoryId: vegetais.id, produtorId: sitio.id });
+    await Product.create({
+      nome: 'Cenoura', preco: 20, promocao: true, percentualDesconto: 50, unidadeMedida: 'kg', estoque: 0,
+      categoryId: vegetais.id, produtorId: chacara.id
+    });
+    const queijo = await Product.create({ nome: 'Queijo', preco: 30, unidadeMedida: 'unidade', estoque: 0, categoryId: laticinios.id, produtorId: sitio.id });
+    await ProductVariant.create({ productId: queijo.id, nome: '500g', preco: 30, unidadeMedida: 'g', estoque: 3 });
+    await ProductVariant.create({ productId: queijo.id, nome: '1kg', preco: 55, unidadeMedida: 'kg', estoque: 0 });
+
+    // Só o certificado vigente conta; o vencido e a lista declarada no perfil ficam de fora
+    const vigente = await Certification.create({
+      produtorId: sitio.id, tipo: 'sisorg_opac', numero: 'OPAC-1', orgaoEmissor: 'OPAC Sul', validoDe: '2020-01-01', validoAte: '2999-12-31'
+    });
+    const vencida = await Certification.create({
+      produtorId: sitio.id, tipo: 'ocs', numero: 'OCS-1', orgaoEmissor: 'OCS Feira', validoDe: '2020-01-01', validoAte: '2021-01-01'
+    });
+    await ProductCertification.create({ productId: alface.id, certificationId: vigente.id });
+    await ProductCertification.create({ productId: queijo.id, certificationId: vencida.id });
+  });
+
+  test('deve filtrar pelo preço final, unidade e estoque das variações', async () => {
+    expect(nomes(await listar('?precoMax=10'))).toEqual(['Alface', 'Cenoura']);
+    expect(nomes(await listar('?precoMin=50'))).toEqual(['Queijo']);
+    expect(nomes(await listar('?unidade=kg'))).toEqual(['Cenoura', 'Queijo']);
+    expect(nomes(await listar('?emEstoque=true'))).toEqual(['Alface', 'Queijo']);
+    expect(nomes(await listar('?unidade=kg&emEstoque=true'))).toEqual(['Queijo']);
+
+    await request(app).get('/api/products?precoMin=20&precoMax=10').expect(400);
+    await request(app).get('/api/products?unidade=tonelada').expect(400);
+  });
+
+  test('deve filtrar pelo perfil do produtor', async () => {
+    expect(nomes(await listar('?pratica=organico&category=' + vegetais.id))).toEqual(['Alface']);
+    expect(nomes(await listar('?entregaEm=valinhos'))).toEqual(['Cenoura']);
+    expect(nomes(await listar('?entregaEm=Ijaci&cidade=Lavras'))).toEqual(['Alface', 'Queijo']);
+  });
+
+  test('deve comparar as cidades sem acentos e sem curingas', async () => {
+    expect(nomes(await listar('?entregaEm=IJACI'))).toEqual(['Alface', 'Queijo']);
+    expect(nomes(await listar(`?entregaEm=${encodeURIComponent('ijací')}`))).toEqual(['Alface', 'Queijo']);
+    expect(nomes(await listar('?cidade=sao%20jose'))).toEqual(['Cenoura']);
+
+    // % e _ são texto comum, não padrões do LIKE
+    expect(nomes(await listar('?cidade=%25'))).toEqual([]);
+    expect(nomes(await listar('?cidade=S_o%20Jos_'))).toEqual([]);
+  });
+
+  test('deve filtrar pelos selos vigentes, com os valores da faceta de certificações', async () => {
+    expect(nomes(await listar('?certificacao=sisorg_opac'))).toEqual(['Alface']);
+    expect(nomes(await listar('?certificacao=organico'))).toEqual(['Alface']);
+    expect(nomes(await listar('?certificacao=ocs'))).toEqual([]);
+
+    await request(app).get('/api/products?certificacao=organico brasil').expect(400);
+  });
+
+  test('deve contar as facetas sobre todos os produtos filtrados', async () => {
+    const body = await listar('?limit=1');
+
+    expect(body.data).toHaveLength(1);
+    expect(body.pagination.totalItems).toBe(3);
+    expect(body.facetas.categorias).toEqual([
+      { id: vegetais.id, nome: 'Vegetais', total: 2 },
+      { id: laticinios.id, nome: 'Laticínios', total: 1 }
+    ]);
+    expect(body.facetas.unidades).toEqual([
+      { valor: 'kg', total: 2 },
+      { valor: 'g', total: 1 },
+      { valor: 'unidade', total: 1 }
+    ]);
+    expect(body.facetas.certificacoes).toEqual([
+      { valor: 'sisorg_opac', rotulo: 'Orgânico (SisOrg – avaliação participativa)', total: 1 }
+    ]);
+    expect(body.facetas.praticas).toEqual([{ valor: 'organico', total: 2 }]);
+    expect(body.facetas.faixasPreco.map(faixa => faixa.total)).toEqual([1, 1, 1, 0, 0]);
+
+    const filtrado = await listar(`?category=${laticinios.id}`);
+    expect(filtrado.facetas.categorias).toEqual([{ id: laticinios.id, nome: 'Laticínios', total: 1 }]);
+  });
+});
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const config = require('../../config');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const { User, Category, Product, ProducerProfile } = global.testModels;
+
+/**
+ * Testes do upload de imagens (produtos e fotos da propriedade)
+ */
+
+const app = createApp();
+
+// Foto de celular "deitada": 400x200 gravada com orientação EXIF 6 (girar 90°)
+const fotoCelular = () => sharp({
+  create: { width: 400, height: 200, channels: 3, background: { r: 40, g: 160, b: 60 } }
+})
+  .jpeg()
+  .withMetadata({ orientation: 6 })
+  .toBuffer();
+
+/**
+ * Lê um arquivo gravado no armazenamento local a partir da URL pública
+ * @param {string} url - URL devolvida pela API
+ */
+const arquivoDaUrl = (url) => path.join(config.storage.localDir, url.slice(config.storage.publicUrl.length + 1));
+
+describe('Imagens de produto', () => {
+  let produto;
+  let tokenProdutor;
+  let tokenOutro;
+  let foto;
+
+  const enviar = (campo, arquivos, url, token = tokenProdutor) => arquivos
+    .reduce((req, [conteudo, nome, contentType]) => req.attach(campo, conteudo, { filename: nome, contentType }),
+      request(app).post(url).set('Authorization', `Bearer ${token}`));
+
+  beforeAll(async () => {
+    foto = await fotoCelular();
+  });
+
+  beforeEach(async () => {
+    const category = await Category.create({ nome: 'Hortaliças' });
+    const produtor = await User.create({
+      nome: 'Sítio Boa Vista', email: 'sitio@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+    });
+    await User.create({
+      nome: 'Outro Sítio', email: 'outro@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+    });
+    produto = await Product.create({
+      nome: 'Alface crespa', preco: 3, unidadeMedida: 'unidade', estoque: 10, categoryId: category.id, produtorId: produtor.id
+    });
+
+    tokenProdutor = await login('sitio@teste.com');
+    tokenOutro = await login('outro@teste.com');
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(config.storage.localDir, { recursive: true, force: true });
+  });
+
+  test('deve gerar os três tamanhos corrigindo a orientação e sem EXIF', async () => {
+    const response = await enviar('imagens', [[foto, 'alface.jpg', 'image/jpeg']], `/api/products/${produto.id}/images`)
+      .expect(201);
+
+    const [imagem] = response.body.data;
+    expect(imagem).toMatchObject({ largura: 200, altura: 400, ordem: 0, capa: true });
+
+    const miniatura = await sharp(arquivoDaUrl(imagem.urlMiniatura)).metadata();
+    expect(miniatura).toMatchObject({ format: 'webp', width: 100, height: 200 });
+    expect(miniatura.exif).toBeUndefined();
+    expect(miniatura.orientation).toBeUndefined();
+
+    // A grande não amplia além do original
+    const grande = await sharp(arquivoDaUrl(imagem.urlGrande)).metadata();
+    expect([grande.width, grande.height]).toEqual([200, 400]);
+
+    const servida = await request(app).get(new URL(imagem.urlMedia).pathname).expect(200);
+    expect(servida.headers['content-type']).toBe('image/webp');
+
+    const detalhe = await request(app).get(`/api/products/${produto.id}`).expect(200);
+    expect(detalhe.body.data.imagemUrl).toBe(imagem.urlMedia);
+    expect(detalhe.body.data.imagens).toHaveLength(1);
+  });
+
+  test('deve recusar arquivos que não são imagens e respeitar o limite por produto', async () => {
+    const texto = await enviar('imagens', [[Buffer.from('oi'), 'nota.txt', 'text/plain']], `/api/products/${produto.id}/images`)
+      .expect(400);
+    expect(texto.body.errors[0]).toMatch(/Formato de imagem não suportado/);
+
+    // Tipo declarado como imagem, mas o conteúdo não é
+    await enviar('imagens', [[Buffer.from('oi'), 'falsa.png', 'image/png']], `/api/products/${produto.id}/images`)
+      .expect(400);
+
+    await request(app)
+      .post(`/api/products/${produto.id}/images`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .expect(400);
+
+    const onze = Array.from({ length: 11 }, (_, i) => [foto, `foto${i}.jpg`, 'image/jpeg']);
+    await enviar('imagens', onze, `/api/products/${produto.id}/images`).expect(400);
+
+    await enviar('imagens', [[foto, 'alface.jpg', 'image/jpeg']], `/api/products/${produto.id}/images`, tokenOutro)
+      .expect(403);
+  });
+
+  test('deve reordenar, trocar a capa e apagar os arquivos ao remover', async () => {
+    const response = await enviar('imagens', [
+      [foto, 'a.jpg', 'image/jpeg'],
+      [foto, 'b.jpg', 'image/jpeg'],
+      [foto, 'c.jpg', 'image/jpeg']
+    ], `/api/products/${produto.id}/images`).expect(201);
+    const [a, b, c] = response.body.data;
+
+    await request(app)
+      .put(`/api/products/${produto.id}/images/order`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ ordem: [a.id, b.id] })
+      .expect(400);
+
+    const reordenadas = await request(app)
+      .put(`/api/products/${produto.id}/images/order`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ ordem: [c.id, a.id, b.id] })
+      .expect(200);
+    expect(reordenadas.body.data.map(imagem => imagem.id)).toEqual([c.id, a.id, b.id]);
+
+    await request(app)
+      .put(`/api/products/${produto.id}/images/${b.id}/cover`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .expect(200);
+    expect((await Product.findByPk(produto.id)).imagemUrl).toBe(b.urlMedia);
+
+    await request(app)
+      .delete(`/api/products/${produto.id}/images/${b.id}`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .expect(200);
+
+    expect(fs.existsSync(arquivoDaUrl(b.urlGrande))).toBe(false);
+    expect(fs.existsSync(arquivoDaUrl(a.urlGrande))).toBe(true);
+
+    // A primeira da galeria assume a capa
+    const detalhe = await request(app).get(`/api/products/${produto.id}`).expect(200);
+    expect(detalhe.body.data.imagens.map(imagem => [imagem.id, imagem.capa])).toEqual([[c.id, true], [a.id, false]]);
+    expect(detalhe.body.data.imagemUrl).toBe(c.urlMedia);
+  });
+
+  test('deve acrescentar fotos à propriedade e apagar as que saem da lista', async () => {
+    await enviar('fotos', [[foto, 'sitio.jpg', 'image/jpeg']], '/api/producers/me/profile/photos').expect(404);
+
+    await request(app)
+      .put('/api/producers/me/profile')
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ nomePropriedade: 'Sítio Boa Vista', fotos: ['https://exemplo.com/porteira.jpg'] })
+      .expect(201);
+
+    const response = await enviar('fotos', [[foto, 'sitio.jpg', 'image/jpeg']], '/api/producers/me/profile/photos')
+      .expect(201);
+
+    const [externa, enviada] = response.body.data.fotos;
+    expect(externa).toBe('https://exemplo.com/porteira.jpg');
+    expect(enviada).toMatch(/-grande\.webp$/);
+    expect(fs.existsSync(arquivoDaUrl(enviada))).toBe(true);
+
+    await request(app)
+      .put('/api/producers/me/profile')
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ fotos: [externa] })
+      .expect(200);
+
+    expect(fs.existsSync(arquivoDaUrl(enviada))).toBe(false);
+    expect((await ProducerProfile.findOne()).fotos).toEqual([externa]);
+  });
+});
@@ -0,0 +1,214 @@
+const ExcelJS = require('exceljs');
+const request = require('supertest');
+const config = require('../../config');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const { parseCsv } = require('../../utils/spreadsheet');
+const { User, Category, Product, ProductImport } = global.testModels;
+
+/**
+ * Testes da importação e exportação de produtos por planilha
+ */
+
+const app = createApp();
+
+// Lê a resposta de um download como Buffer
+const comoBuffer = (res, callback) => {
+  const partes = [];
+  res.on('data', parte => partes.push(Buffer.from(parte)));
+  res.on('end', () => callback(null, Buffer.concat(partes)));
+};
+
+describe('Importação de produtos', () => {
+  let produtor;
+  let tokenProdutor;
+
+  const importar = (conteudo, nome, query = '') => request(app)
+    .post(`/api/products/my/import${query}`)
+    .set('Authorization', `Bearer ${tokenProdutor}`)
+    .attach('arquivo', Buffer.from(conteudo), { filename: nome });
+
+  beforeEach(async () => {
+    await Category.create({ nome: 'Hortaliças' });
+    const frutas = await Category.create({ nome: 'Frutas' });
+    produtor = await User.create({
+      nome: 'Sítio Boa Vista', email: 'sitio@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+    });
+    await Product.create({
+      nome: 'Banana prata', preco: 4, unidadeMedida: 'kg', estoque: 5, sku: 'BAN-01',
+      categoryId: frutas.id, produtorId: produtor.id
+    });
+
+    tokenProdutor = await login('sitio@teste.com');
+  });
+
+  test('deve ler CSV com ponto e vírgula, aspas e quebras de linha', () => {
+    expect(parseCsv('\uFEFFsku;nome\r\nA-1;"Queijo; ""canastra""\ncurado"\r\n')).toEqual([
+      ['sku', 'nome'],
+      ['A-1', 'Queijo; "canastra"\ncurado']
+    ]);
+  });
+
+  test('a simulação deve relatar os erros por linha sem gravar nada', async () => {
+    const csv = [
+      'SKU;Nome;Categoria;Preço;Unidade Medida;Estoque;Promoção;Percentual Desconto',
+      'ALF-01;Alface crespa;hortalicas;3,50;unidade;20;não;',
+      'BAN-01;Banana prata;Frutas;4,20;kg;12;sim;10',
+      'ALF-01;Alface roxa;Hortaliças;4;unidade;5;;',
+      'CEN-01;C;Legumes;0;saco;-1;talvez;',
+      ';Rúcula;Hortaliças;2;maço;;;',
+      ';;;;;;;'
+    ].join('\n');
+
+    const response = await importar(csv, 'produtos.csv', '?simulacao=true').expect(200);
+    const importacao = response.body.data;
+
+    expect(importacao).toMatchObject({
+      simulacao: true, status: 'concluida', totalLinhas: 5, criados: 1, atualizados: 1, comErro: 3
+    });
+    expect(importacao.erros.map(erro => erro.linha)).toEqual([4, 5, 6]);
+    expect(importacao.erros[0].erros).toEqual(['SKU repetido (já usado na linha 2)']);
+    expect(importacao.erros[1].erros).toEqual(expect.arrayContaining([
+      'Categoria "Legumes" não encontrada',
+      'Promoção deve ser "sim" ou "não"',
+      'Nome do produto deve ter pelo menos 2 caracteres',
+      'Preço deve ser um número maior que zero',
+      'Unidade de medida deve ser uma das opções válidas',
+      'Estoque deve ser um número não negativo'
+    ]));
+    expect(importacao.erros[2].erros).toContain('SKU é obrigatório para importar');
+
+    expect(await Product.count()).toBe(1);
+  });
+
+  test('deve criar e atualizar pelo SKU a partir de um XLSX', async () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Produtos').addRows([
+      ['sku', 'nome', 'categoria', 'preco', 'unidadeMedida', 'estoque', 'promocao', 'percentualDesconto'],
+      ['ALF-01', 'Alface crespa', 'Hortaliças', 3.5, 'unidade', 20, 'não', null],
+      ['BAN-01', 'Banana prata', 'Frutas', 4.2, 'kg', 12, 'sim', 10],
+      ['MAM-01', 'Mamão', 'Frutas', 6, 'kg', 3, 'sim', 150]
+    ]);
+    const xlsx = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    const response = await importar(xlsx, 'produtos.xlsx').expect(200);
+    expect(response.body.data).toMatchObject({ criados: 1, atualizados: 1, comErro: 1 });
+    expect(response.body.data.erros[0].linha).toBe(4);
+
+    const banana = await Product.findOne({ where: { sku: 'BAN-01' } });
+    expect(banana).toMatchObject({ estoque: 12, promocao: true, percentualDesconto: 10 });
+    expect(Number(banana.preco)).toBe(4.2);
+    expect(await Product.findOne({ where: { sku: 'ALF-01', produtorId: produtor.id } })).not.toBeNull();
+
+    // O relatório de erros lista a linha recusada
+    const relatorio = await request(app)
+      .get(`/api/products/my/imports/${response.body.data.id}/errors`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .buffer(true)
+      .parse(comoBuffer)
+      .expect('Content-Type', /text\/csv/)
+      .expect(200);
+    const linhas = parseCsv(relatorio.body.toString('utf8'));
+    expect(linhas[0]).toEqual(['linha', 'sku', 'erros']);
+    expect(linhas[1].slice(0, 2)).toEqual(['4', 'MAM-01']);
+  });
+
+  test('deve importar a quantidade mínima e o incremento com as regras da unidade', async () => {
+    const csv = [
+      'sku;nome;categoria;preco;unidadeMedida;quantidadeMinima;incremento',
+      'BAN-01;Banana prata;Frutas;4;kg;0,5;0,25',
+      'ALF-01;Alface crespa;Hortaliças;3;unidade;0,5;1',
+      'MAM-01;Mamão;Frutas;6;kg;0,5;0,3'
+    ].join('\n');
+
+    const response = await importar(csv, 'produtos.csv').expect(200);
+
+    expect(response.body.data).toMatchObject({ atualizados: 1, comErro: 2 });
+    expect(response.body.data.erros[0].erros).toContain('Quantidade mínima deve ser um número inteiro maior que zero para produtos vendidos por unidade');
+    expect(response.body.data.erros[1].erros).toContain('Quantidade mínima deve ser múltipla do incremento');
+    expect(await Product.findOne({ where: { sku: 'BAN-01' } })).toMatchObject({ quantidadeMinima: 0.5, incremento: 0.25 });
+  });
+
+  test('a exportação em CSV não deve deixar textos virarem fórmula', async () => {
+    await Product.update({ nome: '=HYPERLINK("http://exemplo.com")', descricao: '-10% na feira' }, { where: { sku: 'BAN-01' } });
+
+    const exportado = await request(app)
+      .get('/api/products/my/export')
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .buffer(true)
+      .parse(comoBuffer)
+      .expect(200);
+
+    const texto = exportado.body.toString('utf8');
+    expect(texto).toContain('"\'=HYPERLINK(""http://exemplo.com"")"');
+    expect(texto).toContain(",'-10% na feira,");
+
+    // O apóstrofo sai na leitura: a planilha volta sem alterações
+    expect(parseCsv(texto)[1].slice(1, 3)).toEqual(['=HYPERLINK("http://exemplo.com")', '-10% na feira']);
+    const reimportado = await importar(exportado.body, 'produtos.csv').expect(200);
+    expect(reimportado.body.data).toMatchObject({ atualizados: 1, comErro: 0 });
+    expect((await Product.findOne({ where: { sku: 'BAN-01' } })).nome).toBe('=HYPERLINK("http://exemplo.com")');
+  });
+
+  test('deve recusar arquivos sem as colunas obrigatórias ou de outro formato', async () => {
+    const semColunas = await importar('nome;preco\nAlface;3', 'produtos.csv').expect(400);
+    expect(semColunas.body.errors[0]).toMatch(/sku, categoria, unidadeMedida/);
+
+    await importar('qualquer coisa', 'produtos.txt').expect(400);
+    expect(await ProductImport.count()).toBe(0);
+  });
+
+  test('deve processar planilhas grandes em segundo plano', async () => {
+    const limiteOriginal = config.imports.syncMaxRows;
+    config.imports.syncMaxRows = 1;
+
+    try {
+      const csv = 'sku,nome,categoria,preco,unidadeMedida\nCEB-01,Cebola,Hortaliças,5,kg\nALH-01,Alho,Hortaliças,30,kg\n';
+      const response = await importar(csv, 'produtos.csv').expect(202);
+      expect(response.body.data.totalLinhas).toBe(2);
+
+      let importacao;
+      for (let tentativa = 0; tentativa < 50; tentativa += 1) {
+        const andamento = await request(app)
+          .get(`/api/products/my/imports/${response.body.data.id}`)
+          .set('Authorization', `Bearer ${tokenProdutor}`)
+          .expect(200);
+        importacao = andamento.body.data;
+        if (importacao.status === 'concluida') break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      expect(importacao).toMatchObject({ status: 'concluida', criados: 2, comErro: 0 });
+
+      const lista = await request(app)
+        .get('/api/products/my/imports')
+        .set('Authorization', `Bearer ${tokenProdutor}`)
+        .expect(200);
+      expect(lista.body.data).toHaveLength(1);
+    } finally {
+      config.imports.syncMaxRows = limiteOriginal;
+    }
+  });
+
+  test('a exportação deve voltar na importação sem alterações', async () => {
+    const exportado = await request(app)
+      .get('/api/products/my/export')
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .buffer(true)
+      .parse(comoBuffer)
+      .expect('Content-Disposition', /produtos\.csv/)
+      .expect(200);
+
+    const linhas = parseCsv(exportado.body.toString('utf8'));
+    expect(linhas[1]).toEqual(['BAN-01', 'Banana prata', '', 'Frutas', '4', 'kg', '5', '1', '1', 'não', '', '']);
+
+    const reimportado = await importar(exportado.body, 'produtos.csv').expect(200);
+    expect(reimportado.body.data).toMatchObject({ criados: 0, atualizados: 1, comErro: 0 });
+
+    await request(app)
+      .get('/api/products/my/export?formato=xlsx')
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .expect('Content-Type', /spreadsheetml/)
+      .expect(200);
+  });
+});
@@ -0,0 +1,67 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const { User, Category, Product } = global.testModels;
+
+/**
+ * Testes da busca textual de produtos (acentos, plural, relevância e índice atualizado)
+ */
+
+const app = createApp();
+
+describe('Busca de produtos', () => {
+  let frutas;
+  let produtor;
+
+  const buscar = async (termo, extra = '') => {
+    const response = await request(app)
+      .get(`/api/products?search=${encodeURIComponent(termo)}${extra}`)
+      .expect(200);
+    return response.body.data.map(produto => produto.nome);
+  };
+
+  beforeEach(async () => {
+    frutas = await Category.create({ nome: 'Frutas' });
+    const vegetais = await Category.create({ nome: 'Vegetais' });
+    produtor = await User.create({ nome: 'Sítio Boa Vista', email: 'sitio@teste.com', senha: '123456', tipo: 'produtor' });
+
+    await Product.create({ nome: 'Maçã Fuji', preco: 8, estoque: 10, categoryId: frutas.id, produtorId: produtor.id });
+    await Product.create({
+      nome: 'Geleia caseira', descricao: 'Feita com maçãs do pomar', preco: 15, estoque: 10, categoryId: frutas.id, produtorId: produtor.id
+    });
+    await Product.create({ nome: 'Tomate italiano', preco: 6, estoque: 10, categoryId: vegetais.id, produtorId: produtor.id });
+  });
+
+  test('deve ignorar acentos e plural e ordenar por relevância', async () => {
+    expect(await buscar('maca')).toEqual(['Maçã Fuji', 'Geleia caseira']);
+    expect(await buscar('MAÇÃS')).toEqual(['Maçã Fuji', 'Geleia caseira']);
+    expect(await buscar('tomates')).toEqual(['Tomate italiano']);
+    expect(await buscar('frutas', '&orderBy=preco&order=asc')).toEqual(['Maçã Fuji', 'Geleia caseira']);
+    expect(await buscar('tom ital')).toEqual(['Tomate italiano']);
+    expect(await buscar('abacaxi')).toEqual([]);
+  });
+
+  test('deve buscar pelo nome do produtor e da categoria', async () => {
+    expect(await buscar('boa vista')).toHaveLength(3);
+    expect(await buscar('vegetal')).toEqual(['Tomate italiano']);
+  });
+
+  test('deve manter o índice atualizado quando produtos e categorias mudam', async () => {
+    const tomate = await Product.findOne({ where: { nome: 'Tomate italiano' } });
+    await tomate.update({ nome: 'Tomate cereja' });
+    await frutas.update({ nome: 'Pomar' });
+
+    expect(await buscar('italiano')).toEqual([]);
+    expect(await buscar('cereja')).toEqual(['Tomate cereja']);
+    expect((await buscar('pomar')).sort()).toEqual(['Geleia caseira', 'Maçã Fuji']);
+
+    const token = await login('sitio@teste.com');
+    await request(app)
+      .put('/api/auth/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ nome: 'Chácara Recanto' })
+      .expect(200);
+
+    expect(await buscar('recanto')).toHaveLength(3);
+  });
+});
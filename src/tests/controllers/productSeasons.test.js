@@ -0,0 +1,150 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login, criarConsumidor } = require('../helpers');
+const { computeAvailability, refreshAvailability } = require('../../services/seasonService');
+const { User, Category, Product, Cart, CartItem } = global.testModels;
+
+/**
+ * Testes da sazonalidade (janelas de safra, disponibilidade e calendário)
+ */
+
+const app = createApp();
+
+// Mês (1-12) deslocado a partir do mês atual
+const mesDaqui = (meses) => ((new Date().getMonth() + meses) % 12 + 12) % 12 + 1;
+
+describe('Sazonalidade dos produtos', () => {
+  describe('Cálculo da disponibilidade', () => {
+    const dia = (texto) => new Date(`${texto}T12:00:00`);
+
+    test('deve considerar janelas que viram o ano', () => {
+      const verao = [{ mesInicio: 11, mesFim: 2 }];
+
+      expect(computeAvailability(verao, dia('2026-01-15'))).toBe('disponivel');
+      expect(computeAvailability(verao, dia('2026-10-15'))).toBe('em_breve');
+      expect(computeAvailability(verao, dia('2026-06-15'))).toBe('fora_de_safra');
+    });
+
+    test('deve usar as datas exatas e ficar disponível sem janelas', () => {
+      const colheita = [{ dataInicio: '2026-03-10', dataFim: '2026-04-20' }];
+
+      expect(computeAvailability(colheita, dia('2026-04-20'))).toBe('disponivel');
+      expect(computeAvailability(colheita, dia('2026-02-20'))).toBe('em_breve');
+      expect(computeAvailability(colheita, dia('2026-04-21'))).toBe('fora_de_safra');
+      expect(computeAvailability([], dia('2026-04-21'))).toBe('disponivel');
+    });
+  });
+
+  describe('Endpoints e job', () => {
+    let manga;
+    let alface;
+    let tokenProdutor;
+    let tokenConsumidor;
+    let consumidor;
+
+    const definirSafras = (produto, safras) => request(app)
+      .put(`/api/products/${produto.id}/season`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ safras });
+
+    beforeEach(async () => {
+      const category = await Category.create({ nome: 'Frutas' });
+      const produtor = await User.create({
+        nome: 'Sítio Boa Vista', email: 'sitio@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+      });
+      consumidor = await criarConsumidor('Eva', 'eva@teste.com');
+
+      manga = await Product.create({
+        nome: 'Manga palmer', preco: 8, unidadeMedida: 'kg', estoque: 20, categoryId: category.id, produtorId: produtor.id
+      });
+      alface = await Product.create({
+        nome: 'Alface crespa', preco: 3, unidadeMedida: 'unidade', estoque: 20, categoryId: category.id, produtorId: produtor.id
+      });
+
+      tokenProdutor = await login('sitio@teste.com');
+      tokenConsumidor = await login('eva@teste.com');
+    });
+
+    test('deve validar as janelas de safra', async () => {
+      const response = await definirSafras(manga, [
+        { mesInicio: 13, mesFim: 2 },
+        { mesInicio: 1, dataFim: '2026-01-01' },
+        { dataInicio: '2026-05-01', dataFim: '2026-04-01' }
+      ]).expect(400);
+
+      expect(response.body.errors).toHaveLength(3);
+    });
+
+    test('deve esconder produtos fora de safra e mostrar os que chegam em breve', async () => {
+      await definirSafras(manga, [{ mesInicio: mesDaqui(4), mesFim: mesDaqui(6) }]).expect(200);
+      const response = await definirSafras(alface, [{ mesInicio: mesDaqui(1), mesFim: mesDaqui(2) }]).expect(200);
+      expect(response.body.data.safras).toHaveLength(1);
+
+      const listagem = await request(app).get('/api/products').expect(200);
+      expect(listagem.body.data.map(produto => [produto.nome, produto.disponibilidade]))
+        .toEqual([['Alface crespa', 'em_breve']]);
+
+      await request(app).get('/api/products?disponibilidade=disponivel').expect(200)
+        .then(res => expect(res.body.data).toHaveLength(0));
+
+      // A página do produto continua acessível, com as janelas
+      const detalhe = await request(app).get(`/api/products/${manga.id}`).expect(200);
+      expect(detalhe.body.data.disponibilidade).toBe('fora_de_safra');
+      expect(detalhe.body.data.safras[0].mesInicio).toBe(mesDaqui(4));
+
+      const compra = await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${tokenConsumidor}`)
+        .send({ productId: alface.id, quantidade: 1 })
+        .expect(400);
+      expect(compra.body.errors[0]).toMatch(/em breve/);
+
+      // Sem janelas volta a ficar disponível o ano todo
+      await definirSafras(manga, []).expect(200);
+      expect((await Product.findByPk(manga.id)).disponibilidade).toBe('disponivel');
+    });
+
+    test('deve listar o calendário da safra do mês', async () => {
+      await definirSafras(manga, [{ mesInicio: mesDaqui(0), mesFim: mesDaqui(1) }]).expect(200);
+      await definirSafras(alface, [{ mesInicio: mesDaqui(3), mesFim: mesDaqui(3) }]).expect(200);
+
+      const atual = await request(app).get('/api/products/season').expect(200);
+      expect(atual.body.data.mes).toBe(mesDaqui(0));
+      expect(atual.body.data.produtos.map(produto => produto.nome)).toEqual(['Manga palmer']);
+
+      const futuro = await request(app).get(`/api/products/season?mes=${mesDaqui(3)}`).expect(200);
+      expect(futuro.body.data.produtos.map(produto => produto.nome)).toEqual(['Alface crespa']);
+
+      await request(app).get('/api/products/season?mes=13').expect(400);
+    });
+
+    test('o job deve tirar de safra e limpar os carrinhos', async () => {
+      const hoje = new Date();
+      await definirSafras(manga, [{ mesInicio: mesDaqui(0), mesFim: mesDaqui(0) }]).expect(200);
+
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${tokenConsumidor}`)
+        .send({ productId: manga.id, quantidade: 2 })
+        .expect(200);
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${tokenConsumidor}`)
+        .send({ productId: alface.id, quantidade: 1 })
+        .expect(200);
+
+      // Dois meses depois a janela já fechou e a próxima está longe
+      const depois = new Date(hoje.getFullYear(), hoje.getMonth() + 2, 15);
+      expect(await refreshAvailability(depois)).toEqual({ atualizados: 1, itensRemovidos: 1 });
+
+      const cart = await Cart.findOne({ where: { userId: consumidor.id } });
+      const itens = await CartItem.findAll({ where: { cartId: cart.id } });
+      expect(itens.map(item => item.productId)).toEqual([alface.id]);
+      expect((await Product.findByPk(manga.id)).disponibilidade).toBe('fora_de_safra');
+
+      // De volta à safra
+      expect(await refreshAvailability(hoje)).toEqual({ atualizados: 1, itensRemovidos: 0 });
+      expect((await Product.findByPk(manga.id)).disponibilidade).toBe('disponivel');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login, criarConsumidor } = require('../helpers');
+const { User, Category, Product, ProductVariant, OrderItem } = global.testModels;
+
+/**
+ * Testes das variações de produto (preço, unidade e estoque por variação)
+ */
+
+const app = createApp();
+
+describe('Variações de produto', () => {
+  let produtor;
+  let queijo;
+  let tokenProdutor;
+  let tokenConsumidor;
+
+  beforeEach(async () => {
+    const category = await Category.create({ nome: 'Laticínios' });
+    produtor = await User.create({
+      nome: 'Sítio Boa Vista', email: 'sitio@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+    });
+    await criarConsumidor('Eva', 'eva@teste.com');
+
+    tokenProdutor = await login('sitio@teste.com');
+    tokenConsumidor = await login('eva@teste.com');
+
+    const response = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({
+        nome: 'Queijo minas',
+        preco: 20,
+        unidadeMedida: 'unidade',
+        categoryId: category.id,
+        variantes: [
+          { nome: '500g', preco: 20, unidadeMedida: 'g', estoque: 5, sku: 'QJ-500' },
+          { nome: '1kg', preco: 36, unidadeMedida: 'kg', estoque: 2, sku: 'QJ-1000', promocao: true, percentualDesconto: 10 }
+        ]
+      })
+      .expect(201);
+
+    queijo = response.body.data;
+  });
+
+  test('deve criar o produto com as variações e mostrar a faixa de preço', async () => {
+    expect(queijo.variantes.map(variante => variante.nome)).toEqual(['500g', '1kg']);
+
+    const listagem = await request(app).get('/api/products').expect(200);
+    expect(listagem.body.data[0].faixaPreco).toEqual({ minimo: 20, maximo: 32.4 });
+
+    const detalhe = await request(app).get(`/api/products/${queijo.id}`).expect(200);
+    expect(detalhe.body.data.variantes[1].precoFinal).toBe(32.4);
+
+    await request(app)
+      .post(`/api/products/${queijo.id}/variants`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ nome: '250g', preco: 11, sku: 'QJ-500' })
+      .expect(409);
+
+    await request(app)
+      .delete(`/api/products/${queijo.id}/variants/${queijo.variantes[1].id}`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .expect(200);
+
+    const semPromocao = await request(app).get('/api/products').expect(200);
+    expect(semPromocao.body.data[0].faixaPreco).toEqual({ minimo: 20, maximo: 20 });
+  });
+
+  test('deve exigir a variação no carrinho e usar o preço e o estoque dela', async () => {
+    await request(app)
+      .post('/api/cart/add')
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({ productId: queijo.id, quantidade: 1 })
+      .expect(400);
+
+    const [meioQuilo, umQuilo] = queijo.variantes;
+
+    await request(app)
+      .post('/api/cart/add')
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({ productId: queijo.id, variantId: umQuilo.id, quantidade: 3 })
+      .expect(400);
+
+    await request(app)
+      .post('/api/cart/add')
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({ productId: queijo.id, variantId: meioQuilo.id, quantidade: 2 })
+      .expect(200);
+
+    const carrinho = await request(app)
+      .post('/api/cart/add')
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({ productId: queijo.id, variantId: umQuilo.id, quantidade: 1 })
+      .expect(200);
+
+    expect(carrinho.body.data.itens).toHaveLength(2);
+    expect(carrinho.body.data.resumo.valorTotal).toBe(72.4);
+  });
+
+  test('deve baixar o estoque da variação no pedido e devolver no cancelamento', async () => {
+    const [meioQuilo] = queijo.variantes;
+
+    await request(app)
+      .post('/api/cart/add')
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({ productId: queijo.id, variantId: meioQuilo.id, quantidade: 2 })
+      .expect(200);
+
+    const pedido = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({})
+      .expect(201);
+
+    const item = await OrderItem.findOne({ where: { orderId: pedido.body.data.id } });
+    expect(item.variantId).toBe(meioQuilo.id);
+    expect(item.nomeVariante).toBe('500g');
+    expect(Number(item.precoUnitario)).toBe(20);
+
+    expect((await ProductVariant.findByPk(meioQuilo.id)).estoque).toBe(3);
+    expect((await Product.findByPk(queijo.id)).estoque).toBe(0);
+
+    await request(app)
+      .put(`/api/orders/${pedido.body.data.id}/cancel`)
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .expect(200);
+
+    expect((await ProductVariant.findByPk(meioQuilo.id)).estoque).toBe(5);
+  });
+});
@@ -0,0 +1,246 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login, daquiA, criarConsumidor, criarCatalogo, adicionarAoCarrinho } = require('../helpers');
+const { User, ProductVariant, OrderItem, Promotion, AdminAction } = global.testModels;
+
+/**
+ * Testes das campanhas de promoção (catálogo, carrinho, pedido e cadastro)
+ */
+
+const app = createApp();
+
+describe('Promoções', () => {
+  let produtor;
+  let outroProdutor;
+  let hortalicas;
+  let tomate;
+  let alface;
+  let mel;
+  let tokenProdutor;
+  let tokenConsumidor;
+  let tokenAdmin;
+
+  const campanha = (dados) => Promotion.create({
+    nome: 'Campanha', inicioEm: daquiA(-1), fimEm: daquiA(7), criadoPorId: produtor.id, ...dados
+  });
+
+  const adicionar = (produto, quantidade) => adicionarAoCarrinho(tokenConsumidor, produto, quantidade);
+
+  const itemDe = (carrinho, produto) => carrinho.body.data.itens.find(item => item.productId === produto.id);
+
+  beforeEach(async () => {
+    ({ hortalicas, produtor, outroProdutor, tomate, alface, mel } = await criarCatalogo());
+    await criarConsumidor('Ana', 'ana@teste.com');
+    await User.create({ nome: 'Admin', email: 'admin@teste.com', senha: '123456', tipo: 'admin' });
+
+    tokenProdutor = await login('sitio@teste.com');
+    tokenConsumidor = await login('ana@teste.com');
+    tokenAdmin = await login('admin@teste.com');
+  });
+
+  test('o carrinho deve aplicar a campanha de maior desconto em cada item', async () => {
+    await campanha({ nome: 'Tomate na faixa', tipo: 'faixa_quantidade', escopo: 'produto', productId: tomate.id, quantidadeFaixa: 3, precoFaixa: 20 });
+    await campanha({ nome: 'Leve 3 pague 2', tipo: 'leve_pague', escopo: 'produto', productId: alface.id, leve: 3, pague: 2 });
+    await campanha({ nome: 'Semana do sítio', tipo: 'percentual', escopo: 'produtor', produtorId: produtor.id, percentual: 10 });
+    await campanha({
+      nome: 'Mel mais barato', tipo: 'valor_fixo', escopo: 'produto', productId: mel.id, valorDesconto: 2.5, criadoPorId: outroProdutor.id
+    });
+
+    await adicionar(tomate, 7);
+    await adicionar(alface, 7);
+    const carrinho = await adicionar(mel, 2);
+
+    // 7 kg: duas faixas de 3 kg por R$ 20 e 1 kg a R$ 8 (a faixa vence os 10% do produtor)
+    expect(itemDe(carrinho, tomate)).toMatchObject({
+      desconto: 8, subtotal: 48, promocao: { nome: 'Tomate na faixa', descricao: '3 kg por R$ 20,00' }
+    });
+    // 7 unidades: dois grupos de 3 com uma de graça cada
+    expect(itemDe(carrinho, alface)).toMatchObject({
+      desconto: 6, subtotal: 15, promocao: { descricao: 'Leve 3, pague 2' }
+    });
+    expect(itemDe(carrinho, mel)).toMatchObject({
+      desconto: 5, subtotal: 35, promocao: { descricao: 'R$ 2,50 de desconto por unidade' }
+    });
+    expect(carrinho.body.data.resumo).toEqual({ quantidadeTotal: 16, descontoTotal: 19, descontoCupom: 0, freteGratis: false, valorTotal: 98 });
+
+    // Abaixo da faixa, vale o percentual do produtor
+    const menor = await request(app)
+      .put(`/api/cart/update/${tomate.id}`)
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({ quantidade: 2 })
+      .expect(200);
+    expect(itemDe(menor, tomate)).toMatchObject({ desconto: 1.6, subtotal: 14.4, promocao: { nome: 'Semana do sítio' } });
+  });
+
+  test('só campanhas vigentes valem, e as de categoria alcançam as subcategorias', async () => {
+    await campanha({ tipo: 'percentual', escopo: 'produto', productId: tomate.id, percentual: 50, inicioEm: daquiA(-10), fimEm: daquiA(-1) });
+    await campanha({ tipo: 'percentual', escopo: 'produto', productId: tomate.id, percentual: 50, inicioEm: daquiA(1), fimEm: daquiA(5) });
+    await campanha({ tipo: 'percentual', escopo: 'produto', productId: tomate.id, percentual: 50, ativo: false });
+    await campanha({ nome: 'Mês das hortaliças', tipo: 'percentual', escopo: 'categoria', categoryId: hortalicas.id, percentual: 20 });
+
+    await adicionar(tomate, 1);
+    await adicionar(alface, 1);
+    const carrinho = await adicionar(mel, 1);
+
+    expect(itemDe(carrinho, tomate)).toMatchObject({ subtotal: 6.4, promocao: { nome: 'Mês das hortaliças' } });
+    expect(itemDe(carrinho, alface)).toMatchObject({ subtotal: 2.4, promocao: { nome: 'Mês das hortaliças' } });
+    expect(itemDe(carrinho, mel)).toMatchObject({ subtotal: 20, desconto: 0, promocao: null });
+  });
+
+  test('o pedido deve registrar a campanha aplicada em cada item', async () => {
+    const faixa = await campanha({
+      nome: 'Tomate na faixa', tipo: 'faixa_quantidade', escopo: 'produto', productId: tomate.id, quantidadeFaixa: 3, precoFaixa: 20
+    });
+    await adicionar(tomate, 7);
+    await adicionar(mel, 1);
+
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({})
+      .expect(201);
+
+    expect(Number(response.body.data.valorTotal)).toBe(68);
+
+    const itemTomate = await OrderItem.findOne({ where: { orderId: response.body.data.id, productId: tomate.id } });
+    expect(itemTomate).toMatchObject({
+      promotionId: faixa.id, nomePromocao: 'Tomate na faixa', descontoPromocao: 8, precoUnitario: 8
+    });
+    expect(Number(itemTomate.subtotal)).toBe(48);
+
+    const itemMel = await OrderItem.findOne({ where: { orderId: response.body.data.id, productId: mel.id } });
+    expect(itemMel).toMatchObject({ promotionId: null, nomePromocao: null, descontoPromocao: 0 });
+
+    // Campanha já usada em pedido é só desativada
+    const removida = await request(app)
+      .delete(`/api/admin/promotions/${faixa.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200);
+    expect(removida.body.message).toBe('Promoção já aplicada em pedidos foi desativada');
+    expect((await faixa.reload()).ativo).toBe(false);
+  });
+
+  test('o catálogo deve mostrar as campanhas e o preço promocional', async () => {
+    await campanha({ nome: 'Tomate 10%', tipo: 'percentual', escopo: 'produto', productId: tomate.id, percentual: 10 });
+    await campanha({ tipo: 'leve_pague', escopo: 'produto', productId: alface.id, leve: 3, pague: 2, fimEm: daquiA(-0.5), inicioEm: daquiA(-2) });
+    await mel.update({ promocao: true, percentualDesconto: 10 });
+
+    const listagem = await request(app)
+      .get('/api/products?promocao=true')
+      .expect(200);
+
+    expect(listagem.body.data.map(produto => produto.nome).sort()).toEqual(['Mel', 'Tomate']);
+    const dadosTomate = listagem.body.data.find(produto => produto.id === tomate.id);
+    expect(dadosTomate.precoPromocional).toBe(7.2);
+    expect(dadosTomate.promocoes).toEqual([expect.objectContaining({ nome: 'Tomate 10%', descricao: '10% de desconto' })]);
+    expect(listagem.body.data.find(produto => produto.id === mel.id)).toMatchObject({ precoPromocional: null, promocoes: [] });
+
+    await campanha({ tipo: 'leve_pague', escopo: 'produto', productId: alface.id, leve: 3, pague: 2 });
+    const detalhe = await request(app)
+      .get(`/api/products/${alface.id}`)
+      .expect(200);
+    // Leve e pague não muda o preço unitário; aparece na lista e vale no carrinho
+    expect(detalhe.body.data.precoPromocional).toBeNull();
+    expect(detalhe.body.data.promocoes).toEqual([expect.objectContaining({ descricao: 'Leve 3, pague 2' })]);
+  });
+
+  test('os filtros e as faixas de preço do catálogo usam o preço com a campanha, inclusive nas variações', async () => {
+    const pote = await ProductVariant.create({ productId: mel.id, nome: 'Pote 500g', preco: 20, estoque: 5 });
+    const balde = await ProductVariant.create({ productId: mel.id, nome: 'Balde 2kg', preco: 60, estoque: 2 });
+    await campanha({
+      nome: 'Semana do mel', tipo: 'valor_fixo', escopo: 'produtor', produtorId: outroProdutor.id, valorDesconto: 12, criadoPorId: outroProdutor.id
+    });
+    await campanha({ tipo: 'percentual', escopo: 'categoria', categoryId: hortalicas.id, percentual: 50 });
+
+    const nomes = (response) => response.body.data.map(produto => produto.nome).sort();
+
+    // O pote sai por R$ 8,00 e o balde por R$ 48,00
+    const baratos = await request(app).get('/api/products?precoMax=8').expect(200);
+    expect(nomes(baratos)).toEqual(['Alface', 'Mel', 'Tomate']);
+    const caros = await request(app).get('/api/products?precoMin=50').expect(200);
+    expect(nomes(caros)).toEqual([]);
+
+    expect(baratos.body.facetas.faixasPreco.map(faixa => faixa.total)).toEqual([3, 0, 0, 0, 0]);
+
+    const dadosMel = baratos.body.data.find(produto => produto.id === mel.id);
+    expect(dadosMel.precoPromocional).toBe(8);
+    expect(dadosMel.variantes.map(({ id, precoPromocional }) => ({ id, precoPromocional }))).toEqual([
+      { id: pote.id, precoPromocional: 8 },
+      { id: balde.id, precoPromocional: 48 }
+    ]);
+    expect(baratos.body.data.find(produto => produto.id === tomate.id).precoPromocional).toBe(4);
+  });
+
+  test('o produtor gerencia campanhas dos próprios produtos; categorias ficam com a administração', async () => {
+    const criar = (dados, token = tokenProdutor) => request(app)
+      .post('/api/producers/me/promotions')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ nome: 'Queima', tipo: 'percentual', percentual: 15, inicioEm: daquiA(-1).toISOString(), fimEm: daquiA(3).toISOString(), ...dados });
+
+    const criada = await criar({ escopo: 'produto', productId: tomate.id }).expect(201);
+    expect(criada.body.data).toMatchObject({ productId: tomate.id, produtorId: produtor.id, vigente: true });
+
+    await criar({ escopo: 'produto', productId: mel.id }).expect(404);
+    await criar({ escopo: 'categoria', categoryId: hortalicas.id }).expect(403);
+    await criar({ escopo: 'produto', productId: tomate.id }, tokenConsumidor).expect(403);
+
+    const invalida = await criar({ escopo: 'produtor', tipo: 'leve_pague', leve: 2, pague: 2 }).expect(400);
+    expect(invalida.body.errors).toEqual(['Na promoção leve e pague, a quantidade paga deve ser menor que a levada']);
+
+    // A campanha por produtor vale sempre para o próprio produtor
+    const geral = await criar({ escopo: 'produtor', produtorId: outroProdutor.id }).expect(201);
+    expect(geral.body.data.produtorId).toBe(produtor.id);
+
+    // Trocar o tipo limpa os valores do tipo anterior
+    const atualizada = await request(app)
+      .put(`/api/producers/me/promotions/${criada.body.data.id}`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ tipo: 'faixa_quantidade', quantidadeFaixa: 2.5, precoFaixa: 18, ativo: false })
+      .expect(200);
+    expect(atualizada.body.data).toMatchObject({ percentual: null, quantidadeFaixa: 2.5, precoFaixa: 18, vigente: false });
+
+    const minhas = await request(app)
+      .get('/api/producers/me/promotions')
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .expect(200);
+    expect(minhas.body.data).toHaveLength(2);
+
+    await request(app)
+      .delete(`/api/producers/me/promotions/${geral.body.data.id}`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .expect(200);
+    expect(await Promotion.count()).toBe(1);
+
+    // A administração cria campanhas por categoria, com registro na trilha de auditoria
+    const porCategoria = await request(app)
+      .post('/api/admin/promotions')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({
+        nome: 'Feira de inverno', tipo: 'valor_fixo', valorDesconto: 1, escopo: 'categoria', categoryId: hortalicas.id,
+        inicioEm: daquiA(-1).toISOString(), fimEm: daquiA(10).toISOString()
+      })
+      .expect(201);
+    expect(await AdminAction.findOne({ where: { acao: 'promocao.criar', entidadeId: porCategoria.body.data.id } })).not.toBeNull();
+
+    // O alvo vale pelo papel de produtor, mesmo quando o perfil principal é consumidor
+    const consumidorProdutor = await User.create({
+      nome: 'Rita', email: 'rita@teste.com', senha: '123456', tipo: 'consumidor', papeis: ['consumidor', 'produtor']
+    });
+    const daRita = (produtorId) => request(app)
+      .post('/api/admin/promotions')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({
+        nome: 'Feira da Rita', tipo: 'percentual', percentual: 5, escopo: 'produtor', produtorId,
+        inicioEm: daquiA(20).toISOString(), fimEm: daquiA(30).toISOString()
+      });
+    await daRita(consumidorProdutor.id).expect(201);
+    const consumidorId = (await User.findOne({ where: { email: 'ana@teste.com' } })).id;
+    expect((await daRita(consumidorId).expect(404)).body.message).toBe('Produtor não encontrado');
+
+    const todas = await request(app)
+      .get('/api/admin/promotions?vigente=true')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200);
+    expect(todas.body.data.map(promocao => promocao.nome)).toEqual(['Feira de inverno']);
+  });
+});
@@ -0,0 +1,197 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const { reportReview, DENUNCIAS_PARA_ANALISE } = require('../../services/reviewService');
+const { User, Category, Product, Order, OrderItem, Review, AdminAction } = global.testModels;
+
+/**
+ * Testes das avaliações de produtos (compra verificada, resposta do produtor e moderação)
+ */
+
+const app = createApp();
+
+describe('Avaliações', () => {
+  let produtor;
+  let consumidor;
+  let queijo;
+  let doce;
+  let itemEntregue;
+  let tokenConsumidor;
+  let tokenProdutor;
+
+  // Pedido do consumidor com um item do produto, já no status informado
+  const criarItem = async (product, status, consumidorId = consumidor.id) => {
+    const order = await Order.create({ consumidorId, valorTotal: 20, enderecoEntrega: { rua: 'Rua A' }, status });
+    return OrderItem.create({ orderId: order.id, productId: product.id, quantidade: 1, precoUnitario: 20, subtotal: 20 });
+  };
+
+  const avaliar = (token, dados) => request(app)
+    .post('/api/reviews')
+    .set('Authorization', `Bearer ${token}`)
+    .send(dados);
+
+  beforeEach(async () => {
+    const category = await Category.create({ nome: 'Laticínios' });
+    produtor = await User.create({
+      nome: 'Queijaria Serra', email: 'serra@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+    });
+    consumidor = await User.create({ nome: 'Ana', email: 'ana@teste.com', senha: '123456', tipo: 'consumidor' });
+
+    queijo = await Product.create({
+      nome: 'Queijo canastra', preco: 20, unidadeMedida: 'unidade', estoque: 10, categoryId: category.id, produtorId: produtor.id
+    });
+    doce = await Product.create({
+      nome: 'Doce de leite', preco: 12, unidadeMedida: 'unidade', estoque: 10, categoryId: category.id, produtorId: produtor.id
+    });
+
+    itemEntregue = await criarItem(queijo, 'entregue');
+    tokenConsumidor = await login('ana@teste.com');
+    tokenProdutor = await login('serra@teste.com');
+  });
+
+  test('só deve aceitar uma avaliação por item de pedido entregue', async () => {
+    const pendente = await criarItem(doce, 'enviado');
+    await avaliar(tokenConsumidor, { orderItemId: pendente.id, nota: 5 }).expect(403);
+
+    const response = await avaliar(tokenConsumidor, { orderItemId: itemEntregue.id, nota: 4, comentario: 'Muito bom' }).expect(201);
+    expect(response.body.data).toMatchObject({ productId: queijo.id, produtorId: produtor.id, nota: 4, status: 'publicada' });
+
+    await avaliar(tokenConsumidor, { orderItemId: itemEntregue.id, nota: 5 }).expect(409);
+    await avaliar(tokenConsumidor, { orderItemId: itemEntregue.id, nota: 6 }).expect(400);
+
+    // Item de outro consumidor
+    const outro = await User.create({ nome: 'Beto', email: 'beto@teste.com', senha: '123456', tipo: 'consumidor' });
+    const itemDeOutro = await criarItem(queijo, 'entregue', outro.id);
+    await avaliar(tokenConsumidor, { orderItemId: itemDeOutro.id, nota: 1 }).expect(403);
+
+    // Produtores não avaliam
+    await avaliar(tokenProdutor, { orderItemId: itemEntregue.id, nota: 5 }).expect(403);
+  });
+
+  test('deve expor a nota média no produto, na listagem e no perfil do produtor', async () => {
+    const outro = await User.create({ nome: 'Beto', email: 'beto@teste.com', senha: '123456', tipo: 'consumidor' });
+    const itemDeOutro = await criarItem(queijo, 'entregue', outro.id);
+    const itemDoce = await criarItem(doce, 'entregue');
+
+    await avaliar(tokenConsumidor, { orderItemId: itemEntregue.id, nota: 5 }).expect(201);
+    await avaliar(await login('beto@teste.com'), { orderItemId: itemDeOutro.id, nota: 4 }).expect(201);
+    await avaliar(tokenConsumidor, { orderItemId: itemDoce.id, nota: 2 }).expect(201);
+
+    const detalhe = await request(app).get(`/api/products/${queijo.id}`).expect(200);
+    expect(Number(detalhe.body.data.notaMedia)).toBe(4.5);
+    expect(detalhe.body.data.totalAvaliacoes).toBe(2);
+
+    const lista = await request(app).get('/api/products?orderBy=avaliacao&order=desc').expect(200);
+    expect(lista.body.data.map(produto => produto.id)).toEqual([queijo.id, doce.id]);
+
+    const avaliacoes = await request(app).get(`/api/products/${queijo.id}/reviews?ordenacao=nota_baixa`).expect(200);
+    expect(avaliacoes.body.data.map(review => review.nota)).toEqual([4, 5]);
+    expect(avaliacoes.body.resumo.distribuicao).toMatchObject({ 4: 1, 5: 1, 1: 0 });
+
+    const perfil = await request(app).get(`/api/producers/${produtor.id}`).expect(200);
+    expect(perfil.body.data).toMatchObject({ notaMedia: 3.67, totalAvaliacoes: 3 });
+
+    // Editar a nota recalcula a média
+    const propria = await Review.findOne({ where: { orderItemId: itemEntregue.id } });
+    await request(app)
+      .put(`/api/reviews/${propria.id}`)
+      .set('Authorization', `Bearer ${tokenConsumidor}`)
+      .send({ nota: 3 })
+      .expect(200);
+    await queijo.reload();
+    expect(Number(queijo.notaMedia)).toBe(3.5);
+  });
+
+  test('só o produtor do produto deve responder', async () => {
+    const criada = await avaliar(tokenConsumidor, { orderItemId: itemEntregue.id, nota: 3 }).expect(201);
+
+    await User.create({ nome: 'Outro Produtor', email: 'outro@teste.com', senha: '123456', tipo: 'produtor' });
+    await request(app)
+      .put(`/api/reviews/${criada.body.data.id}/reply`)
+      .set('Authorization', `Bearer ${await login('outro@teste.com')}`)
+      .send({ resposta: 'Obrigado!' })
+      .expect(403);
+
+    const response = await request(app)
+      .put(`/api/reviews/${criada.body.data.id}/reply`)
+      .set('Authorization', `Bearer ${tokenProdutor}`)
+      .send({ resposta: 'Obrigado pelo retorno!' })
+      .expect(200);
+
+    expect(response.body.data.resposta).toBe('Obrigado pelo retorno!');
+    expect(response.body.data.respondidaEm).toBeTruthy();
+  });
+
+  test('denúncias devem tirar a avaliação do ar até a decisão do administrador', async () => {
+    const criada = await avaliar(tokenConsumidor, { orderItemId: itemEntregue.id, nota: 1, comentario: 'Ofensivo' }).expect(201);
+    const reviewId = criada.body.data.id;
+
+    const denunciar = (token) => request(app)
+      .post(`/api/reviews/${reviewId}/report`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ motivo: 'Linguagem ofensiva' });
+
+    await denunciar(tokenConsumidor).expect(400);
+    await denunciar(tokenProdutor).expect(201);
+    await denunciar(tokenProdutor).expect(409);
+
+    for (const nome of ['Beto', 'Caio']) {
+      const email = `${nome.toLowerCase()}@teste.com`;
+      await User.create({ nome, email, senha: '123456', tipo: 'consumidor' });
+      await denunciar(await login(email)).expect(201);
+    }
+
+    const emAnalise = await Review.findByPk(reviewId);
+    expect(emAnalise).toMatchObject({ status: 'em_analise', denuncias: 3 });
+    await queijo.reload();
+    expect(queijo.totalAvaliacoes).toBe(0);
+    expect(queijo.notaMedia).toBeNull();
+
+    const publicas = await request(app).get(`/api/products/${queijo.id}/reviews`).expect(200);
+    expect(publicas.body.data).toHaveLength(0);
+
+    await User.create({ nome: 'Admin', email: 'admin@teste.com', senha: '123456', tipo: 'admin' });
+    const tokenAdmin = await login('admin@teste.com');
+
+    const fila = await request(app)
+      .get('/api/admin/reviews/reported')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200);
+    expect(fila.body.data).toHaveLength(1);
+    expect(fila.body.data[0].denunciasRecebidas).toHaveLength(3);
+
+    await request(app)
+      .put(`/api/admin/reviews/${reviewId}/moderation`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ status: 'removida' })
+      .expect(400);
+
+    await request(app)
+      .put(`/api/admin/reviews/${reviewId}/moderation`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ status: 'publicada', motivo: 'Crítica legítima ao produto' })
+      .expect(200);
+
+    await queijo.reload();
+    expect(queijo.totalAvaliacoes).toBe(1);
+    expect(await AdminAction.count({ where: { acao: 'avaliacao.manter', entidadeId: reviewId } })).toBe(1);
+  });
+
+  test('denúncias feitas sobre a mesma leitura da avaliação não devem se perder', async () => {
+    const criada = await avaliar(tokenConsumidor, { orderItemId: itemEntregue.id, nota: 1 }).expect(201);
+
+    // Cada denúncia parte de uma cópia lida antes de todas, como em requisições simultâneas
+    const copias = [];
+    for (let i = 0; i < DENUNCIAS_PARA_ANALISE; i++) {
+      copias.push(await Review.findByPk(criada.body.data.id));
+    }
+
+    for (const [i, copia] of copias.entries()) {
+      const denunciante = await User.create({ nome: `Denunciante ${i}`, email: `denuncia${i}@teste.com`, senha: '123456', tipo: 'consumidor' });
+      await reportReview(copia, denunciante, 'Spam');
+    }
+
+    const review = await Review.findByPk(criada.body.data.id);
+    expect(review).toMatchObject({ status: 'em_analise', denuncias: DENUNCIAS_PARA_ANALISE });
+  });
+});
@@ -0,0 +1,153 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const mailer = require('../../services/mailer');
+const { User, Category, Product, Order, OrderItem } = global.testModels;
+
+/**
+ * Testes da equipe dos produtores (familiares e funcionários)
+ */
+
+const app = createApp();
+
+describe('Equipe do produtor', () => {
+  let sendMail;
+  let produtor;
+  let product;
+  let order;
+  let tokenProdutor;
+
+  const convidar = (dados) => request(app)
+    .post('/api/staff')
+    .set('Authorization', `Bearer ${tokenProdutor}`)
+    .send(dados);
+
+  beforeEach(async () => {
+    sendMail = jest.spyOn(mailer, 'sendMail').mockResolvedValue({ id: 'teste' });
+
+    const category = await Category.create({ nome: 'Vegetais' });
+    produtor = await User.create({
+      nome: 'Sítio Boa Vista', email: 'sitio@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+    });
+    product = await Product.create({ nome: 'Alface', preco: 3, estoque: 10, categoryId: category.id, produtorId: produtor.id });
+
+    const consumidor = await User.create({ nome: 'Eva', email: 'eva@teste.com', senha: '123456', tipo: 'consumidor' });
+    order = await Order.create({
+      consumidorId: consumidor.id, valorTotal: 6, codigoCupom: 'FEIRA10', descontoCupom: 0.6, enderecoEntrega: { rua: 'Rua A' }
+    });
+    await OrderItem.create({
+      orderId: order.id, productId: product.id, quantidade: 2, precoUnitario: 3, subtotal: 6, nomePromocao: 'Semana da alface', descontoPromocao: 0.6
+    });
+
+    tokenProdutor = await login('sitio@teste.com');
+  });
+
+  afterEach(() => {
+    sendMail.mockRestore();
+  });
+
+  test('deve convidar quem não tem conta e liberar o acesso ao aceitar o convite', async () => {
+    await convidar({ email: 'filho@teste.com' }).expect(400);
+
+    const response = await convidar({ email: 'Filho@Teste.com', nome: 'Pedro Filho' }).expect(201);
+    expect(response.body.data.usuario.email).toBe('filho@teste.com');
+
+    const [message] = sendMail.mock.calls[sendMail.mock.calls.length - 1];
+    const token = /token=([a-f0-9]{64})/.exec(message.text)[1];
+
+    await request(app)
+      .post('/api/auth/accept-invitation')
+      .send({ token, novaSenha: 'senha123' })
+      .expect(200);
+
+    const tokenFilho = await login('filho@teste.com', 'senha123');
+
+    const empregadores = await request(app)
+      .get('/api/staff/employers')
+      .set('Authorization', `Bearer ${tokenFilho}`)
+      .expect(200);
+
+    expect(empregadores.body.data.map(p => p.id)).toEqual([produtor.id]);
+
+    await convidar({ email: 'filho@teste.com' }).expect(409);
+  });
+
+  describe('membro da equipe', () => {
+    let tokenEquipe;
+
+    beforeEach(async () => {
+      await User.create({ nome: 'Joana Funcionária', email: 'joana@teste.com', senha: '123456', tipo: 'consumidor' });
+      await convidar({ email: 'joana@teste.com' }).expect(201);
+      tokenEquipe = await login('joana@teste.com');
+    });
+
+    test('atualiza estoque e status de pedidos, mas não altera preços', async () => {
+      await request(app)
+        .put(`/api/products/${product.id}/stock`)
+        .set('Authorization', `Bearer ${tokenEquipe}`)
+        .send({ estoque: 25 })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${tokenEquipe}`)
+        .send({ status: 'confirmado' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/products/${product.id}`)
+        .set('Authorization', `Bearer ${tokenEquipe}`)
+        .send({ nome: 'Alface', preco: 1, unidadeMedida: 'unidade', categoryId: product.categoryId })
+        .expect(403);
+
+      const atualizado = await Product.findByPk(product.id);
+      expect(atualizado.estoque).toBe(25);
+      expect(Number(atualizado.preco)).toBe(3);
+    });
+
+    test('vê as vendas do produtor sem os valores', async () => {
+      const vendas = await request(app)
+        .get(`/api/orders/sales/my?produtor=${produtor.id}`)
+        .set('Authorization', `Bearer ${tokenEquipe}`)
+        .expect(200);
+
+      expect(vendas.body.data).toHaveLength(1);
+      expect(vendas.body.data[0].valorTotal).toBeUndefined();
+      for (const campo of ['couponId', 'codigoCupom', 'descontoCupom', 'freteGratis', 'cupom']) {
+        expect(vendas.body.data[0]).not.toHaveProperty(campo);
+      }
+      expect(vendas.body.data[0].itens[0].quantidade).toBe(2);
+      expect(vendas.body.data[0].itens[0].precoUnitario).toBeUndefined();
+      for (const campo of ['promotionId', 'nomePromocao', 'descontoPromocao']) {
+        expect(vendas.body.data[0].itens[0]).not.toHaveProperty(campo);
+      }
+
+      const doProdutor = await request(app)
+        .get('/api/orders/sales/my')
+        .set('Authorization', `Bearer ${tokenProdutor}`)
+        .expect(200);
+
+      expect(Number(doProdutor.body.data[0].valorTotal)).toBe(6);
+    });
+
+    test('perde o acesso quando o produtor remove da equipe', async () => {
+      const joana = await User.findOne({ where: { email: 'joana@teste.com' } });
+
+      await request(app)
+        .delete(`/api/staff/${joana.id}`)
+        .set('Authorization', `Bearer ${tokenProdutor}`)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/products/${product.id}/stock`)
+        .set('Authorization', `Bearer ${tokenEquipe}`)
+        .send({ estoque: 0 })
+        .expect(403);
+
+      await request(app)
+        .get(`/api/orders/sales/my?produtor=${produtor.id}`)
+        .set('Authorization', `Bearer ${tokenEquipe}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const { createApp } = require('../../../server');
+const { login } = require('../helpers');
+const mailer = require('../../services/mailer');
+const { User, Category, AdminAction } = global.testModels;
+
+/**
+ * Testes da verificação de produtores (envio, fila de análise e bloqueio de publicação)
+ */
+
+const app = createApp();
+
+describe('Verificação de produtores', () => {
+  let produtorToken;
+  let adminToken;
+  let produtor;
+  let category;
+  let sendMail;
+
+  const envio = {
+    documento: '529.982.247-25',
+    dapCaf: 'SDW0352998224725000001',
+    documentos: [
+      { tipo: 'dap_caf', url: 'https://arquivos.exemplo.com/dap.pdf', nome: 'DAP' },
+      { tipo: 'identidade', url: 'https://arquivos.exemplo.com/rg.pdf' }
+    ]
+  };
+
+  const produto = () => ({ nome: 'Alface', preco: 3.5, estoque: 10, unidadeMedida: 'unidade', categoryId: category.id });
+
+  beforeEach(async () => {
+    sendMail = jest.spyOn(mailer, 'sendMail').mockResolvedValue({ id: 'teste' });
+
+    category = await Category.create({ nome: 'Vegetais' });
+    await User.create({ nome: 'Admin', email: 'admin@teste.com', senha: '123456', tipo: 'admin' });
+    produtor = await User.create({ nome: 'Maria Produtora', email: 'maria@teste.com', senha: '123456', tipo: 'produtor' });
+
+    adminToken = await login('admin@teste.com');
+    produtorToken = await login('maria@teste.com');
+  });
+
+  afterEach(() => {
+    sendMail.mockRestore();
+  });
+
+  test('produtor novo começa sem verificação e não pode publicar produtos', async () => {
+    expect(produtor.statusVerificacao).toBe('nao_enviado');
+
+    const response = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${produtorToken}`)
+      .send(produto())
+      .expect(403);
+
+    expect(response.body.statusVerificacao).toBe('nao_enviado');
+  });
+
+  test('deve rejeitar CPF com dígito verificador errado e envio sem comprovante da DAP/CAF', async () => {
+    const response = await request(app)
+      .post('/api/verification')
+      .set('Authorization', `Bearer ${produtorToken}`)
+      .send({ ...envio, documento: '529.982.247-24', documentos: [envio.documentos[1]] })
+      .expect(400);
+
+    expect(response.body.errors).toContain('CPF ou CNPJ inválido');
+    expect(response.body.errors).toContain('Envie o comprovante da DAP/CAF');
+  });
+
+  test('não deve aceitar CPF já usado por outro produtor', async () => {
+    await User.create({
+      nome: 'José', email: 'jose@teste.com', senha: '123456', tipo: 'produtor', documento: '52998224725'
+    });
+
+    await request(app)
+      .post('/api/verification')
+      .set('Authorization', `Bearer ${produtorToken}`)
+      .send(envio)
+      .expect(409);
+  });
+
+  test('fluxo completo: envio, rejeição com motivo, reenvio, aprovação e publicação', async () => {
+    const enviado = await request(app)
+      .post('/api/verification')
+      .set('Authorization', `Bearer ${produtorToken}`)
+      .send(envio)
+      .expect(200);
+
+    expect(enviado.body.data.statusVerificacao).toBe('pendente');
+    expect(enviado.body.data.documento).toBe('52998224725');
+    expect(enviado.body.data.tipoDocumento).toBe('cpf');
+    expect(enviado.body.data.documentosVerificacao).toHaveLength(2);
+
+    const fila = await request(app)
+      .get('/api/admin/verifications')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(fila.body.data.map(item => item.id)).toEqual([produtor.id]);
+
+    await request(app)
+      .put(`/api/admin/verifications/${produtor.id}/reject`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({})
+      .expect(400);
+
+    await request(app)
+      .put(`/api/admin/verifications/${produtor.id}/reject`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ motivo: 'Comprovante da DAP ilegível' })
+      .expect(200);
+
+    const rejeitado = await request(app)
+      .get('/api/verification')
+      .set('Authorization', `Bearer ${produtorToken}`)
+      .expect(200);
+
+    expect(rejeitado.body.data.statusVerificacao).toBe('rejeitado');
+    expect(rejeitado.body.data.motivoRejeicao).toBe('Comprovante da DAP ilegível');
+    expect(sendMail).toHaveBeenLastCalledWith(expect.objectContaining({
+      to: 'maria@teste.com',
+      text: expect.stringContaining('Comprovante da DAP ilegível')
+    }));
+
+    await request(app)
+      .post('/api/verification')
+      .set('Authorization', `Bearer ${produtorToken}`)
+      .send(envio)
+      .expect(200);
+
+    await request(app)
+      .put(`/api/admin/verifications/${produtor.id}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${produtorToken}`)
+      .send(produto())
+      .expect(201);
+
+    const detalhe = await request(app)
+      .get(`/api/admin/verifications/${produtor.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(detalhe.body.data.historico.map(acao => acao.acao)).toEqual(['produtor.aprovar', 'produtor.rejeitar']);
+    expect(await AdminAction.count({ where: { entidade: 'User', entidadeId: produtor.id } })).toBe(2);
+  });
+
+  test('não deve analisar verificação que não está pendente', async () => {
+    const response = await request(app)
+      .put(`/api/admin/verifications/${produtor.id}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    expect(response.body.errors).toContain('Só é possível analisar verificações pendentes');
+  });
+});
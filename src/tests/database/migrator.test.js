@@ -0,0 +1,117 @@
+const { Sequelize } = require('sequelize');
+const { getMigrator, getSeeder } = require('../../database');
+
+/**
+ * Testes das migrações e seeds
+ * Usam uma conexão SQLite própria para não interferir no banco sincronizado dos demais testes
+ */
+describe('Migrações e seeds', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  const listTables = async () => {
+    const tables = await db.getQueryInterface().showAllTables();
+    return tables.map(table => (typeof table === 'string' ? table : table.tableName)).sort();
+  };
+
+  test('deve criar as oito tabelas e registrar as migrações executadas', async () => {
+    const migrator = getMigrator(db);
+    const applied = await migrator.up();
+
+    expect(applied.length).toBeGreaterThanOrEqual(8);
+    expect(await listTables()).toEqual(expect.arrayContaining([
+      'users', 'addresses', 'categories', 'products',
+      'carts', 'cart_items', 'orders', 'order_items'
+    ]));
+
+    const status = await migrator.status();
+    expect(status.pending).toEqual([]);
+    expect(status.executed).toEqual(applied);
+    expect(status.locked).toBeNull();
+  });
+
+  test('as colunas criadas pelas migrações devem corresponder aos modelos', async () => {
+    await getMigrator(db).up();
+    const queryInterface = db.getQueryInterface();
+
+    for (const model of Object.values(global.testSequelize.models)) {
+      const columns = await queryInterface.describeTable(model.getTableName());
+      expect({ table: model.getTableName(), columns: Object.keys(columns).sort() })
+        .toEqual({ table: model.getTableName(), columns: Object.keys(model.rawAttributes).sort() });
+    }
+  });
+
+  test('não deve reaplicar migrações já executadas', async () => {
+    const migrator = getMigrator(db);
+    await migrator.up();
+
+    expect(await migrator.up()).toEqual([]);
+  });
+
+  test('deve reverter migrações com down', async () => {
+    const migrator = getMigrator(db);
+    const applied = await migrator.up();
+
+    const reverted = await migrator.down({ step: 1 });
+    expect(reverted).toEqual([applied[applied.length - 1]]);
+
+    await migrator.down({ step: Infinity });
+    const tables = await listTables();
+    expect(tables).not.toContain('users');
+    expect(tables).not.toContain('order_items');
+    expect((await migrator.status()).executed).toEqual([]);
+  });
+
+  test('deve recusar execução concorrente enquanto a trava estiver ativa', async () => {
+    const migrator = getMigrator(db);
+    await migrator.status();
+    await db.getQueryInterface().bulkInsert('schema_locks', [{
+      name: 'schema_migrations',
+      lockedBy: 'outro-processo',
+      lockedAt: new Date()
+    }]);
+
+    await expect(migrator.up()).rejects.toThrow('Outro processo');
+
+    await migrator.unlock();
+    await expect(migrator.up()).resolves.toBeDefined();
+  });
+
+  test('deve aplicar apenas os seeds do ambiente informado', async () => {
+    await getMigrator(db).up();
+
+    const applied = await getSeeder(db, 'production').up();
+    expect(applied).toEqual(['20250101000001-categorias-padrao.js', '20260601000001-subcategorias-padrao.js']);
+
+    const categorias = await db.getQueryInterface().select(null, 'categories');
+    expect(categorias.map(categoria => categoria.nome)).toEqual(
+      expect.arrayContaining(['Vegetais', 'Frutas', 'Laticínios', 'Grãos', 'Temperos'])
+    );
+
+    const vegetais = categorias.find(categoria => categoria.nome === 'Vegetais');
+    expect(categorias.find(categoria => categoria.nome === 'Folhosas')).toMatchObject({
+      slug: 'folhosas', parentId: vegetais.id
+    });
+  });
+
+  test('deve popular e remover os dados de demonstração em desenvolvimento', async () => {
+    await getMigrator(db).up();
+    const seeder = getSeeder(db, 'development');
+    await seeder.up();
+
+    const queryInterface = db.getQueryInterface();
+    expect((await queryInterface.select(null, 'products')).length).toBeGreaterThan(0);
+    expect((await queryInterface.select(null, 'orders')).length).toBeGreaterThan(0);
+
+    await seeder.down({ step: Infinity });
+    expect(await queryInterface.select(null, 'users')).toEqual([]);
+    expect(await queryInterface.select(null, 'categories')).toEqual([]);
+  });
+});
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const { createApp } = require('../../server');
+
+/**
+ * Utilitários e dados compartilhados pelos testes dos controllers
+ */
+
+const app = createApp();
+
+const UM_DIA_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Faz login pela API
+ * @param {string} email - Email do usuário
+ * @param {string} senha - Senha (padrão dos usuários criados nos testes)
+ * @returns {Promise<string>} - Token de acesso
+ */
+const login = async (email, senha = '123456') => {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ email, senha })
+    .expect(200);
+  return response.body.data.token;
+};
+
+/**
+ * Momento deslocado em dias a partir de agora
+ * @param {number} dias - Dias (negativos voltam no tempo)
+ * @returns {Date}
+ */
+const daquiA = (dias) => new Date(Date.now() + dias * UM_DIA_MS);
+
+/**
+ * Data (AAAA-MM-DD) deslocada em dias a partir de hoje
+ * @param {number} dias - Dias (negativos voltam no tempo)
+ * @returns {string}
+ */
+const dataDaquiA = (dias) => {
+  const data = daquiA(dias);
+  return [
+    data.getFullYear(),
+    String(data.getMonth() + 1).padStart(2, '0'),
+    String(data.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+/**
+ * Consumidor com endereço principal, pronto para fechar pedidos
+ * @param {string} nome - Nome
+ * @param {string} email - Email (a senha é a padrão)
+ * @returns {Promise<Object>} - Usuário criado
+ */
+const criarConsumidor = async (nome, email) => {
+  const { User, Address } = global.testModels;
+  const user = await User.create({ nome, email, senha: '123456', tipo: 'consumidor' });
+  await Address.create({
+    userId: user.id, rua: 'Rua A', numero: '10', bairro: 'Centro',
+    cidade: 'Lavras', estado: 'MG', cep: '37200-000', principal: true
+  });
+  return user;
+};
+
+/**
+ * Catálogo usado nos testes de preços: dois produtores, uma subcategoria e três produtos
+ * (tomate e alface do sítio, em Hortaliças e Folhosas; mel do apiário, em Apicultura)
+ * @returns {Promise<Object>} - { hortalicas, folhosas, apicultura, produtor, outroProdutor, tomate, alface, mel }
+ */
+const criarCatalogo = async () => {
+  const { User, Category, Product } = global.testModels;
+
+  const hortalicas = await Category.create({ nome: 'Hortaliças' });
+  const folhosas = await Category.create({ nome: 'Folhosas', parentId: hortalicas.id });
+  const apicultura = await Category.create({ nome: 'Apicultura' });
+
+  const produtor = await User.create({
+    nome: 'Sítio', email: 'sitio@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+  });
+  const outroProdutor = await User.create({
+    nome: 'Apiário', email: 'apiario@teste.com', senha: '123456', tipo: 'produtor', statusVerificacao: 'aprovado'
+  });
+
+  const tomate = await Product.create({
+    nome: 'Tomate', preco: 8, unidadeMedida: 'kg', estoque: 20, categoryId: hortalicas.id, produtorId: produtor.id
+  });
+  const alface = await Product.create({
+    nome: 'Alface', preco: 3, unidadeMedida: 'unidade', estoque: 30, categoryId: folhosas.id, produtorId: produtor.id
+  });
+  const mel = await Product.create({
+    nome: 'Mel', preco: 20, unidadeMedida: 'unidade', estoque: 10, categoryId: apicultura.id, produtorId: outroProdutor.id
+  });
+
+  return { hortalicas, folhosas, apicultura, produtor, outroProdutor, tomate, alface, mel };
+};
+
+/**
+ * Adiciona um produto ao carrinho
+ * @param {string} token - Token do consumidor
+ * @param {Object} produto - Produto
+ * @param {number} quantidade - Quantidade
+ * @returns {Promise<Object>} - Resposta com o carrinho atualizado
+ */
+const adicionarAoCarrinho = (token, produto, quantidade) => request(app)
+  .post('/api/cart/add')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ productId: produto.id, quantidade })
+  .expect(200);
+
+module.exports = {
+  login,
+  daquiA,
+  dataDaquiA,
+  criarConsumidor,
+  criarCatalogo,
+  adicionarAoCarrinho
+};
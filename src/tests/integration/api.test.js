@@ -1,118 +1,50 @@
 const request = require('supertest');
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
+const { createApp } = require('../../../server');
+const { User, Category, Product } = global.testModels;
 
 /**
  * Testes de Integração da API
- * Testa as rotas principais da aplicação
+ * Testa as rotas principais da aplicação montada por createApp()
  */
 
-// Configurar app de teste
-const app = express();
-
-// Middlewares
-app.use(helmet());
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Rotas básicas para teste
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'API funcionando',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
+const app = createApp();
 
-app.get('/api/categories', (req, res) => {
-  res.json({
-    success: true,
-    data: [
-      { id: 1, nome: 'Vegetais', descricao: 'Vegetais frescos' },
-      { id: 2, nome: 'Frutas', descricao: 'Frutas da estação' },
-      { id: 3, nome: 'Grãos', descricao: 'Grãos e cereais' }
-    ]
-  });
-});
+describe('API Integration Tests', () => {
+  let vegetais, frutas;
 
-app.get('/api/products', (req, res) => {
-  const { search, category, limit = 10, page = 1 } = req.query;
-  
-  let products = [
-    {
-      id: 1,
-      nome: 'Tomate Orgânico',
-      descricao: 'Tomates frescos cultivados sem agrotóxicos',
-      preco: 8.50,
-      unidadeMedida: 'kg',
-      categoryId: 1,
-      produtorId: 1,
-      ativo: true
-    },
-    {
-      id: 2,
-      nome: 'Banana Prata',
-      descricao: 'Bananas doces e nutritivas',
-      preco: 4.20,
-      unidadeMedida: 'kg',
-      categoryId: 2,
-      produtorId: 1,
-      ativo: true
-    }
-  ];
-
-  // Filtrar por busca
-  if (search) {
-    products = products.filter(p => 
-      p.nome.toLowerCase().includes(search.toLowerCase()) ||
-      p.descricao.toLowerCase().includes(search.toLowerCase())
-    );
-  }
-
-  // Filtrar por categoria
-  if (category) {
-    products = products.filter(p => p.categoryId === parseInt(category));
-  }
-
-  // Paginação
-  const startIndex = (page - 1) * limit;
-  const endIndex = startIndex + parseInt(limit);
-  const paginatedProducts = products.slice(startIndex, endIndex);
-
-  res.json({
-    success: true,
-    data: paginatedProducts,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total: products.length,
-      totalPages: Math.ceil(products.length / limit)
-    }
-  });
-});
+  beforeEach(async () => {
+    vegetais = await Category.create({ nome: 'Vegetais', descricao: 'Vegetais frescos' });
+    frutas = await Category.create({ nome: 'Frutas', descricao: 'Frutas da estação' });
 
-// Middleware de erro
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Erro interno do servidor',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
-});
+    const produtor = await User.create({
+      nome: 'Maria Santos',
+      email: 'maria@teste.com',
+      senha: '123456',
+      tipo: 'produtor'
+    });
 
-// Middleware para rotas não encontradas
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Rota não encontrada'
+    await Product.bulkCreate([
+      {
+        nome: 'Tomate Orgânico',
+        descricao: 'Tomates frescos cultivados sem agrotóxicos',
+        preco: 8.50,
+        unidadeMedida: 'kg',
+        estoque: 10,
+        categoryId: vegetais.id,
+        produtorId: produtor.id
+      },
+      {
+        nome: 'Banana Prata',
+        descricao: 'Bananas doces e nutritivas',
+        preco: 4.20,
+        unidadeMedida: 'kg',
+        estoque: 20,
+        categoryId: frutas.id,
+        produtorId: produtor.id
+      }
+    ]);
   });
-});
 
-describe('API Integration Tests', () => {
   describe('Health Check', () => {
     test('GET /api/health deve retornar status da API', async () => {
       const response = await request(app)
@@ -123,6 +55,15 @@ describe('API Integration Tests', () => {
       expect(response.body.message).toBe('API funcionando');
       expect(response.body.timestamp).toBeDefined();
     });
+
+    test('GET /api/ready deve verificar a conexão com o banco', async () => {
+      const response = await request(app)
+        .get('/api/ready')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.database).toBe('ok');
+    });
   });
 
   describe('Categories API', () => {
@@ -134,7 +75,7 @@ describe('API Integration Tests', () => {
       expect(response.body.success).toBe(true);
       expect(Array.isArray(response.body.data)).toBe(true);
       expect(response.body.data.length).toBeGreaterThan(0);
-      
+
       const category = response.body.data[0];
       expect(category).toHaveProperty('id');
       expect(category).toHaveProperty('nome');
@@ -151,14 +92,14 @@ describe('API Integration Tests', () => {
       expect(response.body.success).toBe(true);
       expect(Array.isArray(response.body.data)).toBe(true);
       expect(response.body.pagination).toBeDefined();
-      
-      if (response.body.data.length > 0) {
-        const product = response.body.data[0];
-        expect(product).toHaveProperty('id');
-        expect(product).toHaveProperty('nome');
-        expect(product).toHaveProperty('preco');
-        expect(product).toHaveProperty('unidadeMedida');
-      }
+      expect(response.body.data.length).toBe(2);
+
+      const product = response.body.data[0];
+      expect(product).toHaveProperty('id');
+      expect(product).toHaveProperty('nome');
+      expect(product).toHaveProperty('preco');
+      expect(product).toHaveProperty('unidadeMedida');
+      expect(product).toHaveProperty('precoFinal');
     });
 
     test('GET /api/products com busca deve filtrar produtos', async () => {
@@ -167,22 +108,20 @@ describe('API Integration Tests', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      
-      if (response.body.data.length > 0) {
-        const product = response.body.data[0];
-        expect(product.nome.toLowerCase()).toContain('tomate');
-      }
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0].nome.toLowerCase()).toContain('tomate');
     });
 
     test('GET /api/products com categoria deve filtrar por categoria', async () => {
       const response = await request(app)
-        .get('/api/products?category=1')
+        .get(`/api/products?category=${vegetais.id}`)
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      
+      expect(response.body.data.length).toBe(1);
+
       response.body.data.forEach(product => {
-        expect(product.categoryId).toBe(1);
+        expect(product.categoryId).toBe(vegetais.id);
       });
     });
 
@@ -192,12 +131,43 @@ describe('API Integration Tests', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.pagination.page).toBe(1);
-      expect(response.body.pagination.limit).toBe(1);
+      expect(response.body.pagination.currentPage).toBe(1);
+      expect(response.body.pagination.itemsPerPage).toBe(1);
+      expect(response.body.pagination.totalItems).toBe(2);
       expect(response.body.data.length).toBeLessThanOrEqual(1);
     });
   });
 
+  describe('Rotas protegidas', () => {
+    test('GET /api/cart deve exigir autenticação', async () => {
+      const response = await request(app)
+        .get('/api/cart')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('deve registrar, autenticar e consultar o carrinho pelas rotas reais', async () => {
+      const register = await request(app)
+        .post('/api/auth/register')
+        .send({
+          nome: 'João Silva',
+          email: 'joao@teste.com',
+          senha: '123456',
+          tipo: 'consumidor'
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${register.body.data.token}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.itens).toEqual([]);
+    });
+  });
+
   describe('Error Handling', () => {
     test('deve retornar 404 para rota inexistente', async () => {
       const response = await request(app)
@@ -207,6 +177,16 @@ describe('API Integration Tests', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toBe('Rota não encontrada');
     });
+
+    test('deve retornar 400 para JSON malformado', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('Content-Type', 'application/json')
+        .send('{"email":')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
   });
 
   describe('CORS and Security', () => {
@@ -228,4 +208,3 @@ describe('API Integration Tests', () => {
     });
   });
 });
-
@@ -85,7 +85,7 @@ describe('User Model', () => {
         nome: 'Teste User',
         email: 'teste@teste.com',
         senha: '123456',
-        tipo: 'admin'
+        tipo: 'moderador'
       };
 
       await expect(User.create(userData)).rejects.toThrow();
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTransport } = require('../../services/mailer');
+
+describe('Mailer', () => {
+  test('transporte file deve gravar a mensagem como JSON', async () => {
+    const fileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+
+    try {
+      const transport = createTransport({ transport: 'file', fileDir });
+      const { id } = await transport.send({ to: 'joao@teste.com', subject: 'Olá', text: 'Mensagem' });
+
+      const files = fs.readdirSync(fileDir);
+      expect(files).toHaveLength(1);
+
+      const message = JSON.parse(fs.readFileSync(path.join(fileDir, files[0]), 'utf8'));
+      expect(message).toMatchObject({ id, to: 'joao@teste.com', subject: 'Olá', text: 'Mensagem' });
+    } finally {
+      fs.rmSync(fileDir, { recursive: true, force: true });
+    }
+  });
+
+  test('transporte console deve apenas registrar a mensagem', async () => {
+    const transport = createTransport({ transport: 'console' });
+    const result = await transport.send({ to: 'joao@teste.com', subject: 'Olá', text: 'Mensagem' });
+
+    expect(result.id).toBeDefined();
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('joao@teste.com'));
+  });
+});
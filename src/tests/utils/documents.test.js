@@ -0,0 +1,28 @@
+const { isValidCpf, isValidCnpj, parseCpfCnpj, normalizeDapCaf } = require('../../utils/documents');
+
+describe('Documentos', () => {
+  test('deve validar CPF pelos dígitos verificadores', () => {
+    expect(isValidCpf('529.982.247-25')).toBe(true);
+    expect(isValidCpf('529.982.247-24')).toBe(false);
+    expect(isValidCpf('111.111.111-11')).toBe(false);
+    expect(isValidCpf('1234')).toBe(false);
+  });
+
+  test('deve validar CNPJ pelos dígitos verificadores', () => {
+    expect(isValidCnpj('11.222.333/0001-81')).toBe(true);
+    expect(isValidCnpj('11.222.333/0001-80')).toBe(false);
+    expect(isValidCnpj('00.000.000/0000-00')).toBe(false);
+  });
+
+  test('deve identificar o tipo do documento', () => {
+    expect(parseCpfCnpj('529.982.247-25')).toEqual({ tipo: 'cpf', numero: '52998224725' });
+    expect(parseCpfCnpj('11222333000181')).toEqual({ tipo: 'cnpj', numero: '11222333000181' });
+    expect(parseCpfCnpj('123')).toBeNull();
+  });
+
+  test('deve normalizar o número da DAP/CAF', () => {
+    expect(normalizeDapCaf('sdw03.5299-8224/725')).toBe('SDW0352998224725');
+    expect(normalizeDapCaf('123')).toBeNull();
+    expect(normalizeDapCaf(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+const {
+  roundQuantity,
+  roundMoney,
+  hasQuantityPrecision,
+  isMultipleOf,
+  calculateSubtotal,
+  toWholeRule
+} = require('../../utils/quantity');
+
+describe('Quantidades fracionadas', () => {
+  test('deve arredondar quantidades e valores sem o ruído do ponto flutuante', () => {
+    expect(roundQuantity(0.1 + 0.2)).toBe(0.3);
+    expect(roundQuantity('1.2345')).toBe(1.235);
+    expect(roundMoney(4.495)).toBe(4.5);
+    expect(roundMoney(1.005)).toBe(1.01);
+  });
+
+  test('deve conferir casas decimais e múltiplos do incremento', () => {
+    expect(hasQuantityPrecision(0.125)).toBe(true);
+    expect(hasQuantityPrecision(0.1255)).toBe(false);
+    expect(hasQuantityPrecision('abc')).toBe(false);
+    expect(isMultipleOf(0.75, 0.25)).toBe(true);
+    expect(isMultipleOf(0.7, 0.25)).toBe(false);
+    expect(isMultipleOf(0.3, 0.1)).toBe(true);
+  });
+
+  test('o subtotal deve ser arredondado para centavos uma única vez', () => {
+    expect(calculateSubtotal(2.99, 0.5)).toBe(1.5);
+    expect(calculateSubtotal('7.90', 1.25)).toBe(9.88);
+    expect(calculateSubtotal(4.491, 3)).toBe(13.47);
+  });
+
+  test('a regra inteira deve arredondar mínimo e incremento', () => {
+    const regra = { unidadeMedida: 'unidade', minimo: 0.5, incremento: 0.25, fracionada: true };
+    expect(toWholeRule(regra)).toEqual({ unidadeMedida: 'unidade', minimo: 1, incremento: 1, fracionada: false });
+  });
+});
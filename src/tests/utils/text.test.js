@@ -0,0 +1,23 @@
+const { normalizeText, stemWord, toStems, toSearchTerms } = require('../../utils/text');
+
+describe('Texto para busca', () => {
+  test('deve remover acentos e pontuação', () => {
+    expect(normalizeText('Maçã-Verde, Orgânica!')).toBe('maca verde organica');
+    expect(normalizeText(null)).toBe('');
+  });
+
+  test('deve reduzir plural e feminino ao mesmo radical', () => {
+    expect(stemWord('tomates')).toBe('tomate');
+    expect(stemWord('macas')).toBe(stemWord('maca'));
+    expect(stemWord('limoes')).toBe('limao');
+    expect(stemWord('paes')).toBe('pao');
+    expect(stemWord('organicas')).toBe(stemWord('organico'));
+    expect(stemWord('mel')).toBe('mel');
+    expect(toStems('Pastéis integrais')).toBe('pastel integral');
+  });
+
+  test('deve ignorar palavras vazias na busca', () => {
+    expect(toSearchTerms('Queijo de Minas de minas')).toEqual(['queijo', 'minas']);
+    expect(toSearchTerms('de')).toEqual(['de']);
+  });
+});
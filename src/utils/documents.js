@@ -0,0 +1,98 @@
+/**
+ * Utilitários para documentos brasileiros (CPF, CNPJ e DAP/CAF)
+ */
+
+/**
+ * Remove tudo que não for dígito
+ * @param {string} value - Valor informado
+ * @returns {string} - Apenas os dígitos
+ */
+const onlyDigits = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * Calcula um dígito verificador pelo módulo 11
+ * @param {string} base - Dígitos usados no cálculo
+ * @param {Array<number>} pesos - Peso de cada posição
+ * @returns {number} - Dígito verificador
+ */
+const checkDigit = (base, pesos) => {
+  const soma = pesos.reduce((total, peso, i) => total + Number(base[i]) * peso, 0);
+  const resto = soma % 11;
+  return resto < 2 ? 0 : 11 - resto;
+};
+
+/**
+ * Valida um CPF pelos dígitos verificadores
+ * @param {string} value - CPF com ou sem máscara
+ * @returns {boolean} - True se o CPF for válido
+ */
+const isValidCpf = (value) => {
+  const cpf = onlyDigits(value);
+
+  // Sequências repetidas (111.111.111-11) passam no cálculo, mas não existem
+  if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) {
+    return false;
+  }
+
+  const d1 = checkDigit(cpf, [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const d2 = checkDigit(cpf, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+
+  return d1 === Number(cpf[9]) && d2 === Number(cpf[10]);
+};
+
+/**
+ * Valida um CNPJ pelos dígitos verificadores
+ * @param {string} value - CNPJ com ou sem máscara
+ * @returns {boolean} - True se o CNPJ for válido
+ */
+const isValidCnpj = (value) => {
+  const cnpj = onlyDigits(value);
+
+  if (cnpj.length !== 14 || /^(\d)\1{13}$/.test(cnpj)) {
+    return false;
+  }
+
+  const d1 = checkDigit(cnpj, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const d2 = checkDigit(cnpj, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+
+  return d1 === Number(cnpj[12]) && d2 === Number(cnpj[13]);
+};
+
+/**
+ * Identifica e valida um CPF ou CNPJ
+ * @param {string} value - Documento com ou sem máscara
+ * @returns {Object|null} - { tipo: 'cpf'|'cnpj', numero } ou null se inválido
+ */
+const parseCpfCnpj = (value) => {
+  const numero = onlyDigits(value);
+
+  if (numero.length === 11) {
+    return isValidCpf(numero) ? { tipo: 'cpf', numero } : null;
+  }
+
+  if (numero.length === 14) {
+    return isValidCnpj(numero) ? { tipo: 'cnpj', numero } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Normaliza o número da DAP ou do CAF
+ * Os números variam conforme o emissor, então só a forma é verificada:
+ * letras e dígitos, entre 10 e 30 caracteres, ignorando pontuação
+ * @param {string} value - Número informado
+ * @returns {string|null} - Número normalizado ou null se inválido
+ */
+const normalizeDapCaf = (value) => {
+  const numero = String(value || '').replace(/[\s.\-/]/g, '').toUpperCase();
+  return /^[A-Z0-9]{10,30}$/.test(numero) ? numero : null;
+};
+
+module.exports = {
+  onlyDigits,
+  isValidCpf,
+  isValidCnpj,
+  parseCpfCnpj,
+  normalizeDapCaf
+};
@@ -1,39 +1,48 @@
 const jwt = require('jsonwebtoken');
+const config = require('../config');
 
 /**
  * Utilitários para manipulação de JWT
  */
 
 /**
- * Gera um token JWT para o usuário
+ * Gera um token JWT de acesso (curta duração) para o usuário
  * @param {Object} user - Objeto do usuário
+ * @param {Object} options - { jti, family } identificadores do token e da sessão
  * @returns {string} - Token JWT
  */
-const generateToken = (user) => {
+const generateToken = (user, { jti, family } = {}) => {
   const payload = {
     userId: user.id,
     email: user.email,
-    tipo: user.tipo
+    tipo: user.tipo,
+    papeis: user.papeis,
+    type: 'access',
+    ...(family && { fam: family })
   };
 
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: '7d' // Token expira em 7 dias
+  return jwt.sign(payload, config.jwt.secret, {
+    expiresIn: config.jwt.expiresIn,
+    ...(jti && { jwtid: jti })
   });
 };
 
 /**
  * Gera um token de refresh
  * @param {Object} user - Objeto do usuário
+ * @param {Object} options - { jti, family } identificadores do token e da sessão
  * @returns {string} - Token de refresh
  */
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, { jti, family } = {}) => {
   const payload = {
     userId: user.id,
-    type: 'refresh'
+    type: 'refresh',
+    ...(family && { fam: family })
   };
 
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: '30d' // Refresh token expira em 30 dias
+  return jwt.sign(payload, config.jwt.secret, {
+    expiresIn: config.jwt.refreshExpiresIn,
+    ...(jti && { jwtid: jti })
   });
 };
 
@@ -44,7 +53,7 @@ const generateRefreshToken = (user) => {
  */
 const verifyToken = (token) => {
   try {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    return jwt.verify(token, config.jwt.secret);
   } catch (error) {
     return null;
   }
@@ -0,0 +1,126 @@
+/**
+ * Utilitários de quantidade e valores
+ * Produtos vendidos por peso ou volume (kg, g, litro, ml) aceitam quantidades fracionadas
+ * com até três casas decimais; unidade, pacote e caixa continuam em números inteiros
+ */
+
+// Unidades vendidas só em quantidades inteiras
+const UNIDADES_INTEIRAS = ['unidade', 'pacote', 'caixa'];
+
+// Casas decimais das quantidades (0,001 kg = 1 g)
+const CASAS_QUANTIDADE = 3;
+
+const FATOR_QUANTIDADE = 10 ** CASAS_QUANTIDADE;
+const FATOR_CENTAVOS = 100;
+
+/**
+ * Converte um valor decimal em inteiro na escala informada, sem o ruído do ponto flutuante
+ * (4.495 * 100 dá 449.49999999999994 e arredondaria para baixo)
+ * @param {number|string} valor - Valor decimal
+ * @param {number} fator - 100 para centavos, 1000 para milésimos
+ * @returns {number}
+ */
+const toScaled = (valor, fator) => Math.round(Number((Number(valor) * fator).toPrecision(12)));
+
+/**
+ * A unidade aceita quantidades fracionadas?
+ * @param {string} unidadeMedida - Unidade do produto ou da variação
+ * @returns {boolean}
+ */
+const isFractionalUnit = (unidadeMedida) => !UNIDADES_INTEIRAS.includes(unidadeMedida);
+
+/**
+ * Arredonda uma quantidade para três casas decimais
+ * @param {number|string} valor - Quantidade
+ * @returns {number}
+ */
+const roundQuantity = (valor) => toScaled(valor, FATOR_QUANTIDADE) / FATOR_QUANTIDADE;
+
+/**
+ * Arredonda um valor em reais para centavos (metade para cima)
+ * @param {number|string} valor - Valor
+ * @returns {number}
+ */
+const roundMoney = (valor) => toScaled(valor, FATOR_CENTAVOS) / FATOR_CENTAVOS;
+
+/**
+ * Formata um valor em reais ("R$ 20,00")
+ * @param {number|string} valor - Valor
+ * @returns {string}
+ */
+const formatCurrency = (valor) => `R$ ${roundMoney(valor).toFixed(2).replace('.', ',')}`;
+
+/**
+ * A quantidade tem no máximo três casas decimais?
+ * @param {number|string} valor - Quantidade
+ * @returns {boolean}
+ */
+const hasQuantityPrecision = (valor) => Number.isFinite(Number(valor))
+  && Math.abs(Number(valor) * FATOR_QUANTIDADE - toScaled(valor, FATOR_QUANTIDADE)) < 1e-6;
+
+/**
+ * A quantidade é múltipla do incremento? (0,75 kg em passos de 0,25 kg)
+ * @param {number} valor - Quantidade
+ * @param {number} incremento - Passo de venda
+ * @returns {boolean}
+ */
+const isMultipleOf = (valor, incremento) => toScaled(valor, FATOR_QUANTIDADE) % toScaled(incremento, FATOR_QUANTIDADE) === 0;
+
+/**
+ * Quantos blocos completos cabem na quantidade (faixas de "3 kg por R$ 20", grupos de "leve 3")
+ * @param {number} valor - Quantidade
+ * @param {number} bloco - Tamanho do bloco
+ * @returns {number} - Inteiro
+ */
+const countBlocks = (valor, bloco) => Math.floor(toScaled(valor, FATOR_QUANTIDADE) / toScaled(bloco, FATOR_QUANTIDADE));
+
+/**
+ * Subtotal de um item: preço unitário (arredondado para centavos) vezes a quantidade,
+ * calculado em inteiros e arredondado para centavos uma única vez
+ * @param {number|string} precoUnitario - Preço por unidade de medida
+ * @param {number|string} quantidade - Quantidade
+ * @returns {number}
+ */
+const calculateSubtotal = (precoUnitario, quantidade) => {
+  const centavos = toScaled(precoUnitario, FATOR_CENTAVOS) * toScaled(quantidade, FATOR_QUANTIDADE);
+  return Math.round(centavos / FATOR_QUANTIDADE) / FATOR_CENTAVOS;
+};
+
+/**
+ * Regra de quantidade restrita a números inteiros
+ * Usada quando a unidade comprada é inteira (variação vendida por unidade de um produto a granel)
+ * e nas reservas de pré-venda, cuja colheita é contada em unidades inteiras
+ * @param {Object} regra - { unidadeMedida, minimo, incremento, fracionada }
+ * @returns {Object} - Mesma regra, com mínimo e incremento inteiros
+ */
+const toWholeRule = (regra) => ({
+  ...regra,
+  minimo: Math.max(Math.ceil(regra.minimo), 1),
+  incremento: Number.isInteger(regra.incremento) ? regra.incremento : 1,
+  fracionada: false
+});
+
+/**
+ * Getter que devolve colunas DECIMAL como número (o PostgreSQL as entrega como texto)
+ * @param {string} campo - Nome do atributo
+ * @returns {Function}
+ */
+const decimalGetter = (campo) => function() {
+  const valor = this.getDataValue(campo);
+  return valor === null || valor === undefined ? valor : Number(valor);
+};
+
+module.exports = {
+  UNIDADES_INTEIRAS,
+  CASAS_QUANTIDADE,
+  isFractionalUnit,
+  roundQuantity,
+  roundMoney,
+  formatCurrency,
+  hasQuantityPrecision,
+  isMultipleOf,
+  countBlocks,
+  calculateSubtotal,
+  toWholeRule,
+  decimalGetter
+};
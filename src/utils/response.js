@@ -88,12 +88,14 @@ const conflict = (res, message = 'Conflito de dados') => {
  * @param {Array} data - Dados da página atual
  * @param {Object} pagination - Informações de paginação
  * @param {string} message - Mensagem de sucesso
+ * @param {Object} extra - Campos adicionais da resposta (ex.: facetas da listagem)
  */
-const paginated = (res, data, pagination, message = 'Dados recuperados com sucesso') => {
+const paginated = (res, data, pagination, message = 'Dados recuperados com sucesso', extra = {}) => {
   const response = {
     success: true,
     message,
     data,
+    ...extra,
     pagination: {
       currentPage: pagination.page,
       totalPages: Math.ceil(pagination.total / pagination.limit),
@@ -0,0 +1,193 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * Utilitários de planilha (CSV e XLSX)
+ * Leem a primeira aba/tabela como uma lista de linhas de texto e escrevem no sentido inverso
+ */
+
+// Textos que o Excel executaria como fórmula ao abrir o CSV; saem com um apóstrofo na frente
+const INICIO_FORMULA = /^[=+\-@]/;
+
+/**
+ * Tira o apóstrofo que toCsv põe na frente dos textos com cara de fórmula
+ * @param {string} campo - Valor lido do CSV
+ * @returns {string}
+ */
+const unescapeFormula = (campo) => (campo.startsWith("'") && INICIO_FORMULA.test(campo.slice(1))
+  ? campo.slice(1)
+  : campo);
+
+/**
+ * Separador usado no CSV: o Excel em português salva com ponto e vírgula
+ * @param {string} cabecalho - Primeira linha do arquivo
+ * @returns {string} - ";" ou ","
+ */
+const detectSeparator = (cabecalho) => {
+  const semAspas = cabecalho.replace(/"[^"]*"/g, '');
+  return (semAspas.match(/;/g) || []).length > (semAspas.match(/,/g) || []).length ? ';' : ',';
+};
+
+/**
+ * Lê um CSV (RFC 4180: campos entre aspas podem ter separador, aspas dobradas e quebras de linha)
+ * O apóstrofo que protege as fórmulas na exportação é retirado
+ * @param {string} texto - Conteúdo do arquivo
+ * @returns {Array<Array<string>>} - Linhas com os valores de cada coluna
+ */
+const parseCsv = (texto) => {
+  const conteudo = texto.replace(/^\uFEFF/, '');
+  const separador = detectSeparator(conteudo.split(/\r?\n/, 1)[0]);
+  const linhas = [];
+  let linha = [];
+  let campo = '';
+  let entreAspas = false;
+
+  for (let i = 0; i < conteudo.length; i += 1) {
+    const caractere = conteudo[i];
+
+    if (entreAspas) {
+      if (caractere === '"' && conteudo[i + 1] === '"') {
+        campo += '"';
+        i += 1;
+      } else if (caractere === '"') {
+        entreAspas = false;
+      } else {
+        campo += caractere;
+      }
+    } else if (caractere === '"') {
+      entreAspas = true;
+    } else if (caractere === separador) {
+      linha.push(unescapeFormula(campo));
+      campo = '';
+    } else if (caractere === '\n' || caractere === '\r') {
+      if (caractere === '\r' && conteudo[i + 1] === '\n') {
+        i += 1;
+      }
+      linha.push(unescapeFormula(campo));
+      linhas.push(linha);
+      linha = [];
+      campo = '';
+    } else {
+      campo += caractere;
+    }
+  }
+
+  if (campo !== '' || linha.length > 0) {
+    linha.push(unescapeFormula(campo));
+    linhas.push(linha);
+  }
+
+  return linhas;
+};
+
+/**
+ * Escreve um CSV separado por vírgula, com BOM para o Excel reconhecer o UTF-8
+ * Textos que começam com =, +, - ou @ ganham um apóstrofo para não virarem fórmula
+ * @param {Array<Array>} linhas - Linhas com os valores de cada coluna
+ * @returns {Buffer} - Conteúdo do arquivo
+ */
+const toCsv = (linhas) => {
+  const escape = (valor) => {
+    let texto = valor === null || valor === undefined ? '' : String(valor);
+    if (typeof valor === 'string' && INICIO_FORMULA.test(texto)) {
+      texto = `'${texto}`;
+    }
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+  };
+
+  const corpo = linhas.map(linha => linha.map(escape).join(',')).join('\r\n');
+  return Buffer.from(`\uFEFF${corpo}\r\n`, 'utf8');
+};
+
+/**
+ * Texto de uma célula do Excel (fórmulas, links e texto formatado viram o valor exibido)
+ * @param {*} valor - Valor da célula no ExcelJS
+ * @returns {string}
+ */
+const cellText = (valor) => {
+  if (valor === null || valor === undefined) {
+    return '';
+  }
+  if (valor instanceof Date) {
+    return valor.toISOString().slice(0, 10);
+  }
+  if (typeof valor === 'object') {
+    if (valor.richText) {
+      return valor.richText.map(trecho => trecho.text).join('');
+    }
+    if (valor.text !== undefined) {
+      return cellText(valor.text);
+    }
+    if (valor.result !== undefined) {
+      return cellText(valor.result);
+    }
+    return '';
+  }
+  return String(valor);
+};
+
+/**
+ * Lê a primeira aba de um XLSX
+ * @param {Buffer} conteudo - Arquivo enviado
+ * @returns {Promise<Array<Array<string>>>} - Linhas com os valores de cada coluna
+ */
+const parseXlsx = async (conteudo) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(conteudo);
+
+  const aba = workbook.worksheets[0];
+  if (!aba) {
+    return [];
+  }
+
+  const linhas = [];
+  aba.eachRow({ includeEmpty: true }, (row) => {
+    // row.values começa no índice 1 (coluna A)
+    linhas.push(row.values.slice(1).map(cellText));
+  });
+
+  return linhas;
+};
+
+/**
+ * Escreve um XLSX com uma aba
+ * @param {string} nomeAba - Nome da aba
+ * @param {Array<Array>} linhas - Linhas com os valores de cada coluna (a primeira é o cabeçalho)
+ * @returns {Promise<Buffer>} - Conteúdo do arquivo
+ */
+const toXlsx = async (nomeAba, linhas) => {
+  const workbook = new ExcelJS.Workbook();
+  const aba = workbook.addWorksheet(nomeAba);
+
+  aba.addRows(linhas);
+  aba.getRow(1).font = { bold: true };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Lê uma planilha no formato informado
+ * @param {Buffer} conteudo - Arquivo enviado
+ * @param {string} formato - csv ou xlsx
+ * @returns {Promise<Array<Array<string>>>} - Linhas com os valores de cada coluna
+ */
+const readSpreadsheet = (conteudo, formato) => (formato === 'xlsx'
+  ? parseXlsx(conteudo)
+  : Promise.resolve(parseCsv(conteudo.toString('utf8'))));
+
+/**
+ * Escreve uma planilha no formato informado
+ * @param {Array<Array>} linhas - Linhas com os valores de cada coluna (a primeira é o cabeçalho)
+ * @param {string} formato - csv ou xlsx
+ * @param {string} nomeAba - Nome da aba (apenas no XLSX)
+ * @returns {Promise<Buffer>} - Conteúdo do arquivo
+ */
+const writeSpreadsheet = (linhas, formato, nomeAba = 'Planilha') => (formato === 'xlsx'
+  ? toXlsx(nomeAba, linhas)
+  : Promise.resolve(toCsv(linhas)));
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  readSpreadsheet,
+  writeSpreadsheet
+};
@@ -0,0 +1,109 @@
+/**
+ * Utilitários de texto para a busca em português
+ * Remoção de acentos, palavras vazias e um radical leve (plural e feminino)
+ */
+
+// Palavras que não ajudam a encontrar produtos ("queijo de minas", "doce com leite")
+const PALAVRAS_VAZIAS = new Set([
+  'a', 'o', 'as', 'os', 'e', 'de', 'da', 'do', 'das', 'dos',
+  'em', 'na', 'no', 'nas', 'nos', 'com', 'sem', 'para', 'por', 'um', 'uma'
+]);
+
+// Sufixos trocados pelo radical: primeiro o plural, depois o feminino
+const PLURAIS = [
+  ['oes', 'ao'], // limões
+  ['aes', 'ao'], // pães
+  ['ais', 'al'], // integrais
+  ['eis', 'el'], // pastéis
+  ['ois', 'ol'], // anzóis
+  ['ns', 'm'], // bombons
+  ['res', 'r'], // flores
+  ['zes', 'z'], // nozes
+  ['s', ''] // tomates, maçãs
+];
+
+const FEMININOS = [
+  ['ica', 'ico'], // orgânica
+  ['ada', 'ado'], // temperada
+  ['osa', 'oso'] // cheirosa
+];
+
+/**
+ * Troca o primeiro sufixo encontrado, desde que sobre um radical de ao menos três letras
+ * @param {string} palavra - Palavra sem acentos
+ * @param {Array} regras - Pares [sufixo, troca]
+ * @returns {string} - Palavra com o sufixo trocado
+ */
+const replaceSuffix = (palavra, regras) => {
+  for (const [sufixo, troca] of regras) {
+    if (palavra.endsWith(sufixo) && palavra.length - sufixo.length + troca.length >= 3) {
+      return palavra.slice(0, -sufixo.length) + troca;
+    }
+  }
+
+  return palavra;
+};
+
+/**
+ * Remove acentos e pontuação e passa para minúsculas
+ * @param {string} value - Texto original
+ * @returns {string} - Texto normalizado ("Maçã-verde" => "maca verde")
+ */
+const normalizeText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Identificador legível para URLs
+ * @param {string} value - Texto original
+ * @returns {string} - Slug ("Raízes & Tubérculos" => "raizes-tuberculos")
+ */
+const slugify = (value) => normalizeText(value).replace(/ /g, '-');
+
+/**
+ * Reduz uma palavra normalizada ao radical, para que singular e plural se encontrem
+ * @param {string} palavra - Palavra sem acentos
+ * @returns {string} - Radical ("tomates" => "tomate", "macas" => "maca")
+ */
+const stemWord = (palavra) => {
+  if (palavra.length <= 3 || /^\d+$/.test(palavra)) {
+    return palavra;
+  }
+
+  return replaceSuffix(replaceSuffix(palavra, PLURAIS), FEMININOS);
+};
+
+/**
+ * Converte um texto livre nos radicais usados pelo índice
+ * @param {string} value - Texto original
+ * @returns {string} - Radicais separados por espaço
+ */
+const toStems = (value) => normalizeText(value)
+  .split(' ')
+  .filter(Boolean)
+  .map(stemWord)
+  .join(' ');
+
+/**
+ * Extrai os termos de uma busca digitada pelo usuário
+ * @param {string} value - Busca original
+ * @returns {Array<string>} - Termos normalizados, sem repetições e sem palavras vazias
+ * (se a busca só tiver palavras vazias, elas são mantidas)
+ */
+const toSearchTerms = (value) => {
+  const palavras = [...new Set(normalizeText(value).split(' ').filter(Boolean))];
+  const relevantes = palavras.filter(palavra => !PALAVRAS_VAZIAS.has(palavra));
+
+  return relevantes.length > 0 ? relevantes : palavras;
+};
+
+module.exports = {
+  normalizeText,
+  slugify,
+  stemWord,
+  toStems,
+  toSearchTerms
+};